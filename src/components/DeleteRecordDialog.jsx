@@ -0,0 +1,163 @@
+import { useState, useEffect } from 'react';
+import {
+    Alert,
+    Box,
+    Button,
+    CircularProgress,
+    Dialog,
+    DialogActions,
+    DialogContent,
+    DialogContentText,
+    DialogTitle,
+    Typography,
+} from '@mui/material';
+import { isArchived } from '@/lib/archive';
+
+// Dependents listed per group before the rest are summarized as "and N more"
+const MAX_ITEMS = 5;
+
+/**
+ * Confirmation dialog for deleting a product or warehouse. It lists what depends on the record
+ * (see src/lib/dependents.js), offers a cascade delete when only stock, alerts, bins and
+ * price-list entries depend on it, and explains why when documents or stock movement history
+ * keep it from being deleted.
+ * Whenever something depends on the record, archiving it is offered instead.
+ * @param {string} url - API url of the record, e.g. /api/products/3; the dialog is open while set
+ * @param {string} noun - 'product' or 'warehouse'
+ */
+export default function DeleteRecordDialog({ url, noun, onClose, onDeleted }) {
+    const [record, setRecord] = useState(null);
+    const [error, setError] = useState('');
+    const [deleting, setDeleting] = useState(false);
+
+    useEffect(() => {
+        setRecord(null);
+        setError('');
+        if (url) {
+            fetch(`${url}?include=dependents`)
+                .then(res => res.json())
+                .then(setRecord)
+                .catch(() => setError(`Failed to load the ${noun}`));
+        }
+    }, [url, noun]);
+
+    const handleDelete = async (mode) => {
+        setDeleting(true);
+        setError('');
+        try {
+            const res = await fetch(mode ? `${url}?mode=${mode}` : url, { method: 'DELETE' });
+            if (res.ok) {
+                onDeleted();
+                return;
+            }
+
+            // Something may have started depending on the record since the dialog opened
+            const data = await res.json();
+            setError(data.error || `Failed to delete ${noun}`);
+            if (data.dependents) {
+                setRecord(prev => ({ ...prev, dependents: data.dependents }));
+            }
+        } catch (err) {
+            setError(`Failed to delete ${noun}`);
+        } finally {
+            setDeleting(false);
+        }
+    };
+
+    const handleArchive = async () => {
+        setDeleting(true);
+        setError('');
+        try {
+            const res = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ action: 'archive' }),
+            });
+            if (res.ok) {
+                onDeleted();
+                return;
+            }
+
+            const data = await res.json();
+            setError(data.error || `Failed to archive ${noun}`);
+        } catch (err) {
+            setError(`Failed to archive ${noun}`);
+        } finally {
+            setDeleting(false);
+        }
+    };
+
+    const dependents = record?.dependents || [];
+    const blocked = dependents.some(d => !d.cascade);
+
+    return (
+        <Dialog open={Boolean(url)} onClose={onClose} maxWidth="sm" fullWidth>
+            <DialogTitle>Delete {noun.charAt(0).toUpperCase() + noun.slice(1)}</DialogTitle>
+            <DialogContent>
+                {error && (
+                    <Alert severity="error" sx={{ mb: 2 }}>
+                        {error}
+                    </Alert>
+                )}
+                {!record ? (
+                    <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+                        <CircularProgress size={32} />
+                    </Box>
+                ) : dependents.length === 0 ? (
+                    <DialogContentText>
+                        Are you sure you want to delete {record.name}? This action cannot be undone.
+                    </DialogContentText>
+                ) : (
+                    <>
+                        <DialogContentText sx={{ mb: 2 }}>
+                            {blocked
+                                ? `${record.name} cannot be deleted because the documents and stock movements below refer to it and keep their history. Archive it to hide it from lists and new stock and transfers.`
+                                : `Deleting ${record.name} also deletes everything below; its stock is booked out in the stock ledger first. This action cannot be undone.`}
+                        </DialogContentText>
+                        {dependents.map(group => (
+                            <Box key={group.collection} sx={{ mb: 1.5 }}>
+                                <Typography variant="subtitle2" color={group.cascade ? 'text.primary' : 'error'}>
+                                    {group.label} ({group.count})
+                                </Typography>
+                                {group.items.length > 0 && (
+                                    <Box component="ul" sx={{ m: 0, pl: 3 }}>
+                                        {group.items.slice(0, MAX_ITEMS).map((item, index) => (
+                                            <Typography component="li" variant="body2" key={index}>
+                                                {item}
+                                            </Typography>
+                                        ))}
+                                        {group.items.length > MAX_ITEMS && (
+                                            <Typography component="li" variant="body2" color="text.secondary">
+                                                and {group.items.length - MAX_ITEMS} more
+                                            </Typography>
+                                        )}
+                                    </Box>
+                                )}
+                            </Box>
+                        ))}
+                    </>
+                )}
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={onClose} color="primary">
+                    Cancel
+                </Button>
+                {record && dependents.length > 0 && !isArchived(record) && (
+                    <Button onClick={handleArchive} color="primary" disabled={deleting}>
+                        Archive Instead
+                    </Button>
+                )}
+                {record && !blocked && (
+                    <Button
+                        onClick={() => handleDelete(dependents.length > 0 ? 'cascade' : null)}
+                        color="error"
+                        disabled={deleting}
+                        autoFocus
+                    >
+                        {dependents.length > 0 ? 'Delete All' : 'Delete'}
+                    </Button>
+                )}
+            </DialogActions>
+        </Dialog>
+    );
+}
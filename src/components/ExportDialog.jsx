@@ -0,0 +1,167 @@
+import { useState, useEffect } from 'react';
+import { EXPORT_FORMATS, loadExportColumns, saveExportColumns } from '@/lib/exportUtils';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+
+/**
+ * Choose the format and the columns of an export, and their order, before downloading.
+ * The chosen columns are remembered per report for the next export and for keyboard shortcuts.
+ * @param {boolean} isOpen - Whether the dialog is shown
+ * @param {Function} onClose - Called when the dialog is dismissed
+ * @param {string} title - What is being exported, e.g. 'Inventory Report'
+ * @param {string} report - Key the column choice is saved under, e.g. 'inventory'
+ * @param {Array} columns - All available column definitions {key, label, type}, in default order
+ * @param {string} format - Format selected when the dialog opens
+ * @param {Function} onExport - Called with (format, chosen columns)
+ */
+export default function ExportDialog({ isOpen, onClose, title, report, columns, format = 'csv', onExport }) {
+    const [selectedFormat, setSelectedFormat] = useState(format);
+    // Every column in display order, each marked as included or not
+    const [choices, setChoices] = useState([]);
+
+    useEffect(() => {
+        if (!isOpen) {
+            return;
+        }
+        const chosen = loadExportColumns(report, columns);
+        setSelectedFormat(format);
+        setChoices([
+            ...chosen.map(column => ({ column, included: true })),
+            ...columns.filter(column => !chosen.includes(column)).map(column => ({ column, included: false })),
+        ]);
+    }, [isOpen, report, columns, format]);
+
+    if (!isOpen) return null;
+
+    const includedColumns = choices.filter(choice => choice.included).map(choice => choice.column);
+
+    const toggle = (index) => {
+        setChoices(prev => prev.map((choice, i) => (i === index ? { ...choice, included: !choice.included } : choice)));
+    };
+
+    const move = (index, offset) => {
+        setChoices(prev => {
+            const next = [...prev];
+            [next[index], next[index + offset]] = [next[index + offset], next[index]];
+            return next;
+        });
+    };
+
+    const reset = () => {
+        setChoices(columns.map(column => ({ column, included: true })));
+    };
+
+    const handleExport = () => {
+        saveExportColumns(report, includedColumns);
+        onExport(selectedFormat, includedColumns);
+        onClose();
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
+            <Card className="max-w-lg w-full max-h-[90vh] overflow-y-auto shadow-2xl">
+                <CardHeader className="border-b border-gray-200">
+                    <div className="flex items-center justify-between">
+                        <div>
+                            <CardTitle className="text-2xl flex items-center gap-2">
+                                📤 Export {title}
+                            </CardTitle>
+                            <CardDescription>
+                                Choose the columns to include and put them in order with the arrows
+                            </CardDescription>
+                        </div>
+                        <Button
+                            onClick={onClose}
+                            variant="ghost"
+                            className="text-gray-500 hover:text-gray-700"
+                        >
+                            ✕
+                        </Button>
+                    </div>
+                </CardHeader>
+                <CardContent className="p-6 space-y-6">
+                    <div>
+                        <label className="block text-sm font-semibold text-gray-700 mb-2">Format</label>
+                        <div className="flex gap-2">
+                            {Object.entries(EXPORT_FORMATS).map(([key, { label }]) => (
+                                <Button
+                                    key={key}
+                                    type="button"
+                                    variant={selectedFormat === key ? 'default' : 'outline'}
+                                    onClick={() => setSelectedFormat(key)}
+                                    className={selectedFormat === key ? 'flex-1 bg-emerald-600 hover:bg-emerald-700' : 'flex-1'}
+                                >
+                                    {label}
+                                </Button>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div>
+                        <div className="flex items-center justify-between mb-2">
+                            <label className="block text-sm font-semibold text-gray-700">
+                                Columns ({includedColumns.length} of {columns.length})
+                            </label>
+                            <Button type="button" size="sm" variant="ghost" onClick={reset}>
+                                Reset
+                            </Button>
+                        </div>
+                        <div className="space-y-2">
+                            {choices.map(({ column, included }, index) => (
+                                <div
+                                    key={column.key}
+                                    className={`flex items-center justify-between p-2 rounded-lg border ${included ? 'bg-white border-emerald-200' : 'bg-gray-50 border-gray-200 text-gray-400'}`}
+                                >
+                                    <label className="flex items-center gap-2 text-sm">
+                                        <input
+                                            type="checkbox"
+                                            checked={included}
+                                            onChange={() => toggle(index)}
+                                            className="h-4 w-4 accent-emerald-600"
+                                        />
+                                        {column.label}
+                                    </label>
+                                    <div className="flex gap-1">
+                                        <Button
+                                            type="button"
+                                            size="sm"
+                                            variant="ghost"
+                                            disabled={index === 0}
+                                            onClick={() => move(index, -1)}
+                                            aria-label={`Move ${column.label} up`}
+                                        >
+                                            ↑
+                                        </Button>
+                                        <Button
+                                            type="button"
+                                            size="sm"
+                                            variant="ghost"
+                                            disabled={index === choices.length - 1}
+                                            onClick={() => move(index, 1)}
+                                            aria-label={`Move ${column.label} down`}
+                                        >
+                                            ↓
+                                        </Button>
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div className="flex gap-2">
+                        <Button
+                            onClick={handleExport}
+                            disabled={includedColumns.length === 0}
+                            className="flex-1 bg-gradient-to-r from-emerald-600 to-green-600 hover:from-emerald-700 hover:to-green-700 shadow-md"
+                        >
+                            Download {EXPORT_FORMATS[selectedFormat].label}
+                        </Button>
+                        <Button type="button" variant="outline" onClick={onClose}>
+                            Cancel
+                        </Button>
+                    </div>
+                </CardContent>
+            </Card>
+        </div>
+    );
+}
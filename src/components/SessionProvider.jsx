@@ -0,0 +1,92 @@
+import { createContext, useCallback, useContext, useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import { ROLES, can } from '@/lib/permissions';
+
+// Pages that can be seen without signing in
+const PUBLIC_PAGES = ['/login'];
+
+const SessionContext = createContext({ user: null, loading: true, setupRequired: false });
+
+/**
+ * The signed-in user, for hiding actions their role does not allow:
+ * const { user } = useSession(); ... {can(user, 'manage_inventory') && <Button ... />}
+ */
+export const useSession = () => useContext(SessionContext);
+
+/**
+ * Loads the session once for the whole app and sends visitors who are not signed in to /login.
+ * Also shows who is signed in, with links to user and API key management (admins) and signing out.
+ */
+export default function SessionProvider({ children }) {
+    const router = useRouter();
+    const [session, setSession] = useState({ user: null, loading: true, setupRequired: false });
+
+    const refresh = useCallback(async () => {
+        try {
+            const res = await fetch('/api/auth/session');
+            const data = await res.json();
+            setSession({ user: data.user, loading: false, setupRequired: data.setupRequired });
+            return data.user;
+        } catch (error) {
+            console.error('Failed to load session:', error);
+            setSession({ user: null, loading: false, setupRequired: false });
+            return null;
+        }
+    }, []);
+
+    useEffect(() => {
+        refresh();
+    }, [refresh]);
+
+    const isPublic = PUBLIC_PAGES.includes(router.pathname);
+
+    useEffect(() => {
+        if (!session.loading && !session.user && !isPublic) {
+            router.replace({ pathname: '/login', query: router.asPath !== '/' ? { next: router.asPath } : {} });
+        }
+    }, [session.loading, session.user, isPublic]);
+
+    const signOut = async () => {
+        await fetch('/api/auth/logout', { method: 'POST' });
+        setSession({ user: null, loading: false, setupRequired: false });
+    };
+
+    if (!isPublic && (session.loading || !session.user)) {
+        return (
+            <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-emerald-50 via-white to-green-50">
+                <div className="inline-block animate-spin rounded-full h-12 w-12 border-4 border-emerald-500 border-t-transparent"></div>
+            </div>
+        );
+    }
+
+    return (
+        <SessionContext.Provider value={{ ...session, refresh, signOut }}>
+            {children}
+            {session.user && !isPublic && (
+                <div className="fixed bottom-4 left-4 z-40 flex items-center gap-3 px-4 py-2 bg-white border border-gray-200 rounded-full shadow-lg text-sm">
+                    <span className="text-gray-700">
+                        👤 <span className="font-semibold">{session.user.name}</span>
+                        <span className="text-gray-500"> · {ROLES[session.user.role]}</span>
+                    </span>
+                    {can(session.user, 'manage_users') && (
+                        <>
+                            <Link href="/users" className="text-emerald-600 hover:text-emerald-700 font-semibold">
+                                Users
+                            </Link>
+                            <Link href="/api-keys" className="text-emerald-600 hover:text-emerald-700 font-semibold">
+                                API Keys
+                            </Link>
+                        </>
+                    )}
+                    <Link href="/api-docs" className="text-emerald-600 hover:text-emerald-700 font-semibold">
+                        API Docs
+                    </Link>
+                    <button onClick={signOut} className="text-gray-500 hover:text-red-600 font-semibold">
+                        Sign out
+                    </button>
+                </div>
+            )}
+        </SessionContext.Provider>
+    );
+}
@@ -0,0 +1,235 @@
+/**
+ * Stock adjustments with reason codes.
+ *
+ * An adjustment corrects the quantity of one product in one warehouse (optionally in one bin)
+ * outside the normal flows: damaged, lost or found stock, samples, write-offs. Every adjustment
+ * needs a reason code and may carry a note and an attachment reference (a photo, a delivery
+ * note number). Reason codes are stored in the adjustmentReasons collection so they can be
+ * changed without a release; each one says whether it adds or removes stock.
+ *
+ * Adjustments worth more than ADJUSTMENT_APPROVAL_THRESHOLD wait for approval before they
+ * touch stock:
+ *
+ *   pending_approval --approve--> posted
+ *   pending_approval --reject-->  rejected
+ *
+ * Smaller adjustments are posted straight away. Posting writes an 'adjustment' movement.
+ * Adjustments record who requested them (requestedBy) and who approved or rejected them
+ * (approvedBy, rejectedBy); nobody may approve their own request.
+ */
+
+import { ApiError } from './apiError';
+import { postMovement } from './ledger';
+import { withAvailability } from './reservations';
+import { ValidationError, adjustmentReasonSchema, assertReference, parsePayload } from './validation';
+
+// Adjustments above this value (quantity x unit cost, in dollars) need approval
+export const ADJUSTMENT_APPROVAL_THRESHOLD = 500;
+
+export const ADJUSTMENT_STATUSES = {
+    pending_approval: 'Pending Approval',
+    posted: 'Posted',
+    rejected: 'Rejected',
+};
+
+// Statuses each action may be applied from
+export const ADJUSTMENT_ACTIONS = {
+    approve: ['pending_approval'],
+    reject: ['pending_approval'],
+};
+
+export const REASON_DIRECTIONS = {
+    increase: 'Adds stock',
+    decrease: 'Removes stock',
+};
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Reference number of an adjustment, e.g. ADJ-00042
+ */
+export const adjustmentReference = (id) => `ADJ-${String(id).padStart(5, '0')}`;
+
+/**
+ * Actions that can be applied to an adjustment in its current status
+ */
+export const availableAdjustmentActions = (adjustment) =>
+    Object.keys(ADJUSTMENT_ACTIONS).filter(action => ADJUSTMENT_ACTIONS[action].includes(adjustment.status));
+
+/**
+ * Check and normalize a reason code
+ * @param {Object} payload - { code, label, direction, active }
+ * @param {Array} reasons - Existing reason codes, to keep codes unique
+ */
+export const normalizeReason = (payload, reasons = []) => {
+    const { code, label, direction, active } = parsePayload(adjustmentReasonSchema, {
+        ...payload,
+        code: typeof payload.code === 'string' ? payload.code.trim().toLowerCase().replace(/[\s-]+/g, '_') : payload.code,
+    });
+    if (!REASON_DIRECTIONS[direction]) {
+        throw new ValidationError({ direction: 'Direction must be increase or decrease' });
+    }
+    if (reasons.some(r => r.code === code && r.id !== payload.id)) {
+        throw new ValidationError({ code: `Reason code ${code} already exists` }, 409);
+    }
+
+    return { code, label, direction, active: active !== false };
+};
+
+/**
+ * Add product, warehouse, bin and reason details to an adjustment for display
+ * @param {Object} lookups - { products, warehouses, bins, reasons }
+ */
+export const enrichAdjustment = (adjustment, { products, warehouses, bins, reasons }) => {
+    const product = products.find(p => p.id === adjustment.productId);
+    return {
+        ...adjustment,
+        productName: product?.name || 'Unknown Product',
+        productSku: product?.sku || 'N/A',
+        warehouseName: warehouses.find(w => w.id === adjustment.warehouseId)?.name || 'Unknown Warehouse',
+        binCode: adjustment.binId ? bins.find(b => b.id === adjustment.binId)?.code || 'Unknown bin' : null,
+        reasonLabel: reasons.find(r => r.code === adjustment.reasonCode)?.label || adjustment.reasonCode,
+        availableActions: availableAdjustmentActions(adjustment),
+    };
+};
+
+const postAdjustment = async (tx, adjustment) => {
+    const { movement } = await postMovement(tx, {
+        productId: adjustment.productId,
+        warehouseId: adjustment.warehouseId,
+        delta: adjustment.delta,
+        reason: 'adjustment',
+        referenceType: 'adjustment',
+        referenceId: adjustment.id,
+        notes: [adjustment.reasonLabel, adjustment.note].filter(Boolean).join(': '),
+        bins: adjustment.binId ? [{ binId: adjustment.binId, quantity: Math.abs(adjustment.delta) }] : null,
+    });
+    return movement;
+};
+
+/**
+ * Record an adjustment and post it, or hold it for approval when it is worth more than
+ * ADJUSTMENT_APPROVAL_THRESHOLD. Must run inside a transaction.
+ * @param {Object} tx - Repository transaction
+ * @param {Object} fields - { productId, warehouseId, binId, quantity (units, always positive), reasonCode, note, attachmentRef },
+ *   already checked against adjustmentSchema
+ * @param {Object} user - User requesting the adjustment
+ */
+export const createAdjustment = async (tx, { productId, warehouseId, binId = null, quantity: units, reasonCode, note = '', attachmentRef = '' }, user) => {
+    const reason = (await tx.list('adjustmentReasons')).find(r => r.code === reasonCode);
+    if (!reason) {
+        throw new ValidationError({ reasonCode: `Unknown reason code: ${reasonCode}` });
+    }
+    if (!reason.active) {
+        throw new ValidationError({ reasonCode: `Reason code ${reasonCode} has been retired` });
+    }
+
+    const products = await tx.list('products');
+    const warehouses = await tx.list('warehouses');
+    assertReference(products, 'productId', productId, { label: 'Product' });
+    assertReference(warehouses, 'warehouseId', warehouseId, { label: 'Warehouse' });
+    const product = products.find(p => p.id === productId);
+    const warehouse = warehouses.find(w => w.id === warehouseId);
+
+    let bin = null;
+    if (binId) {
+        bin = await tx.get('bins', binId);
+        if (!bin || bin.warehouseId !== warehouse.id) {
+            throw new ValidationError({ binId: `Bin ${binId} is not in ${warehouse.name}` });
+        }
+    }
+
+    const delta = reason.direction === 'decrease' ? -units : units;
+    if (delta < 0) {
+        // Refuse up front rather than holding an adjustment that could never be approved
+        const record = (await tx.list('stock')).find(s => s.productId === product.id && s.warehouseId === warehouse.id);
+        const onHand = bin
+            ? record?.bins?.find(b => b.binId === bin.id)?.quantity || 0
+            : record?.quantity || 0;
+        if (onHand < units) {
+            throw new ApiError(409, `Only ${onHand} units on hand${bin ? ` in bin ${bin.code}` : ''}`);
+        }
+        // Stock reserved for sales orders cannot be written off either
+        const [{ reservedQuantity, availableQuantity }] = withAvailability([record], await tx.list('salesOrders'));
+        if (availableQuantity < units) {
+            throw new ApiError(409, `Only ${Math.max(availableQuantity, 0)} units available; ${reservedQuantity} are reserved for sales orders`);
+        }
+    }
+    const unitCost = product.unitCost || 0;
+    const value = roundMoney(delta * unitCost);
+    const needsApproval = Math.abs(value) > ADJUSTMENT_APPROVAL_THRESHOLD;
+
+    const createdAt = new Date().toISOString();
+    const status = needsApproval ? 'pending_approval' : 'posted';
+    let adjustment = await tx.insert('adjustments', {
+        productId: product.id,
+        warehouseId: warehouse.id,
+        binId: bin?.id || null,
+        delta,
+        reasonCode: reason.code,
+        reasonLabel: reason.label,
+        note,
+        attachmentRef,
+        unitCost,
+        value,
+        status,
+        requestedBy: user.username,
+        createdAt,
+        history: [{ status, timestamp: createdAt, user: user.username }],
+    });
+    // The reference number is derived from the id the repository assigned
+    adjustment = await tx.update('adjustments', adjustment.id, { reference: adjustmentReference(adjustment.id) });
+
+    if (!needsApproval) {
+        const movement = await postAdjustment(tx, adjustment);
+        adjustment = await tx.update('adjustments', adjustment.id, { movementId: movement.id, postedAt: createdAt });
+    }
+    return adjustment;
+};
+
+const assertAction = (adjustment, action) => {
+    if (!ADJUSTMENT_ACTIONS[action].includes(adjustment.status)) {
+        throw new ApiError(
+            409,
+            `Cannot ${action} an adjustment that is ${ADJUSTMENT_STATUSES[adjustment.status] || adjustment.status}`
+        );
+    }
+};
+
+// Save a status change and append it, with the user who made it, to the adjustment's history
+const updateStatus = (tx, adjustment, status, user, event = {}) => {
+    const timestamp = new Date().toISOString();
+    return tx.update('adjustments', adjustment.id, {
+        ...event.fields,
+        status,
+        history: [...(adjustment.history || []), { status, timestamp, user: user.username, ...event.entry }],
+    });
+};
+
+/**
+ * Approve a held adjustment and post it. Must run inside a transaction.
+ * @param {Object} user - Approving user; must not be the one who requested the adjustment
+ */
+export const approveAdjustment = async (tx, adjustment, { note = '' } = {}, user) => {
+    assertAction(adjustment, 'approve');
+    if (adjustment.requestedBy === user.username) {
+        throw new ApiError(403, 'An adjustment has to be approved by someone other than who requested it');
+    }
+    const movement = await postAdjustment(tx, adjustment);
+    return updateStatus(tx, adjustment, 'posted', user, {
+        fields: { movementId: movement.id, postedAt: new Date().toISOString(), approvedBy: user.username },
+        entry: { note },
+    });
+};
+
+/**
+ * Reject a held adjustment; stock is left unchanged. Must run inside a transaction.
+ * @param {Object} user - Rejecting user
+ */
+export const rejectAdjustment = async (tx, adjustment, { note = '' } = {}, user) => {
+    assertAction(adjustment, 'reject');
+    return updateStatus(tx, adjustment, 'rejected', user, {
+        fields: { rejectedAt: new Date().toISOString(), rejectedBy: user.username },
+        entry: { note },
+    });
+};
@@ -0,0 +1,103 @@
+/**
+ * Stock level alerts: one per product, comparing the stock available across all warehouses
+ * with the product's reorder point. Shared by /api/alerts and the alerts report (reports.js).
+ * Archived products are not restocked, so they raise no alerts. Lot expiry alerts are in lots.js.
+ */
+
+import { productAvailability } from './reservations';
+import { isArchived } from './archive';
+
+// Sort order, most urgent first
+const SEVERITY_ORDER = { critical: 0, high: 1, medium: 2, low: 3 };
+
+export const ALERT_STATUSES = ['critical', 'low', 'adequate', 'overstocked'];
+export const ALERT_SEVERITIES = Object.keys(SEVERITY_ORDER);
+
+/**
+ * Calculate the stock status of every product
+ * @param {Object} data - { products, stock, warehouses, alerts }; stock must already carry
+ *   reservations (see withAvailability), alerts are the acknowledgement records
+ * @returns {Array} Alerts sorted by severity, critical first
+ */
+export const stockLevelAlerts = ({ products, stock, warehouses, alerts }) => {
+    const productAlerts = products.filter(product => !isArchived(product)).map(product => {
+        // Get all stock for this product across warehouses
+        const productStock = stock.filter(s => s.productId === product.id);
+        const { onHand, reserved, available } = productAvailability(stock, product.id);
+
+        // Calculate stock status
+        const reorderPoint = product.reorderPoint;
+        const criticalThreshold = reorderPoint * 0.5;
+        const overstockThreshold = reorderPoint * 3;
+
+        let status = 'adequate';
+        let severity = 'low';
+        let recommendedAction = 'No action needed';
+        let reorderQuantity = 0;
+
+        if (available < criticalThreshold) {
+            status = 'critical';
+            severity = 'critical';
+            recommendedAction = 'URGENT: Immediate reorder required';
+            reorderQuantity = Math.ceil((reorderPoint * 2) - available);
+        } else if (available < reorderPoint) {
+            status = 'low';
+            severity = 'high';
+            recommendedAction = 'Reorder recommended';
+            reorderQuantity = Math.ceil((reorderPoint * 1.5) - available);
+        } else if (available > overstockThreshold) {
+            status = 'overstocked';
+            severity = 'medium';
+            recommendedAction = 'Consider redistribution or promotion';
+            reorderQuantity = 0;
+        } else {
+            status = 'adequate';
+            severity = 'low';
+            recommendedAction = 'Stock levels healthy';
+            reorderQuantity = 0;
+        }
+
+        // Get warehouse breakdown
+        const warehouseBreakdown = productStock.map(s => {
+            const warehouse = warehouses.find(w => w.id === s.warehouseId);
+            return {
+                warehouseId: s.warehouseId,
+                warehouseName: warehouse?.name || 'Unknown',
+                warehouseLocation: warehouse?.location || 'Unknown',
+                quantity: s.quantity,
+                reservedQuantity: s.reservedQuantity,
+                availableQuantity: s.availableQuantity,
+            };
+        });
+
+        // Check if alert has been acknowledged
+        const alertRecord = alerts.find(a => a.productId === product.id);
+        const acknowledged = alertRecord?.acknowledged || false;
+        const acknowledgedAt = alertRecord?.acknowledgedAt || null;
+        const acknowledgedBy = alertRecord?.acknowledgedBy || null;
+
+        return {
+            type: 'stock_level',
+            productId: product.id,
+            productName: product.name,
+            productSku: product.sku,
+            category: product.category,
+            unitCost: product.unitCost,
+            currentStock: available,
+            onHandStock: onHand,
+            reservedStock: reserved,
+            reorderPoint: reorderPoint,
+            status,
+            severity,
+            recommendedAction,
+            reorderQuantity,
+            estimatedCost: reorderQuantity * product.unitCost,
+            warehouseBreakdown,
+            acknowledged,
+            acknowledgedAt,
+            acknowledgedBy,
+        };
+    });
+
+    return productAlerts.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+};
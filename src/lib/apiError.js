@@ -0,0 +1,37 @@
+/**
+ * Error that carries the HTTP status an API route should respond with.
+ * Throwing it inside a repository transaction also rolls the transaction back.
+ */
+export class ApiError extends Error {
+    /**
+     * @param {number} status - HTTP status code
+     * @param {string} message - Message returned to the client
+     */
+    constructor(status, message) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+    }
+}
+
+/**
+ * Answer a request whose handler threw. Every route sends errors as { error }, plus whatever
+ * detail the error carries: fieldErrors (ValidationError), lineErrors (transfer and sales
+ * order lines) or dependents (refused deletes). Anything that is not an ApiError is logged
+ * and answered with a 500 and the fallback message.
+ * @param {Object} res - API response
+ * @param {Error} error - What the handler threw
+ * @param {string} fallback - Message for unexpected errors, e.g. 'Failed to create transfer'
+ */
+export const sendError = (res, error, fallback) => {
+    if (error instanceof ApiError) {
+        return res.status(error.status).json({
+            error: error.message,
+            ...(error.fieldErrors && { fieldErrors: error.fieldErrors }),
+            ...(error.lineErrors && { lineErrors: error.lineErrors }),
+            ...(error.dependents && { dependents: error.dependents }),
+        });
+    }
+    console.error(`${fallback}:`, error);
+    return res.status(500).json({ error: fallback });
+};
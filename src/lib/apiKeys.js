@@ -0,0 +1,114 @@
+/**
+ * API keys for scripts and other systems that call the API without a browser session.
+ *
+ * A key is { id, name, prefix, keyHash, access, resources, createdBy, createdAt, rotatedAt,
+ * revokedAt, revokedBy, lastUsedAt }. The key itself is only shown when it is issued or rotated;
+ * afterwards only its prefix (e.g. 'ims_3fa9c2d1') identifies it. access is a key of
+ * API_KEY_ACCESS and resources a list of API_KEY_RESOURCES keys, or ['*'] for all of them.
+ * Revoked keys are kept so the audit log and the key list can still name them.
+ */
+
+import crypto from 'crypto';
+import { ApiError } from './apiError';
+import { hashToken } from './auth';
+import { API_KEY_RESOURCES } from './permissions';
+import { ValidationError, apiKeySchema, parsePayload } from './validation';
+
+const KEY_PREFIX = 'ims_';
+
+// Shown in the key list so admins can tell keys apart: 'ims_' and the first 8 random characters
+const PREFIX_LENGTH = KEY_PREFIX.length + 8;
+
+const generateKey = () => `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+const parseResources = (raw) => {
+    if (!Array.isArray(raw) || raw.length === 0) {
+        throw new ValidationError({ resources: 'Choose at least one resource, or all resources' });
+    }
+    if (raw.includes('*')) {
+        return ['*'];
+    }
+
+    const unknown = raw.filter(resource => !API_KEY_RESOURCES[resource]);
+    if (unknown.length > 0) {
+        throw new ValidationError({ resources: `Unknown resource: ${unknown.join(', ')}` });
+    }
+    return [...new Set(raw)];
+};
+
+/**
+ * A key as sent to clients, without its hash
+ */
+export const publicApiKey = ({ keyHash, ...apiKey }) => apiKey;
+
+/**
+ * Issue a key. Must run inside a transaction.
+ * @param {Object} tx - Repository transaction
+ * @param {Object} payload - { name, access, resources }
+ * @param {Object} user - Admin issuing the key
+ * @returns {Object} The key record plus `key`, the only time the full key is returned
+ */
+export const createApiKey = async (tx, payload, user) => {
+    const values = parsePayload(apiKeySchema, payload);
+    const key = generateKey();
+
+    const apiKey = await tx.insert('apiKeys', {
+        ...values,
+        resources: parseResources(payload.resources),
+        prefix: key.slice(0, PREFIX_LENGTH),
+        keyHash: hashToken(key),
+        createdBy: user.username,
+        createdAt: new Date().toISOString(),
+        rotatedAt: null,
+        revokedAt: null,
+        lastUsedAt: null,
+    });
+    return { ...publicApiKey(apiKey), key };
+};
+
+/**
+ * Rename a key or change its scope. Must run inside a transaction.
+ * Only the fields that were sent are changed.
+ */
+export const updateApiKey = async (tx, apiKey, payload) => {
+    if (apiKey.revokedAt) {
+        throw new ApiError(409, 'Revoked keys cannot be changed');
+    }
+    const changes = parsePayload(apiKeySchema, payload, { partial: true });
+    if (payload.resources !== undefined) {
+        changes.resources = parseResources(payload.resources);
+    }
+    return publicApiKey(await tx.update('apiKeys', apiKey.id, changes));
+};
+
+/**
+ * Replace a key with a new one of the same scope; the old key stops working at once.
+ * Must run inside a transaction.
+ * @returns {Object} The key record plus the new `key`
+ */
+export const rotateApiKey = async (tx, apiKey) => {
+    if (apiKey.revokedAt) {
+        throw new ApiError(409, 'Revoked keys cannot be rotated');
+    }
+    const key = generateKey();
+    const rotated = await tx.update('apiKeys', apiKey.id, {
+        prefix: key.slice(0, PREFIX_LENGTH),
+        keyHash: hashToken(key),
+        rotatedAt: new Date().toISOString(),
+    });
+    return { ...publicApiKey(rotated), key };
+};
+
+/**
+ * Stop a key from working. Must run inside a transaction.
+ * @param {Object} user - Admin revoking the key
+ */
+export const revokeApiKey = async (tx, apiKey, user) => {
+    if (apiKey.revokedAt) {
+        throw new ApiError(409, 'This key is already revoked');
+    }
+    return publicApiKey(await tx.update('apiKeys', apiKey.id, {
+        revokedAt: new Date().toISOString(),
+        revokedBy: user.username,
+    }));
+};
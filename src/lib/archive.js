@@ -0,0 +1,112 @@
+/**
+ * Archiving products and warehouses.
+ *
+ * A discontinued product or closed warehouse is archived rather than deleted, so transfers,
+ * movements and valuation history keep resolving its name. Records are active unless
+ * status is 'archived'; records saved before archiving existed have no status at all.
+ *
+ *   active   --archive--> archived
+ *   archived --restore--> active
+ *
+ * Archived records stay in every API list so history can look them up; pages leave them out
+ * of lists by default and out of the dropdowns used to add stock and create transfers. The API
+ * refuses new stock records, transfers and purchase orders for them.
+ */
+
+import { ApiError } from './apiError';
+import { ValidationError } from './validation';
+import { findDependents } from './dependents';
+
+export const RECORD_STATUSES = {
+    active: 'Active',
+    archived: 'Archived',
+};
+
+// Statuses each action may be applied from
+export const RECORD_ACTIONS = {
+    archive: ['active'],
+    restore: ['archived'],
+};
+
+// Document statuses that still need the product or warehouse to be usable
+const OPEN_STATUSES = {
+    transfers: ['pending', 'in_transit', 'partially_received'],
+    purchaseOrders: ['draft', 'sent', 'partially_received'],
+    salesOrders: ['reserved'],
+    stockCounts: ['counting', 'review'],
+    adjustments: ['pending_approval'],
+};
+
+const NOUNS = {
+    product: { collection: 'products', label: 'Product' },
+    warehouse: { collection: 'warehouses', label: 'Warehouse' },
+};
+
+export const recordStatus = (record) => record?.status || 'active';
+
+export const isArchived = (record) => recordStatus(record) === 'archived';
+
+/**
+ * Records to offer when choosing a product or warehouse for new stock or a transfer.
+ * keepId keeps an archived record that is already selected, as on an edit form.
+ */
+export const selectableRecords = (records, keepId = null) =>
+    records.filter(r => !isArchived(r) || r.id === keepId);
+
+/**
+ * Refuse an archived product or warehouse for new stock or a transfer
+ * @param {Array} records - Products or warehouses
+ * @param {string} field - Field holding the id, for the field-level error
+ * @param {number} id - Chosen id
+ * @param {Object} options - { label }
+ */
+export const assertActive = (records, field, id, { label }) => {
+    const record = records.find(r => r.id === id);
+    if (record && isArchived(record)) {
+        throw new ValidationError({ [field]: `${label} ${record.name} is archived` });
+    }
+};
+
+const assertAction = (type, record, action) => {
+    if (!RECORD_ACTIONS[action].includes(recordStatus(record))) {
+        throw new ApiError(
+            409,
+            `Cannot ${action} a ${type} that is ${RECORD_STATUSES[recordStatus(record)]}`
+        );
+    }
+};
+
+/**
+ * Archive a product or warehouse. Must run inside a transaction.
+ * Refused while open documents (pending transfers, open orders, counts in progress,
+ * adjustments waiting for approval) still need it.
+ * @param {Object} tx - Repository transaction
+ * @param {string} type - 'product' or 'warehouse'
+ * @param {Object} record - The product or warehouse
+ */
+export const archiveRecord = async (tx, type, record) => {
+    assertAction(type, record, 'archive');
+
+    const open = (await findDependents(tx, type, record.id))
+        .filter(d => OPEN_STATUSES[d.collection])
+        .flatMap(d => d.rows.filter(r => OPEN_STATUSES[d.collection].includes(r.status)));
+    if (open.length > 0) {
+        throw new ApiError(
+            409,
+            `${NOUNS[type].label} ${record.name} is still needed by ${open.map(r => r.reference).join(', ')}; finish or cancel them first`
+        );
+    }
+
+    return tx.update(NOUNS[type].collection, record.id, {
+        status: 'archived',
+        archivedAt: new Date().toISOString(),
+    });
+};
+
+/**
+ * Make an archived product or warehouse active again. Must run inside a transaction.
+ */
+export const restoreRecord = async (tx, type, record) => {
+    assertAction(type, record, 'restore');
+    return tx.update(NOUNS[type].collection, record.id, { status: 'active', archivedAt: null });
+};
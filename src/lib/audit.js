@@ -0,0 +1,211 @@
+/**
+ * Audit trail of changes to products, warehouses, stock, transfers, alerts, adjustments and users.
+ *
+ * API routes wrap the repository with auditedRepository(repo, req). Every insert, update, save
+ * and remove it makes on an audited collection, including the ones made by lib functions it is
+ * passed to (ledger postings, cascade deletes, transfer actions), also appends an entry to the
+ * auditLog collection in the same transaction:
+ *
+ *   { id, timestamp, user, route, entity, entityId, label, action, changes }
+ *
+ * action is 'create', 'update' or 'delete' and changes maps each changed field to { from, to }.
+ * Updates that change nothing are not recorded. A rolled back transaction keeps none of its entries.
+ * Secret fields (an entity's `secret` list, e.g. password hashes) are recorded as changed but
+ * never with their values.
+ */
+
+export const AUDIT_ENTITIES = {
+    product: { collection: 'products', label: 'Product', describe: (r) => `${r.sku} ${r.name}` },
+    warehouse: { collection: 'warehouses', label: 'Warehouse', describe: (r) => `${r.code} ${r.name}` },
+    stock: { collection: 'stock', label: 'Stock record', describe: (r) => `Stock #${r.id}` },
+    transfer: { collection: 'transfers', label: 'Transfer', describe: (r) => r.reference },
+    alert: { collection: 'alerts', label: 'Alert', describe: (r) => `Product #${r.productId}` },
+    adjustment: { collection: 'adjustments', label: 'Adjustment', describe: (r) => r.reference },
+    user: { collection: 'users', label: 'User', describe: (r) => r.username, secret: ['passwordHash'] },
+};
+
+// Stands in for the value of a secret field
+const REDACTED = '[redacted]';
+
+export const AUDIT_ACTIONS = {
+    create: 'Created',
+    update: 'Updated',
+    delete: 'Deleted',
+};
+
+// Recorded when a change is made without a signed-in user, e.g. by a script
+export const UNKNOWN_USER = 'system';
+
+const entityFor = (collection) =>
+    Object.keys(AUDIT_ENTITIES).find(entity => AUDIT_ENTITIES[entity].collection === collection);
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Fields that differ between two versions of a record
+ * @param {Object|null} before - Record before the change, null when it was created
+ * @param {Object|null} after - Record after the change, null when it was deleted
+ * @returns {Object} { field: { from, to } } with null standing in for a missing value
+ */
+export const diffFields = (before, after) => {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = {};
+    for (const field of fields) {
+        const from = before?.[field] ?? null;
+        const to = after?.[field] ?? null;
+        if (!sameValue(from, to)) {
+            changes[field] = { from, to };
+        }
+    }
+    return changes;
+};
+
+/**
+ * Who made a request and through which route
+ * @param {Object} req - API request; req.user is set by withAuth (see auth.js)
+ * @returns {Object} { user, route }, e.g. { user: 'dana', route: 'PUT /api/products/3' }
+ */
+export const auditContext = (req) => ({
+    user: req.user?.username || UNKNOWN_USER,
+    route: `${req.method} ${req.url}`,
+});
+
+// diffFields with the values of the entity's secret fields left out
+const entityChanges = (entity, before, after) => {
+    const changes = diffFields(before, after);
+    (AUDIT_ENTITIES[entity].secret || []).filter(field => changes[field]).forEach(field => {
+        changes[field] = { from: before ? REDACTED : null, to: after ? REDACTED : null };
+    });
+    return changes;
+};
+
+const entityKey = (collection, record) => (collection === 'alerts' ? record.productId : record.id);
+
+/**
+ * Append an audit entry for one change. Must run inside a transaction.
+ * @param {Object} tx - Repository transaction
+ * @param {Object} context - { user, route } from auditContext
+ * @param {string} collection - Collection that changed
+ * @param {Object|null} before - Record before the change
+ * @param {Object|null} after - Record after the change
+ * @returns {Object|null} The entry, or null when nothing needed recording
+ */
+const recordChange = async (tx, context, collection, before, after) => {
+    const entity = entityFor(collection);
+    if (!entity) {
+        return null;
+    }
+    const changes = entityChanges(entity, before, after);
+    if (Object.keys(changes).length === 0) {
+        return null;
+    }
+
+    const record = after || before;
+    return tx.insert('auditLog', {
+        timestamp: new Date().toISOString(),
+        user: context.user,
+        route: context.route,
+        entity,
+        entityId: entityKey(collection, record),
+        label: AUDIT_ENTITIES[entity].describe(record),
+        action: !before ? 'create' : !after ? 'delete' : 'update',
+        changes,
+    });
+};
+
+// Transaction operations that record writes to audited collections.
+// A record created and then filled in by the same transaction (e.g. a transfer getting its
+// reference) gets a single create entry describing the finished record.
+const auditOperations = (tx, context) => {
+    const created = new Map();
+
+    const recordWrite = async (collection, before, after) => {
+        const key = `${collection}:${entityKey(collection, after || before)}`;
+        const createEntry = created.get(key);
+        if (createEntry) {
+            if (after) {
+                const entity = entityFor(collection);
+                await tx.update('auditLog', createEntry.id, {
+                    label: AUDIT_ENTITIES[entity].describe(after),
+                    changes: entityChanges(entity, null, after),
+                });
+                return;
+            }
+            created.delete(key);
+        }
+
+        const entry = await recordChange(tx, context, collection, before, after);
+        if (entry?.action === 'create') {
+            created.set(key, entry);
+        }
+    };
+
+    const operations = {
+        ...tx,
+
+        // Entries written inside a savepoint that is undone go with it, so forget them too
+        async savepoint(fn) {
+            const createdBefore = new Map(created);
+            try {
+                return await tx.savepoint(() => fn(operations));
+            } catch (error) {
+                created.clear();
+                createdBefore.forEach((entry, key) => created.set(key, entry));
+                throw error;
+            }
+        },
+
+        async insert(collection, record) {
+            const inserted = await tx.insert(collection, record);
+            await recordWrite(collection, null, inserted);
+            return inserted;
+        },
+
+        async update(collection, key, changes) {
+            const before = await tx.get(collection, key);
+            const updated = await tx.update(collection, key, changes);
+            if (updated) {
+                await recordWrite(collection, before, updated);
+            }
+            return updated;
+        },
+
+        async save(collection, record) {
+            const key = entityKey(collection, record);
+            const before = key === undefined || key === null ? null : await tx.get(collection, key);
+            const saved = await tx.save(collection, record);
+            await recordWrite(collection, before, saved);
+            return saved;
+        },
+
+        async remove(collection, key) {
+            const before = await tx.get(collection, key);
+            const removed = await tx.remove(collection, key);
+            if (removed && before) {
+                await recordWrite(collection, before, null);
+            }
+            return removed;
+        },
+    };
+    return operations;
+};
+
+/**
+ * Wrap the repository so the writes a request makes are recorded in the audit log
+ * @param {Object} repo - Repository from getRepository()
+ * @param {Object} req - API request, for the user and route
+ * @returns {Object} Repository with the same API; reads are passed straight through
+ */
+export const auditedRepository = (repo, req) => {
+    const context = auditContext(req);
+    const transaction = (fn) => repo.transaction(tx => fn(auditOperations(tx, context)));
+
+    return {
+        ...repo,
+        insert: (collection, record) => transaction(tx => tx.insert(collection, record)),
+        update: (collection, key, changes) => transaction(tx => tx.update(collection, key, changes)),
+        save: (collection, record) => transaction(tx => tx.save(collection, record)),
+        remove: (collection, key) => transaction(tx => tx.remove(collection, key)),
+        transaction,
+    };
+};
@@ -0,0 +1,253 @@
+/**
+ * Sign-in, sessions and the API middleware that enforces roles.
+ *
+ * Passwords are stored as scrypt hashes with a per-user salt. Signing in creates a session:
+ * the browser keeps a random token in an HttpOnly cookie and the sessions collection keeps
+ * only its SHA-256 hash, so a leaked data file cannot be replayed as a login.
+ *
+ * Scripts authenticate with an API key in the X-API-Key header instead (see apiKeys.js). Keys are
+ * also kept only as SHA-256 hashes; a key acts with the role of its access level and only on the
+ * resources it is scoped to.
+ *
+ * Every API route is exported through withAuth(handler, { read, write }), which answers 401
+ * without a valid session or key, 403 when the user's role lacks the permission for the request
+ * method, and otherwise sets req.user (without its password hash) for the handler.
+ * Warehouse operators are further limited to their warehouses by assertCan() inside routes.
+ */
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { getRepository } from './storage';
+import { ApiError } from './apiError';
+import { API_KEY_ACCESS, API_KEY_RESOURCES, PERMISSIONS, can } from './permissions';
+
+const scrypt = promisify(crypto.scrypt);
+
+export const SESSION_COOKIE = 'inventory_session';
+
+// Sessions last a week from sign-in
+export const SESSION_MAX_AGE = 7 * 24 * 60 * 60;
+
+export const API_KEY_HEADER = 'x-api-key';
+
+// A key's last-used time is only written when it is older than this, so busy scripts
+// do not rewrite the keys collection on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const KEY_LENGTH = 64;
+
+const PERMISSION_MESSAGES = {
+    view: 'view inventory',
+    move_stock: 'move stock',
+    manage_inventory: 'manage inventory',
+    manage_users: 'manage users',
+};
+
+/**
+ * Hash a password for storage
+ * @returns {Promise<string>} 'scrypt:<salt>:<hash>', hex encoded
+ */
+export const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt:${salt}:${hash.toString('hex')}`;
+};
+
+/**
+ * Check a password against a stored hash in constant time
+ */
+export const verifyPassword = async (password, stored) => {
+    const [scheme, salt, hash] = String(stored || '').split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+};
+
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * A user as sent to clients, without the password hash
+ */
+export const publicUser = ({ passwordHash, ...user }) => ({ ...user, warehouseIds: user.warehouseIds || [] });
+
+const sessionCookie = (req, value, maxAge) => {
+    // Only mark the cookie Secure when the app is actually served over HTTPS
+    const secure = req.headers['x-forwarded-proto'] === 'https' || req.socket?.encrypted;
+    return `${SESSION_COOKIE}=${value}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${secure ? '; Secure' : ''}`;
+};
+
+/**
+ * Start a session for a user and set its cookie. Must run inside a transaction.
+ * Expired sessions are cleared out at the same time.
+ * @param {Object} tx - Repository transaction
+ * @param {Object} req - API request
+ * @param {Object} res - API response
+ * @param {Object} user - User signing in
+ */
+export const startSession = async (tx, req, res, user) => {
+    const now = new Date();
+    for (const session of await tx.list('sessions')) {
+        if (new Date(session.expiresAt) <= now) {
+            await tx.remove('sessions', session.id);
+        }
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    await tx.insert('sessions', {
+        tokenHash: hashToken(token),
+        userId: user.id,
+        createdAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + SESSION_MAX_AGE * 1000).toISOString(),
+    });
+    res.setHeader('Set-Cookie', sessionCookie(req, token, SESSION_MAX_AGE));
+};
+
+/**
+ * End the request's session, if any, and clear its cookie. Must run inside a transaction.
+ */
+export const endSession = async (tx, req, res) => {
+    const token = req.cookies?.[SESSION_COOKIE];
+    if (token) {
+        const session = (await tx.list('sessions')).find(s => s.tokenHash === hashToken(token));
+        if (session) {
+            await tx.remove('sessions', session.id);
+        }
+    }
+    res.setHeader('Set-Cookie', sessionCookie(req, '', 0));
+};
+
+/**
+ * End every session of a user, e.g. after a password change or deactivation. Must run inside
+ * a transaction.
+ * @param {Object} tx - Repository transaction
+ * @param {number} userId - Whose sessions end
+ * @param {Object} req - Optional request whose own session is kept, so changing your own
+ *   password does not sign you out
+ */
+export const endUserSessions = async (tx, userId, req = null) => {
+    const token = req?.cookies?.[SESSION_COOKIE];
+    const keep = token ? hashToken(token) : null;
+    for (const session of await tx.list('sessions')) {
+        if (session.userId === userId && session.tokenHash !== keep) {
+            await tx.remove('sessions', session.id);
+        }
+    }
+};
+
+/**
+ * The signed-in user for a request, or null
+ * Sessions of users that have since been deactivated no longer count.
+ * @param {Object} store - Repository or transaction
+ * @param {Object} req - API request
+ */
+export const sessionUser = async (store, req) => {
+    const token = req.cookies?.[SESSION_COOKIE];
+    if (!token) {
+        return null;
+    }
+
+    const tokenHash = hashToken(token);
+    const session = (await store.list('sessions')).find(s => s.tokenHash === tokenHash);
+    if (!session || new Date(session.expiresAt) <= new Date()) {
+        return null;
+    }
+
+    const user = await store.get('users', session.userId);
+    return user && user.active !== false ? publicUser(user) : null;
+};
+
+/**
+ * The user an API key acts as, or null for an unknown or revoked key
+ * Records when the key was last used.
+ * @param {Object} store - Repository
+ * @param {string} key - Value of the X-API-Key header
+ * @returns {Promise<Object|null>} { username, name, role, warehouseIds, apiKeyId, access, resources }
+ */
+export const apiKeyUser = async (store, key) => {
+    const keyHash = hashToken(String(key));
+    const apiKey = (await store.list('apiKeys')).find(k => k.keyHash === keyHash);
+    if (!apiKey || apiKey.revokedAt) {
+        return null;
+    }
+
+    const now = new Date();
+    if (!apiKey.lastUsedAt || now - new Date(apiKey.lastUsedAt) >= LAST_USED_RESOLUTION_MS) {
+        await store.update('apiKeys', apiKey.id, { lastUsedAt: now.toISOString() });
+    }
+
+    return {
+        id: null,
+        username: `api-key:${apiKey.name}`,
+        name: apiKey.name,
+        role: API_KEY_ACCESS[apiKey.access].role,
+        warehouseIds: [],
+        apiKeyId: apiKey.id,
+        access: apiKey.access,
+        resources: apiKey.resources,
+    };
+};
+
+// The resource an API request is for: /api/stock/reconcile -> 'stock'
+const requestResource = (req) => req.url.split('?')[0].split('/')[2];
+
+/**
+ * Refuse an action the user may not take, e.g. an operator moving stock in a warehouse
+ * they are not assigned to
+ * @param {Object} user - req.user
+ * @param {string} permission - Key of PERMISSIONS
+ * @param {number} warehouseId - Warehouse the action happens in, when it matters
+ * @throws {ApiError} 403
+ */
+export const assertCan = (user, permission, warehouseId = null) => {
+    if (can(user, permission)) {
+        if (!can(user, permission, warehouseId)) {
+            throw new ApiError(403, `You are not assigned to warehouse ${warehouseId}`);
+        }
+        return;
+    }
+    throw new ApiError(403, `Your role does not allow you to ${PERMISSION_MESSAGES[permission]}`);
+};
+
+/**
+ * Wrap an API handler so only signed-in users with the right permission reach it
+ * @param {Function} handler - Route handler (req, res)
+ * @param {Object} options - { read: permission for GET requests (default 'view'),
+ *   write: permission for every other method (default 'manage_inventory') }
+ */
+export const withAuth = (handler, { read = 'view', write = 'manage_inventory' } = {}) => {
+    if (!PERMISSIONS[read] || !PERMISSIONS[write]) {
+        throw new Error(`Unknown permission: ${PERMISSIONS[read] ? write : read}`);
+    }
+
+    return async (req, res) => {
+        const repo = await getRepository();
+        const key = req.headers[API_KEY_HEADER];
+        const user = key ? await apiKeyUser(repo, key) : await sessionUser(repo, req);
+        if (!user) {
+            return res.status(401).json({ error: key ? 'Invalid or revoked API key' : 'Sign in to continue' });
+        }
+
+        const reading = req.method === 'GET' || req.method === 'HEAD';
+        if (user.apiKeyId) {
+            const resource = requestResource(req);
+            if (!API_KEY_RESOURCES[resource] || !(user.resources.includes('*') || user.resources.includes(resource))) {
+                return res.status(403).json({ error: `This API key is not scoped to ${resource}` });
+            }
+            if (!reading && user.access === 'read') {
+                return res.status(403).json({ error: 'This API key is read-only' });
+            }
+        }
+
+        try {
+            assertCan(user, reading ? read : write);
+        } catch (error) {
+            return res.status(error.status).json({ error: error.message });
+        }
+
+        req.user = user;
+        return handler(req, res);
+    };
+};
@@ -0,0 +1,247 @@
+/**
+ * Storage locations inside a warehouse.
+ *
+ * Each warehouse is divided into zones, zones into aisles and aisles into bins. A bin record
+ * carries its whole path ({ warehouseId, zone, aisle, bin, code, capacity }), so zones and
+ * aisles exist as soon as a bin is created in them. The code (e.g. A-01-03) is unique per
+ * warehouse and sorts in pick-path order.
+ *
+ * A stock record may spread its quantity over bins: bins: [{ binId, quantity }]. Whatever the
+ * bins do not cover is unassigned, e.g. received goods that have not been put away yet.
+ * Outbound movements take stock from bins in pick-path order, then from unassigned stock;
+ * inbound stock arrives unassigned unless a bin is named. Bin-to-bin moves do not change the
+ * warehouse quantity and are recorded in the ledger with a delta of 0.
+ */
+
+import { ApiError } from './apiError';
+import { ValidationError, binSchema, parsePayload } from './validation';
+
+/**
+ * Bin code from its path, e.g. A-01-03
+ */
+export const binCode = ({ zone, aisle, bin }) => `${zone}-${aisle}-${bin}`;
+
+/**
+ * Check and normalize a new bin against binSchema
+ * @param {Object} payload - { warehouseId, zone, aisle, bin, capacity }
+ * @param {Array} bins - Existing bins, to keep codes unique within the warehouse
+ * @returns {Object} { warehouseId, zone, aisle, bin, code, capacity }
+ */
+export const normalizeBin = (payload, bins) => {
+    const { warehouseId, capacity = null, ...parts } = parsePayload(binSchema, payload);
+    const path = {
+        zone: parts.zone.toUpperCase(),
+        aisle: parts.aisle.toUpperCase(),
+        bin: parts.bin.toUpperCase(),
+    };
+
+    const code = binCode(path);
+    if (bins.some(b => b.warehouseId === warehouseId && b.code === code)) {
+        throw new ValidationError({ bin: `Bin ${code} already exists in this warehouse` }, 409);
+    }
+
+    return { warehouseId, ...path, code, capacity };
+};
+
+/**
+ * Quantity of a stock record that is not in any bin
+ */
+export const unassignedQuantity = (record) =>
+    record.quantity - (record.bins || []).reduce((sum, b) => sum + b.quantity, 0);
+
+/**
+ * Units stored in each bin
+ * @param {Array} stock - Stock records
+ * @returns {Map} binId -> units
+ */
+export const binOccupancy = (stock) => {
+    const occupancy = new Map();
+    stock.forEach(record => (record.bins || []).forEach(b => {
+        occupancy.set(b.binId, (occupancy.get(b.binId) || 0) + b.quantity);
+    }));
+    return occupancy;
+};
+
+/**
+ * Check a bin capacity; empty means unlimited
+ * @param {Number} occupied - Units already in the bin
+ * @returns {Number|null}
+ */
+export const normalizeCapacity = (capacity, occupied = 0) => {
+    const { capacity: value = null } = parsePayload({ capacity: binSchema.capacity }, { capacity });
+    if (value !== null && value < occupied) {
+        throw new ValidationError({ capacity: `Capacity cannot be below the ${occupied} units already in the bin` });
+    }
+    return value;
+};
+
+/**
+ * Add occupancy and contents to a warehouse's bins for display, in pick-path order
+ * @param {Array} bins - Bin records of one warehouse
+ * @param {Object} lookups - { stock, products }
+ * @returns {Array} Bins with occupied, utilization (percent, null without a capacity) and
+ *   contents [{ stockId, productId, productName, productSku, quantity }]
+ */
+export const enrichBins = (bins, { stock, products }) => [...bins]
+    .sort((a, b) => a.code.localeCompare(b.code))
+    .map(bin => {
+        const contents = [];
+        stock.forEach(record => (record.bins || []).filter(b => b.binId === bin.id).forEach(b => {
+            const product = products.find(p => p.id === record.productId);
+            contents.push({
+                stockId: record.id,
+                productId: record.productId,
+                productName: product?.name || 'Unknown Product',
+                productSku: product?.sku || 'N/A',
+                quantity: b.quantity,
+            });
+        }));
+        const occupied = contents.reduce((sum, c) => sum + c.quantity, 0);
+        return {
+            ...bin,
+            occupied,
+            utilization: bin.capacity ? Math.round((occupied / bin.capacity) * 100) : null,
+            contents,
+        };
+    });
+
+/**
+ * Choose which bins an outbound quantity comes from, in pick-path order
+ * @param {Array} stockBins - The stock record's bins ([{ binId, quantity }])
+ * @param {Array} bins - Bin records, for their codes
+ * @returns {Array} [{ binId, quantity }]; may cover less than quantity when the rest is unassigned
+ */
+export const pickBins = (stockBins, quantity, bins) => {
+    const codeOf = (binId) => bins.find(b => b.id === binId)?.code || '';
+    const ordered = [...(stockBins || [])].sort((a, b) => codeOf(a.binId).localeCompare(codeOf(b.binId)));
+
+    const picks = [];
+    let remaining = quantity;
+    for (const entry of ordered) {
+        if (remaining === 0) break;
+        const take = Math.min(remaining, entry.quantity);
+        if (take > 0) {
+            picks.push({ binId: entry.binId, quantity: take });
+            remaining -= take;
+        }
+    }
+    return picks;
+};
+
+/**
+ * Add quantities to a record's bins
+ */
+export const addToBins = (stockBins, incoming) => {
+    const merged = (stockBins || []).map(b => ({ ...b }));
+    incoming.forEach(entry => {
+        const existing = merged.find(b => b.binId === entry.binId);
+        if (existing) {
+            existing.quantity += entry.quantity;
+        } else {
+            merged.push({ ...entry });
+        }
+    });
+    return merged;
+};
+
+/**
+ * Take quantities out of a record's bins; bins that reach zero are dropped
+ * @throws {ApiError} When a bin does not hold enough
+ */
+export const removeFromBins = (stockBins, picks) => {
+    const remaining = (stockBins || []).map(b => ({ ...b }));
+    picks.forEach(pick => {
+        const entry = remaining.find(b => b.binId === pick.binId);
+        if (!entry || entry.quantity < pick.quantity) {
+            throw new ApiError(400, `Bin holds only ${entry?.quantity || 0}; cannot take ${pick.quantity}`);
+        }
+        entry.quantity -= pick.quantity;
+    });
+    return remaining.filter(b => b.quantity > 0);
+};
+
+/**
+ * Label bin picks with their codes for picking lists
+ * @returns {Array} [{ binId, binCode, quantity }]; unassigned stock is labelled 'Unassigned'
+ */
+export const describePicks = (picks, quantity, bins) => {
+    const described = picks.map(pick => ({
+        ...pick,
+        binCode: bins.find(b => b.id === pick.binId)?.code || 'Unknown bin',
+    }));
+    const unassigned = quantity - picks.reduce((sum, p) => sum + p.quantity, 0);
+    if (unassigned > 0) {
+        described.push({ binId: null, binCode: 'Unassigned', quantity: unassigned });
+    }
+    return described;
+};
+
+/**
+ * Move stock between bins of its warehouse, or between a bin and unassigned stock
+ * (fromBinId or toBinId null). The warehouse quantity does not change.
+ * Must run inside a transaction.
+ * @param {Object} tx - Repository transaction
+ * @param {Object} move - { stockId, fromBinId, toBinId, quantity, notes }
+ * @returns {Promise<Object>} { movement, stock } - the ledger entry and the updated stock record
+ */
+export const moveBetweenBins = async (tx, { stockId, fromBinId = null, toBinId = null, quantity, notes = '' }) => {
+    const record = await tx.get('stock', stockId);
+    if (!record) {
+        throw new ApiError(404, 'Stock record not found');
+    }
+
+    const amount = Number(quantity);
+    if (!Number.isInteger(amount) || amount <= 0) {
+        throw new ApiError(400, 'Quantity must be a whole number greater than 0');
+    }
+
+    const from = fromBinId ? parseInt(fromBinId) : null;
+    const to = toBinId ? parseInt(toBinId) : null;
+    if (from === to) {
+        throw new ApiError(400, 'Choose two different locations');
+    }
+
+    const bins = (await tx.list('bins')).filter(b => b.warehouseId === record.warehouseId);
+    const fromBin = from ? bins.find(b => b.id === from) : null;
+    const toBin = to ? bins.find(b => b.id === to) : null;
+    if ((from && !fromBin) || (to && !toBin)) {
+        throw new ApiError(404, 'Bin not found in this warehouse');
+    }
+
+    let stockBins = record.bins || [];
+    if (fromBin) {
+        stockBins = removeFromBins(stockBins, [{ binId: fromBin.id, quantity: amount }]);
+    } else if (unassignedQuantity(record) < amount) {
+        throw new ApiError(400, `Only ${unassignedQuantity(record)} units are unassigned`);
+    }
+
+    if (toBin) {
+        if (toBin.capacity) {
+            const occupied = binOccupancy(await tx.list('stock')).get(toBin.id) || 0;
+            if (occupied + amount > toBin.capacity) {
+                throw new ApiError(400, `Bin ${toBin.code} has room for ${toBin.capacity - occupied} more units`);
+            }
+        }
+        stockBins = addToBins(stockBins, [{ binId: toBin.id, quantity: amount }]);
+    }
+
+    const stock = await tx.update('stock', record.id, { bins: stockBins });
+    const movement = await tx.insert('movements', {
+        productId: record.productId,
+        warehouseId: record.warehouseId,
+        delta: 0,
+        balance: record.quantity,
+        reason: 'bin_move',
+        referenceType: 'stock',
+        referenceId: record.id,
+        notes: `${amount} from ${fromBin?.code || 'unassigned'} to ${toBin?.code || 'unassigned'}${notes ? `: ${notes}` : ''}`,
+        lots: [],
+        bins: [
+            ...(fromBin ? [{ binId: fromBin.id, quantity: -amount }] : []),
+            ...(toBin ? [{ binId: toBin.id, quantity: amount }] : []),
+        ],
+        timestamp: new Date().toISOString(),
+    });
+
+    return { movement, stock };
+};
@@ -0,0 +1,147 @@
+/**
+ * Bulk create, update and delete: one request, one transaction, many rows.
+ *
+ * A batch is { atomic, items: [...] }. Each item is handled exactly as the single-record
+ * endpoint would handle it, inside its own savepoint, so one bad row never leaves half its
+ * writes behind. With atomic: true (the default) any failed row cancels the whole batch;
+ * with atomic: false the rows that succeeded are kept and the rest are reported.
+ *
+ * The response lists every row by its position in items:
+ *   { atomic, saved, succeeded, failed, results: [{ index, ok, status, record, error, fieldErrors }] }
+ * saved says whether anything was written. The whole batch is committed at once, so a
+ * thousand-row import writes each collection once rather than a thousand times.
+ */
+
+import { getRepository } from './storage';
+import { auditedRepository } from './audit';
+import { ApiError, sendError } from './apiError';
+import { ValidationError, parsePayload } from './validation';
+
+export const BULK_LIMIT = 1000;
+
+const bulkSchema = {
+    atomic: { type: 'boolean', label: 'atomic' },
+};
+
+/**
+ * Raised when an atomic batch is cancelled; carries the per-row results
+ */
+export class BulkError extends ApiError {
+    constructor(results) {
+        const failures = results.filter(row => !row.ok);
+        // Conflicts alone are reported as a conflict, anything else as a bad request
+        const status = failures.every(row => row.status === 409) ? 409 : 400;
+        super(status, `${failures.length} of ${results.length} rows have problems, so nothing was saved`);
+        this.name = 'BulkError';
+        this.results = results;
+    }
+}
+
+const rowFailure = (index, error) => ({
+    index,
+    ok: false,
+    status: error.status,
+    error: error.message,
+    ...(error.fieldErrors && { fieldErrors: error.fieldErrors }),
+    ...(error.dependents && { dependents: error.dependents }),
+});
+
+/**
+ * Read a batch request body
+ * @returns {Object} { atomic, items }
+ * @throws {ValidationError} When items is missing, empty or too long
+ */
+export const parseBulkPayload = (body) => {
+    const { atomic = true } = parsePayload(bulkSchema, body);
+    const items = body?.items;
+    if (!Array.isArray(items) || items.length === 0) {
+        throw new ValidationError({ items: 'Send the rows as a non-empty items list' });
+    }
+    if (items.length > BULK_LIMIT) {
+        throw new ValidationError({ items: `Send at most ${BULK_LIMIT} rows at a time` });
+    }
+    return { atomic, items };
+};
+
+/**
+ * Summarize row results for the response
+ */
+export const bulkSummary = (atomic, results, saved) => ({
+    atomic,
+    saved,
+    succeeded: saved ? results.filter(row => row.ok).length : 0,
+    failed: results.filter(row => !row.ok).length,
+    results,
+});
+
+/**
+ * Run a batch in one transaction
+ * @param {Object} repo - Repository, usually wrapped by auditedRepository
+ * @param {Object} body - Request body: { atomic, items }
+ * @param {Function} applyRow - async (tx, item) => record; throws ApiError for a bad row
+ * @param {Object} options - { status: the status each successful row reports, e.g. 201 }
+ * @returns {Object} bulkSummary() of the batch
+ * @throws {BulkError} When an atomic batch had a failed row; nothing was written
+ */
+export const runBulk = async (repo, body, applyRow, { status = 200 } = {}) => {
+    const { atomic, items } = parseBulkPayload(body);
+
+    const results = await repo.transaction(async (tx) => {
+        const rows = [];
+        for (const [index, item] of items.entries()) {
+            try {
+                const record = await tx.savepoint(rowTx => applyRow(rowTx, item));
+                rows.push({ index, ok: true, status, ...(record && { record }) });
+            } catch (error) {
+                // Anything other than a refused row is a bug; let it cancel the batch
+                if (!(error instanceof ApiError)) {
+                    throw error;
+                }
+                rows.push(rowFailure(index, error));
+            }
+        }
+
+        // Every row was tried so the response can name all the problems at once
+        if (atomic && rows.some(row => !row.ok)) {
+            throw new BulkError(rows.map(({ record, ...row }) => row));
+        }
+        return rows;
+    });
+
+    return bulkSummary(atomic, results, results.some(row => row.ok));
+};
+
+// The id of the record an update or delete row refers to, e.g. { id: 3, name: 'New name' }
+const rowId = (item, label) => parsePayload({ id: { type: 'id', label, required: true } }, item).id;
+
+/**
+ * Build the API handler for a collection's bulk endpoint: POST creates, PUT changes (each item
+ * carries the id of the record to change) and DELETE removes (items: [{ id }]). Answers with
+ * 200 and bulkSummary(), or with { error, fieldErrors } for a malformed batch.
+ * @param {Object} options
+ * @param {string} options.label - What a row is, for missing-id messages, e.g. 'Product'
+ * @param {Function} options.create - async (tx, item, req) => record
+ * @param {Function} options.update - async (tx, id, item, req) => record
+ * @param {Function} options.remove - async (tx, id, req)
+ */
+export const bulkHandler = ({ label, create, update, remove }) => async (req, res) => {
+    const actions = {
+        POST: { status: 201, apply: (tx, item) => create(tx, item, req) },
+        PUT: { status: 200, apply: (tx, item) => update(tx, rowId(item, label), item, req) },
+        DELETE: { status: 204, apply: (tx, item) => remove(tx, rowId(item, label), req) },
+    };
+    const action = actions[req.method];
+    if (!action) {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        const repo = auditedRepository(await getRepository(), req);
+        res.status(200).json(await runBulk(repo, req.body, action.apply, { status: action.status }));
+    } catch (error) {
+        if (error instanceof BulkError) {
+            return res.status(error.status).json({ error: error.message, ...bulkSummary(true, error.results, false) });
+        }
+        sendError(res, error, 'Failed to save the batch');
+    }
+};
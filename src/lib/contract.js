@@ -0,0 +1,103 @@
+/**
+ * Checks API responses against the OpenAPI document built by openapi.js. The API explorer runs it
+ * over the read endpoints, so a handler whose output has drifted from the document is reported
+ * with the field that no longer matches.
+ *
+ * Only the parts of JSON Schema the document uses are understood: $ref, type (including
+ * ['string', 'null']), enum, required, properties, items and oneOf. Fields the document does not
+ * mention are allowed.
+ */
+
+const typeOf = (value) => {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (Number.isInteger(value)) {
+        return 'integer';
+    }
+    return typeof value;
+};
+
+const matchesType = (type, value) => {
+    const actual = typeOf(value);
+    return [].concat(type).some(expected => expected === actual || (expected === 'number' && actual === 'integer'));
+};
+
+/**
+ * Follow a schema's $ref into the document's components, if it has one
+ */
+export const resolveSchema = (document, schema) => {
+    if (!schema.$ref) {
+        return schema;
+    }
+    const name = schema.$ref.replace('#/components/schemas/', '');
+    return document.components.schemas[name];
+};
+
+/**
+ * Check a value against a schema
+ * @param {Object} document - The OpenAPI document, for resolving $refs
+ * @param {Object} schema - Schema to check against
+ * @param {*} value - Parsed JSON
+ * @param {string} path - Where the value is, for messages
+ * @returns {Array} Messages such as 'body[0].sku: missing'; empty when the value matches
+ */
+export const schemaProblems = (document, schema, value, path = 'body') => {
+    const rules = resolveSchema(document, schema);
+
+    if (rules.oneOf) {
+        const results = rules.oneOf.map(option => schemaProblems(document, option, value, path));
+        return results.some(problems => problems.length === 0)
+            ? []
+            : results.reduce((fewest, problems) => (problems.length < fewest.length ? problems : fewest));
+    }
+    if (rules.type && !matchesType(rules.type, value)) {
+        return [`${path}: expected ${[].concat(rules.type).join(' or ')}, got ${typeOf(value)}`];
+    }
+    if (rules.enum && !rules.enum.includes(value)) {
+        return [`${path}: ${JSON.stringify(value)} is not one of ${rules.enum.join(', ')}`];
+    }
+    if (Array.isArray(value) && rules.items) {
+        return value.flatMap((item, index) => schemaProblems(document, rules.items, item, `${path}[${index}]`));
+    }
+    if (typeOf(value) === 'object') {
+        const missing = (rules.required || [])
+            .filter(field => value[field] === undefined)
+            .map(field => `${path}.${field}: missing`);
+        const mismatched = Object.entries(rules.properties || {})
+            .filter(([field]) => value[field] !== undefined)
+            .flatMap(([field, property]) => schemaProblems(document, property, value[field], `${path}.${field}`));
+        return [...missing, ...mismatched];
+    }
+    return [];
+};
+
+/**
+ * Check a response against what the document says the operation returns
+ * @param {Object} document - The OpenAPI document
+ * @param {string} path - Path template, e.g. '/api/products/{id}'
+ * @param {string} method - Lower-case method, e.g. 'get'
+ * @param {number} status - Response status
+ * @param {*} body - Parsed response body, or null when there was none
+ * @param {string} mediaType - Response Content-Type without parameters; downloads such as text/csv
+ *   are only checked for being documented
+ * @returns {Array} Problems; empty when the response matches
+ */
+export const responseProblems = (document, path, method, status, body, mediaType = 'application/json') => {
+    const responses = document.paths[path]?.[method]?.responses;
+    if (!responses) {
+        return [`${method.toUpperCase()} ${path} is not in the document`];
+    }
+    const response = responses[status];
+    if (!response) {
+        return [`status ${status} is not documented (expected ${Object.keys(responses).join(', ')})`];
+    }
+    if (response.content && !response.content[mediaType]) {
+        return [`${mediaType} is not documented (expected ${Object.keys(response.content).join(', ')})`];
+    }
+    const schema = response.content?.[mediaType]?.schema;
+    return schema && mediaType === 'application/json' ? schemaProblems(document, schema, body) : [];
+};
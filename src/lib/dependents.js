@@ -0,0 +1,278 @@
+/**
+ * What depends on a product or warehouse, and deleting one without leaving orphans behind.
+ *
+ * Dependents come in two kinds:
+ * - records that only exist for the product or warehouse: stock records, alert
+ *   acknowledgements, bins and supplier price-list entries. Cascade mode removes these along
+ *   with it; stock is zeroed through the ledger first, as deleteStock does.
+ * - history: transfers, purchase orders, receipts, sales orders, stock counts, adjustments and
+ *   the stock movements they (or bin moves) posted. History must keep resolving the names it
+ *   refers to, so a record with any cannot be deleted; it can be archived instead (see archive.js).
+ *
+ * Ledger movements are never deleted. Movements that only book stock entered, edited or
+ * deleted by hand stay behind when their product or warehouse is deleted.
+ *
+ * A plain delete is refused while anything at all depends on the record.
+ */
+
+import { ApiError } from './apiError';
+import { postMovement } from './ledger';
+import { TRANSFER_STATUSES } from './transfers';
+import { PO_STATUSES } from './purchaseOrders';
+import { SO_STATUSES } from './salesOrders';
+import { COUNT_STATUSES } from './stockCounts';
+import { ADJUSTMENT_STATUSES } from './adjustments';
+
+export const DELETE_MODES = {
+    restrict: 'Only delete when nothing depends on the record',
+    cascade: 'Also zero and delete stock records, and delete alerts, bins and price-list entries',
+};
+
+// Movements that only book stock entered, edited or deleted by hand; any other movement is history
+const BOOKKEEPING_REASONS = ['opening_balance', 'stock_added', 'manual_edit', 'record_deleted'];
+
+const isHistory = (movement) => !BOOKKEEPING_REASONS.includes(movement.reason);
+
+/**
+ * Raised when a delete would leave dependents behind.
+ * dependents is the list returned by findDependents.
+ */
+export class DependentsError extends ApiError {
+    constructor(message, dependents) {
+        super(409, message);
+        this.name = 'DependentsError';
+        this.dependents = dependents;
+    }
+}
+
+// Status names are read when a row is described rather than when this module loads: the
+// document modules import archive.js, which imports this one
+const documentLabel = (doc, statuses) => `${doc.reference} (${statuses[doc.status] || doc.status})`;
+
+// Each entry: which collection, whether cascade may delete it, which rows match, and how to list them
+const DEPENDENTS = {
+    product: [
+        {
+            collection: 'stock',
+            label: 'Stock records',
+            cascade: true,
+            matches: (r, id) => r.productId === id,
+            describe: (r, { warehouses }) => `${warehouses.find(w => w.id === r.warehouseId)?.name || 'Unknown Warehouse'}: ${r.quantity} units`,
+        },
+        {
+            collection: 'movements',
+            label: 'Stock movements',
+            matches: (r, id) => r.productId === id && isHistory(r),
+        },
+        {
+            collection: 'alerts',
+            label: 'Alert acknowledgements',
+            cascade: true,
+            matches: (r, id) => r.productId === id,
+            describe: (r) => `Acknowledged by ${r.acknowledgedBy}`,
+        },
+        {
+            collection: 'suppliers',
+            label: 'Supplier price lists',
+            cascade: true,
+            matches: (r, id) => r.products.some(p => p.productId === id),
+            describe: (r) => r.name,
+        },
+        {
+            collection: 'transfers',
+            label: 'Transfers',
+            matches: (r, id) => r.lines.some(line => line.productId === id),
+            describe: (r) => documentLabel(r, TRANSFER_STATUSES),
+        },
+        {
+            collection: 'purchaseOrders',
+            label: 'Purchase orders',
+            matches: (r, id) => r.lines.some(line => line.productId === id),
+            describe: (r) => documentLabel(r, PO_STATUSES),
+        },
+        {
+            collection: 'receipts',
+            label: 'Goods receipts',
+            matches: (r, id) => r.lines.some(line => line.productId === id),
+            describe: (r) => r.reference,
+        },
+        {
+            collection: 'salesOrders',
+            label: 'Sales orders',
+            matches: (r, id) => r.lines.some(line => line.productId === id),
+            describe: (r) => documentLabel(r, SO_STATUSES),
+        },
+        {
+            collection: 'stockCounts',
+            label: 'Stock counts',
+            matches: (r, id) => r.lines.some(line => line.productId === id),
+            describe: (r) => documentLabel(r, COUNT_STATUSES),
+        },
+        {
+            collection: 'adjustments',
+            label: 'Adjustments',
+            matches: (r, id) => r.productId === id,
+            describe: (r) => documentLabel(r, ADJUSTMENT_STATUSES),
+        },
+    ],
+    warehouse: [
+        {
+            collection: 'stock',
+            label: 'Stock records',
+            cascade: true,
+            matches: (r, id) => r.warehouseId === id,
+            describe: (r, { products }) => `${products.find(p => p.id === r.productId)?.name || 'Unknown Product'}: ${r.quantity} units`,
+        },
+        {
+            collection: 'movements',
+            label: 'Stock movements',
+            matches: (r, id) => r.warehouseId === id && isHistory(r),
+        },
+        {
+            collection: 'bins',
+            label: 'Bins',
+            cascade: true,
+            matches: (r, id) => r.warehouseId === id,
+            describe: (r) => r.code,
+        },
+        {
+            collection: 'transfers',
+            label: 'Transfers',
+            matches: (r, id) => r.fromWarehouseId === id || r.toWarehouseId === id,
+            describe: (r) => documentLabel(r, TRANSFER_STATUSES),
+        },
+        {
+            collection: 'purchaseOrders',
+            label: 'Purchase orders',
+            matches: (r, id) => r.warehouseId === id,
+            describe: (r) => documentLabel(r, PO_STATUSES),
+        },
+        {
+            collection: 'receipts',
+            label: 'Goods receipts',
+            matches: (r, id) => r.warehouseId === id,
+            describe: (r) => r.reference,
+        },
+        {
+            collection: 'salesOrders',
+            label: 'Sales orders',
+            matches: (r, id) => r.warehouseId === id
+                || r.lines.some(line => line.allocations.some(a => a.warehouseId === id)),
+            describe: (r) => documentLabel(r, SO_STATUSES),
+        },
+        {
+            collection: 'stockCounts',
+            label: 'Stock counts',
+            matches: (r, id) => r.warehouseId === id,
+            describe: (r) => documentLabel(r, COUNT_STATUSES),
+        },
+        {
+            collection: 'adjustments',
+            label: 'Adjustments',
+            matches: (r, id) => r.warehouseId === id,
+            describe: (r) => documentLabel(r, ADJUSTMENT_STATUSES),
+        },
+    ],
+};
+
+/**
+ * List everything that refers to a product or warehouse
+ * @param {Object} store - Repository or transaction
+ * @param {string} type - 'product' or 'warehouse'
+ * @param {number} id - Record id
+ * @returns {Array} [{ collection, label, cascade, count, items, rows }], only collections with matches;
+ *   items describes each dependent for display (empty for movements, which are only counted)
+ */
+export const findDependents = async (store, type, id) => {
+    const lookups = {
+        products: await store.list('products'),
+        warehouses: await store.list('warehouses'),
+    };
+
+    const dependents = [];
+    for (const spec of DEPENDENTS[type]) {
+        const rows = (await store.list(spec.collection)).filter(r => spec.matches(r, id));
+        if (rows.length > 0) {
+            dependents.push({
+                collection: spec.collection,
+                label: spec.label,
+                cascade: Boolean(spec.cascade),
+                count: rows.length,
+                items: spec.describe ? rows.map(r => spec.describe(r, lookups)) : [],
+                rows,
+            });
+        }
+    }
+    return dependents;
+};
+
+// e.g. "stock records (2), transfers (4)"
+const listDependents = (dependents) => dependents.map(d => `${d.label.toLowerCase()} (${d.count})`).join(', ');
+
+// Dependents as sent to clients, without the raw rows
+const summarize = (dependents) => dependents.map(({ rows, ...summary }) => summary);
+
+/**
+ * List what refers to a product or warehouse, for display before deleting it
+ * @see findDependents
+ */
+export const describeDependents = async (store, type, id) => summarize(await findDependents(store, type, id));
+
+/**
+ * Delete a product or warehouse. Must run inside a transaction.
+ * @param {Object} tx - Repository transaction
+ * @param {string} type - 'product' or 'warehouse'
+ * @param {Object} record - The product or warehouse
+ * @param {string} mode - 'restrict' (default) or 'cascade'; see DELETE_MODES
+ * @throws {DependentsError} When dependents would be left behind
+ */
+export const deleteWithDependents = async (tx, type, record, mode = 'restrict') => {
+    if (!DELETE_MODES[mode]) {
+        throw new ApiError(400, `Unknown delete mode: ${mode}`);
+    }
+
+    const dependents = await findDependents(tx, type, record.id);
+    const name = `${type === 'product' ? 'Product' : 'Warehouse'} ${record.name}`;
+
+    if (dependents.length > 0 && mode === 'restrict') {
+        throw new DependentsError(
+            `${name} is still used by ${listDependents(dependents)}`,
+            summarize(dependents)
+        );
+    }
+
+    const documents = dependents.filter(d => !d.cascade);
+    if (documents.length > 0) {
+        throw new DependentsError(
+            `${name} appears on ${listDependents(documents)}, which keep their history; archive it instead`,
+            summarize(dependents)
+        );
+    }
+
+    for (const { collection, rows } of dependents) {
+        for (const row of rows) {
+            if (collection === 'stock') {
+                // Zeroed through the ledger so the removal stays explainable; the movements stay
+                if (row.quantity !== 0) {
+                    await postMovement(tx, {
+                        productId: row.productId,
+                        warehouseId: row.warehouseId,
+                        delta: -row.quantity,
+                        reason: 'record_deleted',
+                        referenceType: 'stock',
+                        referenceId: row.id,
+                        notes: `${name} deleted`,
+                    });
+                }
+                await tx.remove('stock', row.id);
+            } else if (collection === 'suppliers') {
+                // A supplier outlives one of its products; only the price-list entry goes
+                await tx.update('suppliers', row.id, { products: row.products.filter(p => p.productId !== record.id) });
+            } else {
+                await tx.remove(collection, collection === 'alerts' ? row.productId : row.id);
+            }
+        }
+    }
+
+    return tx.remove(type === 'product' ? 'products' : 'warehouses', record.id);
+};
@@ -1,51 +1,109 @@
 import { jsPDF } from 'jspdf';
 import autoTable from 'jspdf-autotable';
+import { writeXlsx } from './xlsx';
+
+/**
+ * Formats every export can be downloaded in
+ */
+export const EXPORT_FORMATS = {
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+    xlsx: { label: 'Excel', extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    pdf: { label: 'PDF', extension: 'pdf', mimeType: 'application/pdf' },
+};
+
+// Byte order mark, without which Excel opens UTF-8 CSV files as the local code page
+const CSV_BOM = '\uFEFF';
+
+const pad = (number) => String(number).padStart(2, '0');
+
+/**
+ * Format a cell for a text export (CSV or PDF)
+ * Column types: 'integer', 'number', 'currency', 'date' and 'datetime'; anything else is text.
+ * @param {*} value - Raw value
+ * @param {Object} column - Column definition {key, label, type}
+ * @param {boolean} forDisplay - Use thousands separators and local dates, as for a printed PDF
+ */
+const formatValue = (value, column, forDisplay = false) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (typeof value === 'object' && !(value instanceof Date)) {
+        return JSON.stringify(value);
+    }
+    const number = typeof value === 'number' ? value : Number(value);
+    if (column.type === 'currency' && value !== '' && Number.isFinite(number)) {
+        return forDisplay
+            ? number.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+            : number.toFixed(2);
+    }
+    if (column.type === 'datetime') {
+        const date = new Date(value);
+        if (!Number.isNaN(date.getTime())) {
+            return forDisplay
+                ? date.toLocaleString()
+                : `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+        }
+    }
+    if (typeof value === 'number' && forDisplay) {
+        return value.toLocaleString();
+    }
+    return String(value);
+};
+
+// RFC 4180: fields holding a quote, comma or line break are quoted, with quotes doubled.
+// Fields with leading or trailing spaces are quoted too so no reader trims them.
+const csvField = (text) => (/[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+
+/**
+ * Build CSV text as RFC 4180 describes it: a header row, CRLF line endings and quoted fields
+ * @param {Array} data - Array of objects to export
+ * @param {Array} columns - Array of column definitions {key, label, type}
+ * @returns {string} CSV text starting with a byte order mark
+ */
+export const buildCSV = (data, columns) => {
+    const header = columns.map(col => csvField(String(col.label)));
+    const rows = data.map(item => columns.map(col => csvField(formatValue(item[col.key], col))));
+    return CSV_BOM + [header, ...rows].map(fields => `${fields.join(',')}\r\n`).join('');
+};
+
+/**
+ * Build an Excel workbook with numbers, amounts and dates as typed cells
+ * @param {Array} data - Array of objects to export
+ * @param {Array} columns - Array of column definitions {key, label, type}
+ * @param {string} title - Used as the worksheet name
+ * @returns {Uint8Array} The .xlsx file's contents
+ */
+export const buildXLSX = (data, columns, title) => writeXlsx({
+    name: title,
+    columns,
+    rows: data.map(item => columns.map(col => item[col.key])),
+});
+
+// Hand a file to the browser as a download
+const downloadFile = (content, filename, mimeType) => {
+    const blob = new Blob([content], { type: mimeType });
+    const link = document.createElement('a');
+    const url = URL.createObjectURL(blob);
+
+    link.setAttribute('href', url);
+    link.setAttribute('download', filename);
+    link.style.visibility = 'hidden';
+
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+};
 
 /**
  * Export data to CSV format
  * @param {Array} data - Array of objects to export
  * @param {string} filename - Name of the file (without extension)
- * @param {Array} columns - Array of column definitions {key, label}
+ * @param {Array} columns - Array of column definitions {key, label, type}
  */
 export const exportToCSV = (data, filename, columns) => {
     try {
-        // Create CSV header
-        const headers = columns.map(col => col.label).join(',');
-
-        // Create CSV rows
-        const rows = data.map(item => {
-            return columns.map(col => {
-                let value = item[col.key];
-
-                // Handle different data types
-                if (value === null || value === undefined) {
-                    value = '';
-                } else if (typeof value === 'object') {
-                    value = JSON.stringify(value);
-                } else if (typeof value === 'string' && value.includes(',')) {
-                    value = `"${value}"`;
-                }
-
-                return value;
-            }).join(',');
-        }).join('\n');
-
-        // Combine header and rows
-        const csv = `${headers}\n${rows}`;
-
-        // Create blob and download
-        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-        const link = document.createElement('a');
-        const url = URL.createObjectURL(blob);
-
-        link.setAttribute('href', url);
-        link.setAttribute('download', `${filename}.csv`);
-        link.style.visibility = 'hidden';
-
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-
+        downloadFile(buildCSV(data, columns), `${filename}.csv`, EXPORT_FORMATS.csv.mimeType);
         return true;
     } catch (error) {
         console.error('Error exporting to CSV:', error);
@@ -54,83 +112,97 @@ export const exportToCSV = (data, filename, columns) => {
 };
 
 /**
- * Export data to PDF format
+ * Export data to an Excel workbook (.xlsx)
  * @param {Array} data - Array of objects to export
  * @param {string} filename - Name of the file (without extension)
- * @param {Array} columns - Array of column definitions {key, label}
- * @param {string} title - Title of the PDF document
+ * @param {Array} columns - Array of column definitions {key, label, type}
+ * @param {string} title - Worksheet name
  */
-export const exportToPDF = (data, filename, columns, title) => {
+export const exportToXLSX = (data, filename, columns, title) => {
     try {
-        const doc = new jsPDF();
-
-        // Add title
-        doc.setFontSize(18);
-        doc.text(title, 14, 22);
-
-        // Add timestamp
-        doc.setFontSize(10);
-        doc.setTextColor(100);
-        const timestamp = new Date().toLocaleString();
-        doc.text(`Generated: ${timestamp}`, 14, 30);
-
-        // Prepare table data
-        const tableColumns = columns.map(col => col.label);
-        const tableRows = data.map(item => {
-            return columns.map(col => {
-                let value = item[col.key];
-
-                // Handle different data types
-                if (value === null || value === undefined) {
-                    return '';
-                } else if (typeof value === 'object') {
-                    return JSON.stringify(value);
-                } else if (typeof value === 'number') {
-                    return value.toLocaleString();
-                }
-
-                return String(value);
-            });
-        });
-
-
-        // Add table using autoTable
-        autoTable(doc, {
-            head: [tableColumns],
-            body: tableRows,
-            startY: 35,
-            styles: {
-                fontSize: 8,
-                cellPadding: 2,
-            },
-            headStyles: {
-                fillColor: [16, 185, 129], // Emerald color
-                textColor: 255,
-                fontStyle: 'bold',
-            },
-            alternateRowStyles: {
-                fillColor: [245, 247, 250],
-            },
-            margin: { top: 35 },
-        });
-
-        // Add footer with page numbers
-        const pageCount = doc.internal.getNumberOfPages();
-        for (let i = 1; i <= pageCount; i++) {
-            doc.setPage(i);
-            doc.setFontSize(8);
-            doc.setTextColor(150);
-            doc.text(
-                `Page ${i} of ${pageCount}`,
-                doc.internal.pageSize.getWidth() / 2,
-                doc.internal.pageSize.getHeight() - 10,
-                { align: 'center' }
-            );
-        }
+        downloadFile(buildXLSX(data, columns, title), `${filename}.xlsx`, EXPORT_FORMATS.xlsx.mimeType);
+        return true;
+    } catch (error) {
+        console.error('Error exporting to Excel:', error);
+        return false;
+    }
+};
 
-        // Save PDF
-        doc.save(`${filename}.pdf`);
+/**
+ * Build a PDF document with a title, generation time and a table of the data
+ * @param {Array} data - Array of objects to export
+ * @param {Array} columns - Array of column definitions {key, label, type}
+ * @param {string} title - Title of the PDF document
+ * @param {Array} details - Optional lines of text printed under the title
+ * @returns {jsPDF} The document, ready to save or output
+ */
+export const buildPDF = (data, columns, title, details = []) => {
+    const doc = new jsPDF();
+
+    // Add title
+    doc.setFontSize(18);
+    doc.text(title, 14, 22);
+
+    // Add timestamp
+    doc.setFontSize(10);
+    doc.setTextColor(100);
+    const timestamp = new Date().toLocaleString();
+    doc.text(`Generated: ${timestamp}`, 14, 30);
+    details.forEach((line, index) => doc.text(line, 14, 36 + index * 6));
+    const startY = 35 + details.length * 6;
+
+    // Prepare table data
+    const tableColumns = columns.map(col => col.label);
+    const tableRows = data.map(item => columns.map(col => formatValue(item[col.key], col, true)));
+
+    // Add table using autoTable
+    autoTable(doc, {
+        head: [tableColumns],
+        body: tableRows,
+        startY,
+        styles: {
+            fontSize: 8,
+            cellPadding: 2,
+        },
+        headStyles: {
+            fillColor: [16, 185, 129], // Emerald color
+            textColor: 255,
+            fontStyle: 'bold',
+        },
+        alternateRowStyles: {
+            fillColor: [245, 247, 250],
+        },
+        margin: { top: 35 },
+    });
+
+    // Add footer with page numbers
+    const pageCount = doc.internal.getNumberOfPages();
+    for (let i = 1; i <= pageCount; i++) {
+        doc.setPage(i);
+        doc.setFontSize(8);
+        doc.setTextColor(150);
+        doc.text(
+            `Page ${i} of ${pageCount}`,
+            doc.internal.pageSize.getWidth() / 2,
+            doc.internal.pageSize.getHeight() - 10,
+            { align: 'center' }
+        );
+    }
+
+    return doc;
+};
 
+/**
+ * Export data to PDF format
+ * @param {Array} data - Array of objects to export
+ * @param {string} filename - Name of the file (without extension)
+ * @param {Array} columns - Array of column definitions {key, label, type}
+ * @param {string} title - Title of the PDF document
+ * @param {Array} details - Optional lines of text printed under the title
+ */
+export const exportToPDF = (data, filename, columns, title, details = []) => {
+    try {
+        buildPDF(data, columns, title, details).save(`${filename}.pdf`);
         return true;
     } catch (error) {
         console.error('Error exporting to PDF:', error);
@@ -139,89 +211,165 @@ export const exportToPDF = (data, filename, columns, title) => {
 };
 
 /**
- * Export inventory data with custom formatting
+ * Export data in any of EXPORT_FORMATS
+ * @param {string} format - 'csv', 'xlsx' or 'pdf'
+ * @param {Array} data - Array of objects to export
+ * @param {string} filename - Name of the file (without extension)
+ * @param {Array} columns - Array of column definitions {key, label, type}
+ * @param {string} title - PDF title and worksheet name
+ * @param {Array} details - Optional lines printed under the PDF title
  */
-export const exportInventoryData = (data, format = 'csv') => {
-    const columns = [
-        { key: 'sku', label: 'SKU' },
-        { key: 'productName', label: 'Product Name' },
-        { key: 'category', label: 'Category' },
-        { key: 'currentStock', label: 'Current Stock' },
-        { key: 'reorderPoint', label: 'Reorder Point' },
-        { key: 'stockValue', label: 'Stock Value ($)' },
-        { key: 'status', label: 'Status' },
-    ];
-
-    const filename = `inventory-report-${new Date().toISOString().split('T')[0]}`;
-    const title = 'Inventory Management Report';
-
+export const exportData = (format, data, filename, columns, title, details = []) => {
     if (format === 'csv') {
         return exportToCSV(data, filename, columns);
+    } else if (format === 'xlsx') {
+        return exportToXLSX(data, filename, columns, title);
     } else if (format === 'pdf') {
-        return exportToPDF(data, filename, columns, title);
+        return exportToPDF(data, filename, columns, title, details);
     }
 
     return false;
 };
 
+const EXPORT_COLUMNS_KEY = 'exportColumns';
+
 /**
- * Export transfer history data
+ * The columns last chosen in the export dialog for a report, in their chosen order
+ * @param {string} report - Report name, e.g. 'inventory'
+ * @param {Array} columns - All of the report's columns, in their default order
+ * @returns {Array} Column definitions; all columns when nothing usable was saved
  */
-export const exportTransferData = (data, format = 'csv') => {
-    const columns = [
-        { key: 'date', label: 'Date' },
-        { key: 'productName', label: 'Product' },
-        { key: 'productSku', label: 'SKU' },
-        { key: 'fromWarehouseName', label: 'From Warehouse' },
-        { key: 'toWarehouseName', label: 'To Warehouse' },
-        { key: 'quantity', label: 'Quantity' },
-        { key: 'notes', label: 'Notes' },
-        { key: 'status', label: 'Status' },
-    ];
+export const loadExportColumns = (report, columns) => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(EXPORT_COLUMNS_KEY) || '{}')[report] || [];
+        const chosen = saved.map(key => columns.find(col => col.key === key)).filter(Boolean);
+        return chosen.length > 0 ? chosen : columns;
+    } catch (error) {
+        return columns;
+    }
+};
+
+/**
+ * Remember the columns chosen for a report
+ */
+export const saveExportColumns = (report, columns) => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(EXPORT_COLUMNS_KEY) || '{}');
+        saved[report] = columns.map(col => col.key);
+        localStorage.setItem(EXPORT_COLUMNS_KEY, JSON.stringify(saved));
+    } catch (error) {
+        console.error('Failed to save export columns:', error);
+    }
+};
+
+export const INVENTORY_COLUMNS = [
+    { key: 'sku', label: 'SKU' },
+    { key: 'productName', label: 'Product Name' },
+    { key: 'category', label: 'Category' },
+    { key: 'currentStock', label: 'Current Stock', type: 'integer' },
+    { key: 'reorderPoint', label: 'Reorder Point', type: 'integer' },
+    { key: 'stockValue', label: 'Stock Value ($)', type: 'currency' },
+    { key: 'status', label: 'Status' },
+];
+
+export const TRANSFER_COLUMNS = [
+    { key: 'date', label: 'Date', type: 'datetime' },
+    { key: 'reference', label: 'Reference' },
+    { key: 'productName', label: 'Product' },
+    { key: 'productSku', label: 'SKU' },
+    { key: 'fromWarehouseName', label: 'From Warehouse' },
+    { key: 'toWarehouseName', label: 'To Warehouse' },
+    { key: 'quantity', label: 'Quantity', type: 'integer' },
+    { key: 'receivedQuantity', label: 'Received', type: 'integer' },
+    { key: 'notes', label: 'Notes' },
+    { key: 'status', label: 'Status' },
+];
+
+export const PACKING_LIST_COLUMNS = [
+    { key: 'lineNumber', label: 'Line', type: 'integer' },
+    { key: 'productSku', label: 'SKU' },
+    { key: 'productName', label: 'Product' },
+    { key: 'quantity', label: 'Quantity', type: 'integer' },
+    { key: 'pickFrom', label: 'Pick From' },
+    { key: 'picked', label: 'Picked' },
+    { key: 'checked', label: 'Received' },
+];
+
+export const ALERT_COLUMNS = [
+    { key: 'productSku', label: 'SKU' },
+    { key: 'productName', label: 'Product Name' },
+    { key: 'category', label: 'Category' },
+    { key: 'onHandStock', label: 'On Hand', type: 'integer' },
+    { key: 'reservedStock', label: 'Reserved', type: 'integer' },
+    { key: 'currentStock', label: 'Available Stock', type: 'integer' },
+    { key: 'reorderPoint', label: 'Reorder Point', type: 'integer' },
+    { key: 'status', label: 'Status' },
+    { key: 'severity', label: 'Severity' },
+    { key: 'reorderQuantity', label: 'Recommended Qty', type: 'integer' },
+    { key: 'estimatedCost', label: 'Estimated Cost ($)', type: 'currency' },
+    { key: 'recommendedAction', label: 'Recommended Action' },
+];
+
+/**
+ * Export inventory data with custom formatting
+ * @param {Array} columns - Columns to include, in order; defaults to INVENTORY_COLUMNS
+ */
+export const exportInventoryData = (data, format = 'csv', columns = INVENTORY_COLUMNS) => {
+    const filename = `inventory-report-${new Date().toISOString().split('T')[0]}`;
+    const title = 'Inventory Management Report';
+
+    return exportData(format, data, filename, columns, title);
+};
 
-    // Format dates for export
-    const formattedData = data.map(item => ({
+/**
+ * Export transfer history data, one row per transfer line
+ * @param {Array} columns - Columns to include, in order; defaults to TRANSFER_COLUMNS
+ */
+export const exportTransferData = (data, format = 'csv', columns = TRANSFER_COLUMNS) => {
+    const lineData = data.flatMap(item => item.lines.map(line => ({
         ...item,
-        date: new Date(item.date).toLocaleString(),
-    }));
+        ...line,
+    })));
 
     const filename = `transfer-history-${new Date().toISOString().split('T')[0]}`;
     const title = 'Stock Transfer History';
 
-    if (format === 'csv') {
-        return exportToCSV(formattedData, filename, columns);
-    } else if (format === 'pdf') {
-        return exportToPDF(formattedData, filename, columns, title);
+    return exportData(format, lineData, filename, columns, title);
+};
+
+/**
+ * Export a transfer order as a packing list with one row per line
+ * @param {Object} transfer - Enriched transfer (see enrichTransfer)
+ */
+export const exportPackingList = (transfer, format = 'pdf') => {
+    const data = transfer.lines.map((line, index) => ({
+        ...line,
+        lineNumber: index + 1,
+        pickFrom: (line.pickFrom || []).map(p => `${p.binCode} x${p.quantity}`).join(', '),
+        picked: '',
+        checked: '',
+    }));
+
+    const filename = `packing-list-${transfer.reference}`;
+    const title = `Packing List ${transfer.reference}`;
+    const details = [
+        `From: ${transfer.fromWarehouseName}    To: ${transfer.toWarehouseName}`,
+        `Created: ${new Date(transfer.date).toLocaleString()}    Total units: ${transfer.totalQuantity.toLocaleString()}`,
+    ];
+    if (transfer.notes) {
+        details.push(`Notes: ${transfer.notes}`);
     }
 
-    return false;
+    return exportData(format, data, filename, PACKING_LIST_COLUMNS, title, details);
 };
 
 /**
  * Export alerts data
+ * @param {Array} columns - Columns to include, in order; defaults to ALERT_COLUMNS
  */
-export const exportAlertsData = (data, format = 'csv') => {
-    const columns = [
-        { key: 'productSku', label: 'SKU' },
-        { key: 'productName', label: 'Product Name' },
-        { key: 'category', label: 'Category' },
-        { key: 'currentStock', label: 'Current Stock' },
-        { key: 'reorderPoint', label: 'Reorder Point' },
-        { key: 'status', label: 'Status' },
-        { key: 'severity', label: 'Severity' },
-        { key: 'reorderQuantity', label: 'Recommended Qty' },
-        { key: 'estimatedCost', label: 'Estimated Cost ($)' },
-        { key: 'recommendedAction', label: 'Recommended Action' },
-    ];
-
+export const exportAlertsData = (data, format = 'csv', columns = ALERT_COLUMNS) => {
     const filename = `stock-alerts-${new Date().toISOString().split('T')[0]}`;
     const title = 'Stock Alerts & Reorder Recommendations';
 
-    if (format === 'csv') {
-        return exportToCSV(data, filename, columns);
-    } else if (format === 'pdf') {
-        return exportToPDF(data, filename, columns, title);
-    }
-
-    return false;
+    return exportData(format, data, filename, columns, title);
 };
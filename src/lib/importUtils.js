@@ -0,0 +1,310 @@
+/**
+ * Importing products, warehouses and stock levels from CSV or Excel files, used by the
+ * /import page. A file is read into rows, its columns are mapped onto fields, every row is
+ * checked against the same schemas the API uses, and the rows that pass are sent to the bulk
+ * endpoints (bulk.js) with atomic: false so one bad row does not hold back the rest.
+ *
+ * Rows are matched to existing records by SKU (products), warehouse code (warehouses) or both
+ * (stock), ignoring case, as the API does. In upsert mode a match is updated with the mapped
+ * columns; in create-only mode it is skipped.
+ */
+
+import Papa from 'papaparse';
+import { readXlsx } from './xlsx';
+import { can } from './permissions';
+import { productSchema, stockSchema, validate, warehouseSchema } from './validation';
+
+// Rows per request; the bulk endpoints accept at most BULK_LIMIT (bulk.js) at a time
+const IMPORT_CHUNK_SIZE = 1000;
+
+export const IMPORT_MODES = {
+    upsert: { label: 'Create and update', description: 'Rows matching an existing record update it; the rest are created' },
+    create: { label: 'Create only', description: 'Rows matching an existing record are skipped' },
+};
+
+const stockImportSchema = {
+    sku: { ...productSchema.sku, label: 'SKU' },
+    warehouseCode: { ...warehouseSchema.code, label: 'Warehouse code' },
+    quantity: stockSchema.quantity,
+    lotNumber: stockSchema.lotNumber,
+    manufacturedAt: stockSchema.manufacturedAt,
+    expiresAt: stockSchema.expiresAt,
+};
+
+const matchKey = (value) => String(value ?? '').trim().toUpperCase();
+
+/**
+ * What can be imported. Each type has:
+ *   schema      - rules for the importable fields; a field's label is also a column name it recognises
+ *   keyFields   - fields that identify an existing record, which must be mapped
+ *   aliases     - other column names recognised for a field, e.g. from our own exports
+ *   findExisting(values, existing) - the record a row refers to, if any
+ *   payload(values, existing, user) - { payload, fieldErrors }: the body for the bulk endpoint
+ */
+export const IMPORT_TYPES = {
+    products: {
+        label: 'Products',
+        permission: 'manage_inventory',
+        endpoint: '/api/products/bulk',
+        schema: productSchema,
+        keyFields: ['sku'],
+        aliases: { name: ['Product', 'Name'], unitCost: ['Cost', 'Unit Cost ($)', 'Price'], reorderPoint: ['Reorder Level'] },
+        findExisting: (values, existing) => existing.products.find(p => matchKey(p.sku) === matchKey(values.sku)),
+        payload: (values) => ({ payload: values, fieldErrors: {} }),
+    },
+    warehouses: {
+        label: 'Warehouses',
+        permission: 'manage_inventory',
+        endpoint: '/api/warehouses/bulk',
+        schema: warehouseSchema,
+        keyFields: ['code'],
+        aliases: { name: ['Warehouse', 'Name'], code: ['Code'], location: ['Address'] },
+        findExisting: (values, existing) => existing.warehouses.find(w => matchKey(w.code) === matchKey(values.code)),
+        payload: (values) => ({ payload: values, fieldErrors: {} }),
+    },
+    stock: {
+        label: 'Stock Levels',
+        permission: 'move_stock',
+        endpoint: '/api/stock/bulk',
+        schema: stockImportSchema,
+        keyFields: ['sku', 'warehouseCode'],
+        aliases: {
+            sku: ['Product SKU', 'Product'],
+            warehouseCode: ['Warehouse', 'Code'],
+            quantity: ['Qty', 'On Hand', 'Current Stock'],
+            lotNumber: ['Lot', 'Batch'],
+            manufacturedAt: ['Manufactured'],
+            expiresAt: ['Expiry', 'Expires', 'Best Before'],
+        },
+        findExisting: (values, existing) => {
+            const product = existing.products.find(p => matchKey(p.sku) === matchKey(values.sku));
+            const warehouse = existing.warehouses.find(w => matchKey(w.code) === matchKey(values.warehouseCode));
+            return product && warehouse
+                ? existing.stock.find(s => s.productId === product.id && s.warehouseId === warehouse.id)
+                : undefined;
+        },
+        payload: ({ sku, warehouseCode, ...values }, existing, user) => {
+            const product = existing.products.find(p => matchKey(p.sku) === matchKey(sku));
+            const warehouse = existing.warehouses.find(w => matchKey(w.code) === matchKey(warehouseCode));
+            const fieldErrors = {};
+            if (sku !== undefined && !product) {
+                fieldErrors.sku = `No product has SKU ${sku}`;
+            }
+            if (warehouseCode !== undefined && !warehouse) {
+                fieldErrors.warehouseCode = `No warehouse has code ${warehouseCode}`;
+            } else if (warehouse && !can(user, 'move_stock', warehouse.id)) {
+                fieldErrors.warehouseCode = `You cannot move stock in ${warehouse.name}`;
+            }
+            return { payload: { productId: product?.id, warehouseId: warehouse?.id, ...values }, fieldErrors };
+        },
+    },
+};
+
+const isBlankCell = (cell) => cell === undefined || cell === null || (typeof cell === 'string' && cell.trim() === '');
+
+/**
+ * Read an uploaded file into a header row and data rows
+ * @param {File} file - A .csv or .xlsx file
+ * @returns {Promise<Object>} { headers, rows }: headers are the first row's names (blank ones become
+ *   'Column N'); rows are the remaining non-blank rows, each with its row number in the file
+ * @throws {Error} For unsupported or unreadable files
+ */
+export const readImportFile = async (file) => {
+    const name = file.name.toLowerCase();
+    let table;
+    if (name.endsWith('.xlsx')) {
+        table = await readXlsx(await file.arrayBuffer());
+    } else if (name.endsWith('.csv') || name.endsWith('.txt')) {
+        const text = (await file.text()).replace(/^\uFEFF/, '');
+        const { data, errors } = Papa.parse(text, { skipEmptyLines: false });
+        const fatal = errors.find(error => error.type === 'Quotes');
+        if (fatal) {
+            throw new Error(`Row ${fatal.row + 1} of the CSV file has an unclosed quote`);
+        }
+        table = data;
+    } else if (name.endsWith('.xls')) {
+        throw new Error('Old .xls workbooks cannot be read; save the file as .xlsx or CSV');
+    } else {
+        throw new Error('Choose a .csv or .xlsx file');
+    }
+
+    const [headerRow = [], ...dataRows] = table;
+    const width = dataRows.reduce((widest, row) => Math.max(widest, row.length), headerRow.length);
+    const headers = Array.from({ length: width }, (_, index) => {
+        const header = headerRow[index];
+        return isBlankCell(header) ? `Column ${index + 1}` : String(header).trim();
+    });
+    const rows = dataRows
+        .map((cells, index) => ({ rowNumber: index + 2, cells }))
+        .filter(({ cells }) => cells.some(cell => !isBlankCell(cell)));
+
+    if (rows.length === 0) {
+        throw new Error('The file has a header row but no data rows');
+    }
+    return { headers, rows };
+};
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Suggest which column feeds each field, by matching headers to field names, labels and aliases
+ * @returns {Object} field => column index, for the fields a column was found for
+ */
+export const guessMapping = (type, headers) => {
+    const { schema, aliases } = IMPORT_TYPES[type];
+    const normalized = headers.map(normalizeHeader);
+    const mapping = {};
+    Object.entries(schema).forEach(([field, rule]) => {
+        const names = [field, rule.label, ...(aliases[field] || [])].map(normalizeHeader);
+        const index = normalized.findIndex((header, column) =>
+            names.includes(header) && !Object.values(mapping).includes(column)
+        );
+        if (index !== -1) {
+            mapping[field] = index;
+        }
+    });
+    return mapping;
+};
+
+/**
+ * Key fields that have no column yet; rows cannot be matched until they do
+ * @returns {Array} Field labels
+ */
+export const unmappedKeyFields = (type, mapping) => {
+    const { schema, keyFields } = IMPORT_TYPES[type];
+    return keyFields.filter(field => mapping[field] === undefined).map(field => schema[field].label);
+};
+
+/**
+ * Decide what happens to every row and check it
+ * @param {Object} options
+ * @param {string} options.type - Key of IMPORT_TYPES
+ * @param {string} options.mode - Key of IMPORT_MODES
+ * @param {Array} options.rows - From readImportFile()
+ * @param {Object} options.mapping - field => column index
+ * @param {Object} options.existing - { products, warehouses, stock } as the API lists them
+ * @param {Object} options.user - Signed-in user
+ * @returns {Array} { rowNumber, cells, action, id, payload, fieldErrors } per row; action is 'create',
+ *   'update', 'skip' or 'invalid'; cells holds the mapped cell text by field
+ */
+export const planImport = ({ type, mode, rows, mapping, existing, user }) => {
+    const importType = IMPORT_TYPES[type];
+    const seen = new Map();
+
+    return rows.map(({ rowNumber, cells: rowCells }) => {
+        // Blank cells count as not given, so an update leaves those fields as they are
+        const cells = {};
+        Object.entries(mapping).forEach(([field, column]) => {
+            if (!isBlankCell(rowCells[column])) {
+                cells[field] = rowCells[column];
+            }
+        });
+
+        const match = importType.findExisting(cells, existing);
+        if (match && mode === 'create') {
+            return { rowNumber, cells, action: 'skip', id: match.id, payload: null, fieldErrors: {} };
+        }
+
+        const action = match ? 'update' : 'create';
+        const { values, fieldErrors } = validate(importType.schema, cells, { partial: action === 'update' });
+        const { payload, fieldErrors: referenceErrors } = importType.payload(values, existing, user);
+        Object.entries(referenceErrors).forEach(([field, message]) => {
+            fieldErrors[field] = fieldErrors[field] || message;
+        });
+
+        // A record can only be written once per import
+        const key = importType.keyFields.map(field => matchKey(cells[field])).join('\n');
+        if (importType.keyFields.every(field => cells[field] !== undefined)) {
+            if (seen.has(key)) {
+                const field = importType.keyFields[0];
+                fieldErrors[field] = fieldErrors[field] || `Same ${importType.schema[field].label} as row ${seen.get(key)}`;
+            } else {
+                seen.set(key, rowNumber);
+            }
+        }
+
+        // The key matched ignoring case, so an update keeps the record's own spelling of it
+        if (action === 'update') {
+            importType.keyFields.forEach(field => delete payload[field]);
+        }
+
+        const valid = Object.keys(fieldErrors).length === 0;
+        return {
+            rowNumber,
+            cells,
+            action: valid ? action : 'invalid',
+            id: match?.id ?? null,
+            payload: valid ? payload : null,
+            fieldErrors,
+        };
+    });
+};
+
+const failureMessage = (result) => [result.error, ...Object.values(result.fieldErrors || {})]
+    .filter(Boolean)
+    .join(': ');
+
+/**
+ * Send the planned creates and updates to the type's bulk endpoint
+ * @param {string} type - Key of IMPORT_TYPES
+ * @param {Array} plan - From planImport()
+ * @returns {Promise<Object>} { created, updated, skipped, invalid, failed, problems: [{ rowNumber, message }] }
+ */
+export const runImport = async (type, plan) => {
+    const { endpoint } = IMPORT_TYPES[type];
+    const report = {
+        created: 0,
+        updated: 0,
+        skipped: plan.filter(row => row.action === 'skip').length,
+        invalid: plan.filter(row => row.action === 'invalid').length,
+        failed: 0,
+        problems: plan
+            .filter(row => row.action === 'invalid')
+            .map(row => ({ rowNumber: row.rowNumber, message: Object.values(row.fieldErrors).join('; ') })),
+    };
+
+    const batches = [
+        { action: 'create', method: 'POST', toItem: row => row.payload },
+        { action: 'update', method: 'PUT', toItem: row => ({ ...row.payload, id: row.id }) },
+    ];
+    for (const { action, method, toItem } of batches) {
+        const rows = plan.filter(row => row.action === action);
+        for (let start = 0; start < rows.length; start += IMPORT_CHUNK_SIZE) {
+            const chunk = rows.slice(start, start + IMPORT_CHUNK_SIZE);
+            let data;
+            let ok = false;
+            try {
+                const res = await fetch(endpoint, {
+                    method,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ atomic: false, items: chunk.map(toItem) }),
+                });
+                data = await res.json();
+                ok = res.ok;
+            } catch (error) {
+                console.error('Import request failed:', error);
+                data = { error: 'The server could not be reached' };
+            }
+
+            if (!ok) {
+                // The whole request was refused, e.g. for lack of permission
+                report.failed += chunk.length;
+                const message = data.error || 'The rows could not be saved';
+                chunk.forEach(row => report.problems.push({ rowNumber: row.rowNumber, message }));
+                continue;
+            }
+            data.results.forEach(result => {
+                const row = chunk[result.index];
+                if (result.ok) {
+                    report[action === 'create' ? 'created' : 'updated'] += 1;
+                } else {
+                    report.failed += 1;
+                    report.problems.push({ rowNumber: row.rowNumber, message: failureMessage(result) });
+                }
+            });
+        }
+    }
+
+    report.problems.sort((a, b) => a.rowNumber - b.rowNumber);
+    return report;
+};
@@ -0,0 +1,250 @@
+/**
+ * Stock movement ledger.
+ *
+ * Every change to a stock quantity is recorded as an append-only movement
+ * ({ productId, warehouseId, delta, balance, reason, referenceType, referenceId }).
+ * The ledger is the source of truth; stock records are a running total of it that is
+ * updated in the same transaction and can be rebuilt with reconcileStock().
+ * Movements also record which lots and bins they moved (see lots.js and bins.js).
+ *
+ * Stock reserved for sales orders (reservations.js) can only leave with the order that
+ * reserves it: every other outbound movement - transfers, manual edits, adjustments,
+ * deletes - is refused if it would take a warehouse below what is reserved there. Stock
+ * counts are exempt, since they book what was physically found, and so are in-transit
+ * losses, which write off stock in the same transaction that booked it in.
+ */
+
+import { ApiError } from './apiError';
+import { addLots, pickLots, removeLots, unlottedQuantity } from './lots';
+import { addToBins, pickBins, removeFromBins, unassignedQuantity } from './bins';
+import { withAvailability } from './reservations';
+
+export const MOVEMENT_REASONS = {
+    opening_balance: 'Opening balance',
+    stock_added: 'Stock record added',
+    manual_edit: 'Manual edit',
+    record_deleted: 'Stock record deleted',
+    transfer_out: 'Transfer out',
+    transfer_in: 'Transfer in',
+    transfer_returned: 'Transfer returned',
+    transfer_reversal: 'Transfer reversal',
+    transfer_correction: 'Transfer correction',
+    transit_loss: 'Lost in transit',
+    goods_receipt: 'Goods receipt',
+    sales_shipment: 'Sales order shipment',
+    bin_move: 'Bin move',
+    stock_count: 'Stock count adjustment',
+    adjustment: 'Stock adjustment',
+};
+
+// Outbound movements that may take stock below what sales orders have reserved
+const RESERVATION_EXEMPT_REASONS = ['stock_count', 'transit_loss'];
+
+// Outbound movements that ship stock out, and so never pick expired lots
+const SHIPPING_REASONS = ['transfer_out', 'sales_shipment'];
+
+const stockKey = (productId, warehouseId) => `${productId}:${warehouseId}`;
+
+/**
+ * Find the stock record for a product in a warehouse
+ * @param {Array} stock - Stock records
+ */
+export const findStockRecord = (stock, productId, warehouseId) =>
+    stock.find(s => s.productId === productId && s.warehouseId === warehouseId) || null;
+
+/**
+ * Append a movement to the ledger and apply it to the matching stock record,
+ * creating the record when it does not exist yet. Must run inside a transaction.
+ *
+ * lots names the lots an inbound movement brings in, or the lots an outbound movement
+ * takes. Without it outbound movements pick lots FEFO and inbound stock is unlotted;
+ * shipments skip expired lots and are refused when only expired stock is left to pick.
+ * bins works the same way; without it outbound movements pick bins in pick-path order and
+ * inbound stock is unassigned.
+ * @param {Object} tx - Repository transaction
+ * @param {Object} movement - { productId, warehouseId, delta, reason, referenceType, referenceId, notes, lots, bins }
+ * @returns {Promise<Object>} { movement, stock } - the ledger entry and the updated stock record
+ */
+export const postMovement = async (tx, {
+    productId,
+    warehouseId,
+    delta,
+    reason,
+    referenceType = null,
+    referenceId = null,
+    notes = '',
+    lots = null,
+    bins = null,
+}) => {
+    if (!MOVEMENT_REASONS[reason]) {
+        throw new Error(`Unknown movement reason: ${reason}`);
+    }
+
+    const stock = await tx.list('stock');
+    const existing = findStockRecord(stock, productId, warehouseId);
+    const balance = (existing?.quantity || 0) + delta;
+
+    if (balance < 0) {
+        throw new ApiError(
+            400,
+            `Insufficient stock for product ${productId} in warehouse ${warehouseId}. Available: ${existing?.quantity || 0}, Requested: ${-delta}`
+        );
+    }
+
+    if (delta < 0 && !RESERVATION_EXEMPT_REASONS.includes(reason)) {
+        // A shipment spends its own order's reservation, so that order is left out
+        const salesOrders = (await tx.list('salesOrders'))
+            .filter(order => !(referenceType === 'salesOrder' && order.id === referenceId));
+        const [{ reservedQuantity, availableQuantity }] = withAvailability([existing], salesOrders);
+        if (availableQuantity < -delta) {
+            throw new ApiError(
+                400,
+                `Insufficient available stock for product ${productId} in warehouse ${warehouseId}. `
+                    + `Available: ${Math.max(availableQuantity, 0)} (${reservedQuantity} reserved for sales orders), Requested: ${-delta}`
+            );
+        }
+    }
+
+    const skipExpired = SHIPPING_REASONS.includes(reason);
+    const picked = lots || (delta < 0 ? pickLots(existing?.lots, -delta, { skipExpired }) : []);
+    if (skipExpired && delta < 0 && !lots) {
+        const pickable = picked.reduce((sum, lot) => sum + lot.quantity, 0) + Math.max(unlottedQuantity(existing), 0);
+        if (pickable < -delta) {
+            throw new ApiError(
+                400,
+                `Only ${pickable} of product ${productId} in warehouse ${warehouseId} can be shipped; `
+                    + `the rest is in expired lots, which have to be written off with an adjustment`
+            );
+        }
+    }
+    if (picked.reduce((sum, lot) => sum + lot.quantity, 0) > Math.abs(delta)) {
+        throw new ApiError(400, 'Lot quantities add up to more than the quantity moved');
+    }
+    const changes = { quantity: balance };
+    if (picked.length > 0) {
+        changes.lots = delta < 0 ? removeLots(existing?.lots, picked) : addLots(existing?.lots, picked);
+    }
+
+    const binPicks = bins || (delta < 0 && existing?.bins?.length ? pickBins(existing.bins, -delta, await tx.list('bins')) : []);
+    if (binPicks.reduce((sum, b) => sum + b.quantity, 0) > Math.abs(delta)) {
+        throw new ApiError(400, 'Bin quantities add up to more than the quantity moved');
+    }
+    if (binPicks.length > 0) {
+        changes.bins = delta < 0 ? removeFromBins(existing?.bins, binPicks) : addToBins(existing?.bins, binPicks);
+    }
+
+    const stockRecord = existing
+        ? await tx.update('stock', existing.id, changes)
+        : await tx.insert('stock', { productId, warehouseId, ...changes });
+
+    const movement = await tx.insert('movements', {
+        productId,
+        warehouseId,
+        delta,
+        balance,
+        reason,
+        referenceType,
+        referenceId,
+        notes,
+        lots: picked,
+        bins: binPicks,
+        timestamp: new Date().toISOString(),
+    });
+
+    return { movement, stock: stockRecord };
+};
+
+/**
+ * Sum ledger movements into a quantity per product and warehouse
+ * @param {Array} movements - Ledger entries
+ * @returns {Map} "productId:warehouseId" -> quantity
+ */
+export const ledgerBalances = (movements) => {
+    const balances = new Map();
+    movements.forEach(m => {
+        const key = stockKey(m.productId, m.warehouseId);
+        balances.set(key, (balances.get(key) || 0) + m.delta);
+    });
+    return balances;
+};
+
+/**
+ * Compare stock records against the ledger
+ * @param {Array} stock - Stock records
+ * @param {Array} movements - Ledger entries
+ * @returns {Array} One entry per product/warehouse whose stock differs from the ledger
+ */
+export const findDiscrepancies = (stock, movements) => {
+    const balances = ledgerBalances(movements);
+    const discrepancies = [];
+
+    stock.forEach(s => {
+        const key = stockKey(s.productId, s.warehouseId);
+        const ledgerQuantity = balances.get(key) || 0;
+        if (ledgerQuantity !== s.quantity) {
+            discrepancies.push({
+                stockId: s.id,
+                productId: s.productId,
+                warehouseId: s.warehouseId,
+                stockQuantity: s.quantity,
+                ledgerQuantity,
+                difference: s.quantity - ledgerQuantity,
+            });
+        }
+        balances.delete(key);
+    });
+
+    // Ledger balances with no stock record at all
+    balances.forEach((ledgerQuantity, key) => {
+        if (ledgerQuantity !== 0) {
+            const [productId, warehouseId] = key.split(':').map(Number);
+            discrepancies.push({
+                stockId: null,
+                productId,
+                warehouseId,
+                stockQuantity: 0,
+                ledgerQuantity,
+                difference: -ledgerQuantity,
+            });
+        }
+    });
+
+    return discrepancies;
+};
+
+/**
+ * Rewrite stock quantities so they match the ledger. Must run inside a transaction.
+ * @param {Object} tx - Repository transaction
+ * @returns {Promise<Array>} The discrepancies that were corrected
+ */
+export const reconcileStock = async (tx) => {
+    const stock = await tx.list('stock');
+    const movements = await tx.list('movements');
+    const discrepancies = findDiscrepancies(stock, movements);
+
+    for (const d of discrepancies) {
+        if (d.stockId) {
+            const record = stock.find(s => s.id === d.stockId);
+            const changes = { quantity: d.ledgerQuantity };
+            // Lots cannot hold more than the record; drop the excess from the earliest-expiring lots
+            const excess = -unlottedQuantity({ ...record, quantity: d.ledgerQuantity });
+            if (excess > 0) {
+                changes.lots = removeLots(record.lots, pickLots(record.lots, excess));
+            }
+            // Likewise for bins, in pick-path order
+            const binExcess = -unassignedQuantity({ ...record, quantity: d.ledgerQuantity });
+            if (binExcess > 0) {
+                changes.bins = removeFromBins(record.bins, pickBins(record.bins, binExcess, await tx.list('bins')));
+            }
+            await tx.update('stock', d.stockId, changes);
+        } else {
+            await tx.insert('stock', {
+                productId: d.productId,
+                warehouseId: d.warehouseId,
+                quantity: d.ledgerQuantity,
+            });
+        }
+    }
+
+    return discrepancies;
+};
@@ -0,0 +1,190 @@
+/**
+ * Paging, sorting and text search for list endpoints (GET /api/products, /api/stock, /api/transfers).
+ *
+ * Query parameters shared by every list:
+ *   ?sort=name          sort by any field, dotted paths allowed; a leading '-' sorts descending (?sort=-date)
+ *   ?q=bamboo           text search; each endpoint decides which fields it looks at
+ *   ?page=2&limit=50    page-based paging (pages start at 1)
+ *   ?cursor=...&limit=50  cursor-based paging, using nextCursor from the previous page
+ *
+ * Without page, limit or cursor a list is sent as a plain array, as it always was; with any of them
+ * it is sent as { items, total, page, limit, nextCursor }. X-Total-Count holds the number of
+ * matching records either way. Cursors remember the sort and the last record's position, so
+ * records added while a script pages through a list do not shift later pages.
+ *
+ * Each list's own filters are in listFilters, which the OpenAPI document (openapi.js) also reads.
+ */
+
+import { ValidationError, parsePayload } from './validation';
+import { RECORD_STATUSES } from './archive';
+import { TRANSFER_STATUSES } from './transfers';
+
+export const DEFAULT_LIMIT = 50;
+export const MAX_LIMIT = 200;
+
+export const listQuerySchema = {
+    page: { type: 'integer', label: 'page', min: 1 },
+    limit: { type: 'integer', label: 'limit', min: 1, max: MAX_LIMIT },
+    cursor: { type: 'string', label: 'cursor', maxLength: 500 },
+    sort: {
+        type: 'string',
+        label: 'sort',
+        maxLength: 100,
+        pattern: /^-?[A-Za-z][A-Za-z0-9]*(\.[A-Za-z][A-Za-z0-9]*)*$/,
+        patternMessage: 'sort must be a field name, with a leading - for descending order',
+    },
+    q: { type: 'string', label: 'q', maxLength: 200 },
+};
+
+/**
+ * Filters each list endpoint accepts on top of listQuerySchema, keyed by resource
+ */
+export const listFilters = {
+    products: {
+        status: { type: 'string', label: 'status', oneOf: Object.keys(RECORD_STATUSES) },
+        category: { type: 'string', label: 'category', maxLength: 100 },
+        include: { type: 'string', label: 'include', oneOf: ['availability'] },
+    },
+    stock: {
+        productId: { type: 'id', label: 'productId' },
+        warehouseId: { type: 'id', label: 'warehouseId' },
+        category: { type: 'string', label: 'category', maxLength: 100 },
+        include: { type: 'string', label: 'include', oneOf: ['details'] },
+    },
+    transfers: {
+        warehouseId: { type: 'id', label: 'warehouseId' },
+        fromWarehouseId: { type: 'id', label: 'fromWarehouseId' },
+        toWarehouseId: { type: 'id', label: 'toWarehouseId' },
+        productId: { type: 'id', label: 'productId' },
+        status: { type: 'string', label: 'status', oneOf: Object.keys(TRANSFER_STATUSES) },
+        dateFrom: { type: 'date', label: 'dateFrom' },
+        dateTo: { type: 'date', label: 'dateTo' },
+    },
+};
+
+/**
+ * Read a list request's query string
+ * @param {Object} query - req.query
+ * @param {Object} filterSchema - Rules for the endpoint's own filters, e.g. listFilters.stock
+ * @returns {Object} The paging, sorting and filter values that were given
+ * @throws {ValidationError} For malformed parameters, keyed by parameter name
+ */
+export const parseListQuery = (query, filterSchema = {}) => {
+    const values = parsePayload({ ...listQuerySchema, ...filterSchema }, query);
+    if (values.page !== undefined && values.cursor !== undefined) {
+        throw new ValidationError({ cursor: 'Use either page or cursor, not both' });
+    }
+    return values;
+};
+
+/**
+ * Whether any of the values contains the search text, ignoring case. An empty search matches everything.
+ */
+export const matchesSearch = (q, ...values) => {
+    if (!q) {
+        return true;
+    }
+    const needle = q.toLowerCase();
+    return values.some(value => value !== undefined && value !== null && String(value).toLowerCase().includes(needle));
+};
+
+/**
+ * Whether an ISO timestamp falls within a YYYY-MM-DD range; both ends are optional and inclusive
+ */
+export const withinDates = (timestamp, dateFrom, dateTo) => {
+    const day = String(timestamp || '').slice(0, 10);
+    return (!dateFrom || day >= dateFrom) && (!dateTo || day <= dateTo);
+};
+
+const valueAt = (record, path) => path.split('.').reduce((value, key) => value?.[key], record);
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Numbers compare as numbers and everything else as text, with digits in text compared numerically
+const compareValues = (a, b) => {
+    if (typeof a === 'number' && typeof b === 'number') {
+        return a - b;
+    }
+    return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+};
+
+/**
+ * Order two [value, id] sort keys. Blank values always come last; ids break ties so the order
+ * is total and cursors are stable.
+ */
+const compareKeys = ([aValue, aId], [bValue, bId], descending) => {
+    if (isBlank(aValue) !== isBlank(bValue)) {
+        return isBlank(aValue) ? 1 : -1;
+    }
+    const byValue = isBlank(aValue) ? 0 : compareValues(aValue, bValue);
+    if (byValue !== 0) {
+        return descending ? -byValue : byValue;
+    }
+    return aId - bId;
+};
+
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+const decodeCursor = (cursor, sort) => {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch {
+        decoded = null;
+    }
+    if (!decoded || typeof decoded !== 'object' || !Number.isInteger(decoded.id)) {
+        throw new ValidationError({ cursor: 'cursor is not valid' });
+    }
+    if (decoded.sort !== sort) {
+        throw new ValidationError({ cursor: 'cursor was issued for a different sort; start again without it' });
+    }
+    return decoded;
+};
+
+/**
+ * Sort filtered records and cut out the requested page
+ * @param {Array} records - Records that passed the endpoint's filters; each needs a numeric id
+ * @param {Object} query - From parseListQuery()
+ * @param {string} defaultSort - Sort used when ?sort is not given, e.g. '-date'
+ * @returns {Object} { items, total, page, limit, nextCursor, paged }; page is null for cursor paging
+ *   and nextCursor null on the last page
+ */
+export const pageRecords = (records, query, defaultSort = 'id') => {
+    const sort = query.sort || defaultSort;
+    const descending = sort.startsWith('-');
+    const field = descending ? sort.slice(1) : sort;
+    const sortKey = (record) => [valueAt(record, field), record.id];
+
+    const sorted = [...records].sort((a, b) => compareKeys(sortKey(a), sortKey(b), descending));
+    const total = sorted.length;
+    const paged = query.page !== undefined || query.limit !== undefined || query.cursor !== undefined;
+    if (!paged) {
+        return { items: sorted, total, page: null, limit: null, nextCursor: null, paged };
+    }
+
+    const limit = query.limit || DEFAULT_LIMIT;
+    let start;
+    if (query.cursor !== undefined) {
+        const after = decodeCursor(query.cursor, sort);
+        start = sorted.findIndex(record => compareKeys(sortKey(record), [after.value, after.id], descending) > 0);
+        start = start === -1 ? total : start;
+    } else {
+        start = ((query.page || 1) - 1) * limit;
+    }
+
+    const items = sorted.slice(start, start + limit);
+    const last = items[items.length - 1];
+    const nextCursor = start + limit < total
+        ? encodeCursor({ sort, value: valueAt(last, field) ?? null, id: last.id })
+        : null;
+
+    return { items, total, page: query.cursor !== undefined ? null : (query.page || 1), limit, nextCursor, paged };
+};
+
+/**
+ * Send a page from pageRecords(): a plain array unless paging was asked for
+ */
+export const sendList = (res, { items, total, page, limit, nextCursor, paged }) => {
+    res.setHeader('X-Total-Count', String(total));
+    res.status(200).json(paged ? { items, total, page, limit, nextCursor } : items);
+};
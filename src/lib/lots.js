@@ -0,0 +1,208 @@
+/**
+ * Lot (batch) tracking with expiry dates.
+ *
+ * A stock record may split part or all of its quantity into lots:
+ * lots: [{ lotNumber, manufacturedAt, expiresAt, quantity }]. Whatever the lots do not
+ * cover is unlotted stock. Lots are optional, so records without them behave as before.
+ *
+ * Outbound movements pick lots first-expiry-first-out (FEFO); unlotted stock is only used
+ * once the lots are exhausted. Expired lots are never picked for shipping, only written off.
+ * Lots that leave one warehouse arrive in the other with the same lot number and dates.
+ */
+
+import { ApiError } from './apiError';
+
+// Lots expiring within this many days are flagged on the Alerts page
+export const LOT_EXPIRY_WARNING_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check and normalize the lot fields of a request
+ * @param {Object} payload - { lotNumber, manufacturedAt, expiresAt }
+ * @returns {Object|null} { lotNumber, manufacturedAt, expiresAt }, or null when no lot number was given
+ */
+export const normalizeLot = (payload) => {
+    const lotNumber = (payload.lotNumber || '').trim();
+    if (!lotNumber) {
+        if (payload.manufacturedAt || payload.expiresAt) {
+            throw new ApiError(400, 'A lot number is required when dates are given');
+        }
+        return null;
+    }
+
+    const manufacturedAt = payload.manufacturedAt || null;
+    const expiresAt = payload.expiresAt || null;
+    [manufacturedAt, expiresAt].forEach(date => {
+        if (date && (!DATE_PATTERN.test(date) || Number.isNaN(Date.parse(date)))) {
+            throw new ApiError(400, `Invalid date ${date}; use YYYY-MM-DD`);
+        }
+    });
+    if (manufacturedAt && expiresAt && expiresAt <= manufacturedAt) {
+        throw new ApiError(400, 'Expiry date must be after the manufacture date');
+    }
+
+    return { lotNumber, manufacturedAt, expiresAt };
+};
+
+/**
+ * Lots in picking order: earliest expiry first, lots without an expiry date last
+ */
+export const sortFEFO = (lots) => [...lots].sort((a, b) =>
+    (a.expiresAt || '9999-12-31').localeCompare(b.expiresAt || '9999-12-31')
+    || (a.manufacturedAt || '').localeCompare(b.manufacturedAt || '')
+    || a.lotNumber.localeCompare(b.lotNumber)
+);
+
+/**
+ * Quantity of a stock record that is not in any lot
+ */
+export const unlottedQuantity = (record) =>
+    record.quantity - (record.lots || []).reduce((sum, lot) => sum + lot.quantity, 0);
+
+/**
+ * Whether a lot's expiry date has passed
+ */
+export const isExpired = (lot, now = new Date()) =>
+    Boolean(lot.expiresAt) && lot.expiresAt < now.toISOString().slice(0, 10);
+
+/**
+ * Quantity of a stock record held in expired lots, which cannot be shipped
+ */
+export const expiredQuantity = (record, now = new Date()) =>
+    (record.lots || []).filter(lot => isExpired(lot, now)).reduce((sum, lot) => sum + lot.quantity, 0);
+
+/**
+ * Choose which lots an outbound quantity comes from, FEFO
+ * @param {Object} options - { skipExpired }: leave expired lots where they are
+ * @returns {Array} [{ lotNumber, manufacturedAt, expiresAt, quantity }]; may cover less than
+ *   quantity when the rest comes from unlotted stock
+ */
+export const pickLots = (lots, quantity, { skipExpired = false, now = new Date() } = {}) => {
+    const picks = [];
+    let remaining = quantity;
+    for (const lot of sortFEFO(lots || []).filter(l => !skipExpired || !isExpired(l, now))) {
+        if (remaining === 0) break;
+        const take = Math.min(remaining, lot.quantity);
+        if (take > 0) {
+            picks.push({ ...lot, quantity: take });
+            remaining -= take;
+        }
+    }
+    return picks;
+};
+
+/**
+ * The lots of quantity units starting offset units into a list of picked lots. Used to work out
+ * which lots a partial receipt or a return covers from the lots a transfer line shipped with.
+ */
+export const sliceLots = (lots, offset, quantity) => {
+    const slice = [];
+    let skip = offset;
+    let remaining = quantity;
+    for (const lot of lots || []) {
+        if (remaining === 0) break;
+        const usable = Math.max(lot.quantity - skip, 0);
+        skip = Math.max(skip - lot.quantity, 0);
+        const take = Math.min(usable, remaining);
+        if (take > 0) {
+            slice.push({ ...lot, quantity: take });
+            remaining -= take;
+        }
+    }
+    return slice;
+};
+
+/**
+ * Merge incoming lots into a record's lots, matching on lot number
+ */
+export const addLots = (lots, incoming) => {
+    const merged = (lots || []).map(lot => ({ ...lot }));
+    incoming.forEach(lot => {
+        const existing = merged.find(l => l.lotNumber === lot.lotNumber);
+        if (existing) {
+            existing.quantity += lot.quantity;
+        } else {
+            merged.push({ ...lot });
+        }
+    });
+    return merged;
+};
+
+/**
+ * Take picked lots out of a record's lots; lots that reach zero are dropped
+ * @throws {ApiError} When a lot does not hold enough
+ */
+export const removeLots = (lots, picks) => {
+    const remaining = (lots || []).map(lot => ({ ...lot }));
+    picks.forEach(pick => {
+        const lot = remaining.find(l => l.lotNumber === pick.lotNumber);
+        if (!lot || lot.quantity < pick.quantity) {
+            throw new ApiError(400, `Lot ${pick.lotNumber} holds only ${lot?.quantity || 0}; cannot take ${pick.quantity}`);
+        }
+        lot.quantity -= pick.quantity;
+    });
+    return remaining.filter(lot => lot.quantity > 0);
+};
+
+/**
+ * Whole days until a lot expires; negative once it has expired
+ */
+export const daysUntilExpiry = (lot, now = new Date()) => {
+    const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+    return Math.round((Date.parse(lot.expiresAt) - today) / DAY_MS);
+};
+
+/**
+ * Alerts for lots that have expired or expire within LOT_EXPIRY_WARNING_DAYS
+ * @param {Array} stock - Stock records
+ * @param {Object} lookups - { products, warehouses }
+ * @returns {Array} Soonest expiry first
+ */
+export const lotExpiryAlerts = (stock, { products, warehouses }, now = new Date()) => {
+    const alerts = [];
+    stock.forEach(record => {
+        (record.lots || []).filter(lot => lot.expiresAt && lot.quantity > 0).forEach(lot => {
+            const daysLeft = daysUntilExpiry(lot, now);
+            if (daysLeft > LOT_EXPIRY_WARNING_DAYS) {
+                return;
+            }
+            const product = products.find(p => p.id === record.productId);
+            const warehouse = warehouses.find(w => w.id === record.warehouseId);
+
+            let status = 'expiring';
+            let severity = 'medium';
+            let recommendedAction = 'Prioritize this lot for picking or promotion';
+            if (daysLeft < 0) {
+                status = 'expired';
+                severity = 'critical';
+                recommendedAction = 'Quarantine and write off the expired lot';
+            } else if (daysLeft <= 7) {
+                severity = 'high';
+                recommendedAction = 'Ship or transfer this lot before it expires';
+            }
+
+            alerts.push({
+                type: 'lot_expiry',
+                stockId: record.id,
+                productId: record.productId,
+                productName: product?.name || 'Unknown Product',
+                productSku: product?.sku || 'N/A',
+                warehouseId: record.warehouseId,
+                warehouseName: warehouse?.name || 'Unknown Warehouse',
+                lotNumber: lot.lotNumber,
+                manufacturedAt: lot.manufacturedAt,
+                expiresAt: lot.expiresAt,
+                quantity: lot.quantity,
+                daysUntilExpiry: daysLeft,
+                status,
+                severity,
+                recommendedAction,
+                value: lot.quantity * (product?.unitCost || 0),
+            });
+        });
+    });
+
+    return alerts.sort((a, b) => a.daysUntilExpiry - b.daysUntilExpiry);
+};
@@ -0,0 +1,1120 @@
+/**
+ * OpenAPI 3.1 document for the API, served by GET /api/openapi and browsed on the /api-docs page.
+ *
+ * Request bodies and list filters are generated from the rules the handlers validate with
+ * (validation.js and listFilters in listQuery.js), so a rule cannot change without the document
+ * changing too. Responses are described here by hand; the explorer's contract check (contract.js)
+ * calls the read endpoints and reports any response that no longer matches its description.
+ *
+ * Every error is { error }, with fieldErrors, lineErrors or dependents when the failure
+ * has that detail (sendError in apiError.js).
+ */
+
+import { API_KEY_HEADER, SESSION_COOKIE } from './auth';
+import { API_KEY_RESOURCES, PERMISSIONS, ROLES } from './permissions';
+import { AUDIT_ACTIONS, AUDIT_ENTITIES } from './audit';
+import { RECORD_ACTIONS, RECORD_STATUSES } from './archive';
+import { DELETE_MODES } from './dependents';
+import { TRANSFER_ACTIONS, TRANSFER_STATUSES } from './transfers';
+import { PO_ACTIONS, PO_STATUSES } from './purchaseOrders';
+import { SO_ACTIONS, SO_STATUSES } from './salesOrders';
+import { COUNT_ACTIONS, COUNT_STATUSES } from './stockCounts';
+import { ADJUSTMENT_ACTIONS, ADJUSTMENT_STATUSES, REASON_DIRECTIONS } from './adjustments';
+import { MOVEMENT_REASONS } from './ledger';
+import { listFilters, listQuerySchema } from './listQuery';
+import { BULK_LIMIT } from './bulk';
+import { ALERT_SEVERITIES, ALERT_STATUSES } from './alerts';
+import { EXPORT_FORMATS } from './exportUtils';
+import { REPORTS, REPORT_FORMATS, reportQuerySchema } from './reports';
+import {
+    adjustmentReasonSchema,
+    adjustmentSchema,
+    alertSchema,
+    apiKeySchema,
+    binSchema,
+    productSchema,
+    purchaseOrderDraftSchema,
+    purchaseOrderSchema,
+    salesOrderSchema,
+    stockSchema,
+    supplierSchema,
+    transferLineSchema,
+    transferSchema,
+    userSchema,
+    warehouseSchema,
+} from './validation';
+
+const JSON_TYPES = {
+    string: 'string',
+    integer: 'integer',
+    number: 'number',
+    id: 'integer',
+    date: 'string',
+    boolean: 'boolean',
+    array: 'array',
+};
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const json = (schema) => ({ 'application/json': { schema } });
+
+const nullable = (type) => ({ type: [type, 'null'] });
+
+/**
+ * One validation.js rule as a JSON Schema property
+ */
+const propertyFromRule = (rule) => ({
+    type: JSON_TYPES[rule.type],
+    description: rule.label,
+    ...(rule.type === 'id' && { minimum: 1 }),
+    ...(rule.type === 'date' && { format: 'date' }),
+    ...(rule.min !== undefined && { minimum: rule.min }),
+    ...(rule.max !== undefined && { maximum: rule.max }),
+    ...(rule.minLength && { minLength: rule.minLength }),
+    ...(rule.maxLength && { maxLength: rule.maxLength }),
+    ...(rule.pattern && { pattern: rule.pattern.source }),
+    ...(rule.oneOf && { enum: rule.oneOf }),
+    ...(rule.type === 'array' && { items: schemaFromRules(rule.items) }),
+    ...(rule.minItems && { minItems: rule.minItems }),
+});
+
+/**
+ * A validation.js schema as a JSON Schema object
+ * @param {Object} rules - Field rules, e.g. productSchema
+ * @param {Object} options - { partial: nothing is required, as for an update; properties: extra
+ *   fields the handler reads outside the schema }
+ */
+export const schemaFromRules = (rules, { partial = false, properties = {} } = {}) => {
+    const required = partial ? [] : Object.keys(rules).filter(field => rules[field].required);
+    return {
+        type: 'object',
+        properties: {
+            ...Object.fromEntries(Object.entries(rules).map(([field, rule]) => [field, propertyFromRule(rule)])),
+            ...properties,
+        },
+        ...(required.length > 0 && { required }),
+    };
+};
+
+/**
+ * A stored record: the fields of its payload schema plus an id, and whatever else the handler adds
+ */
+const recordFromRules = (rules, properties = {}) => {
+    const schema = schemaFromRules(rules);
+    return {
+        ...schema,
+        properties: { id: { type: 'integer', minimum: 1 }, ...schema.properties, ...properties },
+        required: ['id', ...(schema.required || [])],
+    };
+};
+
+const queryParameters = (rules) => Object.entries(rules).map(([name, rule]) => {
+    const { description, ...schema } = propertyFromRule(rule);
+    return { name, in: 'query', required: Boolean(rule.required), description, schema };
+});
+
+const queryParameter = (name, description, schema = { type: 'string' }) => ({ name, in: 'query', description, schema });
+
+const idParameter = (description) => ({
+    name: 'id',
+    in: 'path',
+    required: true,
+    description,
+    schema: { type: 'integer', minimum: 1 },
+});
+
+const actionBody = (actions, properties = {}) => ({
+    type: 'object',
+    properties: { action: { type: 'string', enum: Object.keys(actions) }, ...properties },
+    required: ['action'],
+});
+
+const lineItems = (properties = {}) => ({
+    type: 'array',
+    minItems: 1,
+    items: schemaFromRules(transferLineSchema, { properties }),
+});
+
+const listOf = (schema) => ({ type: 'array', items: schema });
+
+const ERROR_DESCRIPTIONS = {
+    400: 'The request is malformed or fails validation; fieldErrors names each field',
+    401: 'Not signed in, or the API key is invalid or revoked',
+    403: 'The signed-in user or API key may not do this',
+    404: 'No record with this id',
+    409: 'Clashes with another record or with the record\'s current status',
+};
+
+const errorResponse = (status) => ({ description: ERROR_DESCRIPTIONS[status], content: json(ref('Error')) });
+
+/**
+ * One operation
+ * @param {string} tag - Group shown in the explorer
+ * @param {string} summary - What the operation does
+ * @param {Object} options - { permission, parameters, body, status: success status, response: success
+ *   schema, paged: a list that sends X-Total-Count, files: other media types the success response
+ *   can be downloaded as, errors: error statuses besides 401/403, signIn: false for the
+ *   unauthenticated auth routes }
+ */
+const operation = (tag, summary, {
+    permission = 'view',
+    parameters = [],
+    body,
+    status = 200,
+    response = ref('Record'),
+    errors = [],
+    signIn = true,
+    description,
+    paged = false,
+    files = [],
+} = {}) => {
+    const success = status === 204
+        ? { description: 'Done; there is no body' }
+        : {
+            description: 'Success',
+            content: {
+                ...json(response),
+                ...Object.fromEntries(files.map(type => [type, { schema: { type: 'string', format: 'binary' } }])),
+            },
+            ...(paged && { headers: { 'X-Total-Count': { description: 'Number of matching records', schema: { type: 'integer' } } } }),
+        };
+
+    return {
+        tags: [tag],
+        summary,
+        ...(description && { description }),
+        ...(signIn ? { 'x-permission': permission } : { security: [] }),
+        ...(parameters.length > 0 && { parameters }),
+        ...(body && { requestBody: { required: true, content: json(body) } }),
+        responses: {
+            [status]: success,
+            ...Object.fromEntries(errors.map(code => [code, errorResponse(code)])),
+            ...(signIn && { 401: errorResponse(401), 403: errorResponse(403) }),
+        },
+    };
+};
+
+// A list that pages when asked to: a plain array, or { items, total, page, limit, nextCursor }
+const pagedList = (schema) => ({
+    oneOf: [
+        listOf(schema),
+        {
+            type: 'object',
+            properties: {
+                items: listOf(schema),
+                total: { type: 'integer' },
+                page: nullable('integer'),
+                limit: { type: 'integer' },
+                nextCursor: nullable('string'),
+            },
+            required: ['items', 'total', 'page', 'limit', 'nextCursor'],
+        },
+    ],
+});
+
+const listParameters = (resource) => queryParameters({ ...listQuerySchema, ...listFilters[resource] });
+
+const STATUS_FIELDS = {
+    status: { type: 'string', enum: Object.keys(RECORD_STATUSES) },
+    archivedAt: nullable('string'),
+};
+
+const lotSchema = {
+    type: 'object',
+    properties: {
+        lotNumber: nullable('string'),
+        manufacturedAt: nullable('string'),
+        expiresAt: nullable('string'),
+        quantity: { type: 'integer' },
+    },
+    required: ['quantity'],
+};
+
+const schemas = {
+    Error: {
+        type: 'object',
+        properties: {
+            error: { type: 'string' },
+            fieldErrors: { type: 'object', additionalProperties: { type: 'string' } },
+            lineErrors: listOf({
+                type: 'object',
+                properties: { line: { type: 'integer' }, error: { type: 'string' } },
+                required: ['line', 'error'],
+            }),
+            dependents: listOf({ type: 'object' }),
+        },
+        required: ['error'],
+    },
+    Record: {
+        type: 'object',
+        properties: { id: { type: 'integer', minimum: 1 } },
+        required: ['id'],
+    },
+    ProductInput: schemaFromRules(productSchema),
+    Product: recordFromRules(productSchema, STATUS_FIELDS),
+    WarehouseInput: schemaFromRules(warehouseSchema),
+    Warehouse: recordFromRules(warehouseSchema, STATUS_FIELDS),
+    StockInput: schemaFromRules(stockSchema),
+    Stock: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer', minimum: 1 },
+            productId: propertyFromRule(stockSchema.productId),
+            warehouseId: propertyFromRule(stockSchema.warehouseId),
+            quantity: propertyFromRule(stockSchema.quantity),
+            lots: listOf(lotSchema),
+            bins: listOf({
+                type: 'object',
+                properties: { binId: { type: 'integer' }, quantity: { type: 'integer' } },
+                required: ['binId', 'quantity'],
+            }),
+            reservedQuantity: { type: 'integer', description: 'Reserved for sales orders (lists only)' },
+            availableQuantity: { type: 'integer', description: 'On hand less reserved (lists only)' },
+            shippableQuantity: { type: 'integer', description: 'Available less what is in expired lots (lists only)' },
+            productName: { type: 'string', description: '?include=details only' },
+            productSku: { type: 'string', description: '?include=details only' },
+            productStatus: nullable('string'),
+            inboundQuantity: { type: 'integer', description: 'Shipped towards the record, not yet received (?include=details only)' },
+        },
+        required: ['id', 'productId', 'warehouseId', 'quantity'],
+    },
+    TransferInput: schemaFromRules(transferSchema),
+    Transfer: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer', minimum: 1 },
+            reference: { type: 'string' },
+            fromWarehouseId: propertyFromRule(transferSchema.fromWarehouseId),
+            toWarehouseId: propertyFromRule(transferSchema.toWarehouseId),
+            fromWarehouseName: { type: 'string' },
+            toWarehouseName: { type: 'string' },
+            status: { type: 'string', enum: Object.keys(TRANSFER_STATUSES) },
+            date: { type: 'string' },
+            notes: { type: 'string' },
+            lines: listOf({
+                type: 'object',
+                properties: {
+                    productId: { type: 'integer' },
+                    productName: { type: 'string' },
+                    productSku: { type: 'string' },
+                    quantity: { type: 'integer' },
+                    receivedQuantity: { type: 'integer' },
+                    inTransitQuantity: { type: 'integer' },
+                },
+                required: ['productId', 'quantity'],
+            }),
+            totalQuantity: { type: 'integer' },
+            availableActions: listOf({ type: 'string', enum: Object.keys(TRANSFER_ACTIONS) }),
+            history: listOf({ type: 'object' }),
+        },
+        required: ['id', 'reference', 'fromWarehouseId', 'toWarehouseId', 'status', 'date', 'lines'],
+    },
+    AlertInput: schemaFromRules(alertSchema),
+    StockAlert: {
+        type: 'object',
+        properties: {
+            type: { type: 'string', enum: ['stock_level'] },
+            productId: { type: 'integer' },
+            productName: { type: 'string' },
+            productSku: { type: 'string' },
+            currentStock: { type: 'integer', description: 'Available: on hand less reserved' },
+            onHandStock: { type: 'integer' },
+            reservedStock: { type: 'integer' },
+            reorderPoint: { type: 'integer' },
+            status: { type: 'string', enum: ALERT_STATUSES },
+            severity: { type: 'string', enum: ALERT_SEVERITIES },
+            recommendedAction: { type: 'string' },
+            reorderQuantity: { type: 'integer' },
+            estimatedCost: { type: 'number' },
+            warehouseBreakdown: listOf({ type: 'object' }),
+            acknowledged: { type: 'boolean' },
+        },
+        required: ['type', 'productId', 'currentStock', 'status', 'severity', 'acknowledged'],
+    },
+    LotExpiryAlert: {
+        type: 'object',
+        properties: {
+            type: { type: 'string', enum: ['lot_expiry'] },
+            stockId: { type: 'integer' },
+            productId: { type: 'integer' },
+            warehouseId: { type: 'integer' },
+            lotNumber: nullable('string'),
+            expiresAt: { type: 'string' },
+            quantity: { type: 'integer' },
+            daysUntilExpiry: { type: 'integer' },
+            status: { type: 'string', enum: ['expired', 'expiring'] },
+            severity: { type: 'string' },
+            value: { type: 'number' },
+        },
+        required: ['type', 'stockId', 'productId', 'warehouseId', 'expiresAt', 'quantity', 'daysUntilExpiry'],
+    },
+    ReportColumn: {
+        type: 'object',
+        properties: {
+            key: { type: 'string' },
+            label: { type: 'string' },
+            type: { type: 'string', enum: ['integer', 'number', 'currency', 'date', 'datetime'] },
+        },
+        required: ['key', 'label'],
+    },
+    Report: {
+        type: 'object',
+        properties: {
+            report: { type: 'string', enum: Object.keys(REPORTS) },
+            title: { type: 'string' },
+            generatedAt: { type: 'string' },
+            filters: { type: 'object', description: 'The filters the report was built with' },
+            summary: { type: 'object', description: 'Totals over every row' },
+            columns: listOf(ref('ReportColumn')),
+            rows: listOf({ type: 'object', description: 'One value per column, keyed by column key' }),
+        },
+        required: ['report', 'title', 'generatedAt', 'filters', 'summary', 'columns', 'rows'],
+    },
+    BulkResult: {
+        type: 'object',
+        properties: {
+            atomic: { type: 'boolean' },
+            saved: { type: 'boolean', description: 'Whether any row was written' },
+            succeeded: { type: 'integer' },
+            failed: { type: 'integer' },
+            results: listOf({
+                type: 'object',
+                properties: {
+                    index: { type: 'integer', description: 'Position of the row in items' },
+                    ok: { type: 'boolean' },
+                    status: { type: 'integer', description: 'What the single-record endpoint would have answered' },
+                    record: { type: 'object' },
+                    error: { type: 'string' },
+                    fieldErrors: { type: 'object', additionalProperties: { type: 'string' } },
+                },
+                required: ['index', 'ok', 'status'],
+            }),
+        },
+        required: ['atomic', 'saved', 'succeeded', 'failed', 'results'],
+    },
+    User: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer', minimum: 1 },
+            username: { type: 'string' },
+            name: { type: 'string' },
+            role: { type: 'string', enum: Object.keys(ROLES) },
+            warehouseIds: listOf({ type: 'integer' }),
+            active: { type: 'boolean' },
+        },
+        required: ['id', 'username', 'name', 'role', 'warehouseIds'],
+    },
+    ApiKey: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer', minimum: 1 },
+            name: { type: 'string' },
+            prefix: { type: 'string' },
+            access: propertyFromRule(apiKeySchema.access),
+            resources: listOf({ type: 'string' }),
+            createdAt: { type: 'string' },
+            lastUsedAt: nullable('string'),
+            revokedAt: nullable('string'),
+            key: { type: 'string', description: 'The full key; only sent when it is issued or rotated' },
+        },
+        required: ['id', 'name', 'prefix', 'access', 'resources', 'createdAt'],
+    },
+};
+
+const PRODUCTS = 'Products';
+const WAREHOUSES = 'Warehouses';
+const STOCK = 'Stock';
+const TRANSFERS = 'Transfers';
+const ALERTS = 'Alerts';
+const PURCHASING = 'Purchasing';
+const SALES = 'Sales orders';
+const WAREHOUSE_OPS = 'Bins, counts & adjustments';
+const HISTORY = 'Movements & audit';
+const ACCESS = 'Users, API keys & sign-in';
+const REPORTING = 'Reports';
+
+const warehouseQuery = queryParameter('warehouseId', 'Only this warehouse', { type: 'integer', minimum: 1 });
+const productQuery = queryParameter('productId', 'Only this product', { type: 'integer', minimum: 1 });
+const statusQuery = (statuses) => queryParameter('status', 'Only this status', { type: 'string', enum: Object.keys(statuses) });
+
+const apiKeyBody = schemaFromRules(apiKeySchema, {
+    properties: { resources: listOf({ type: 'string', enum: ['*', ...Object.keys(API_KEY_RESOURCES)] }) },
+});
+
+const userBody = schemaFromRules(userSchema, { properties: { warehouseIds: listOf({ type: 'integer', minimum: 1 }) } });
+
+const archiveBody = actionBody(RECORD_ACTIONS);
+
+const noteProperty = { note: { type: 'string' } };
+
+// Null leaves a bin without a capacity limit
+const binCapacity = { capacity: { ...nullable('integer'), minimum: binSchema.capacity.min } };
+
+// Reason directions live in adjustments.js, so the schema leaves them to normalizeReason
+const reasonDirection = { direction: { type: 'string', enum: Object.keys(REASON_DIRECTIONS) } };
+
+const bulkBody = (items) => ({
+    type: 'object',
+    properties: {
+        atomic: { type: 'boolean', description: 'true (default): any failed row cancels the batch; false: keep the rows that succeed' },
+        items: { ...listOf(items), minItems: 1, maxItems: BULK_LIMIT },
+    },
+    required: ['items'],
+});
+
+const ROW_ID = { id: { type: 'integer', minimum: 1 } };
+
+// POST, PUT and DELETE on a collection's /bulk endpoint (see bulk.js)
+const bulkPath = (tag, noun, rules, { permission, parameters = [] }) => {
+    const options = { permission, response: ref('BulkResult'), errors: [400, 409] };
+    return {
+        post: operation(tag, `Create many ${noun}`, { ...options, body: bulkBody(schemaFromRules(rules)) }),
+        put: operation(tag, `Change many ${noun}`, {
+            ...options,
+            body: bulkBody({ ...schemaFromRules(rules, { partial: true, properties: ROW_ID }), required: ['id'] }),
+        }),
+        delete: operation(tag, `Delete many ${noun}`, {
+            ...options,
+            parameters,
+            body: bulkBody({ type: 'object', properties: ROW_ID, required: ['id'] }),
+        }),
+    };
+};
+
+const deleteModeQuery = queryParameter('mode', 'How to treat dependent records', { type: 'string', enum: Object.keys(DELETE_MODES) });
+
+const paths = {
+    '/api/products': {
+        get: operation(PRODUCTS, 'List products', {
+            description: 'Archived products are included unless ?status=active. ?q searches name and SKU. '
+                + '?include=availability adds onHand, reserved and available totals across warehouses.',
+            parameters: listParameters('products'),
+            response: pagedList(ref('Product')),
+            paged: true,
+            errors: [400],
+        }),
+        post: operation(PRODUCTS, 'Create a product', {
+            permission: 'manage_inventory',
+            body: ref('ProductInput'),
+            status: 201,
+            response: ref('Product'),
+            errors: [400, 409],
+        }),
+    },
+    '/api/products/{id}': {
+        get: operation(PRODUCTS, 'Get a product', {
+            parameters: [idParameter('Product id'), queryParameter('include', 'dependents: also count what refers to the product', { type: 'string', enum: ['dependents'] })],
+            response: ref('Product'),
+            errors: [404],
+        }),
+        put: operation(PRODUCTS, 'Change a product', {
+            permission: 'manage_inventory',
+            parameters: [idParameter('Product id')],
+            body: schemaFromRules(productSchema, { partial: true }),
+            response: ref('Product'),
+            errors: [400, 404, 409],
+        }),
+        post: operation(PRODUCTS, 'Archive or restore a product', {
+            permission: 'manage_inventory',
+            parameters: [idParameter('Product id')],
+            body: archiveBody,
+            response: ref('Product'),
+            errors: [400, 404, 409],
+        }),
+        delete: operation(PRODUCTS, 'Delete a product', {
+            description: 'Refused while anything depends on the product unless ?mode=cascade.',
+            permission: 'manage_inventory',
+            parameters: [idParameter('Product id'), deleteModeQuery],
+            status: 204,
+            errors: [404, 409],
+        }),
+    },
+    '/api/products/bulk': bulkPath(PRODUCTS, 'products', productSchema, { permission: 'manage_inventory', parameters: [deleteModeQuery] }),
+    '/api/warehouses': {
+        get: operation(WAREHOUSES, 'List warehouses', { response: listOf(ref('Warehouse')) }),
+        post: operation(WAREHOUSES, 'Create a warehouse', {
+            permission: 'manage_inventory',
+            body: ref('WarehouseInput'),
+            status: 201,
+            response: ref('Warehouse'),
+            errors: [400, 409],
+        }),
+    },
+    '/api/warehouses/{id}': {
+        get: operation(WAREHOUSES, 'Get a warehouse', {
+            parameters: [idParameter('Warehouse id'), queryParameter('include', 'dependents: also count what refers to the warehouse', { type: 'string', enum: ['dependents'] })],
+            response: ref('Warehouse'),
+            errors: [404],
+        }),
+        put: operation(WAREHOUSES, 'Change a warehouse', {
+            permission: 'manage_inventory',
+            parameters: [idParameter('Warehouse id')],
+            body: schemaFromRules(warehouseSchema, { partial: true }),
+            response: ref('Warehouse'),
+            errors: [400, 404, 409],
+        }),
+        post: operation(WAREHOUSES, 'Archive or restore a warehouse', {
+            permission: 'manage_inventory',
+            parameters: [idParameter('Warehouse id')],
+            body: archiveBody,
+            response: ref('Warehouse'),
+            errors: [400, 404, 409],
+        }),
+        delete: operation(WAREHOUSES, 'Delete a warehouse', {
+            description: 'Refused while anything depends on the warehouse unless ?mode=cascade.',
+            permission: 'manage_inventory',
+            parameters: [idParameter('Warehouse id'), deleteModeQuery],
+            status: 204,
+            errors: [404, 409],
+        }),
+    },
+    '/api/warehouses/bulk': bulkPath(WAREHOUSES, 'warehouses', warehouseSchema, { permission: 'manage_inventory', parameters: [deleteModeQuery] }),
+    '/api/stock': {
+        get: operation(STOCK, 'List stock records', {
+            description: '?q searches the product\'s name and SKU. Each record carries reserved and available quantities; '
+                + '?include=details adds the product\'s name, SKU and status and the quantity inbound from transfers.',
+            parameters: listParameters('stock'),
+            response: pagedList(ref('Stock')),
+            paged: true,
+            errors: [400],
+        }),
+        post: operation(STOCK, 'Create a stock record', {
+            description: 'Lot fields put the opening quantity into a lot.',
+            permission: 'move_stock',
+            body: ref('StockInput'),
+            status: 201,
+            response: ref('Stock'),
+            errors: [400, 409],
+        }),
+    },
+    '/api/stock/{id}': {
+        get: operation(STOCK, 'Get a stock record', {
+            parameters: [idParameter('Stock record id')],
+            response: ref('Stock'),
+            errors: [404],
+        }),
+        put: operation(STOCK, 'Change a stock record', {
+            description: 'Lot fields describe the lot of any quantity added.',
+            permission: 'move_stock',
+            parameters: [idParameter('Stock record id')],
+            body: schemaFromRules(stockSchema, { partial: true }),
+            response: ref('Stock'),
+            errors: [400, 404, 409],
+        }),
+        delete: operation(STOCK, 'Delete a stock record', {
+            permission: 'move_stock',
+            parameters: [idParameter('Stock record id')],
+            status: 204,
+            errors: [404, 409],
+        }),
+    },
+    '/api/stock/bulk': bulkPath(STOCK, 'stock records', stockSchema, { permission: 'move_stock' }),
+    '/api/stock/reconcile': {
+        get: operation(STOCK, 'Compare stock records with the movement ledger', {
+            response: {
+                type: 'object',
+                properties: { inSync: { type: 'boolean' }, discrepancies: listOf({ type: 'object' }) },
+                required: ['inSync', 'discrepancies'],
+            },
+        }),
+        post: operation(STOCK, 'Correct stock records from the movement ledger', {
+            permission: 'manage_inventory',
+            response: {
+                type: 'object',
+                properties: { message: { type: 'string' }, corrected: listOf({ type: 'object' }) },
+                required: ['message', 'corrected'],
+            },
+        }),
+    },
+    '/api/transfers': {
+        get: operation(TRANSFERS, 'List transfers', {
+            description: 'Newest first. warehouseId matches either end; ?q searches the reference and product names and SKUs.',
+            parameters: listParameters('transfers'),
+            response: pagedList(ref('Transfer')),
+            paged: true,
+            errors: [400],
+        }),
+        post: operation(TRANSFERS, 'Create a transfer order', {
+            description: 'Starts out pending unless ship is set. A single productId/quantity is accepted as a one-line order.',
+            permission: 'move_stock',
+            body: ref('TransferInput'),
+            status: 201,
+            response: ref('Transfer'),
+            errors: [400, 409],
+        }),
+    },
+    '/api/transfers/{id}': {
+        get: operation(TRANSFERS, 'Get a transfer', {
+            parameters: [idParameter('Transfer id')],
+            response: ref('Transfer'),
+            errors: [404],
+        }),
+        post: operation(TRANSFERS, 'Ship, receive, cancel, reverse or correct a transfer', {
+            description: 'receive takes optional lines; correct takes the lines that should have arrived, '
+                + 'or toWarehouseId to move the stock from a wrong destination to the right one. '
+                + 'Reverse and correct need manage_inventory.',
+            permission: 'move_stock',
+            parameters: [idParameter('Transfer id')],
+            body: actionBody(TRANSFER_ACTIONS, {
+                lines: lineItems(),
+                closeShort: { type: 'boolean' },
+                toWarehouseId: { type: 'integer', minimum: 1, description: 'For correct: the warehouse the stock really went to' },
+                ...noteProperty,
+            }),
+            response: ref('Transfer'),
+            errors: [400, 404, 409],
+        }),
+    },
+    '/api/alerts': {
+        get: operation(ALERTS, 'List stock-level alerts, or lots nearing expiry', {
+            parameters: [queryParameter('type', 'lot_expiry lists lots nearing expiry instead', { type: 'string', enum: ['lot_expiry'] })],
+            response: { oneOf: [listOf(ref('StockAlert')), listOf(ref('LotExpiryAlert'))] },
+        }),
+        post: operation(ALERTS, 'Acknowledge a product\'s alert', {
+            permission: 'manage_inventory',
+            body: ref('AlertInput'),
+            response: {
+                type: 'object',
+                properties: { message: { type: 'string' }, alert: { type: 'object' } },
+                required: ['message', 'alert'],
+            },
+            errors: [400, 404],
+        }),
+        delete: operation(ALERTS, 'Unacknowledge a product\'s alert', {
+            permission: 'manage_inventory',
+            parameters: [{ ...productQuery, required: true }],
+            response: { type: 'object', properties: { message: { type: 'string' } }, required: ['message'] },
+            errors: [400, 404],
+        }),
+    },
+    '/api/suppliers': {
+        get: operation(PURCHASING, 'List suppliers', { response: listOf(ref('Record')) }),
+        post: operation(PURCHASING, 'Create a supplier with its price list', {
+            permission: 'manage_inventory',
+            body: schemaFromRules(supplierSchema),
+            status: 201,
+            errors: [400, 409],
+        }),
+    },
+    '/api/suppliers/{id}': {
+        get: operation(PURCHASING, 'Get a supplier', { parameters: [idParameter('Supplier id')], errors: [404] }),
+        put: operation(PURCHASING, 'Change a supplier', {
+            permission: 'manage_inventory',
+            parameters: [idParameter('Supplier id')],
+            body: schemaFromRules(supplierSchema, { partial: true }),
+            errors: [400, 404, 409],
+        }),
+        delete: operation(PURCHASING, 'Delete a supplier', {
+            permission: 'manage_inventory',
+            parameters: [idParameter('Supplier id')],
+            status: 204,
+            errors: [404, 409],
+        }),
+    },
+    '/api/purchase-orders': {
+        get: operation(PURCHASING, 'List purchase orders', {
+            parameters: [statusQuery(PO_STATUSES), queryParameter('supplierId', 'Only this supplier', { type: 'integer', minimum: 1 })],
+            response: listOf(ref('Record')),
+        }),
+        post: operation(PURCHASING, 'Create a draft purchase order', {
+            permission: 'manage_inventory',
+            body: schemaFromRules(purchaseOrderSchema),
+            status: 201,
+            errors: [400, 409],
+        }),
+    },
+    '/api/purchase-orders/{id}': {
+        get: operation(PURCHASING, 'Get a purchase order', { parameters: [idParameter('Purchase order id')], errors: [404] }),
+        put: operation(PURCHASING, 'Edit a draft purchase order', {
+            permission: 'manage_inventory',
+            parameters: [idParameter('Purchase order id')],
+            body: schemaFromRules({
+                warehouseId: purchaseOrderSchema.warehouseId,
+                lines: purchaseOrderSchema.lines,
+                notes: purchaseOrderSchema.notes,
+            }, { partial: true }),
+            errors: [400, 404, 409],
+        }),
+        post: operation(PURCHASING, 'Send or cancel a purchase order', {
+            permission: 'manage_inventory',
+            parameters: [idParameter('Purchase order id')],
+            body: actionBody({ send: PO_ACTIONS.send, cancel: PO_ACTIONS.cancel }, noteProperty),
+            errors: [400, 404, 409],
+        }),
+        delete: operation(PURCHASING, 'Delete a draft purchase order', {
+            permission: 'manage_inventory',
+            parameters: [idParameter('Purchase order id')],
+            status: 204,
+            errors: [404, 409],
+        }),
+    },
+    '/api/purchase-orders/from-alerts': {
+        post: operation(PURCHASING, 'Draft purchase orders from reorder recommendations', {
+            description: 'Lines are grouped into one draft per preferred supplier.',
+            permission: 'manage_inventory',
+            body: schemaFromRules(purchaseOrderDraftSchema),
+            status: 201,
+            response: { type: 'object' },
+            errors: [400],
+        }),
+    },
+    '/api/receipts': {
+        get: operation(PURCHASING, 'List goods receipts', {
+            parameters: [queryParameter('purchaseOrderId', 'Only this purchase order', { type: 'integer', minimum: 1 })],
+            response: listOf(ref('Record')),
+        }),
+        post: operation(PURCHASING, 'Receive goods against a purchase order', {
+            permission: 'move_stock',
+            body: {
+                type: 'object',
+                properties: {
+                    purchaseOrderId: { type: 'integer', minimum: 1 },
+                    lines: lineItems({
+                        lotNumber: { type: 'string', description: 'Lot the received stock goes into' },
+                        manufacturedAt: { type: 'string', format: 'date' },
+                        expiresAt: { type: 'string', format: 'date' },
+                    }),
+                    notes: { type: 'string' },
+                    closeShort: { type: 'boolean' },
+                },
+                required: ['purchaseOrderId', 'lines'],
+            },
+            status: 201,
+            response: { type: 'object' },
+            errors: [400, 404, 409],
+        }),
+    },
+    '/api/receipts/{id}': {
+        get: operation(PURCHASING, 'Get a goods receipt', { parameters: [idParameter('Receipt id')], errors: [404] }),
+    },
+    '/api/sales-orders': {
+        get: operation(SALES, 'List sales orders', { parameters: [statusQuery(SO_STATUSES)], response: listOf(ref('Record')) }),
+        post: operation(SALES, 'Place a sales order and reserve stock', {
+            description: 'Without warehouseId the lines are allocated across warehouses automatically.',
+            permission: 'move_stock',
+            body: schemaFromRules(salesOrderSchema),
+            status: 201,
+            errors: [400, 409],
+        }),
+    },
+    '/api/sales-orders/{id}': {
+        get: operation(SALES, 'Get a sales order', { parameters: [idParameter('Sales order id')], errors: [404] }),
+        post: operation(SALES, 'Ship or cancel a sales order', {
+            permission: 'move_stock',
+            parameters: [idParameter('Sales order id')],
+            body: actionBody(SO_ACTIONS, noteProperty),
+            errors: [400, 404, 409],
+        }),
+    },
+    '/api/bins': {
+        get: operation(WAREHOUSE_OPS, 'List bins', { parameters: [warehouseQuery], response: listOf(ref('Record')) }),
+        post: operation(WAREHOUSE_OPS, 'Create a bin', {
+            permission: 'manage_inventory',
+            body: schemaFromRules(binSchema, { properties: binCapacity }),
+            status: 201,
+            errors: [400, 409],
+        }),
+    },
+    '/api/bins/{id}': {
+        put: operation(WAREHOUSE_OPS, 'Change a bin\'s capacity', {
+            permission: 'manage_inventory',
+            parameters: [idParameter('Bin id')],
+            body: { type: 'object', properties: binCapacity },
+            errors: [400, 404, 409],
+        }),
+        delete: operation(WAREHOUSE_OPS, 'Delete an empty bin', {
+            permission: 'manage_inventory',
+            parameters: [idParameter('Bin id')],
+            status: 204,
+            errors: [404, 409],
+        }),
+    },
+    '/api/bins/move': {
+        post: operation(WAREHOUSE_OPS, 'Move stock between bins of its warehouse', {
+            permission: 'move_stock',
+            body: {
+                type: 'object',
+                properties: {
+                    stockId: { type: 'integer', minimum: 1 },
+                    fromBinId: { type: 'integer', minimum: 1 },
+                    toBinId: { type: 'integer', minimum: 1 },
+                    quantity: { type: 'integer', minimum: 1 },
+                    notes: { type: 'string' },
+                },
+                required: ['stockId', 'fromBinId', 'toBinId', 'quantity'],
+            },
+            status: 201,
+            response: { type: 'object' },
+            errors: [400, 404, 409],
+        }),
+    },
+    '/api/stock-counts': {
+        get: operation(WAREHOUSE_OPS, 'List stock count sessions', {
+            parameters: [statusQuery(COUNT_STATUSES), warehouseQuery],
+            response: listOf(ref('Record')),
+        }),
+        post: operation(WAREHOUSE_OPS, 'Open a stock count session', {
+            permission: 'move_stock',
+            body: {
+                type: 'object',
+                properties: {
+                    warehouseId: { type: 'integer', minimum: 1 },
+                    categories: listOf({ type: 'string' }),
+                    binIds: listOf({ type: 'integer' }),
+                    blind: { type: 'boolean' },
+                    notes: { type: 'string' },
+                },
+                required: ['warehouseId'],
+            },
+            status: 201,
+            errors: [400, 409],
+        }),
+    },
+    '/api/stock-counts/{id}': {
+        get: operation(WAREHOUSE_OPS, 'Get a stock count session', { parameters: [idParameter('Count session id')], errors: [404] }),
+        post: operation(WAREHOUSE_OPS, 'Count, submit, recount, post or cancel a count session', {
+            description: 'count takes counts: [{ line, countedQuantity }]; post takes approved line indexes and needs manage_inventory.',
+            permission: 'move_stock',
+            parameters: [idParameter('Count session id')],
+            body: actionBody(COUNT_ACTIONS, {
+                counts: listOf({
+                    type: 'object',
+                    properties: { line: { type: 'integer', minimum: 0 }, countedQuantity: { type: 'integer', minimum: 0 } },
+                    required: ['line', 'countedQuantity'],
+                }),
+                approved: listOf({ type: 'integer', minimum: 0 }),
+                ...noteProperty,
+            }),
+            errors: [400, 404, 409],
+        }),
+    },
+    '/api/adjustments': {
+        get: operation(WAREHOUSE_OPS, 'List stock adjustments', {
+            parameters: [
+                statusQuery(ADJUSTMENT_STATUSES),
+                productQuery,
+                warehouseQuery,
+                queryParameter('reasonCode', 'Only this reason code'),
+            ],
+            response: listOf(ref('Record')),
+        }),
+        post: operation(WAREHOUSE_OPS, 'Adjust stock with a reason code', {
+            description: 'Adjustments worth more than the approval threshold wait for a manager.',
+            permission: 'move_stock',
+            body: schemaFromRules(adjustmentSchema),
+            status: 201,
+            errors: [400, 409],
+        }),
+    },
+    '/api/adjustments/{id}': {
+        get: operation(WAREHOUSE_OPS, 'Get a stock adjustment', { parameters: [idParameter('Adjustment id')], errors: [404] }),
+        post: operation(WAREHOUSE_OPS, 'Approve or reject an adjustment', {
+            permission: 'manage_inventory',
+            parameters: [idParameter('Adjustment id')],
+            body: actionBody(ADJUSTMENT_ACTIONS, noteProperty),
+            errors: [400, 404, 409],
+        }),
+    },
+    '/api/adjustment-reasons': {
+        get: operation(WAREHOUSE_OPS, 'List adjustment reason codes', { response: listOf(ref('Record')) }),
+        post: operation(WAREHOUSE_OPS, 'Add an adjustment reason code', {
+            permission: 'manage_inventory',
+            body: schemaFromRules(adjustmentReasonSchema, { properties: reasonDirection }),
+            status: 201,
+            errors: [400, 409],
+        }),
+    },
+    '/api/adjustment-reasons/{id}': {
+        put: operation(WAREHOUSE_OPS, 'Change or retire a reason code', {
+            permission: 'manage_inventory',
+            parameters: [idParameter('Reason id')],
+            body: schemaFromRules({
+                label: adjustmentReasonSchema.label,
+                direction: adjustmentReasonSchema.direction,
+                active: adjustmentReasonSchema.active,
+            }, { partial: true, properties: reasonDirection }),
+            errors: [400, 404],
+        }),
+    },
+    '/api/movements': {
+        get: operation(HISTORY, 'List stock movements from the ledger', {
+            parameters: [
+                productQuery,
+                warehouseQuery,
+                queryParameter('referenceType', 'Only movements caused by this kind of document'),
+                queryParameter('referenceId', 'Only movements caused by this document', { type: 'integer', minimum: 1 }),
+            ],
+            response: listOf({
+                type: 'object',
+                properties: {
+                    id: { type: 'integer' },
+                    productId: { type: 'integer' },
+                    warehouseId: { type: 'integer' },
+                    delta: { type: 'integer' },
+                    balance: { type: 'integer' },
+                    reason: { type: 'string', enum: Object.keys(MOVEMENT_REASONS) },
+                },
+                required: ['id', 'productId', 'warehouseId', 'delta', 'balance', 'reason'],
+            }),
+        }),
+    },
+    '/api/audit': {
+        get: operation(HISTORY, 'List audit log entries', {
+            permission: 'manage_inventory',
+            parameters: [
+                queryParameter('entity', 'Only this type of record', { type: 'string', enum: Object.keys(AUDIT_ENTITIES) }),
+                queryParameter('entityId', 'Only this record', { type: 'integer', minimum: 1 }),
+                queryParameter('user', 'Only changes by this username'),
+                queryParameter('action', 'Only this kind of change', { type: 'string', enum: Object.keys(AUDIT_ACTIONS) }),
+            ],
+            response: listOf(ref('Record')),
+            errors: [400],
+        }),
+    },
+    '/api/reports': {
+        get: operation(REPORTING, 'List the reports the server can build', {
+            response: listOf({
+                type: 'object',
+                properties: {
+                    name: { type: 'string', enum: Object.keys(REPORTS) },
+                    title: { type: 'string' },
+                    description: { type: 'string' },
+                    formats: listOf({ type: 'string', enum: REPORT_FORMATS }),
+                    filters: listOf({ type: 'object' }),
+                    columns: listOf(ref('ReportColumn')),
+                },
+                required: ['name', 'title', 'formats', 'filters', 'columns'],
+            }),
+        }),
+    },
+    ...Object.fromEntries(Object.entries(REPORTS).map(([name, report]) => [`/api/reports/${name}`, {
+        get: operation(REPORTING, `Build the ${report.title.toLowerCase()} report`, {
+            description: `${report.description} JSON unless ?format asks for a file; ?columns picks and orders the columns.`,
+            parameters: queryParameters({ ...reportQuerySchema, ...report.filters }),
+            response: ref('Report'),
+            files: Object.values(EXPORT_FORMATS).map(format => format.mimeType.split(';')[0]),
+            errors: [400],
+        }),
+    }])),
+    '/api/users': {
+        get: operation(ACCESS, 'List users', { permission: 'manage_users', response: listOf(ref('User')) }),
+        post: operation(ACCESS, 'Create a user', {
+            permission: 'manage_users',
+            body: userBody,
+            status: 201,
+            response: ref('User'),
+            errors: [400, 409],
+        }),
+    },
+    '/api/users/{id}': {
+        get: operation(ACCESS, 'Get a user', { permission: 'manage_users', parameters: [idParameter('User id')], response: ref('User'), errors: [404] }),
+        put: operation(ACCESS, 'Change a user', {
+            permission: 'manage_users',
+            parameters: [idParameter('User id')],
+            body: schemaFromRules(userSchema, { partial: true, properties: userBody.properties }),
+            response: ref('User'),
+            errors: [400, 404, 409],
+        }),
+        delete: operation(ACCESS, 'Delete a user', {
+            permission: 'manage_users',
+            parameters: [idParameter('User id')],
+            response: { type: 'object', properties: { message: { type: 'string' } }, required: ['message'] },
+            errors: [404, 409],
+        }),
+    },
+    '/api/api-keys': {
+        get: operation(ACCESS, 'List API keys', { permission: 'manage_users', response: listOf(ref('ApiKey')) }),
+        post: operation(ACCESS, 'Issue an API key', {
+            description: 'The response holds the full key; it cannot be read back later.',
+            permission: 'manage_users',
+            body: apiKeyBody,
+            status: 201,
+            response: ref('ApiKey'),
+            errors: [400],
+        }),
+    },
+    '/api/api-keys/{id}': {
+        get: operation(ACCESS, 'Get an API key', { permission: 'manage_users', parameters: [idParameter('API key id')], response: ref('ApiKey'), errors: [404] }),
+        put: operation(ACCESS, 'Rename or rescope an API key', {
+            permission: 'manage_users',
+            parameters: [idParameter('API key id')],
+            body: { type: 'object', properties: apiKeyBody.properties },
+            response: ref('ApiKey'),
+            errors: [400, 404, 409],
+        }),
+        post: operation(ACCESS, 'Rotate or revoke an API key', {
+            permission: 'manage_users',
+            parameters: [idParameter('API key id')],
+            body: { type: 'object', properties: { action: { type: 'string', enum: ['rotate', 'revoke'] } }, required: ['action'] },
+            response: ref('ApiKey'),
+            errors: [400, 404, 409],
+        }),
+    },
+    '/api/auth/session': {
+        get: operation(ACCESS, 'Who is signed in', {
+            signIn: false,
+            response: {
+                type: 'object',
+                properties: { user: { oneOf: [ref('User'), { type: 'null' }] }, setupRequired: { type: 'boolean' } },
+                required: ['user', 'setupRequired'],
+            },
+        }),
+    },
+    '/api/auth/login': {
+        post: operation(ACCESS, 'Sign in', {
+            description: `Sets the ${SESSION_COOKIE} cookie.`,
+            signIn: false,
+            body: {
+                type: 'object',
+                properties: { username: { type: 'string' }, password: { type: 'string' } },
+                required: ['username', 'password'],
+            },
+            response: { type: 'object', properties: { user: ref('User') }, required: ['user'] },
+            errors: [400, 401],
+        }),
+    },
+    '/api/auth/logout': {
+        post: operation(ACCESS, 'Sign out', {
+            signIn: false,
+            response: { type: 'object', properties: { message: { type: 'string' } }, required: ['message'] },
+        }),
+    },
+    '/api/auth/setup': {
+        post: operation(ACCESS, 'Create the first admin', {
+            description: 'Only works while there are no users; signs the new admin in.',
+            signIn: false,
+            body: schemaFromRules({ username: userSchema.username, name: userSchema.name, password: userSchema.password }),
+            status: 201,
+            response: { type: 'object', properties: { user: ref('User') }, required: ['user'] },
+            errors: [400, 409],
+        }),
+    },
+    '/api/openapi': {
+        get: operation(ACCESS, 'This document', { signIn: false, response: { type: 'object' } }),
+    },
+};
+
+/**
+ * The OpenAPI document
+ * @param {string} serverUrl - Base URL the API is served from, e.g. 'http://localhost:3000'
+ */
+export const buildOpenApiDocument = (serverUrl = '') => ({
+    openapi: '3.1.0',
+    info: {
+        title: 'Inventory Management API',
+        version: '1.0.0',
+        description: 'Sign in through /api/auth/login for a session cookie, or send an API key in the '
+            + `${API_KEY_HEADER} header. x-permission on each operation names the permission it needs `
+            + `(${Object.keys(PERMISSIONS).join(', ')}); operators only move stock in their own warehouses.`,
+    },
+    ...(serverUrl && { servers: [{ url: serverUrl }] }),
+    security: [{ session: [] }, { apiKey: [] }],
+    paths,
+    components: {
+        schemas,
+        securitySchemes: {
+            session: { type: 'apiKey', in: 'cookie', name: SESSION_COOKIE },
+            apiKey: { type: 'apiKey', in: 'header', name: API_KEY_HEADER },
+        },
+    },
+});
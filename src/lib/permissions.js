@@ -0,0 +1,93 @@
+/**
+ * Roles and what each one may do. Shared by the API (see withAuth in auth.js) and the pages,
+ * which hide actions the signed-in user is not allowed to take.
+ *
+ *   viewer             - sees everything, changes nothing
+ *   operator           - moves stock (stock records, transfers, receiving, shipping, counts,
+ *                        adjustment requests, bin moves) in the warehouses assigned to them
+ *   manager            - everything an operator does in every warehouse, plus products, warehouses,
+ *                        suppliers, purchasing, alerts, bins, approvals and the audit log
+ *   admin              - everything, including user accounts
+ */
+
+export const ROLES = {
+    viewer: 'Viewer',
+    operator: 'Warehouse operator',
+    manager: 'Inventory manager',
+    admin: 'Admin',
+};
+
+export const PERMISSIONS = {
+    view: ['viewer', 'operator', 'manager', 'admin'],
+    move_stock: ['operator', 'manager', 'admin'],
+    manage_inventory: ['manager', 'admin'],
+    manage_users: ['admin'],
+};
+
+/**
+ * Whether a user may do something
+ * @param {Object|null} user - Signed-in user ({ role, warehouseIds })
+ * @param {string} permission - Key of PERMISSIONS
+ * @param {number} warehouseId - For move_stock, the warehouse the stock is in; operators
+ *   may only move stock in their assigned warehouses
+ */
+export const can = (user, permission, warehouseId = null) => {
+    if (!user || !PERMISSIONS[permission]?.includes(user.role)) {
+        return false;
+    }
+    if (user.role === 'operator' && warehouseId !== null && warehouseId !== undefined) {
+        return (user.warehouseIds || []).includes(parseInt(warehouseId));
+    }
+    return true;
+};
+
+/**
+ * Warehouses a user may move stock in, for narrowing warehouse dropdowns
+ * @param {Object|null} user - Signed-in user
+ * @param {Array} warehouses - Warehouses to choose from
+ */
+export const stockWarehouses = (user, warehouses) => warehouses.filter(w => can(user, 'move_stock', w.id));
+
+/**
+ * Whether a user may take a transfer action, as /api/transfers/[id] decides it: receiving happens
+ * at the destination, shipping and cancelling at the source, and reversals and corrections are
+ * for managers
+ */
+export const canTransferAction = (user, transfer, action) => {
+    if (action === 'reverse' || action === 'correct') {
+        return can(user, 'manage_inventory');
+    }
+    return can(user, 'move_stock', action === 'receive' ? transfer.toWarehouseId : transfer.fromWarehouseId);
+};
+
+/**
+ * What an API key may do. A key acts with the role of its access level, so read-only keys are
+ * refused every write and no key can manage users or other keys.
+ */
+export const API_KEY_ACCESS = {
+    read: { label: 'Read-only', role: 'viewer' },
+    write: { label: 'Read & write', role: 'manager' },
+};
+
+/**
+ * API resources a key can be scoped to, by their path under /api. '*' grants all of them,
+ * including resources added later.
+ */
+export const API_KEY_RESOURCES = {
+    products: 'Products',
+    warehouses: 'Warehouses',
+    stock: 'Stock',
+    transfers: 'Transfers',
+    movements: 'Stock movements',
+    alerts: 'Alerts',
+    suppliers: 'Suppliers',
+    'purchase-orders': 'Purchase orders',
+    receipts: 'Receipts',
+    'sales-orders': 'Sales orders',
+    bins: 'Bins',
+    'stock-counts': 'Stock counts',
+    adjustments: 'Adjustments',
+    'adjustment-reasons': 'Adjustment reasons',
+    audit: 'Audit log',
+    reports: 'Reports',
+};
@@ -0,0 +1,50 @@
+/**
+ * Product records: { id, sku, name, category, unitCost, reorderPoint, status, archivedAt }.
+ * Shared by /api/products, /api/products/[id] and the bulk endpoint, so a product is checked
+ * the same way however it arrives. SKUs are unique, ignoring case.
+ */
+
+import { ApiError } from './apiError';
+import { deleteWithDependents } from './dependents';
+import { assertUnique, parsePayload, productSchema } from './validation';
+
+const findProduct = async (tx, id) => {
+    const product = await tx.get('products', id);
+    if (!product) {
+        throw new ApiError(404, 'Product not found');
+    }
+    return product;
+};
+
+/**
+ * Add a product. Must run inside a transaction.
+ * @param {Object} tx - Repository transaction
+ * @param {Object} payload - Product fields from the request body
+ */
+export const createProduct = async (tx, payload) => {
+    const product = parsePayload(productSchema, payload);
+    assertUnique(await tx.list('products'), 'sku', product.sku, { label: 'SKU' });
+    return tx.insert('products', product);
+};
+
+/**
+ * Change a product. Must run inside a transaction.
+ * Only the fields that were sent are checked and changed.
+ */
+export const updateProduct = async (tx, id, payload) => {
+    const changes = parsePayload(productSchema, payload, { partial: true });
+    const existing = await findProduct(tx, id);
+    if (changes.sku !== undefined) {
+        assertUnique(await tx.list('products'), 'sku', changes.sku, { label: 'SKU', excludeId: existing.id });
+    }
+    return tx.update('products', existing.id, changes);
+};
+
+/**
+ * Delete a product. Must run inside a transaction.
+ * @param {string} mode - 'restrict' or 'cascade'; see DELETE_MODES
+ * @throws {DependentsError} When dependents would be left behind
+ */
+export const deleteProduct = async (tx, id, mode) => {
+    await deleteWithDependents(tx, 'product', await findProduct(tx, id), mode);
+};
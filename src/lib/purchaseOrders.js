@@ -0,0 +1,286 @@
+/**
+ * Purchase orders and their lifecycle.
+ *
+ * A purchase order buys product lines ({ productId, supplierSku, quantity, unitPrice,
+ * receivedQuantity }) from one supplier for delivery to one warehouse.
+ *
+ *   draft              --send-->    sent
+ *   sent               --receive--> partially_received | received
+ *   partially_received --receive--> received
+ *   draft | sent       --cancel-->  cancelled
+ *
+ * Drafts can be edited freely; once sent the lines are fixed. Goods are received against
+ * a purchase order through goods receipts (see receipts.js).
+ */
+
+import { ApiError } from './apiError';
+import { preferredSupplier, supplierProduct } from './suppliers';
+import { assertActive } from './archive';
+import {
+    assertLineProducts,
+    assertReference,
+    parsePayload,
+    purchaseOrderDraftSchema,
+    purchaseOrderSchema,
+} from './validation';
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+export const PO_STATUSES = {
+    draft: 'Draft',
+    sent: 'Sent',
+    partially_received: 'Partially Received',
+    received: 'Received',
+    cancelled: 'Cancelled',
+};
+
+// Statuses each action may be applied from
+export const PO_ACTIONS = {
+    send: ['draft'],
+    receive: ['sent', 'partially_received'],
+    cancel: ['draft', 'sent'],
+};
+
+/**
+ * Reference number printed on purchase orders, e.g. PO-00042
+ */
+export const purchaseOrderReference = (id) => `PO-${String(id).padStart(5, '0')}`;
+
+/**
+ * Actions that can be applied to a purchase order in its current status
+ */
+export const availablePurchaseOrderActions = (order) =>
+    Object.keys(PO_ACTIONS).filter(action => PO_ACTIONS[action].includes(order.status));
+
+/**
+ * Add supplier, warehouse and product details and totals to a purchase order for display
+ */
+export const enrichPurchaseOrder = (order, { suppliers, products, warehouses }) => {
+    const supplier = suppliers.find(s => s.id === order.supplierId);
+    const warehouse = warehouses.find(w => w.id === order.warehouseId);
+
+    const lines = order.lines.map(line => {
+        const product = products.find(p => p.id === line.productId);
+        return {
+            ...line,
+            productName: product?.name || 'Unknown Product',
+            productSku: product?.sku || 'N/A',
+            lineTotal: roundMoney(line.quantity * line.unitPrice),
+            outstandingQuantity: Math.max(line.quantity - (line.receivedQuantity || 0), 0),
+        };
+    });
+
+    return {
+        ...order,
+        lines,
+        supplierName: supplier?.name || 'Unknown Supplier',
+        warehouseName: warehouse?.name || 'Unknown Warehouse',
+        totalQuantity: lines.reduce((sum, line) => sum + line.quantity, 0),
+        totalValue: roundMoney(lines.reduce((sum, line) => sum + line.lineTotal, 0)),
+        availableActions: availablePurchaseOrderActions(order),
+    };
+};
+
+/**
+ * Build purchase order lines from lines checked against purchaseOrderLineSchema, filling in
+ * the supplier SKU and, where no price is given, the supplier's list price. Archived products
+ * cannot be ordered.
+ */
+export const buildPurchaseOrderLines = (lines, { supplier, products }) => {
+    assertLineProducts(lines, products, 'lines');
+    lines.forEach((line, index) => assertActive(products, `lines.${index}.productId`, line.productId, { label: 'Product' }));
+
+    return lines.map(line => {
+        const product = products.find(p => p.id === line.productId);
+        const listed = supplierProduct(supplier, line.productId);
+        return {
+            productId: line.productId,
+            supplierSku: listed?.supplierSku || '',
+            quantity: line.quantity,
+            unitPrice: line.unitPrice ?? listed?.unitPrice ?? product.unitCost,
+            receivedQuantity: 0,
+        };
+    });
+};
+
+/**
+ * Create a draft purchase order. Must run inside a transaction.
+ * @param {Object} tx - Repository transaction
+ * @param {Object} payload - { supplierId, warehouseId, lines: [{ productId, quantity, unitPrice? }], notes },
+ *   checked against purchaseOrderSchema
+ */
+export const createPurchaseOrder = async (tx, payload) => {
+    const { supplierId, warehouseId, lines, notes = '' } = parsePayload(purchaseOrderSchema, payload);
+    const suppliers = await tx.list('suppliers');
+    const warehouses = await tx.list('warehouses');
+    assertReference(suppliers, 'supplierId', supplierId, { label: 'Supplier' });
+    assertReference(warehouses, 'warehouseId', warehouseId, { label: 'Warehouse' });
+    assertActive(warehouses, 'warehouseId', warehouseId, { label: 'Warehouse' });
+
+    const supplier = suppliers.find(s => s.id === supplierId);
+    const warehouse = warehouses.find(w => w.id === warehouseId);
+    const products = await tx.list('products');
+
+    const createdAt = new Date().toISOString();
+    const order = await tx.insert('purchaseOrders', {
+        supplierId: supplier.id,
+        warehouseId: warehouse.id,
+        currency: supplier.currency,
+        lines: buildPurchaseOrderLines(lines, { supplier, products }),
+        notes,
+        status: 'draft',
+        createdAt,
+        history: [{ status: 'draft', timestamp: createdAt }],
+    });
+    // The reference number is derived from the id the repository assigned
+    return tx.update('purchaseOrders', order.id, { reference: purchaseOrderReference(order.id) });
+};
+
+const assertAction = (order, action) => {
+    if (!PO_ACTIONS[action].includes(order.status)) {
+        throw new ApiError(
+            409,
+            `Cannot ${action} a purchase order that is ${PO_STATUSES[order.status] || order.status}`
+        );
+    }
+};
+
+// Save a status change and append it to the order's history
+const updateStatus = (tx, order, status, event = {}) => {
+    const timestamp = new Date().toISOString();
+    return tx.update('purchaseOrders', order.id, {
+        ...event.fields,
+        status,
+        history: [...(order.history || []), { status, timestamp, ...event.entry }],
+    });
+};
+
+/**
+ * Replace the supplier-independent parts of a draft (warehouse, lines, notes); the fields given
+ * are checked against purchaseOrderSchema. Must run inside a transaction.
+ */
+export const updateDraftPurchaseOrder = async (tx, order, payload) => {
+    if (order.status !== 'draft') {
+        throw new ApiError(409, 'Only draft purchase orders can be edited');
+    }
+    const { warehouseId, lines, notes } = parsePayload(purchaseOrderSchema, payload, { partial: true });
+
+    const changes = {};
+    if (warehouseId !== undefined) {
+        const warehouses = await tx.list('warehouses');
+        assertReference(warehouses, 'warehouseId', warehouseId, { label: 'Warehouse' });
+        assertActive(warehouses, 'warehouseId', warehouseId, { label: 'Warehouse' });
+        changes.warehouseId = warehouseId;
+    }
+    if (lines !== undefined) {
+        const supplier = await tx.get('suppliers', order.supplierId);
+        const products = await tx.list('products');
+        changes.lines = buildPurchaseOrderLines(lines, { supplier, products });
+    }
+    // Blank notes clear them
+    if (payload.notes !== undefined) {
+        changes.notes = notes || '';
+    }
+
+    return tx.update('purchaseOrders', order.id, changes);
+};
+
+/**
+ * Mark a draft as sent to the supplier; the expected date follows from its lead time.
+ * Must run inside a transaction.
+ */
+export const sendPurchaseOrder = async (tx, order) => {
+    assertAction(order, 'send');
+
+    const supplier = await tx.get('suppliers', order.supplierId);
+    const sentAt = new Date();
+    const expectedAt = new Date(sentAt.getTime() + (supplier?.leadTimeDays || 0) * 24 * 60 * 60 * 1000);
+
+    return updateStatus(tx, order, 'sent', {
+        fields: { sentAt: sentAt.toISOString(), expectedAt: expectedAt.toISOString() },
+    });
+};
+
+/**
+ * Book a goods receipt against a purchase order: add its quantities to the lines and move the
+ * order to partially_received or received. With closeShort the order is marked received even
+ * if lines are still outstanding. Must run inside a transaction.
+ * @param {Object} tx - Repository transaction
+ * @param {Object} order - Purchase order record
+ * @param {Object} receipt - Goods receipt record ({ id, reference, lines: [{ productId, receivedQuantity }] })
+ * @param {Object} options - { closeShort }
+ */
+export const recordPurchaseOrderReceipt = async (tx, order, receipt, { closeShort = false } = {}) => {
+    assertAction(order, 'receive');
+
+    const lines = order.lines.map(line => {
+        const received = receipt.lines.find(r => r.productId === line.productId)?.receivedQuantity || 0;
+        return { ...line, receivedQuantity: (line.receivedQuantity || 0) + received };
+    });
+    const complete = closeShort || lines.every(line => line.receivedQuantity >= line.quantity);
+
+    return updateStatus(tx, order, complete ? 'received' : 'partially_received', {
+        fields: {
+            lines,
+            receipts: [...(order.receipts || []), receipt.id],
+            ...(complete ? { receivedAt: receipt.receivedAt } : {}),
+        },
+        entry: { receipt: receipt.reference },
+    });
+};
+
+/**
+ * Cancel a purchase order that has not received anything yet. Must run inside a transaction.
+ */
+export const cancelPurchaseOrder = async (tx, order, { note = '' } = {}) => {
+    assertAction(order, 'cancel');
+    return updateStatus(tx, order, 'cancelled', {
+        fields: { cancelledAt: new Date().toISOString() },
+        entry: { note },
+    });
+};
+
+/**
+ * Turn reorder recommendations into draft purchase orders, one per supplier.
+ * Each product is bought from its preferred supplier (see preferredSupplier).
+ * Must run inside a transaction.
+ * @param {Object} tx - Repository transaction
+ * @param {Object} payload - { warehouseId: delivery warehouse for every order, items: [{ productId, quantity }] },
+ *   checked against purchaseOrderDraftSchema
+ * @returns {Promise<Object>} { purchaseOrders, unassigned } - unassigned lists product ids no supplier sells
+ */
+export const draftPurchaseOrdersFromRecommendations = async (tx, payload) => {
+    const { warehouseId, items } = parsePayload(purchaseOrderDraftSchema, payload);
+    // Recommendations come from the alerts page, which may be older than an archive
+    const products = await tx.list('products');
+    items.forEach((item, index) => assertActive(products, `items.${index}.productId`, item.productId, { label: 'Product' }));
+
+    const suppliers = await tx.list('suppliers');
+    const bySupplier = new Map();
+    const unassigned = [];
+
+    items.forEach(item => {
+        const { productId } = item;
+        const supplier = preferredSupplier(suppliers, productId);
+        if (!supplier) {
+            unassigned.push(productId);
+            return;
+        }
+        if (!bySupplier.has(supplier.id)) {
+            bySupplier.set(supplier.id, []);
+        }
+        bySupplier.get(supplier.id).push({ productId, quantity: item.quantity });
+    });
+
+    const purchaseOrders = [];
+    for (const [supplierId, lines] of bySupplier) {
+        purchaseOrders.push(await createPurchaseOrder(tx, {
+            supplierId,
+            warehouseId,
+            lines,
+            notes: 'Drafted from stock alert recommendations',
+        }));
+    }
+
+    return { purchaseOrders, unassigned };
+};
@@ -0,0 +1,134 @@
+/**
+ * Goods receipts.
+ *
+ * A goods receipt records what physically arrived against a purchase order. Each line keeps
+ * the quantity that was still outstanding, the quantity received and the difference, so
+ * over- and under-deliveries are reported rather than silently absorbed. Received stock is
+ * posted to the ledger as goods_receipt movements into the order's warehouse. A line may name
+ * the lot that arrived (lot number, manufacture and expiry dates), which then goes into
+ * that lot; otherwise the stock arrives unlotted.
+ */
+
+import { ApiError } from './apiError';
+import { postMovement } from './ledger';
+import { normalizeLot } from './lots';
+import { recordPurchaseOrderReceipt } from './purchaseOrders';
+
+/**
+ * Reference number printed on goods receipts, e.g. GRN-00042
+ */
+export const receiptReference = (id) => `GRN-${String(id).padStart(5, '0')}`;
+
+/**
+ * Classify the difference between what was outstanding and what arrived
+ * @returns {string} 'over', 'short' or 'exact'
+ */
+export const discrepancyType = (variance) => {
+    if (variance > 0) return 'over';
+    if (variance < 0) return 'short';
+    return 'exact';
+};
+
+/**
+ * Add product, supplier and warehouse details to a receipt for display
+ */
+export const enrichReceipt = (receipt, { products, warehouses, suppliers, purchaseOrders }) => {
+    const order = purchaseOrders.find(o => o.id === receipt.purchaseOrderId);
+    const supplier = suppliers.find(s => s.id === order?.supplierId);
+    const warehouse = warehouses.find(w => w.id === receipt.warehouseId);
+
+    const lines = receipt.lines.map(line => {
+        const product = products.find(p => p.id === line.productId);
+        return {
+            ...line,
+            productName: product?.name || 'Unknown Product',
+            productSku: product?.sku || 'N/A',
+        };
+    });
+
+    return {
+        ...receipt,
+        lines,
+        purchaseOrderReference: order?.reference || 'Unknown',
+        purchaseOrderStatus: order?.status || null,
+        supplierName: supplier?.name || 'Unknown Supplier',
+        warehouseName: warehouse?.name || 'Unknown Warehouse',
+        totalReceived: lines.reduce((sum, line) => sum + line.receivedQuantity, 0),
+        discrepancies: lines.filter(line => line.discrepancy !== 'exact'),
+    };
+};
+
+/**
+ * Receive goods against an open purchase order. Must run inside a transaction.
+ * @param {Object} tx - Repository transaction
+ * @param {Object} order - Purchase order record
+ * @param {Object} options - { lines: [{ productId, quantity, lotNumber, manufacturedAt, expiresAt }], notes, closeShort }
+ *   Lines left out are treated as nothing received.
+ * @returns {Promise<Object>} { receipt, order } - the new receipt and the updated purchase order
+ */
+export const postGoodsReceipt = async (tx, order, { lines = [], notes = '', closeShort = false }) => {
+    const received = new Map();
+    const receivedLots = new Map();
+    lines.forEach(entry => {
+        const productId = parseInt(entry.productId);
+        if (!order.lines.some(line => line.productId === productId)) {
+            throw new ApiError(400, `Product ${entry.productId} is not on purchase order ${order.reference}`);
+        }
+        const quantity = entry.quantity === '' || entry.quantity === undefined ? 0 : Number(entry.quantity);
+        if (!Number.isInteger(quantity) || quantity < 0) {
+            throw new ApiError(400, 'Received quantities must be whole numbers of 0 or more');
+        }
+        received.set(productId, quantity);
+        receivedLots.set(productId, normalizeLot(entry));
+    });
+
+    const receiptLines = order.lines.map(line => {
+        const outstanding = Math.max(line.quantity - (line.receivedQuantity || 0), 0);
+        const receivedQuantity = received.get(line.productId) || 0;
+        const variance = receivedQuantity - outstanding;
+        return {
+            productId: line.productId,
+            orderedQuantity: line.quantity,
+            outstandingQuantity: outstanding,
+            receivedQuantity,
+            variance,
+            discrepancy: discrepancyType(variance),
+            lot: receivedQuantity > 0 ? receivedLots.get(line.productId) || null : null,
+        };
+    });
+
+    const totalReceived = receiptLines.reduce((sum, line) => sum + line.receivedQuantity, 0);
+    if (totalReceived === 0 && !closeShort) {
+        throw new ApiError(400, 'Enter the quantity received for at least one line');
+    }
+
+    const receivedAt = new Date().toISOString();
+    let receipt = await tx.insert('receipts', {
+        purchaseOrderId: order.id,
+        warehouseId: order.warehouseId,
+        lines: receiptLines,
+        notes,
+        closedShort: closeShort,
+        receivedAt,
+    });
+    receipt = await tx.update('receipts', receipt.id, { reference: receiptReference(receipt.id) });
+
+    for (const line of receiptLines) {
+        if (line.receivedQuantity > 0) {
+            await postMovement(tx, {
+                productId: line.productId,
+                warehouseId: order.warehouseId,
+                delta: line.receivedQuantity,
+                reason: 'goods_receipt',
+                referenceType: 'receipt',
+                referenceId: receipt.id,
+                notes: `${receipt.reference} for ${order.reference}`,
+                lots: line.lot ? [{ ...line.lot, quantity: line.receivedQuantity }] : null,
+            });
+        }
+    }
+
+    const updatedOrder = await recordPurchaseOrderReceipt(tx, order, receipt, { closeShort });
+
+    return { receipt, order: updatedOrder };
+};
@@ -0,0 +1,297 @@
+/**
+ * Reports built on the server, served by GET /api/reports/{report} so scripts and scheduled jobs
+ * get the same figures as the dashboard without opening it.
+ *
+ * Each report has its own filters (validation.js rules, also read by the OpenAPI document) and
+ * columns (the same column definitions the dashboard exports use). Every report accepts
+ *   ?format=json|csv|xlsx|pdf   json (the default) answers { report, title, generatedAt, filters,
+ *                               summary, columns, rows }; the others download a file
+ *   ?columns=sku,quantity       the columns to include, in order; all of them when left out
+ *
+ * Dates are YYYY-MM-DD and compared with the UTC date of each timestamp, as the list filters do.
+ */
+
+import { ApiError } from './apiError';
+import { RECORD_STATUSES, recordStatus } from './archive';
+import { ALERT_SEVERITIES, ALERT_STATUSES, stockLevelAlerts } from './alerts';
+import { ALERT_COLUMNS, EXPORT_FORMATS, TRANSFER_COLUMNS, buildCSV, buildPDF, buildXLSX } from './exportUtils';
+import { ledgerBalances } from './ledger';
+import { listFilters, withinDates } from './listQuery';
+import { withAvailability } from './reservations';
+import { enrichTransfer } from './transfers';
+import { ValidationError, parsePayload } from './validation';
+
+export const REPORT_FORMATS = ['json', ...Object.keys(EXPORT_FORMATS)];
+
+/**
+ * Query parameters every report accepts on top of its filters
+ */
+export const reportQuerySchema = {
+    format: { type: 'string', label: 'format', oneOf: REPORT_FORMATS },
+    columns: {
+        type: 'string',
+        label: 'columns',
+        maxLength: 500,
+        pattern: /^[A-Za-z]+(,[A-Za-z]+)*$/,
+        patternMessage: 'columns must be column keys separated by commas',
+    },
+};
+
+const VALUATION_COLUMNS = [
+    { key: 'sku', label: 'SKU' },
+    { key: 'productName', label: 'Product Name' },
+    { key: 'category', label: 'Category' },
+    { key: 'warehouseCode', label: 'Warehouse Code' },
+    { key: 'warehouseName', label: 'Warehouse' },
+    { key: 'quantity', label: 'Quantity', type: 'integer' },
+    { key: 'unitCost', label: 'Unit Cost ($)', type: 'currency' },
+    { key: 'stockValue', label: 'Stock Value ($)', type: 'currency' },
+];
+
+const money = (amount) => `$${amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const sum = (rows, field) => rows.reduce((total, row) => total + (row[field] || 0), 0);
+
+// Quantity per "productId:warehouseId": today's stock records, or the ledger replayed up to a date
+const stockQuantities = async (repo, asOf) => {
+    if (asOf) {
+        const movements = (await repo.list('movements')).filter(m => withinDates(m.timestamp, null, asOf));
+        return ledgerBalances(movements);
+    }
+    const quantities = new Map();
+    (await repo.list('stock')).forEach(s => quantities.set(`${s.productId}:${s.warehouseId}`, s.quantity));
+    return quantities;
+};
+
+// Inventory valuation: one row per product and warehouse holding stock, valued at the current unit cost
+const buildValuation = async (repo, { warehouseId, category, status, asOf }) => {
+    const products = await repo.list('products');
+    const warehouses = await repo.list('warehouses');
+    const quantities = await stockQuantities(repo, asOf);
+
+    const rows = [];
+    quantities.forEach((quantity, key) => {
+        const [productId, stockWarehouseId] = key.split(':').map(Number);
+        const product = products.find(p => p.id === productId);
+        const warehouse = warehouses.find(w => w.id === stockWarehouseId);
+        if (quantity === 0
+            || (warehouseId && stockWarehouseId !== warehouseId)
+            || (category && product?.category !== category)
+            || (status && recordStatus(product) !== status)) {
+            return;
+        }
+        rows.push({
+            productId,
+            sku: product?.sku || 'N/A',
+            productName: product?.name || 'Unknown Product',
+            category: product?.category || '',
+            warehouseId: stockWarehouseId,
+            warehouseCode: warehouse?.code || '',
+            warehouseName: warehouse?.name || 'Unknown Warehouse',
+            quantity,
+            unitCost: product?.unitCost || 0,
+            stockValue: quantity * (product?.unitCost || 0),
+        });
+    });
+    rows.sort((a, b) => a.sku.localeCompare(b.sku) || a.warehouseName.localeCompare(b.warehouseName));
+
+    const summary = {
+        products: new Set(rows.map(row => row.productId)).size,
+        warehouses: new Set(rows.map(row => row.warehouseId)).size,
+        totalQuantity: sum(rows, 'quantity'),
+        totalValue: sum(rows, 'stockValue'),
+    };
+    return {
+        rows,
+        summary,
+        details: [
+            `Stock as of ${asOf || 'now'}, valued at current unit cost`,
+            `${summary.products} products in ${summary.warehouses} warehouses    `
+                + `Units: ${summary.totalQuantity.toLocaleString('en-US')}    Value: ${money(summary.totalValue)}`,
+        ],
+    };
+};
+
+// Transfer history: one row per transfer line, newest first
+const buildTransferHistory = async (repo, { warehouseId, fromWarehouseId, toWarehouseId, productId, status, dateFrom, dateTo }) => {
+    const products = await repo.list('products');
+    const warehouses = await repo.list('warehouses');
+    const transfers = (await repo.list('transfers')).filter(transfer =>
+        (!warehouseId || transfer.fromWarehouseId === warehouseId || transfer.toWarehouseId === warehouseId)
+        && (!fromWarehouseId || transfer.fromWarehouseId === fromWarehouseId)
+        && (!toWarehouseId || transfer.toWarehouseId === toWarehouseId)
+        && (!productId || transfer.lines.some(line => line.productId === productId))
+        && (!status || transfer.status === status)
+        && withinDates(transfer.date, dateFrom, dateTo)
+    );
+    transfers.sort((a, b) => new Date(b.date) - new Date(a.date) || b.id - a.id);
+
+    const rows = transfers
+        .map(transfer => enrichTransfer(transfer, products, warehouses))
+        .flatMap(transfer => transfer.lines
+            .filter(line => !productId || line.productId === productId)
+            .map(line => ({ ...transfer, ...line })));
+
+    const summary = {
+        transfers: transfers.length,
+        lines: rows.length,
+        totalQuantity: sum(rows, 'quantity'),
+        receivedQuantity: sum(rows, 'receivedQuantity'),
+    };
+    return {
+        rows,
+        summary,
+        details: [
+            dateFrom || dateTo ? `Transfers dated ${dateFrom || 'the start'} to ${dateTo || 'today'}` : 'All transfers',
+            `${summary.transfers} transfers, ${summary.lines} lines    `
+                + `Units: ${summary.totalQuantity.toLocaleString('en-US')}    Received: ${summary.receivedQuantity.toLocaleString('en-US')}`,
+        ],
+    };
+};
+
+// Stock level alerts, most urgent first, as on the Alerts page
+const buildAlerts = async (repo, { status, severity, category, acknowledged }) => {
+    const alerts = stockLevelAlerts({
+        products: await repo.list('products'),
+        stock: withAvailability(await repo.list('stock'), await repo.list('salesOrders')),
+        warehouses: await repo.list('warehouses'),
+        alerts: await repo.list('alerts'),
+    });
+    const rows = alerts.filter(alert =>
+        (!status || alert.status === status)
+        && (!severity || alert.severity === severity)
+        && (!category || alert.category === category)
+        && (acknowledged === undefined || alert.acknowledged === acknowledged)
+    );
+
+    const summary = {
+        alerts: rows.length,
+        ...Object.fromEntries(ALERT_SEVERITIES.map(level => [level, rows.filter(row => row.severity === level).length])),
+        reorderQuantity: sum(rows, 'reorderQuantity'),
+        estimatedCost: sum(rows, 'estimatedCost'),
+    };
+    return {
+        rows,
+        summary,
+        details: [
+            `${summary.alerts} products    Critical: ${summary.critical}    High: ${summary.high}    `
+                + `Medium: ${summary.medium}    Low: ${summary.low}`,
+            `Recommended reorder: ${summary.reorderQuantity.toLocaleString('en-US')} units, ${money(summary.estimatedCost)}`,
+        ],
+    };
+};
+
+/**
+ * Every report, keyed by the name used in its URL
+ */
+export const REPORTS = {
+    inventory: {
+        title: 'Inventory Valuation',
+        description: 'Stock of each product in each warehouse, valued at its unit cost. '
+            + 'asOf replays the movement ledger up to the end of that day.',
+        filters: {
+            warehouseId: { type: 'id', label: 'warehouseId' },
+            category: { type: 'string', label: 'category', maxLength: 100 },
+            status: { type: 'string', label: 'status', oneOf: Object.keys(RECORD_STATUSES) },
+            asOf: { type: 'date', label: 'asOf' },
+        },
+        columns: VALUATION_COLUMNS,
+        build: buildValuation,
+    },
+    transfers: {
+        title: 'Stock Transfer History',
+        description: 'One row per transfer line, newest first. warehouseId matches either end; '
+            + 'dateFrom and dateTo are inclusive.',
+        filters: listFilters.transfers,
+        columns: TRANSFER_COLUMNS,
+        build: buildTransferHistory,
+    },
+    alerts: {
+        title: 'Stock Alerts & Reorder Recommendations',
+        description: 'Stock level of every product against its reorder point, most urgent first.',
+        filters: {
+            status: { type: 'string', label: 'status', oneOf: ALERT_STATUSES },
+            severity: { type: 'string', label: 'severity', oneOf: ALERT_SEVERITIES },
+            category: { type: 'string', label: 'category', maxLength: 100 },
+            acknowledged: { type: 'boolean', label: 'acknowledged' },
+        },
+        columns: ALERT_COLUMNS,
+        build: buildAlerts,
+    },
+};
+
+/**
+ * Read a report request's query string
+ * @param {Object} report - One of REPORTS
+ * @param {Object} query - req.query
+ * @returns {Object} { format, columns: column definitions in the order asked for, filters }
+ * @throws {ValidationError} For malformed parameters, unknown columns or a backwards date range
+ */
+export const parseReportQuery = (report, query) => {
+    const { format = 'json', columns, ...filters } = parsePayload({ ...reportQuerySchema, ...report.filters }, query);
+
+    if (filters.dateFrom && filters.dateTo && filters.dateFrom > filters.dateTo) {
+        throw new ValidationError({ dateTo: 'dateTo must be on or after dateFrom' });
+    }
+
+    if (!columns) {
+        return { format, columns: report.columns, filters };
+    }
+    const keys = columns.split(',');
+    const unknown = keys.filter(key => !report.columns.some(column => column.key === key));
+    if (unknown.length > 0) {
+        throw new ValidationError({
+            columns: `Unknown column ${unknown.join(', ')}; choose from ${report.columns.map(column => column.key).join(', ')}`,
+        });
+    }
+    return { format, columns: [...new Set(keys)].map(key => report.columns.find(column => column.key === key)), filters };
+};
+
+/**
+ * Build a report
+ * @param {Object} repo - Repository to read from
+ * @param {string} name - Key of REPORTS
+ * @param {Object} query - req.query: the report's filters, format and columns
+ * @returns {Promise<Object>} { format, report, title, generatedAt, filters, summary, details, columns, rows };
+ *   rows only hold the chosen columns
+ * @throws {ApiError} 404 for an unknown report; ValidationError for a bad query
+ */
+export const generateReport = async (repo, name, query) => {
+    const report = Object.hasOwn(REPORTS, name) ? REPORTS[name] : null;
+    if (!report) {
+        throw new ApiError(404, 'Report not found');
+    }
+    const { format, columns, filters } = parseReportQuery(report, query);
+    const { rows, summary, details } = await report.build(repo, filters);
+
+    return {
+        format,
+        report: name,
+        title: report.title,
+        generatedAt: new Date().toISOString(),
+        filters,
+        summary,
+        details,
+        columns,
+        rows: rows.map(row => Object.fromEntries(columns.map(column => [column.key, row[column.key] ?? null]))),
+    };
+};
+
+/**
+ * Render a built report as a downloadable file
+ * @param {Object} result - What generateReport returned, for a csv, xlsx or pdf format
+ * @returns {Object} { filename, mimeType, body: a string or Buffer }
+ */
+export const reportFile = (result) => {
+    const { format, report, title, generatedAt, details, columns, rows } = result;
+    const { extension, mimeType } = EXPORT_FORMATS[format];
+    const filename = `${report}-report-${generatedAt.slice(0, 10)}.${extension}`;
+
+    if (format === 'csv') {
+        return { filename, mimeType, body: buildCSV(rows, columns) };
+    }
+    if (format === 'xlsx') {
+        return { filename, mimeType, body: Buffer.from(buildXLSX(rows, columns, title)) };
+    }
+    return { filename, mimeType, body: Buffer.from(buildPDF(rows, columns, title, details).output('arraybuffer')) };
+};
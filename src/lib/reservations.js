@@ -0,0 +1,71 @@
+/**
+ * Stock reservations: what reserved sales orders hold of each product in each warehouse, and
+ * the stock left available once they are taken out. Reservations are read from the orders'
+ * allocations every time (see salesOrders.js), so they cannot drift from the orders.
+ *
+ * The ledger (ledger.js) refuses outbound movements that would spend reserved stock, so
+ * this module must not import it.
+ *
+ * Stock in expired lots still counts as available (it can be written off or counted) but it
+ * cannot be shipped, so sales order allocation and transfer checks use shippableQuantity.
+ */
+
+import { expiredQuantity } from './lots';
+
+const reservationKey = (productId, warehouseId) => `${productId}:${warehouseId}`;
+
+/**
+ * Quantities held by reserved sales orders
+ * @param {Array} salesOrders - Sales order records
+ * @returns {Map} 'productId:warehouseId' -> reserved quantity
+ */
+export const reservedQuantities = (salesOrders) => {
+    const reserved = new Map();
+    salesOrders
+        .filter(order => order.status === 'reserved')
+        .flatMap(order => order.lines)
+        .forEach(line => line.allocations.forEach(allocation => {
+            const key = reservationKey(line.productId, allocation.warehouseId);
+            reserved.set(key, (reserved.get(key) || 0) + allocation.quantity);
+        }));
+    return reserved;
+};
+
+/**
+ * Quantity reserved for a product in a warehouse
+ * @param {Map} reservations - From reservedQuantities()
+ */
+export const reservedQuantity = (reservations, productId, warehouseId) =>
+    reservations.get(reservationKey(productId, warehouseId)) || 0;
+
+/**
+ * Add reservedQuantity, availableQuantity and shippableQuantity (available and not in an
+ * expired lot) to stock records
+ * @param {Array} stock - Stock records
+ * @param {Array} salesOrders - Sales order records
+ */
+export const withAvailability = (stock, salesOrders) => {
+    const reservations = reservedQuantities(salesOrders);
+    return stock.map(record => {
+        const reserved = reservedQuantity(reservations, record.productId, record.warehouseId);
+        return {
+            ...record,
+            reservedQuantity: reserved,
+            availableQuantity: record.quantity - reserved,
+            shippableQuantity: record.quantity - expiredQuantity(record) - reserved,
+        };
+    });
+};
+
+/**
+ * On-hand, reserved and available totals for a product across warehouses
+ * @param {Array} stock - Stock records from withAvailability()
+ */
+export const productAvailability = (stock, productId) =>
+    stock
+        .filter(s => s.productId === productId)
+        .reduce((totals, s) => ({
+            onHand: totals.onHand + s.quantity,
+            reserved: totals.reserved + s.reservedQuantity,
+            available: totals.available + s.availableQuantity,
+        }), { onHand: 0, reserved: 0, available: 0 });
@@ -0,0 +1,256 @@
+/**
+ * Sales orders and stock reservations.
+ *
+ * A sales order records customer demand as product lines. When the order is placed each line
+ * is allocated to one or more warehouses (allocations: [{ warehouseId, quantity }]), either
+ * all from a chosen warehouse or spread automatically across warehouses. Allocations on
+ * reserved orders are the stock reservations: they are not stored separately, so they can
+ * never drift from the orders that hold them.
+ *
+ *   reserved --ship-->   shipped    (stock leaves the ledger, reservation released)
+ *   reserved --cancel--> cancelled  (reservation released)
+ *
+ * Available stock is on-hand stock minus what is reserved (reservations.js).
+ */
+
+import { ApiError } from './apiError';
+import { postMovement } from './ledger';
+import { withAvailability } from './reservations';
+import { assertReference, parsePayload, salesOrderSchema } from './validation';
+
+export const SO_STATUSES = {
+    reserved: 'Reserved',
+    shipped: 'Shipped',
+    cancelled: 'Cancelled',
+};
+
+// Statuses each action may be applied from
+export const SO_ACTIONS = {
+    ship: ['reserved'],
+    cancel: ['reserved'],
+};
+
+/**
+ * Reference number printed on sales orders, e.g. SO-00042
+ */
+export const salesOrderReference = (id) => `SO-${String(id).padStart(5, '0')}`;
+
+/**
+ * Actions that can be applied to a sales order in its current status
+ */
+export const availableSalesOrderActions = (order) =>
+    Object.keys(SO_ACTIONS).filter(action => SO_ACTIONS[action].includes(order.status));
+
+/**
+ * Warehouses a sales order reserves stock in
+ * @returns {Array} Warehouse ids, each once
+ */
+export const allocatedWarehouseIds = (order) =>
+    [...new Set(order.lines.flatMap(line => line.allocations.map(allocation => allocation.warehouseId)))];
+
+/**
+ * Error for sales orders whose lines cannot be allocated; each entry of lineErrors is
+ * { line, error } with a zero-based line index
+ */
+export class SalesOrderLinesError extends ApiError {
+    constructor(lineErrors) {
+        super(400, lineErrors.length === 1
+            ? `Line ${lineErrors[0].line + 1}: ${lineErrors[0].error}`
+            : `${lineErrors.length} lines have problems`);
+        this.name = 'SalesOrderLinesError';
+        this.lineErrors = lineErrors;
+    }
+}
+
+/**
+ * Allocate order lines to warehouses against available stock. With a warehouse every line
+ * is reserved there; without one each line is taken from the warehouses with the most
+ * available stock first, so it is split over as few warehouses as possible.
+ * @param {Array} lines - [{ productId, quantity }]
+ * @param {Object} context - { products, stock (from withAvailability), warehouse }
+ * @returns {Object} { lines: [{ productId, quantity, allocations }], lineErrors }
+ */
+export const allocateSalesOrderLines = (lines, { products, stock, warehouse = null }) => {
+    const lineErrors = [];
+    const seen = new Set();
+
+    const allocated = lines.map((line, index) => {
+        const productId = parseInt(line.productId);
+        const quantity = Number(line.quantity);
+        const product = products.find(p => p.id === productId);
+
+        if (!product) {
+            lineErrors.push({ line: index, error: 'Product not found' });
+            return null;
+        }
+        if (seen.has(productId)) {
+            lineErrors.push({ line: index, error: `${product.name} appears on more than one line` });
+            return null;
+        }
+        seen.add(productId);
+
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+            lineErrors.push({ line: index, error: 'Quantity must be a whole number greater than 0' });
+            return null;
+        }
+
+        // Stock in expired lots cannot ship, so it is never reserved
+        const candidates = stock
+            .filter(s => s.productId === productId && s.shippableQuantity > 0)
+            .filter(s => !warehouse || s.warehouseId === warehouse.id)
+            .sort((a, b) => b.shippableQuantity - a.shippableQuantity);
+        const available = candidates.reduce((sum, s) => sum + s.shippableQuantity, 0);
+
+        if (available < quantity) {
+            const where = warehouse ? warehouse.name : 'all warehouses';
+            lineErrors.push({
+                line: index,
+                error: `Insufficient available stock of ${product.name} in ${where}. Available: ${available}, Requested: ${quantity}`,
+            });
+            return null;
+        }
+
+        const allocations = [];
+        let remaining = quantity;
+        for (const s of candidates) {
+            if (remaining === 0) break;
+            const take = Math.min(remaining, s.shippableQuantity);
+            allocations.push({ warehouseId: s.warehouseId, quantity: take });
+            remaining -= take;
+        }
+
+        return { productId, quantity, allocations };
+    });
+
+    return { lines: allocated, lineErrors };
+};
+
+/**
+ * Add product and warehouse details to a sales order for display
+ */
+export const enrichSalesOrder = (order, { products, warehouses }) => {
+    const warehouseName = (id) => warehouses.find(w => w.id === id)?.name || 'Unknown Warehouse';
+
+    const lines = order.lines.map(line => {
+        const product = products.find(p => p.id === line.productId);
+        return {
+            ...line,
+            productName: product?.name || 'Unknown Product',
+            productSku: product?.sku || 'N/A',
+            allocations: line.allocations.map(allocation => ({
+                ...allocation,
+                warehouseName: warehouseName(allocation.warehouseId),
+            })),
+        };
+    });
+
+    return {
+        ...order,
+        lines,
+        warehouseName: order.warehouseId ? warehouseName(order.warehouseId) : null,
+        totalQuantity: lines.reduce((sum, line) => sum + line.quantity, 0),
+        availableActions: availableSalesOrderActions(order),
+    };
+};
+
+/**
+ * Place a sales order and reserve its lines. Must run inside a transaction.
+ * @param {Object} tx - Repository transaction
+ * @param {Object} payload - { customerName, warehouseId (omit to auto-allocate), lines: [{ productId, quantity }], notes },
+ *   checked against salesOrderSchema
+ * @throws {SalesOrderLinesError} When any line cannot be reserved
+ */
+export const createSalesOrder = async (tx, payload) => {
+    const { customerName, warehouseId, lines, notes = '' } = parsePayload(salesOrderSchema, payload);
+
+    let warehouse = null;
+    if (warehouseId) {
+        const warehouses = await tx.list('warehouses');
+        assertReference(warehouses, 'warehouseId', warehouseId, { label: 'Warehouse' });
+        warehouse = warehouses.find(w => w.id === warehouseId);
+    }
+
+    const stock = withAvailability(await tx.list('stock'), await tx.list('salesOrders'));
+    const { lines: allocated, lineErrors } = allocateSalesOrderLines(lines, {
+        products: await tx.list('products'),
+        stock,
+        warehouse,
+    });
+    if (lineErrors.length > 0) {
+        throw new SalesOrderLinesError(lineErrors);
+    }
+
+    const createdAt = new Date().toISOString();
+    const order = await tx.insert('salesOrders', {
+        customerName,
+        warehouseId: warehouse?.id || null,
+        lines: allocated,
+        notes,
+        status: 'reserved',
+        createdAt,
+        history: [{ status: 'reserved', timestamp: createdAt }],
+    });
+    // The reference number is derived from the id the repository assigned
+    return tx.update('salesOrders', order.id, { reference: salesOrderReference(order.id) });
+};
+
+const assertAction = (order, action) => {
+    if (!SO_ACTIONS[action].includes(order.status)) {
+        throw new ApiError(
+            409,
+            `Cannot ${action} a sales order that is ${SO_STATUSES[order.status] || order.status}`
+        );
+    }
+};
+
+// Save a status change and append it to the order's history
+const updateStatus = (tx, order, status, event = {}) => {
+    const timestamp = new Date().toISOString();
+    return tx.update('salesOrders', order.id, {
+        ...event.fields,
+        status,
+        history: [...(order.history || []), { status, timestamp, ...event.entry }],
+    });
+};
+
+/**
+ * Ship a reserved order: every allocation leaves its warehouse through the ledger and the
+ * reservation is released. Lots are picked FEFO and recorded on each allocation.
+ * Must run inside a transaction.
+ */
+export const shipSalesOrder = async (tx, order) => {
+    assertAction(order, 'ship');
+
+    const lines = [];
+    for (const line of order.lines) {
+        const allocations = [];
+        for (const allocation of line.allocations) {
+            const { movement } = await postMovement(tx, {
+                productId: line.productId,
+                warehouseId: allocation.warehouseId,
+                delta: -allocation.quantity,
+                reason: 'sales_shipment',
+                referenceType: 'salesOrder',
+                referenceId: order.id,
+                notes: `${order.reference} for ${order.customerName}`,
+            });
+            allocations.push({ ...allocation, lots: movement.lots });
+        }
+        lines.push({ ...line, allocations });
+    }
+
+    return updateStatus(tx, order, 'shipped', {
+        fields: { lines, shippedAt: new Date().toISOString() },
+    });
+};
+
+/**
+ * Cancel a reserved order, releasing its reservations. Must run inside a transaction.
+ */
+export const cancelSalesOrder = async (tx, order, { note = '' } = {}) => {
+    assertAction(order, 'cancel');
+    return updateStatus(tx, order, 'cancelled', {
+        fields: { cancelledAt: new Date().toISOString() },
+        entry: { note },
+    });
+};
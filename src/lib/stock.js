@@ -0,0 +1,161 @@
+/**
+ * Stock records: one per product and warehouse, { id, productId, warehouseId, quantity, lots, bins }.
+ * Shared by /api/stock, /api/stock/[id] and the bulk endpoint. Quantities only change through
+ * the movement ledger (ledger.js), so every edit here is booked as a movement.
+ */
+
+import { ApiError } from './apiError';
+import { assertCan } from './auth';
+import { assertActive, recordStatus } from './archive';
+import { findStockRecord, postMovement } from './ledger';
+import { normalizeLot, sliceLots } from './lots';
+import { lineInTransit } from './transfers';
+import { assertReference, parsePayload, stockSchema } from './validation';
+
+const findStock = async (tx, id) => {
+    const stockItem = await tx.get('stock', id);
+    if (!stockItem) {
+        throw new ApiError(404, 'Stock item not found');
+    }
+    return stockItem;
+};
+
+/**
+ * Add product details and the quantity shipped towards the record but not yet received, for display
+ * @param {Object} lookups - { products, transfers }
+ */
+export const enrichStock = (record, { products, transfers }) => {
+    const product = products.find(p => p.id === record.productId);
+    return {
+        ...record,
+        productName: product?.name || 'Unknown Product',
+        productSku: product?.sku || 'N/A',
+        productStatus: product ? recordStatus(product) : null,
+        inboundQuantity: transfers
+            .filter(t => t.toWarehouseId === record.warehouseId)
+            .flatMap(t => t.lines.filter(line => line.productId === record.productId).map(line => lineInTransit(t, line)))
+            .reduce((sum, quantity) => sum + quantity, 0),
+    };
+};
+
+/**
+ * Create the stock record for a product in a warehouse. Must run inside a transaction.
+ * Lot fields put the opening quantity into a lot.
+ * @param {Object} tx - Repository transaction
+ * @param {Object} payload - { productId, warehouseId, quantity, lotNumber, manufacturedAt, expiresAt }
+ * @param {Object} user - req.user, who must be allowed to move stock in the warehouse
+ */
+export const createStock = async (tx, payload, user) => {
+    const values = parsePayload(stockSchema, payload);
+    const { productId, warehouseId, quantity } = values;
+    const lot = normalizeLot(values);
+    assertCan(user, 'move_stock', warehouseId);
+
+    const products = await tx.list('products');
+    const warehouses = await tx.list('warehouses');
+    assertReference(products, 'productId', productId, { label: 'Product' });
+    assertReference(warehouses, 'warehouseId', warehouseId, { label: 'Warehouse' });
+    assertActive(products, 'productId', productId, { label: 'Product' });
+    assertActive(warehouses, 'warehouseId', warehouseId, { label: 'Warehouse' });
+    if (findStockRecord(await tx.list('stock'), productId, warehouseId)) {
+        throw new ApiError(409, 'A stock record already exists for this product and warehouse');
+    }
+
+    // The opening quantity is booked through the ledger, which creates the record
+    const { stock } = await postMovement(tx, {
+        productId,
+        warehouseId,
+        delta: quantity,
+        reason: 'stock_added',
+        lots: lot && quantity > 0 ? [{ ...lot, quantity }] : null,
+    });
+    return stock;
+};
+
+/**
+ * Change a stock record's quantity, or move it to another product or warehouse. Must run
+ * inside a transaction. Lots and bins only change through movements; lot fields describe
+ * the lot of any added quantity.
+ */
+export const updateStock = async (tx, id, payload, user) => {
+    const values = parsePayload(stockSchema, payload, { partial: true });
+    const { productId, warehouseId, quantity } = values;
+    const lot = normalizeLot(values);
+    const existing = await findStock(tx, id);
+
+    const newProductId = productId ?? existing.productId;
+    const newWarehouseId = warehouseId ?? existing.warehouseId;
+    assertCan(user, 'move_stock', existing.warehouseId);
+    assertCan(user, 'move_stock', newWarehouseId);
+    const newQuantity = quantity ?? existing.quantity;
+    const reference = { reason: 'manual_edit', referenceType: 'stock', referenceId: existing.id };
+
+    if (newProductId !== existing.productId || newWarehouseId !== existing.warehouseId) {
+        const products = await tx.list('products');
+        const warehouses = await tx.list('warehouses');
+        assertReference(products, 'productId', newProductId, { label: 'Product' });
+        assertReference(warehouses, 'warehouseId', newWarehouseId, { label: 'Warehouse' });
+        // Stock can stay with an archived record, but cannot be moved onto one
+        if (newProductId !== existing.productId) {
+            assertActive(products, 'productId', newProductId, { label: 'Product' });
+        }
+        if (newWarehouseId !== existing.warehouseId) {
+            assertActive(warehouses, 'warehouseId', newWarehouseId, { label: 'Warehouse' });
+        }
+        if (findStockRecord(await tx.list('stock'), newProductId, newWarehouseId)) {
+            throw new ApiError(409, 'A stock record already exists for this product and warehouse');
+        }
+
+        // Take the quantity out of the old product/warehouse and book it against the new one,
+        // keeping its lots as far as the new quantity covers them
+        const { movement } = await postMovement(tx, {
+            ...reference,
+            productId: existing.productId,
+            warehouseId: existing.warehouseId,
+            delta: -existing.quantity,
+        });
+        await tx.update('stock', existing.id, { productId: newProductId, warehouseId: newWarehouseId });
+        await postMovement(tx, {
+            ...reference,
+            productId: newProductId,
+            warehouseId: newWarehouseId,
+            delta: newQuantity,
+            lots: sliceLots(movement.lots, 0, newQuantity),
+        });
+    } else if (newQuantity !== existing.quantity) {
+        const delta = newQuantity - existing.quantity;
+        if (lot && delta < 0) {
+            throw new ApiError(400, 'Lot details can only be given when adding stock');
+        }
+        await postMovement(tx, {
+            ...reference,
+            productId: existing.productId,
+            warehouseId: existing.warehouseId,
+            delta,
+            lots: lot ? [{ ...lot, quantity: delta }] : null,
+        });
+    }
+
+    return tx.get('stock', existing.id);
+};
+
+/**
+ * Delete a stock record. Must run inside a transaction.
+ * The quantity is zeroed through the ledger first so the removal stays explainable.
+ */
+export const deleteStock = async (tx, id, user) => {
+    const existing = await findStock(tx, id);
+    assertCan(user, 'move_stock', existing.warehouseId);
+
+    if (existing.quantity !== 0) {
+        await postMovement(tx, {
+            productId: existing.productId,
+            warehouseId: existing.warehouseId,
+            delta: -existing.quantity,
+            reason: 'record_deleted',
+            referenceType: 'stock',
+            referenceId: existing.id,
+        });
+    }
+    await tx.remove('stock', existing.id);
+};
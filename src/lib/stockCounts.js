@@ -0,0 +1,321 @@
+/**
+ * Cycle counts and physical stocktakes.
+ *
+ * A count session covers one warehouse, optionally narrowed to some product categories or
+ * bins. Opening it freezes the expected quantity of every line: one line per stock record, or
+ * per stock record and bin when the session is scoped to bins. Counters enter what they find;
+ * in a blind count the expected quantities are hidden until the count is submitted.
+ *
+ *   counting --count-->  counting   (enter or correct counted quantities)
+ *   counting --submit--> review     (every line counted)
+ *   review   --recount--> counting
+ *   review   --post-->   posted     (approved variances become ledger adjustments)
+ *   counting | review --cancel--> cancelled
+ *
+ * Variances are measured against the frozen expected quantity, so stock that moves while the
+ * count is open is not mistaken for a miscount: posting applies counted - expected to the
+ * current quantity.
+ */
+
+import { ApiError } from './apiError';
+import { postMovement } from './ledger';
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+export const COUNT_STATUSES = {
+    counting: 'Counting',
+    review: 'In Review',
+    posted: 'Posted',
+    cancelled: 'Cancelled',
+};
+
+// Statuses each action may be applied from
+export const COUNT_ACTIONS = {
+    count: ['counting'],
+    submit: ['counting'],
+    recount: ['review'],
+    post: ['review'],
+    cancel: ['counting', 'review'],
+};
+
+/**
+ * Reference number printed on count sheets, e.g. CNT-00042
+ */
+export const stockCountReference = (id) => `CNT-${String(id).padStart(5, '0')}`;
+
+/**
+ * Actions that can be applied to a count session in its current status
+ */
+export const availableCountActions = (session) =>
+    Object.keys(COUNT_ACTIONS).filter(action => COUNT_ACTIONS[action].includes(session.status));
+
+const isCounted = (line) => line.countedQuantity !== null && line.countedQuantity !== undefined;
+
+/**
+ * Counted minus expected quantity of a line; null until it has been counted
+ */
+export const lineVariance = (line) => (isCounted(line) ? line.countedQuantity - line.expectedQuantity : null);
+
+/**
+ * Add warehouse, product and bin details and variance totals to a count session for display.
+ * Expected quantities and variances of a blind count are left out while it is being counted.
+ * @param {Object} lookups - { products, warehouses, bins }
+ */
+export const enrichStockCount = (session, { products, warehouses, bins }) => {
+    const hideExpected = session.blind && session.status === 'counting';
+
+    const lines = session.lines.map((line, index) => {
+        const product = products.find(p => p.id === line.productId);
+        const variance = lineVariance(line);
+        const enriched = {
+            ...line,
+            line: index,
+            productName: product?.name || 'Unknown Product',
+            productSku: product?.sku || 'N/A',
+            category: product?.category || '',
+            binCode: line.binId ? bins.find(b => b.id === line.binId)?.code || 'Unknown bin' : null,
+            variance,
+            varianceValue: variance === null ? null : roundMoney(variance * line.unitCost),
+        };
+        if (hideExpected) {
+            delete enriched.expectedQuantity;
+            enriched.variance = null;
+            enriched.varianceValue = null;
+        }
+        return enriched;
+    });
+
+    const counted = lines.filter(isCounted);
+    const varianceLines = hideExpected ? [] : counted.filter(line => line.variance !== 0);
+
+    return {
+        ...session,
+        lines,
+        warehouseName: warehouses.find(w => w.id === session.warehouseId)?.name || 'Unknown Warehouse',
+        countedLines: counted.length,
+        varianceLines: varianceLines.length,
+        netVarianceValue: roundMoney(varianceLines.reduce((sum, line) => sum + line.varianceValue, 0)),
+        absoluteVarianceValue: roundMoney(varianceLines.reduce((sum, line) => sum + Math.abs(line.varianceValue), 0)),
+        availableActions: availableCountActions(session),
+    };
+};
+
+/**
+ * Build the frozen lines of a new session from the warehouse's current stock
+ * @param {Object} context - { warehouseId, categories, binIds, stock, products }
+ * @returns {Array} [{ stockId, productId, binId, expectedQuantity, countedQuantity, unitCost }]
+ */
+export const buildCountLines = ({ warehouseId, categories = [], binIds = [], stock, products }) => {
+    const inScope = stock
+        .filter(s => s.warehouseId === warehouseId)
+        .filter(s => {
+            const product = products.find(p => p.id === s.productId);
+            return categories.length === 0 || categories.includes(product?.category);
+        });
+
+    const lineFor = (record, binId, expectedQuantity) => ({
+        stockId: record.id,
+        productId: record.productId,
+        binId,
+        expectedQuantity,
+        countedQuantity: null,
+        unitCost: products.find(p => p.id === record.productId)?.unitCost || 0,
+    });
+
+    if (binIds.length === 0) {
+        return inScope.map(record => lineFor(record, null, record.quantity));
+    }
+
+    // Counting bins: one line per product found in each bin
+    return binIds.flatMap(binId => inScope
+        .filter(record => (record.bins || []).some(b => b.binId === binId))
+        .map(record => lineFor(record, binId, record.bins.find(b => b.binId === binId).quantity)));
+};
+
+/**
+ * Open a count session and freeze its expected quantities. A warehouse can only have one
+ * open session at a time. Must run inside a transaction.
+ * @param {Object} tx - Repository transaction
+ * @param {Object} fields - { warehouseId, categories, binIds, blind, notes }
+ */
+export const openStockCount = async (tx, { warehouseId, categories = [], binIds = [], blind = false, notes = '' }) => {
+    const warehouse = await tx.get('warehouses', warehouseId);
+    if (!warehouse) {
+        throw new ApiError(404, 'Warehouse not found');
+    }
+
+    const open = (await tx.list('stockCounts')).find(s => s.warehouseId === warehouse.id
+        && ['counting', 'review'].includes(s.status));
+    if (open) {
+        throw new ApiError(409, `${open.reference} is still open for ${warehouse.name}; post or cancel it first`);
+    }
+
+    const scopeBins = (binIds || []).map(id => parseInt(id));
+    const warehouseBins = (await tx.list('bins')).filter(b => b.warehouseId === warehouse.id);
+    scopeBins.forEach(id => {
+        if (!warehouseBins.some(b => b.id === id)) {
+            throw new ApiError(400, `Bin ${id} is not in ${warehouse.name}`);
+        }
+    });
+
+    const lines = buildCountLines({
+        warehouseId: warehouse.id,
+        categories: categories || [],
+        binIds: scopeBins,
+        stock: await tx.list('stock'),
+        products: await tx.list('products'),
+    });
+    if (lines.length === 0) {
+        throw new ApiError(400, 'Nothing to count: no stock matches the chosen scope');
+    }
+
+    const createdAt = new Date().toISOString();
+    const session = await tx.insert('stockCounts', {
+        warehouseId: warehouse.id,
+        categories: categories || [],
+        binIds: scopeBins,
+        blind: !!blind,
+        lines,
+        notes,
+        status: 'counting',
+        createdAt,
+        history: [{ status: 'counting', timestamp: createdAt }],
+    });
+    // The reference number is derived from the id the repository assigned
+    return tx.update('stockCounts', session.id, { reference: stockCountReference(session.id) });
+};
+
+const assertAction = (session, action) => {
+    if (!COUNT_ACTIONS[action].includes(session.status)) {
+        throw new ApiError(
+            409,
+            `Cannot ${action} a count that is ${COUNT_STATUSES[session.status] || session.status}`
+        );
+    }
+};
+
+// Save a status change and append it to the session's history
+const updateStatus = (tx, session, status, event = {}) => {
+    const timestamp = new Date().toISOString();
+    return tx.update('stockCounts', session.id, {
+        ...event.fields,
+        status,
+        history: [...(session.history || []), { status, timestamp, ...event.entry }],
+    });
+};
+
+/**
+ * Record counted quantities. Lines can be counted again until the session is submitted;
+ * an empty quantity clears a count. Must run inside a transaction.
+ * @param {Array} counts - [{ line, countedQuantity }] with zero-based line indexes
+ */
+export const recordCounts = async (tx, session, counts) => {
+    assertAction(session, 'count');
+    if (!Array.isArray(counts) || counts.length === 0) {
+        throw new ApiError(400, 'No counts given');
+    }
+
+    const lines = session.lines.map(line => ({ ...line }));
+    counts.forEach(count => {
+        const line = lines[count.line];
+        if (!line) {
+            throw new ApiError(400, `Line ${count.line + 1} is not on ${session.reference}`);
+        }
+        if (count.countedQuantity === '' || count.countedQuantity === null || count.countedQuantity === undefined) {
+            line.countedQuantity = null;
+            return;
+        }
+        const quantity = Number(count.countedQuantity);
+        if (!Number.isInteger(quantity) || quantity < 0) {
+            throw new ApiError(400, `Line ${count.line + 1}: counted quantity must be a whole number of 0 or more`);
+        }
+        line.countedQuantity = quantity;
+        line.countedAt = new Date().toISOString();
+    });
+
+    return tx.update('stockCounts', session.id, { lines });
+};
+
+/**
+ * Close counting and hand the variances over for review. Must run inside a transaction.
+ */
+export const submitStockCount = async (tx, session) => {
+    assertAction(session, 'submit');
+    const uncounted = session.lines.filter(line => !isCounted(line)).length;
+    if (uncounted > 0) {
+        throw new ApiError(400, `${uncounted} ${uncounted === 1 ? 'line has' : 'lines have'} not been counted`);
+    }
+    return updateStatus(tx, session, 'review', { fields: { submittedAt: new Date().toISOString() } });
+};
+
+/**
+ * Send a session in review back for counting. Must run inside a transaction.
+ */
+export const recountStockCount = async (tx, session, { note = '' } = {}) => {
+    assertAction(session, 'recount');
+    return updateStatus(tx, session, 'counting', { entry: { note } });
+};
+
+/**
+ * Post the approved variances as stock_count movements; variances that are not approved are
+ * recorded as rejected and leave stock unchanged. Must run inside a transaction.
+ * @param {Object} options - { approved: zero-based line indexes (defaults to every line), note }
+ */
+export const postStockCount = async (tx, session, { approved, note = '' } = {}) => {
+    assertAction(session, 'post');
+    const approvedLines = new Set(approved ? approved.map(Number) : session.lines.map((_, index) => index));
+
+    const lines = [];
+    for (const [index, line] of session.lines.entries()) {
+        const variance = lineVariance(line);
+        if (variance === 0) {
+            lines.push({ ...line, adjustment: 'none' });
+            continue;
+        }
+        if (!approvedLines.has(index)) {
+            lines.push({ ...line, adjustment: 'rejected' });
+            continue;
+        }
+
+        const record = await tx.get('stock', line.stockId);
+        if (!record) {
+            throw new ApiError(409, `Line ${index + 1}: the stock record has been deleted since the count was opened`);
+        }
+        if (variance < 0) {
+            const left = line.binId
+                ? (record.bins || []).find(b => b.binId === line.binId)?.quantity || 0
+                : record.quantity;
+            if (left < -variance) {
+                throw new ApiError(409, `Line ${index + 1}: only ${left} units left to write off`);
+            }
+        }
+
+        const { movement } = await postMovement(tx, {
+            productId: line.productId,
+            warehouseId: session.warehouseId,
+            delta: variance,
+            reason: 'stock_count',
+            referenceType: 'stockCount',
+            referenceId: session.id,
+            notes: note || session.reference,
+            bins: line.binId ? [{ binId: line.binId, quantity: Math.abs(variance) }] : null,
+        });
+        lines.push({ ...line, adjustment: 'posted', movementId: movement.id });
+    }
+
+    return updateStatus(tx, session, 'posted', {
+        fields: { lines, postedAt: new Date().toISOString() },
+        entry: { note, adjustments: lines.filter(line => line.adjustment === 'posted').length },
+    });
+};
+
+/**
+ * Cancel a session without touching stock. Must run inside a transaction.
+ */
+export const cancelStockCount = async (tx, session, { note = '' } = {}) => {
+    assertAction(session, 'cancel');
+    return updateStatus(tx, session, 'cancelled', {
+        fields: { cancelledAt: new Date().toISOString() },
+        entry: { note },
+    });
+};
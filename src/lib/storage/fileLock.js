@@ -0,0 +1,61 @@
+import fs from 'fs/promises';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Acquire an exclusive lock file shared by every process using the same data directory.
+ * Lock files older than staleAfter are assumed to belong to a crashed process and are broken.
+ * @param {string} lockPath - Path of the lock file
+ * @param {Object} options - { timeout, staleAfter, retryDelay } in milliseconds
+ * @returns {Promise<Function>} Async function that releases the lock
+ */
+export const acquireFileLock = async (lockPath, { timeout = 10000, staleAfter = 30000, retryDelay = 20 } = {}) => {
+    const startedAt = Date.now();
+
+    while (true) {
+        try {
+            const handle = await fs.open(lockPath, 'wx');
+            await handle.writeFile(JSON.stringify({ pid: process.pid, acquiredAt: new Date().toISOString() }));
+            await handle.close();
+            return () => fs.rm(lockPath, { force: true });
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+        }
+
+        try {
+            const { mtimeMs } = await fs.stat(lockPath);
+            if (Date.now() - mtimeMs > staleAfter) {
+                await fs.rm(lockPath, { force: true });
+                continue;
+            }
+        } catch (error) {
+            // Released between our open and stat - try again straight away
+            if (error.code === 'ENOENT') {
+                continue;
+            }
+            throw error;
+        }
+
+        if (Date.now() - startedAt > timeout) {
+            throw new Error(`Timed out waiting for storage lock ${lockPath}`);
+        }
+        await sleep(retryDelay);
+    }
+};
+
+/**
+ * Create an in-process mutex. Tasks passed to run() execute one at a time, in call order.
+ */
+export const createMutex = () => {
+    let tail = Promise.resolve();
+
+    return {
+        run(task) {
+            const result = tail.then(task);
+            tail = result.catch(() => {});
+            return result;
+        },
+    };
+};
@@ -0,0 +1,237 @@
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+import { createMutex } from './fileLock';
+import { createJsonBackend } from './jsonBackend';
+import { upgradeFor } from './upgrades';
+import { parseId } from '../validation';
+
+/**
+ * Collections managed by the repository and the field each record is keyed by.
+ * Alert records are keyed by the product they belong to. Records stored in an older shape
+ * are brought up to date by the upgrade their owning module registers (see upgrades.js).
+ */
+export const COLLECTIONS = {
+    products: { key: 'id' },
+    warehouses: { key: 'id' },
+    stock: { key: 'id' },
+    transfers: { key: 'id' },
+    alerts: { key: 'productId' },
+    movements: { key: 'id' },
+    suppliers: { key: 'id' },
+    purchaseOrders: { key: 'id' },
+    receipts: { key: 'id' },
+    salesOrders: { key: 'id' },
+    bins: { key: 'id' },
+    stockCounts: { key: 'id' },
+    adjustments: { key: 'id' },
+    adjustmentReasons: { key: 'id' },
+    auditLog: { key: 'id' },
+    users: { key: 'id' },
+    sessions: { key: 'id' },
+    apiKeys: { key: 'id' },
+};
+
+/**
+ * Resolve storage configuration from the environment.
+ * STORAGE_BACKEND selects 'json' (default) or 'sqlite'.
+ */
+export const getStorageConfig = () => {
+    const dataDir = process.env.DATA_DIR || path.join(process.cwd(), 'data');
+    return {
+        backend: process.env.STORAGE_BACKEND || 'json',
+        dataDir,
+        sqlitePath: process.env.SQLITE_PATH || path.join(dataDir, 'inventory.db'),
+    };
+};
+
+const loadBackend = async () => {
+    const config = getStorageConfig();
+
+    if (config.backend === 'json') {
+        return createJsonBackend({ dataDir: config.dataDir, collections: COLLECTIONS });
+    }
+
+    if (config.backend === 'sqlite') {
+        // Loaded lazily so the native driver is only required when it is used
+        const { createSqliteBackend } = await import('./sqliteBackend');
+        return createSqliteBackend({
+            filename: config.sqlitePath,
+            seedDir: config.dataDir,
+            collections: COLLECTIONS,
+        });
+    }
+
+    throw new Error(`Unknown storage backend: ${config.backend}`);
+};
+
+const assertCollection = (name) => {
+    if (!COLLECTIONS[name]) {
+        throw new Error(`Unknown collection: ${name}`);
+    }
+    return COLLECTIONS[name].key;
+};
+
+const upgrade = (collection, record) => {
+    const upgradeRecord = upgradeFor(collection);
+    return record && upgradeRecord ? upgradeRecord(record) : record;
+};
+
+// Record-level operations shared by plain reads and transactions
+const createOperations = (store) => ({
+    /**
+     * Get every record in a collection
+     */
+    async list(collection) {
+        assertCollection(collection);
+        const records = await store.list(collection);
+        return upgradeFor(collection) ? records.map(record => upgrade(collection, record)) : records;
+    },
+
+    /**
+     * Get a single record by key, or null when it does not exist. Keys are read like the 'id'
+     * validation rule, so one that is not a positive whole number matches no record.
+     */
+    async get(collection, key) {
+        assertCollection(collection);
+        const id = parseId(key);
+        return id === null ? null : upgrade(collection, await store.get(collection, id));
+    },
+
+    /**
+     * Insert a new record, assigning the next id when the collection is id-keyed
+     */
+    async insert(collection, record) {
+        const keyField = assertCollection(collection);
+        let newRecord = { ...record };
+        if (keyField === 'id') {
+            const { id, ...fields } = record;
+            newRecord = { id: await store.nextId(collection), ...fields };
+        }
+        await store.put(collection, newRecord);
+        return newRecord;
+    },
+
+    /**
+     * Merge changes into an existing record. Returns the updated record or null.
+     */
+    async update(collection, key, changes) {
+        const keyField = assertCollection(collection);
+        const id = parseId(key);
+        const existing = id === null ? null : upgrade(collection, await store.get(collection, id));
+        if (!existing) {
+            return null;
+        }
+        const updated = { ...existing, ...changes, [keyField]: existing[keyField] };
+        await store.put(collection, updated);
+        return updated;
+    },
+
+    /**
+     * Insert or fully replace a record by its key
+     */
+    async save(collection, record) {
+        const keyField = assertCollection(collection);
+        if (record[keyField] === undefined || record[keyField] === null) {
+            throw new Error(`Cannot save ${collection} record without ${keyField}`);
+        }
+        await store.put(collection, record);
+        return record;
+    },
+
+    /**
+     * Remove a record by key. Returns true when a record was removed.
+     */
+    async remove(collection, key) {
+        assertCollection(collection);
+        const id = parseId(key);
+        return id === null ? false : store.remove(collection, id);
+    },
+});
+
+/**
+ * Build the repository API on top of a storage backend.
+ * Backends only store and load whole records; id assignment and merging live here.
+ *
+ * Every write runs inside a transaction. Transactions are serialized within the
+ * process, isolated across processes by the backend, and commit all-or-nothing:
+ * if the callback throws, none of its writes are kept. Inside a transaction,
+ * tx.savepoint(fn) runs fn as a nested unit whose writes alone are undone if it throws.
+ * @param {Object} backend - Backend implementing list, get and begin
+ */
+export const createRepository = (backend) => {
+    const mutex = createMutex();
+    const activeTransaction = new AsyncLocalStorage();
+    const reads = createOperations(backend);
+
+    /**
+     * Run fn(tx) as one atomic unit. tx exposes the same operations as the repository.
+     * Calls made while a transaction is already active join it instead of waiting.
+     */
+    const transaction = (fn) => {
+        const current = activeTransaction.getStore();
+        if (current) {
+            return fn(current);
+        }
+
+        return mutex.run(async () => {
+            const session = await backend.begin();
+            const tx = {
+                ...createOperations(session),
+
+                /**
+                 * Run fn(tx); if it throws, undo only its writes and rethrow, leaving the rest
+                 * of the transaction intact. Lets a batch keep the rows that succeeded.
+                 */
+                async savepoint(fn) {
+                    const savepoint = await session.savepoint();
+                    try {
+                        const result = await fn(tx);
+                        await savepoint.release();
+                        return result;
+                    } catch (error) {
+                        await savepoint.rollback();
+                        throw error;
+                    }
+                },
+            };
+            try {
+                const result = await activeTransaction.run(tx, () => fn(tx));
+                await session.commit();
+                return result;
+            } catch (error) {
+                await session.rollback();
+                throw error;
+            }
+        });
+    };
+
+    // Reads inside a transaction see its uncommitted writes
+    const current = () => activeTransaction.getStore() || reads;
+
+    return {
+        list: (collection) => current().list(collection),
+        get: (collection, key) => current().get(collection, key),
+        insert: (collection, record) => transaction(tx => tx.insert(collection, record)),
+        update: (collection, key, changes) => transaction(tx => tx.update(collection, key, changes)),
+        save: (collection, record) => transaction(tx => tx.save(collection, record)),
+        remove: (collection, key) => transaction(tx => tx.remove(collection, key)),
+        transaction,
+    };
+};
+
+let repositoryPromise = null;
+
+/**
+ * Get the shared repository for the configured backend
+ */
+export const getRepository = () => {
+    if (!repositoryPromise) {
+        repositoryPromise = loadBackend()
+            .then(createRepository)
+            .catch((error) => {
+                repositoryPromise = null;
+                throw error;
+            });
+    }
+    return repositoryPromise;
+};
@@ -0,0 +1,223 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { acquireFileLock } from './fileLock';
+
+const LOCK_FILE = '.storage.lock';
+const JOURNAL_FILE = '.storage-journal.json';
+
+const exists = async (file) => {
+    try {
+        await fs.access(file);
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+// Write a file and flush it to disk before returning
+const writeDurable = async (file, contents) => {
+    const handle = await fs.open(file, 'w');
+    try {
+        await handle.writeFile(contents);
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+};
+
+/**
+ * Storage backend that keeps each collection in data/<collection>.json.
+ *
+ * Writes happen in sessions: the session holds a lock file shared across processes,
+ * buffers changes in memory and commits them through a write-ahead journal:
+ *   1. every changed collection is written to <collection>.json.tmp
+ *   2. the journal listing those files is written (the commit point)
+ *   3. each temp file is renamed over its collection, then the journal is removed
+ * A crash before step 2 leaves only temp files, which are discarded; a crash after it
+ * is rolled forward by replaying the journal the next time the data is opened.
+ * @param {Object} options
+ * @param {string} options.dataDir - Directory holding the JSON files
+ * @param {Object} options.collections - Collection registry ({ name: { key } })
+ */
+export const createJsonBackend = ({ dataDir, collections }) => {
+    const filePath = (name) => path.join(dataDir, `${name}.json`);
+    const tempPath = (name) => `${filePath(name)}.tmp`;
+    const lockPath = path.join(dataDir, LOCK_FILE);
+    const journalPath = path.join(dataDir, JOURNAL_FILE);
+    const keyOf = (name) => collections[name].key;
+
+    const read = async (name) => {
+        try {
+            const fileData = await fs.readFile(filePath(name), 'utf8');
+            return JSON.parse(fileData);
+        } catch (error) {
+            // A collection without a file yet is simply empty
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+    };
+
+    // Move committed temp files into place and drop the journal
+    const applyJournal = async (names) => {
+        for (const name of names) {
+            if (await exists(tempPath(name))) {
+                await fs.rename(tempPath(name), filePath(name));
+            }
+        }
+        await fs.rm(journalPath, { force: true });
+    };
+
+    // Finish or discard whatever an interrupted commit left behind. Caller holds the lock.
+    const recover = async () => {
+        if (await exists(journalPath)) {
+            const journal = JSON.parse(await fs.readFile(journalPath, 'utf8'));
+            await applyJournal(journal.files);
+        }
+        // Anything still left over was never committed
+        for (const name of Object.keys(collections)) {
+            await fs.rm(tempPath(name), { force: true });
+        }
+    };
+
+    const commitChanges = async (changes) => {
+        if (changes.size === 0) {
+            return;
+        }
+        const names = [...changes.keys()];
+
+        for (const name of names) {
+            await writeDurable(tempPath(name), JSON.stringify(changes.get(name), null, 2));
+        }
+
+        const journalTemp = `${journalPath}.tmp`;
+        await writeDurable(journalTemp, JSON.stringify({ files: names, committedAt: new Date().toISOString() }));
+        await fs.rename(journalTemp, journalPath);
+
+        await applyJournal(names);
+    };
+
+    const ready = (async () => {
+        await fs.mkdir(dataDir, { recursive: true });
+        const release = await acquireFileLock(lockPath);
+        try {
+            await recover();
+        } finally {
+            await release();
+        }
+    })();
+
+    return {
+        name: 'json',
+
+        async list(name) {
+            await ready;
+            return read(name);
+        },
+
+        async get(name, key) {
+            await ready;
+            const records = await read(name);
+            return records.find(r => r[keyOf(name)] === key) || null;
+        },
+
+        /**
+         * Open a write session. Only one session exists at a time across processes.
+         */
+        async begin() {
+            await ready;
+            const release = await acquireFileLock(lockPath);
+
+            try {
+                await recover();
+            } catch (error) {
+                await release();
+                throw error;
+            }
+
+            const changes = new Map();
+
+            // Collections are read once per session; later reads see the buffered changes
+            const load = async (name) => {
+                if (!changes.has(name)) {
+                    changes.set(name, { records: await read(name), dirty: false });
+                }
+                return changes.get(name);
+            };
+
+            const markDirty = (name, records) => {
+                changes.set(name, { records, dirty: true });
+            };
+
+            return {
+                async list(name) {
+                    return [...(await load(name)).records];
+                },
+
+                async get(name, key) {
+                    const { records } = await load(name);
+                    return records.find(r => r[keyOf(name)] === key) || null;
+                },
+
+                async put(name, record) {
+                    const keyField = keyOf(name);
+                    const records = [...(await load(name)).records];
+                    const index = records.findIndex(r => r[keyField] === record[keyField]);
+                    if (index >= 0) {
+                        records[index] = record;
+                    } else {
+                        records.push(record);
+                    }
+                    markDirty(name, records);
+                },
+
+                async remove(name, key) {
+                    const { records } = await load(name);
+                    const remaining = records.filter(r => r[keyOf(name)] !== key);
+                    if (remaining.length === records.length) {
+                        return false;
+                    }
+                    markDirty(name, remaining);
+                    return true;
+                },
+
+                async nextId(name) {
+                    const { records } = await load(name);
+                    return records.length ? Math.max(...records.map(r => r.id)) + 1 : 1;
+                },
+
+                // Buffered collections are replaced rather than changed in place, so a copy of
+                // the buffer is enough to return to
+                async savepoint() {
+                    const snapshot = new Map(changes);
+                    return {
+                        async release() {},
+                        async rollback() {
+                            changes.clear();
+                            snapshot.forEach((entry, name) => changes.set(name, entry));
+                        },
+                    };
+                },
+
+                async commit() {
+                    try {
+                        const dirty = new Map();
+                        changes.forEach((entry, name) => {
+                            if (entry.dirty) {
+                                dirty.set(name, entry.records);
+                            }
+                        });
+                        await commitChanges(dirty);
+                    } finally {
+                        await release();
+                    }
+                },
+
+                async rollback() {
+                    await release();
+                },
+            };
+        },
+    };
+};
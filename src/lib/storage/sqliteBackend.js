@@ -0,0 +1,132 @@
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+
+/**
+ * Storage backend backed by an embedded SQLite database.
+ * Each collection is a table of (id, data) rows where data is the JSON record,
+ * so single-record writes no longer rewrite the whole collection.
+ * On first use a table is seeded from the matching JSON file, if one exists.
+ *
+ * Write sessions map onto BEGIN IMMEDIATE transactions on a dedicated connection;
+ * reads outside a session use a second connection so they only ever see committed data.
+ * @param {Object} options
+ * @param {string} options.filename - Path of the SQLite database file
+ * @param {string} options.seedDir - Directory holding JSON files to seed from
+ * @param {Object} options.collections - Collection registry ({ name: { key } })
+ */
+export const createSqliteBackend = ({ filename, seedDir, collections }) => {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+
+    const writer = new Database(filename);
+    writer.pragma('journal_mode = WAL');
+    writer.pragma('busy_timeout = 10000');
+    writer.exec('CREATE TABLE IF NOT EXISTS _seeded (collection TEXT PRIMARY KEY, seeded_at TEXT NOT NULL)');
+
+    const seed = (name) => {
+        const seedFile = path.join(seedDir, `${name}.json`);
+        const keyField = collections[name].key;
+        const records = fs.existsSync(seedFile) ? JSON.parse(fs.readFileSync(seedFile, 'utf8')) : [];
+        const insert = writer.prepare(`INSERT OR IGNORE INTO "${name}" (id, data) VALUES (?, ?)`);
+
+        records.forEach(record => insert.run(record[keyField], JSON.stringify(record)));
+        writer.prepare('INSERT INTO _seeded (collection, seeded_at) VALUES (?, ?)')
+            .run(name, new Date().toISOString());
+    };
+
+    // Tables are created and seeded up front so sessions never run DDL
+    writer.transaction(() => {
+        Object.keys(collections).forEach(name => {
+            writer.exec(`CREATE TABLE IF NOT EXISTS "${name}" (id INTEGER PRIMARY KEY, data TEXT NOT NULL)`);
+            if (!writer.prepare('SELECT 1 FROM _seeded WHERE collection = ?').get(name)) {
+                seed(name);
+            }
+        });
+    }).immediate();
+
+    const reader = new Database(filename);
+    reader.pragma('busy_timeout = 10000');
+
+    const prepareStatements = (db) => Object.fromEntries(Object.keys(collections).map(name => [name, {
+        list: db.prepare(`SELECT data FROM "${name}" ORDER BY id`),
+        get: db.prepare(`SELECT data FROM "${name}" WHERE id = ?`),
+        put: db.prepare(
+            `INSERT INTO "${name}" (id, data) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data`
+        ),
+        remove: db.prepare(`DELETE FROM "${name}" WHERE id = ?`),
+        nextId: db.prepare(`SELECT COALESCE(MAX(id), 0) + 1 AS nextId FROM "${name}"`),
+    }]));
+
+    const writeStatements = prepareStatements(writer);
+    const readStatements = prepareStatements(reader);
+
+    return {
+        name: 'sqlite',
+
+        async list(name) {
+            return readStatements[name].list.all().map(row => JSON.parse(row.data));
+        },
+
+        async get(name, key) {
+            const row = readStatements[name].get.get(key);
+            return row ? JSON.parse(row.data) : null;
+        },
+
+        /**
+         * Open a write session. The repository serializes sessions within the process;
+         * SQLite's own locking (with busy_timeout) serializes them across processes.
+         */
+        async begin() {
+            writer.exec('BEGIN IMMEDIATE');
+            let savepoints = 0;
+
+            return {
+                async list(name) {
+                    return writeStatements[name].list.all().map(row => JSON.parse(row.data));
+                },
+
+                async get(name, key) {
+                    const row = writeStatements[name].get.get(key);
+                    return row ? JSON.parse(row.data) : null;
+                },
+
+                async put(name, record) {
+                    writeStatements[name].put.run(record[collections[name].key], JSON.stringify(record));
+                },
+
+                async remove(name, key) {
+                    return writeStatements[name].remove.run(key).changes > 0;
+                },
+
+                async nextId(name) {
+                    return writeStatements[name].nextId.get().nextId;
+                },
+
+                async savepoint() {
+                    savepoints += 1;
+                    const savepointName = `sp_${savepoints}`;
+                    writer.exec(`SAVEPOINT ${savepointName}`);
+                    return {
+                        async release() {
+                            writer.exec(`RELEASE ${savepointName}`);
+                        },
+                        async rollback() {
+                            writer.exec(`ROLLBACK TO ${savepointName}`);
+                            writer.exec(`RELEASE ${savepointName}`);
+                        },
+                    };
+                },
+
+                async commit() {
+                    writer.exec('COMMIT');
+                },
+
+                async rollback() {
+                    if (writer.inTransaction) {
+                        writer.exec('ROLLBACK');
+                    }
+                },
+            };
+        },
+    };
+};
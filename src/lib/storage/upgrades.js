@@ -0,0 +1,25 @@
+/**
+ * Record upgrades, registered by the module that owns each collection's record shape.
+ *
+ * An upgrade brings a record stored in an older shape up to date whenever it is read, so old
+ * data files and databases keep working; the upgraded shape is what gets written back on the
+ * next update. Owners register when they load (transfers.js registers upgradeTransfer), which
+ * keeps the storage layer free of domain code. This file has no server-only imports so those
+ * owners can still be used by pages.
+ */
+
+const upgrades = {};
+
+/**
+ * Register how records of a collection are brought up to date
+ * @param {string} collection - Collection name, e.g. 'transfers'
+ * @param {Function} upgrade - record => up-to-date record; current records come back unchanged
+ */
+export const registerUpgrade = (collection, upgrade) => {
+    upgrades[collection] = upgrade;
+};
+
+/**
+ * The registered upgrade for a collection, or undefined when it has none
+ */
+export const upgradeFor = (collection) => upgrades[collection];
@@ -0,0 +1,52 @@
+/**
+ * Supplier records.
+ *
+ * A supplier has contact details, a lead time in days, the currency it invoices in and a
+ * price list of the products it sells: products: [{ productId, supplierSku, unitPrice }].
+ */
+
+import { assertLineProducts, parsePayload, supplierSchema } from './validation';
+
+/**
+ * Check and normalize a supplier payload
+ * @param {Object} payload - Supplier fields from the request body
+ * @param {Array} products - Known products, to check the price list against
+ * @returns {Object} Supplier fields ready to store
+ * @throws {ValidationError} When a field fails supplierSchema or the price list names an unknown product
+ */
+export const normalizeSupplier = (payload, products) => {
+    const values = parsePayload(supplierSchema, payload);
+    const priceList = values.products || [];
+    assertLineProducts(priceList, products, 'products');
+
+    return {
+        name: values.name,
+        contactName: values.contactName || '',
+        email: values.email || '',
+        phone: values.phone || '',
+        leadTimeDays: values.leadTimeDays ?? 0,
+        currency: (values.currency || 'USD').toUpperCase(),
+        products: priceList.map(({ productId, supplierSku = '', unitPrice }) => ({ productId, supplierSku, unitPrice })),
+    };
+};
+
+/**
+ * The supplier's price list entry for a product, or null if it does not sell it
+ */
+export const supplierProduct = (supplier, productId) =>
+    supplier.products.find(p => p.productId === productId) || null;
+
+/**
+ * Choose who to buy a product from: the cheapest supplier, then the shortest lead time
+ * @returns {Object|null} The supplier, or null when nobody sells the product
+ */
+export const preferredSupplier = (suppliers, productId) => {
+    const candidates = suppliers.filter(s => supplierProduct(s, productId));
+    if (candidates.length === 0) {
+        return null;
+    }
+    return candidates.sort((a, b) =>
+        supplierProduct(a, productId).unitPrice - supplierProduct(b, productId).unitPrice
+        || a.leadTimeDays - b.leadTimeDays
+    )[0];
+};
@@ -0,0 +1,634 @@
+/**
+ * Transfer orders and their lifecycle.
+ *
+ * A transfer order moves one or more product lines ({ productId, quantity, receivedQuantity })
+ * from one warehouse to another under a single reference number.
+ *
+ *   pending            --ship-->    in_transit
+ *   in_transit         --receive--> partially_received | received
+ *   partially_received --receive--> received
+ *   any open status    --cancel-->  cancelled
+ *   received           --correct--> received | reversed   (quantities or destination)
+ *   received           --reverse--> reversed
+ *
+ * Shipping takes every line out of the source warehouse; receiving books lines into the
+ * destination. Until then the outstanding quantity is in transit. Cancelling a shipped
+ * transfer returns whatever has not been received to the source warehouse.
+ *
+ * A received transfer is never edited in place. Reversing or correcting it creates an
+ * adjustment transfer (adjusts: originalId) whose signed line quantities are the stock moved
+ * from source to destination (negative = moved back). The original keeps each line's net
+ * quantity and a list of its adjustments. Correcting the destination moves the net quantities
+ * from the wrong destination to the right one, and the adjustment runs between those two.
+ */
+
+import { ApiError } from './apiError';
+import { postMovement } from './ledger';
+import { sliceLots } from './lots';
+import { describePicks, pickBins } from './bins';
+import { ValidationError, assertReference, parsePayload } from './validation';
+import { withAvailability } from './reservations';
+import { registerUpgrade } from './storage/upgrades';
+
+export const TRANSFER_STATUSES = {
+    pending: 'Pending',
+    in_transit: 'In Transit',
+    partially_received: 'Partially Received',
+    received: 'Received',
+    cancelled: 'Cancelled',
+    reversed: 'Reversed',
+};
+
+export const ADJUSTMENT_TYPES = {
+    reversal: 'Reversal',
+    correction: 'Correction',
+};
+
+// Statuses each action may be applied from
+export const TRANSFER_ACTIONS = {
+    ship: ['pending'],
+    receive: ['in_transit', 'partially_received'],
+    cancel: ['pending', 'in_transit', 'partially_received'],
+    correct: ['received'],
+    reverse: ['received'],
+};
+
+/**
+ * Reference number printed on packing lists, e.g. TRF-00042
+ */
+export const transferReference = (id) => `TRF-${String(id).padStart(5, '0')}`;
+
+/**
+ * Bring a transfer stored before multi-line orders up to date. Early transfers moved a single
+ * product at once ({ productId, quantity, status: 'completed' }); later single-product ones
+ * had the lifecycle fields but no lines. Either becomes a one-line order, and 'completed'
+ * becomes received. Current records are returned unchanged.
+ */
+export const upgradeTransfer = (transfer) => {
+    if (Array.isArray(transfer.lines)) {
+        return transfer;
+    }
+    const { productId, quantity, receivedQuantity, shortQuantity, lots, bins, ...fields } = transfer;
+    const status = TRANSFER_STATUSES[transfer.status] ? transfer.status : 'received';
+    const received = receivedQuantity ?? (status === 'received' ? quantity : 0);
+    return {
+        ...fields,
+        reference: transfer.reference || transferReference(transfer.id),
+        status,
+        lines: [{
+            productId,
+            quantity,
+            receivedQuantity: received,
+            ...(status === 'received' && { shortQuantity: shortQuantity ?? quantity - received }),
+            ...(lots && { lots }),
+            ...(bins && { bins }),
+        }],
+        ...(status === 'received' && {
+            shippedAt: transfer.shippedAt || transfer.date,
+            receivedAt: transfer.receivedAt || transfer.date,
+        }),
+        history: transfer.history || [{ status, timestamp: transfer.date, quantity }],
+    };
+};
+
+registerUpgrade('transfers', upgradeTransfer);
+
+/**
+ * Quantity of a line that is at the destination once corrections are taken into account
+ */
+export const netQuantity = (line) => line.netQuantity ?? line.receivedQuantity ?? 0;
+
+/**
+ * Actions that can be applied to a transfer in its current status.
+ * Adjustment transfers are final; corrections are made against the original.
+ */
+export const availableActions = (transfer) => {
+    if (transfer.adjusts) {
+        return [];
+    }
+    return Object.keys(TRANSFER_ACTIONS).filter(action => TRANSFER_ACTIONS[action].includes(transfer.status));
+};
+
+const isShipped = (transfer) => ['in_transit', 'partially_received'].includes(transfer.status);
+
+/**
+ * Quantity of a line that has left the source warehouse but not reached the destination
+ */
+export const lineInTransit = (transfer, line) =>
+    isShipped(transfer) ? line.quantity - (line.receivedQuantity || 0) : 0;
+
+const sumLines = (lines, field) => lines.reduce((sum, line) => sum + (line[field] || 0), 0);
+
+/**
+ * Bins each line is (or was) picked from in the source warehouse: the bins recorded when the
+ * transfer shipped, or for a pending transfer the bins shipping would pick from now.
+ * @param {Object} picking - { stock, bins }
+ * @returns {Array} [{ binId, binCode, quantity }] per line
+ */
+const pickingLocations = (transfer, line, { stock, bins }) => {
+    if (transfer.status !== 'pending') {
+        return line.bins ? describePicks(line.bins, line.quantity, bins) : [];
+    }
+    const record = stock.find(s => s.productId === line.productId && s.warehouseId === transfer.fromWarehouseId);
+    return describePicks(pickBins(record?.bins, line.quantity, bins), line.quantity, bins);
+};
+
+/**
+ * Add product and warehouse details and line totals to a transfer for display.
+ * Given picking ({ stock, bins }) each line also gets the bins to pick from (pickFrom).
+ */
+export const enrichTransfer = (transfer, products, warehouses, picking = null) => {
+    const fromWarehouse = warehouses.find(w => w.id === transfer.fromWarehouseId);
+    const toWarehouse = warehouses.find(w => w.id === transfer.toWarehouseId);
+
+    const lines = transfer.lines.map(line => {
+        const product = products.find(p => p.id === line.productId);
+        return {
+            ...line,
+            productName: product?.name || 'Unknown Product',
+            productSku: product?.sku || 'N/A',
+            inTransitQuantity: lineInTransit(transfer, line),
+            netQuantity: netQuantity(line),
+            ...(picking && { pickFrom: pickingLocations(transfer, line, picking) }),
+        };
+    });
+
+    return {
+        ...transfer,
+        lines,
+        productSummary: lines.length === 1 ? lines[0].productName : `${lines.length} products`,
+        totalQuantity: sumLines(lines, 'quantity'),
+        receivedQuantity: sumLines(lines, 'receivedQuantity'),
+        shortQuantity: sumLines(lines, 'shortQuantity'),
+        inTransitQuantity: sumLines(lines, 'inTransitQuantity'),
+        netQuantity: sumLines(lines, 'netQuantity'),
+        fromWarehouseName: fromWarehouse?.name || 'Unknown Warehouse',
+        toWarehouseName: toWarehouse?.name || 'Unknown Warehouse',
+        availableActions: availableActions(transfer),
+    };
+};
+
+/**
+ * Raised when one or more lines of a transfer order are invalid.
+ * lineErrors is [{ line, error }] with zero-based line indexes.
+ */
+export class TransferLinesError extends ValidationError {
+    constructor(lineErrors) {
+        // fieldErrors carries the same problems keyed by line path, like any other payload error
+        super(Object.fromEntries(lineErrors.map(e => [`lines.${e.line}`, e.error])));
+        this.message = lineErrors.length === 1
+            ? `Line ${lineErrors[0].line + 1}: ${lineErrors[0].error}`
+            : `${lineErrors.length} lines have problems`;
+        this.name = 'TransferLinesError';
+        this.lineErrors = lineErrors;
+    }
+}
+
+/**
+ * Validate the lines of a new transfer order against products and source stock.
+ * Stock reserved for sales orders or in expired lots cannot be transferred, so stock must
+ * carry shippableQuantity (see withAvailability in reservations.js).
+ * Every problem is collected so the whole order can be corrected in one go.
+ * @returns {Array} [{ line, error }] with zero-based line indexes; empty when valid
+ */
+export const validateTransferLines = (lines, { products, stock, fromWarehouse }) => {
+    const lineErrors = [];
+    const seen = new Set();
+
+    lines.forEach((line, index) => {
+        const productId = parseInt(line.productId);
+        const quantity = Number(line.quantity);
+        const product = products.find(p => p.id === productId);
+
+        if (!product) {
+            lineErrors.push({ line: index, error: 'Product not found' });
+            return;
+        }
+        if (seen.has(productId)) {
+            lineErrors.push({ line: index, error: `${product.name} appears on more than one line` });
+            return;
+        }
+        seen.add(productId);
+
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+            lineErrors.push({ line: index, error: 'Quantity must be a whole number greater than 0' });
+            return;
+        }
+
+        const available = Math.max(stock.find(s => s.productId === productId && s.warehouseId === fromWarehouse.id)?.shippableQuantity || 0, 0);
+        if (available < quantity) {
+            lineErrors.push({
+                line: index,
+                error: `Insufficient stock of ${product.name} in ${fromWarehouse.name}. Available: ${available}, Requested: ${quantity}`,
+            });
+        }
+    });
+
+    return lineErrors;
+};
+
+const assertAction = (transfer, action) => {
+    if (transfer.adjusts) {
+        throw new ApiError(409, `${transfer.reference} is an adjustment; ${action} the original transfer instead`);
+    }
+    if (!TRANSFER_ACTIONS[action].includes(transfer.status)) {
+        throw new ApiError(
+            409,
+            `Cannot ${action} a transfer that is ${TRANSFER_STATUSES[transfer.status] || transfer.status}`
+        );
+    }
+};
+
+// Save a status change and append it to the transfer's history
+const updateStatus = (tx, transfer, status, event) => {
+    const timestamp = new Date().toISOString();
+    return tx.update('transfers', transfer.id, {
+        ...event.fields,
+        status,
+        history: [...(transfer.history || []), { status, timestamp, ...event.entry }],
+    });
+};
+
+const postLineMovement = (tx, transfer, line, { warehouseId, delta, reason, notes, lots, bins }) => postMovement(tx, {
+    productId: line.productId,
+    warehouseId,
+    delta,
+    reason,
+    referenceType: 'transfer',
+    referenceId: transfer.id,
+    notes: notes || transfer.reference,
+    lots,
+    bins,
+});
+
+/**
+ * Ship a pending transfer: every line leaves the source warehouse. The lots picked (FEFO)
+ * are kept on the line so they arrive at the destination under the same lot numbers, and
+ * the bins picked so the packing list shows where the stock came from.
+ * Must run inside a transaction.
+ */
+export const shipTransfer = async (tx, transfer) => {
+    assertAction(transfer, 'ship');
+
+    const lines = [];
+    for (const line of transfer.lines) {
+        const { movement } = await postLineMovement(tx, transfer, line, {
+            warehouseId: transfer.fromWarehouseId,
+            delta: -line.quantity,
+            reason: 'transfer_out',
+        });
+        lines.push({ ...line, lots: movement.lots, bins: movement.bins });
+    }
+
+    return updateStatus(tx, transfer, 'in_transit', {
+        fields: { lines, shippedAt: new Date().toISOString() },
+        entry: { quantity: sumLines(transfer.lines, 'quantity') },
+    });
+};
+
+/**
+ * Receive some or all of the outstanding lines at the destination warehouse.
+ * With closeShort the transfer is marked received even if less arrived than was shipped;
+ * each line's shortfall is recorded on it and written off in the ledger: it is booked into
+ * the destination (transfer_in) and straight back out as transit_loss, with the lots it
+ * shipped with, so every unit shipped is accounted for as received or lost.
+ * Must run inside a transaction.
+ * @param {Object} tx - Repository transaction
+ * @param {Object} transfer - Transfer record
+ * @param {Object} options - { lines: [{ productId, quantity }] (defaults to everything outstanding), closeShort, note }
+ */
+export const receiveTransfer = async (tx, transfer, { lines, closeShort = false, note = '' } = {}) => {
+    assertAction(transfer, 'receive');
+
+    const receipts = new Map();
+    if (lines) {
+        lines.forEach(r => {
+            const line = transfer.lines.find(l => l.productId === parseInt(r.productId));
+            if (!line) {
+                throw new ApiError(400, `Product ${r.productId} is not on transfer ${transfer.reference}`);
+            }
+            const quantity = r.quantity === '' || r.quantity === undefined ? 0 : Number(r.quantity);
+            const outstanding = lineInTransit(transfer, line);
+            if (!Number.isInteger(quantity) || quantity < 0) {
+                throw new ApiError(400, 'Received quantities must be whole numbers of 0 or more');
+            }
+            if (quantity > outstanding) {
+                throw new ApiError(400, `Cannot receive ${quantity} of product ${line.productId}; only ${outstanding} in transit`);
+            }
+            receipts.set(line.productId, quantity);
+        });
+    } else {
+        transfer.lines.forEach(line => receipts.set(line.productId, lineInTransit(transfer, line)));
+    }
+
+    const totalReceived = [...receipts.values()].reduce((sum, q) => sum + q, 0);
+    if (totalReceived === 0 && !closeShort) {
+        throw new ApiError(400, 'Received quantity must be greater than 0');
+    }
+
+    const updatedLines = [];
+    for (const line of transfer.lines) {
+        const received = receipts.get(line.productId) || 0;
+        if (received > 0) {
+            await postLineMovement(tx, transfer, line, {
+                warehouseId: transfer.toWarehouseId,
+                delta: received,
+                reason: 'transfer_in',
+                notes: note,
+                lots: sliceLots(line.lots, line.receivedQuantity || 0, received),
+            });
+        }
+        updatedLines.push({ ...line, receivedQuantity: (line.receivedQuantity || 0) + received });
+    }
+
+    const complete = closeShort || updatedLines.every(line => line.receivedQuantity === line.quantity);
+    const fields = { lines: updatedLines };
+    if (complete) {
+        fields.receivedAt = new Date().toISOString();
+        fields.lines = updatedLines.map(line => ({ ...line, shortQuantity: line.quantity - line.receivedQuantity }));
+
+        for (const line of fields.lines.filter(l => l.shortQuantity > 0)) {
+            // Unassigned to any bin on the way in, and taken from there on the way out
+            const lost = {
+                lots: sliceLots(line.lots, line.receivedQuantity, line.shortQuantity),
+                bins: [],
+                notes: `${transfer.reference}: ${line.shortQuantity} not delivered${note ? ` (${note})` : ''}`,
+            };
+            await postLineMovement(tx, transfer, line, {
+                ...lost,
+                warehouseId: transfer.toWarehouseId,
+                delta: line.shortQuantity,
+                reason: 'transfer_in',
+            });
+            await postLineMovement(tx, transfer, line, {
+                ...lost,
+                warehouseId: transfer.toWarehouseId,
+                delta: -line.shortQuantity,
+                reason: 'transit_loss',
+            });
+        }
+    }
+
+    return updateStatus(tx, transfer, complete ? 'received' : 'partially_received', {
+        fields,
+        entry: { quantity: totalReceived, note },
+    });
+};
+
+/**
+ * Cancel a transfer. Stock that has shipped but not been received goes back to the
+ * source warehouse. Must run inside a transaction.
+ */
+export const cancelTransfer = async (tx, transfer, { note = '' } = {}) => {
+    assertAction(transfer, 'cancel');
+
+    let returned = 0;
+    for (const line of transfer.lines) {
+        const outstanding = lineInTransit(transfer, line);
+        if (outstanding > 0) {
+            await postLineMovement(tx, transfer, line, {
+                warehouseId: transfer.fromWarehouseId,
+                delta: outstanding,
+                reason: 'transfer_returned',
+                notes: note,
+                lots: sliceLots(line.lots, line.receivedQuantity || 0, outstanding),
+            });
+            returned += outstanding;
+        }
+    }
+
+    return updateStatus(tx, transfer, 'cancelled', {
+        fields: { cancelledAt: new Date().toISOString() },
+        entry: { quantity: returned, note },
+    });
+};
+
+// Names for the messages of a reversal or correction that cannot be made
+const stockLookup = async (tx) => {
+    const products = await tx.list('products');
+    const warehouses = await tx.list('warehouses');
+    const stock = withAvailability(await tx.list('stock'), await tx.list('salesOrders'));
+    return {
+        warehouses,
+        productName: (productId) => products.find(p => p.id === productId)?.name || `product ${productId}`,
+        warehouseName: (warehouseId) => warehouses.find(w => w.id === warehouseId)?.name || `warehouse ${warehouseId}`,
+        available: (productId, warehouseId) =>
+            Math.max(stock.find(s => s.productId === productId && s.warehouseId === warehouseId)?.availableQuantity || 0, 0),
+    };
+};
+
+/**
+ * Insert an adjustment transfer linked to transfer and post its movements: each line's signed
+ * quantity moves from fromWarehouseId to toWarehouseId (negative = the other way).
+ * @returns {Promise<Object>} The adjustment transfer
+ */
+const postAdjustment = async (tx, transfer, type, { fromWarehouseId, toWarehouseId, lines, note, notes }) => {
+    const date = new Date().toISOString();
+    let adjustment = await tx.insert('transfers', {
+        adjusts: transfer.id,
+        adjustmentType: type,
+        fromWarehouseId,
+        toWarehouseId,
+        lines: lines.map(({ productId, quantity }) => ({ productId, quantity, receivedQuantity: quantity })),
+        notes: note || `${ADJUSTMENT_TYPES[type]} of ${transfer.reference}`,
+        date,
+        status: 'received',
+        shippedAt: date,
+        receivedAt: date,
+        history: [{ status: 'received', timestamp: date, note }],
+    });
+    adjustment = await tx.update('transfers', adjustment.id, { reference: transferReference(adjustment.id) });
+
+    const reason = type === 'reversal' ? 'transfer_reversal' : 'transfer_correction';
+    for (const line of lines) {
+        // Take stock out before putting it back so neither side goes negative
+        const [outOf, into] = line.quantity < 0 ? [toWarehouseId, fromWarehouseId] : [fromWarehouseId, toWarehouseId];
+        const quantity = Math.abs(line.quantity);
+        const { movement } = await postLineMovement(tx, adjustment, line, { warehouseId: outOf, delta: -quantity, reason, notes });
+        await postLineMovement(tx, adjustment, line, { warehouseId: into, delta: quantity, reason, notes, lots: movement.lots });
+    }
+    return adjustment;
+};
+
+// Add an adjustment to the original transfer's list and history
+const linkAdjustment = (tx, transfer, adjustment, status, { fields, quantity, note }) => updateStatus(tx, transfer, status, {
+    fields: {
+        ...fields,
+        adjustments: [
+            ...(transfer.adjustments || []),
+            { id: adjustment.id, reference: adjustment.reference, type: adjustment.adjustmentType, date: adjustment.date },
+        ],
+    },
+    entry: {
+        quantity,
+        note: `${ADJUSTMENT_TYPES[adjustment.adjustmentType]} ${adjustment.reference}${note ? `: ${note}` : ''}`,
+    },
+});
+
+/**
+ * Reverse or correct a received transfer. targets maps productId -> the quantity that should
+ * have arrived; lines left out keep their current net quantity. The difference is moved between
+ * the warehouses under a new adjustment transfer linked to the original.
+ * Must run inside a transaction.
+ * @returns {Promise<Object>} { transfer, adjustment } - the updated original and the adjustment
+ */
+const adjustTransfer = async (tx, transfer, type, targets, note) => {
+    const { productName, warehouseName, available } = await stockLookup(tx);
+
+    const changes = [];
+    const lineErrors = [];
+    transfer.lines.forEach((line, index) => {
+        const target = targets.has(line.productId) ? targets.get(line.productId) : netQuantity(line);
+        const delta = target - netQuantity(line);
+        if (delta === 0) {
+            return;
+        }
+        // Stock has to come back out of the destination, or more of it out of the source
+        const [warehouseId, needed] = delta < 0
+            ? [transfer.toWarehouseId, -delta]
+            : [transfer.fromWarehouseId, delta];
+        const onHand = available(line.productId, warehouseId);
+        if (onHand < needed) {
+            lineErrors.push({
+                line: index,
+                error: `${warehouseName(warehouseId)} only has ${onHand} of ${productName(line.productId)} available; ${needed} needed`,
+            });
+        }
+        changes.push({ line, target, delta });
+    });
+
+    if (lineErrors.length > 0) {
+        throw new TransferLinesError(lineErrors);
+    }
+    if (changes.length === 0) {
+        throw new ApiError(400, `Nothing to ${type === 'reversal' ? 'reverse' : 'correct'}; quantities are unchanged`);
+    }
+
+    const adjustment = await postAdjustment(tx, transfer, type, {
+        fromWarehouseId: transfer.fromWarehouseId,
+        toWarehouseId: transfer.toWarehouseId,
+        lines: changes.map(({ line, delta }) => ({ productId: line.productId, quantity: delta })),
+        note,
+        notes: `${ADJUSTMENT_TYPES[type]} of ${transfer.reference}${note ? `: ${note}` : ''}`,
+    });
+
+    const lines = transfer.lines.map(line => {
+        const change = changes.find(c => c.line.productId === line.productId);
+        return change ? { ...line, netQuantity: change.target } : line;
+    });
+    const status = lines.every(line => netQuantity(line) === 0) ? 'reversed' : 'received';
+
+    const updated = await linkAdjustment(tx, transfer, adjustment, status, {
+        fields: { lines },
+        quantity: changes.reduce((sum, c) => sum + c.delta, 0),
+        note,
+    });
+
+    return { transfer: updated, adjustment };
+};
+
+/**
+ * Correct the destination of a received transfer that was booked into the wrong warehouse:
+ * each line's net quantity moves from the recorded destination to the right one under an
+ * adjustment transfer, and the original then names the right destination.
+ * Must run inside a transaction.
+ * @returns {Promise<Object>} { transfer, adjustment }
+ */
+const redirectTransfer = async (tx, transfer, toWarehouseId, note) => {
+    const { warehouses, productName, warehouseName, available } = await stockLookup(tx);
+    const wrongWarehouseId = transfer.toWarehouseId;
+
+    assertReference(warehouses, 'toWarehouseId', toWarehouseId, { label: 'Warehouse' });
+    if (toWarehouseId === wrongWarehouseId) {
+        throw new ValidationError({ toWarehouseId: `${transfer.reference} already went to ${warehouseName(toWarehouseId)}` });
+    }
+    if (toWarehouseId === transfer.fromWarehouseId) {
+        throw new ValidationError({ toWarehouseId: 'Source and destination warehouses must be different' });
+    }
+    if (warehouses.find(w => w.id === toWarehouseId).status === 'archived') {
+        throw new ValidationError({ toWarehouseId: `Warehouse ${warehouseName(toWarehouseId)} is archived` });
+    }
+
+    const moving = transfer.lines.filter(line => netQuantity(line) > 0);
+    const lineErrors = [];
+    transfer.lines.forEach((line, index) => {
+        const needed = netQuantity(line);
+        const onHand = available(line.productId, wrongWarehouseId);
+        if (needed > 0 && onHand < needed) {
+            lineErrors.push({
+                line: index,
+                error: `${warehouseName(wrongWarehouseId)} only has ${onHand} of ${productName(line.productId)} available; ${needed} needed`,
+            });
+        }
+    });
+    if (lineErrors.length > 0) {
+        throw new TransferLinesError(lineErrors);
+    }
+    if (moving.length === 0) {
+        throw new ApiError(400, `Nothing to correct; ${transfer.reference} has no stock at its destination`);
+    }
+
+    const redirect = `destination ${warehouseName(wrongWarehouseId)} -> ${warehouseName(toWarehouseId)}`;
+    const adjustment = await postAdjustment(tx, transfer, 'correction', {
+        fromWarehouseId: wrongWarehouseId,
+        toWarehouseId,
+        lines: moving.map(line => ({ productId: line.productId, quantity: netQuantity(line) })),
+        note: note || `Correction of ${transfer.reference}: ${redirect}`,
+        notes: `Correction of ${transfer.reference}: ${redirect}${note ? `: ${note}` : ''}`,
+    });
+
+    const updated = await linkAdjustment(tx, transfer, adjustment, transfer.status, {
+        fields: { toWarehouseId },
+        quantity: 0,
+        note: note ? `${redirect}: ${note}` : redirect,
+    });
+
+    return { transfer: updated, adjustment };
+};
+
+/**
+ * Reverse a received transfer: everything still at the destination goes back to the source.
+ * Fails if the destination no longer holds enough stock. Must run inside a transaction.
+ */
+export const reverseTransfer = async (tx, transfer, { note = '' } = {}) => {
+    assertAction(transfer, 'reverse');
+    const targets = new Map(transfer.lines.map(line => [line.productId, 0]));
+    return adjustTransfer(tx, transfer, 'reversal', targets, note);
+};
+
+/**
+ * Correct the quantities or the destination of a received transfer. A destination correction
+ * cannot change quantities in the same step; correct them once the stock is in the right place.
+ * @param {Object} options - { lines: [{ productId, quantity }] with the quantity that actually moved,
+ *   toWarehouseId: the warehouse the stock really went to, note }
+ */
+export const correctTransfer = async (tx, transfer, { lines = [], toWarehouseId, note = '' } = {}) => {
+    assertAction(transfer, 'correct');
+
+    if (toWarehouseId !== undefined && toWarehouseId !== null && toWarehouseId !== '') {
+        const changed = lines.filter(l => {
+            const line = transfer.lines.find(tl => tl.productId === parseInt(l.productId));
+            return !line || Number(l.quantity) !== netQuantity(line);
+        });
+        if (changed.length > 0) {
+            throw new ValidationError({ toWarehouseId: 'Correct the destination and the quantities separately' });
+        }
+        const destination = parsePayload({ toWarehouseId: { type: 'id', label: 'Destination warehouse' } }, { toWarehouseId });
+        return redirectTransfer(tx, transfer, destination.toWarehouseId, note);
+    }
+
+    const targets = new Map();
+    lines.forEach(l => {
+        const line = transfer.lines.find(tl => tl.productId === parseInt(l.productId));
+        if (!line) {
+            throw new ApiError(400, `Product ${l.productId} is not on transfer ${transfer.reference}`);
+        }
+        const quantity = Number(l.quantity);
+        if (l.quantity === '' || !Number.isInteger(quantity) || quantity < 0) {
+            throw new ApiError(400, 'Corrected quantities must be whole numbers of 0 or more');
+        }
+        targets.set(line.productId, quantity);
+    });
+
+    return adjustTransfer(tx, transfer, 'correction', targets, note);
+};
@@ -0,0 +1,95 @@
+/**
+ * Local user accounts.
+ *
+ * A user is { id, username, name, role, warehouseIds, active, passwordHash, createdAt }.
+ * warehouseIds only matters for warehouse operators (see permissions.js). Deactivated users
+ * cannot sign in and their sessions are ended, as are a user's other sessions when their
+ * password changes; their name stays on the audit log.
+ * There is always at least one active admin, so the app can never be locked out.
+ */
+
+import { ApiError } from './apiError';
+import { endUserSessions, hashPassword, publicUser } from './auth';
+import { ValidationError, assertReference, assertUnique, parsePayload, userSchema } from './validation';
+
+// Operators need at least one warehouse; other roles ignore the list
+const parseWarehouseIds = async (tx, role, raw) => {
+    if (role !== 'operator') {
+        return [];
+    }
+    if (!Array.isArray(raw) || raw.length === 0) {
+        throw new ValidationError({ warehouseIds: 'Assign at least one warehouse to a warehouse operator' });
+    }
+
+    const warehouses = await tx.list('warehouses');
+    const ids = [...new Set(raw.map(id => parseInt(id)))];
+    ids.forEach(id => assertReference(warehouses, 'warehouseIds', id, { label: 'Warehouse' }));
+    return ids;
+};
+
+const assertAdminRemains = async (tx, user, changes) => {
+    const stillAdmin = (changes.role ?? user.role) === 'admin' && (changes.active ?? user.active) !== false;
+    if (user.role !== 'admin' || user.active === false || stillAdmin) {
+        return;
+    }
+    const admins = (await tx.list('users')).filter(u => u.role === 'admin' && u.active !== false);
+    if (admins.length <= 1) {
+        throw new ApiError(409, 'At least one active admin is required');
+    }
+};
+
+/**
+ * Create a user. Must run inside a transaction.
+ * @param {Object} tx - Repository transaction
+ * @param {Object} payload - { username, name, role, password, warehouseIds }
+ * @returns {Object} The user without its password hash
+ */
+export const createUser = async (tx, payload) => {
+    const { password, ...values } = parsePayload(userSchema, payload);
+    assertUnique(await tx.list('users'), 'username', values.username, { label: 'Username' });
+
+    const user = await tx.insert('users', {
+        ...values,
+        warehouseIds: await parseWarehouseIds(tx, values.role, payload.warehouseIds),
+        active: values.active ?? true,
+        passwordHash: await hashPassword(password),
+        createdAt: new Date().toISOString(),
+    });
+    return publicUser(user);
+};
+
+/**
+ * Change a user's details, role, warehouses, password or active flag. Must run inside a transaction.
+ * Only the fields that were sent are changed. A new password or deactivation signs the user
+ * out everywhere except the session of req, when given.
+ */
+export const updateUser = async (tx, user, payload, req = null) => {
+    const { password, ...changes } = parsePayload(userSchema, payload, { partial: true });
+    if (changes.username !== undefined) {
+        assertUnique(await tx.list('users'), 'username', changes.username, { label: 'Username', excludeId: user.id });
+    }
+    await assertAdminRemains(tx, user, changes);
+
+    const role = changes.role ?? user.role;
+    if (payload.warehouseIds !== undefined || changes.role !== undefined) {
+        changes.warehouseIds = await parseWarehouseIds(tx, role, payload.warehouseIds ?? user.warehouseIds);
+    }
+    if (password !== undefined) {
+        changes.passwordHash = await hashPassword(password);
+    }
+
+    const updated = await tx.update('users', user.id, changes);
+    if (password !== undefined || changes.active === false) {
+        await endUserSessions(tx, user.id, req);
+    }
+    return publicUser(updated);
+};
+
+/**
+ * Delete a user and their sessions. Must run inside a transaction.
+ */
+export const deleteUser = async (tx, user) => {
+    await assertAdminRemains(tx, user, { active: false });
+    await endUserSessions(tx, user.id);
+    return tx.remove('users', user.id);
+};
@@ -0,0 +1,396 @@
+/**
+ * Payload schemas shared by the API routes and the add/edit forms.
+ *
+ * A schema maps each field to a rule: { type, label, required, min, max, minLength, maxLength, pattern, oneOf }.
+ * Types are 'string', 'integer', 'number', 'id' (a reference to another record), 'date' (YYYY-MM-DD),
+ * 'boolean' and 'array' (with an item schema in `items`). Form inputs arrive as strings, so numbers
+ * are coerced before they are checked; what validate() returns is what gets stored.
+ *
+ * Problems are reported per field, all at once, as fieldErrors: { [field]: message }. Fields inside
+ * arrays use dotted paths such as 'lines.0.quantity'.
+ */
+
+import { ApiError } from './apiError';
+import { API_KEY_ACCESS, ROLES } from './permissions';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Error for a payload that failed its schema. API routes respond with
+ * { error, fieldErrors } so forms can show each message next to its field.
+ */
+export class ValidationError extends ApiError {
+    /**
+     * @param {Object} fieldErrors - { [field]: message }
+     * @param {number} status - 400 for bad input, 409 when the value clashes with another record
+     */
+    constructor(fieldErrors, status = 400) {
+        const messages = Object.values(fieldErrors);
+        super(status, messages.length === 1 ? messages[0] : `${messages.length} fields have problems`);
+        this.name = 'ValidationError';
+        this.fieldErrors = fieldErrors;
+    }
+}
+
+export const productSchema = {
+    sku: {
+        type: 'string',
+        label: 'SKU',
+        required: true,
+        maxLength: 50,
+        pattern: /^[A-Za-z0-9][A-Za-z0-9._-]*$/,
+        patternMessage: 'SKU may only contain letters, numbers, dots, dashes and underscores',
+    },
+    name: { type: 'string', label: 'Product name', required: true, maxLength: 200 },
+    category: { type: 'string', label: 'Category', required: true, maxLength: 100 },
+    unitCost: { type: 'number', label: 'Unit cost', required: true, min: 0 },
+    reorderPoint: { type: 'integer', label: 'Reorder point', required: true, min: 0 },
+};
+
+export const warehouseSchema = {
+    name: { type: 'string', label: 'Warehouse name', required: true, maxLength: 200 },
+    location: { type: 'string', label: 'Location', required: true, maxLength: 200 },
+    code: {
+        type: 'string',
+        label: 'Warehouse code',
+        required: true,
+        maxLength: 20,
+        pattern: /^[A-Za-z0-9][A-Za-z0-9-]*$/,
+        patternMessage: 'Warehouse code may only contain letters, numbers and dashes',
+    },
+};
+
+export const stockSchema = {
+    productId: { type: 'id', label: 'Product', required: true },
+    warehouseId: { type: 'id', label: 'Warehouse', required: true },
+    quantity: { type: 'integer', label: 'Quantity', required: true, min: 0 },
+    lotNumber: { type: 'string', label: 'Lot number', maxLength: 50 },
+    manufacturedAt: { type: 'date', label: 'Manufacture date' },
+    expiresAt: { type: 'date', label: 'Expiry date' },
+};
+
+export const transferLineSchema = {
+    productId: { type: 'id', label: 'Product', required: true },
+    quantity: { type: 'integer', label: 'Quantity', required: true, min: 1 },
+};
+
+export const transferSchema = {
+    fromWarehouseId: { type: 'id', label: 'Source warehouse', required: true },
+    toWarehouseId: { type: 'id', label: 'Destination warehouse', required: true },
+    lines: { type: 'array', label: 'Product lines', required: true, minItems: 1, items: transferLineSchema },
+    notes: { type: 'string', label: 'Notes', maxLength: 1000 },
+    ship: { type: 'boolean', label: 'Ship now' },
+};
+
+export const supplierProductSchema = {
+    productId: { type: 'id', label: 'Product', required: true },
+    supplierSku: { type: 'string', label: 'Supplier SKU', maxLength: 50 },
+    unitPrice: { type: 'number', label: 'Unit price', required: true, min: 0 },
+};
+
+export const supplierSchema = {
+    name: { type: 'string', label: 'Supplier name', required: true, maxLength: 200 },
+    contactName: { type: 'string', label: 'Contact name', maxLength: 100 },
+    email: { type: 'string', label: 'Email', maxLength: 200 },
+    phone: { type: 'string', label: 'Phone', maxLength: 50 },
+    leadTimeDays: { type: 'integer', label: 'Lead time', min: 0 },
+    currency: {
+        type: 'string',
+        label: 'Currency',
+        pattern: /^[A-Za-z]{3}$/,
+        patternMessage: 'Currency must be a three-letter ISO code such as USD',
+    },
+    products: { type: 'array', label: 'Price list', items: supplierProductSchema },
+};
+
+export const purchaseOrderLineSchema = {
+    productId: { type: 'id', label: 'Product', required: true },
+    quantity: { type: 'integer', label: 'Quantity', required: true, min: 1 },
+    // Left out, the supplier's list price is used
+    unitPrice: { type: 'number', label: 'Unit price', min: 0 },
+};
+
+export const purchaseOrderSchema = {
+    supplierId: { type: 'id', label: 'Supplier', required: true },
+    warehouseId: { type: 'id', label: 'Warehouse', required: true },
+    lines: { type: 'array', label: 'Product lines', required: true, minItems: 1, items: purchaseOrderLineSchema },
+    notes: { type: 'string', label: 'Notes', maxLength: 1000 },
+};
+
+export const purchaseOrderDraftSchema = {
+    warehouseId: { type: 'id', label: 'Delivery warehouse', required: true },
+    items: { type: 'array', label: 'Recommendations', required: true, minItems: 1, items: transferLineSchema },
+};
+
+export const salesOrderSchema = {
+    customerName: { type: 'string', label: 'Customer name', required: true, maxLength: 200 },
+    // Left out, the lines are allocated across warehouses
+    warehouseId: { type: 'id', label: 'Warehouse' },
+    lines: { type: 'array', label: 'Product lines', required: true, minItems: 1, items: transferLineSchema },
+    notes: { type: 'string', label: 'Notes', maxLength: 1000 },
+};
+
+export const adjustmentSchema = {
+    productId: { type: 'id', label: 'Product', required: true },
+    warehouseId: { type: 'id', label: 'Warehouse', required: true },
+    binId: { type: 'id', label: 'Bin' },
+    // Units, always positive: the reason decides the direction
+    quantity: { type: 'integer', label: 'Quantity', required: true, min: 1 },
+    reasonCode: { type: 'string', label: 'Reason', required: true, maxLength: 30 },
+    note: { type: 'string', label: 'Note', maxLength: 1000 },
+    attachmentRef: { type: 'string', label: 'Attachment reference', maxLength: 200 },
+};
+
+// Codes are normalized (lowercase, spaces and dashes to underscores) before they are checked;
+// directions are checked against REASON_DIRECTIONS in adjustments.js
+export const adjustmentReasonSchema = {
+    code: {
+        type: 'string',
+        label: 'Reason code',
+        required: true,
+        pattern: /^[a-z0-9_]{1,30}$/,
+        patternMessage: 'Reason code must be 1-30 letters, digits or underscores',
+    },
+    label: { type: 'string', label: 'Reason label', required: true, maxLength: 100 },
+    direction: { type: 'string', label: 'Direction', required: true },
+    active: { type: 'boolean', label: 'Active' },
+};
+
+const binPathPart = (label) => ({
+    type: 'string',
+    label,
+    required: true,
+    pattern: /^[A-Za-z0-9]{1,10}$/,
+    patternMessage: `${label} must be 1-10 letters or digits`,
+});
+
+export const binSchema = {
+    warehouseId: { type: 'id', label: 'Warehouse', required: true },
+    zone: binPathPart('Zone'),
+    aisle: binPathPart('Aisle'),
+    bin: binPathPart('Bin'),
+    // Left out, the bin has no capacity limit
+    capacity: { type: 'integer', label: 'Capacity', min: 1 },
+};
+
+export const alertSchema = {
+    productId: { type: 'id', label: 'Product', required: true },
+};
+
+export const userSchema = {
+    username: {
+        type: 'string',
+        label: 'Username',
+        required: true,
+        maxLength: 50,
+        pattern: /^[A-Za-z0-9][A-Za-z0-9._-]*$/,
+        patternMessage: 'Username may only contain letters, numbers, dots, dashes and underscores',
+    },
+    name: { type: 'string', label: 'Full name', required: true, maxLength: 100 },
+    role: { type: 'string', label: 'Role', required: true, oneOf: Object.keys(ROLES) },
+    // Passwords are kept exactly as typed, spaces included
+    password: { type: 'string', label: 'Password', required: true, minLength: 8, maxLength: 200, trim: false },
+    active: { type: 'boolean', label: 'Active' },
+};
+
+export const apiKeySchema = {
+    name: { type: 'string', label: 'Key name', required: true, maxLength: 100 },
+    access: { type: 'string', label: 'Access', required: true, oneOf: Object.keys(API_KEY_ACCESS) },
+};
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+// Coerce and check one value; returns [value, message] where message is null when valid
+const checkValue = (rule, raw, path) => {
+    const { label } = rule;
+
+    switch (rule.type) {
+        case 'string': {
+            if (typeof raw !== 'string' && typeof raw !== 'number') {
+                return [raw, `${label} must be text`];
+            }
+            const value = rule.trim === false ? String(raw) : String(raw).trim();
+            if (rule.minLength && value.length < rule.minLength) {
+                return [value, `${label} must be at least ${rule.minLength} characters`];
+            }
+            if (rule.maxLength && value.length > rule.maxLength) {
+                return [value, `${label} must be at most ${rule.maxLength} characters`];
+            }
+            if (rule.pattern && !rule.pattern.test(value)) {
+                return [value, rule.patternMessage || `${label} is not valid`];
+            }
+            if (rule.oneOf && !rule.oneOf.includes(value)) {
+                return [value, `${label} must be one of ${rule.oneOf.join(', ')}`];
+            }
+            return [value, null];
+        }
+        case 'integer':
+        case 'number':
+        case 'id': {
+            // Numbers typed into forms arrive as strings; anything else that is not a number is refused
+            const value = typeof raw === 'string' ? Number(raw.trim()) : raw;
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                return [raw, `${label} must be a number`];
+            }
+            if (rule.type === 'id' && (!Number.isInteger(value) || value <= 0)) {
+                return [value, `Choose a ${label.toLowerCase()}`];
+            }
+            if (rule.type === 'integer' && !Number.isInteger(value)) {
+                return [value, `${label} must be a whole number`];
+            }
+            if (rule.min !== undefined && value < rule.min) {
+                return [value, `${label} must be ${rule.min} or more`];
+            }
+            if (rule.max !== undefined && value > rule.max) {
+                return [value, `${label} must be ${rule.max} or less`];
+            }
+            return [value, null];
+        }
+        case 'date': {
+            if (typeof raw !== 'string' || !DATE_PATTERN.test(raw) || Number.isNaN(Date.parse(raw))) {
+                return [raw, `${label} must be a date in YYYY-MM-DD format`];
+            }
+            return [raw, null];
+        }
+        case 'boolean': {
+            if (typeof raw === 'boolean') {
+                return [raw, null];
+            }
+            if (raw === 'true' || raw === 'false') {
+                return [raw === 'true', null];
+            }
+            return [raw, `${label} must be true or false`];
+        }
+        case 'array': {
+            if (!Array.isArray(raw)) {
+                return [raw, `${label} must be a list`];
+            }
+            if (rule.minItems && raw.length < rule.minItems) {
+                return [raw, `Add at least ${rule.minItems} ${rule.minItems === 1 ? 'entry' : 'entries'} to ${label.toLowerCase()}`];
+            }
+            return [raw, null];
+        }
+        default:
+            throw new Error(`Unknown rule type ${rule.type} for ${path}`);
+    }
+};
+
+/**
+ * Check a payload against a schema without throwing
+ * @param {Object} schema - Field rules, e.g. productSchema
+ * @param {Object} payload - Request body or form state
+ * @param {Object} options - { partial: only check the fields present, as for an update }
+ * @returns {Object} { values, fieldErrors }: values holds only schema fields, coerced to their types;
+ *   blank optional fields are left out
+ */
+export const validate = (schema, payload = {}, { partial = false, prefix = '' } = {}) => {
+    const values = {};
+    const fieldErrors = {};
+
+    Object.entries(schema).forEach(([field, rule]) => {
+        const path = `${prefix}${field}`;
+        const raw = payload?.[field];
+
+        if (isBlank(raw)) {
+            if (rule.required && !(partial && raw === undefined)) {
+                fieldErrors[path] = rule.type === 'id' ? `Choose a ${rule.label.toLowerCase()}` : `${rule.label} is required`;
+            }
+            return;
+        }
+
+        const [value, message] = checkValue(rule, raw, path);
+        if (message) {
+            fieldErrors[path] = message;
+            return;
+        }
+
+        if (rule.type === 'array') {
+            values[field] = value.map((item, index) => {
+                const result = validate(rule.items, item, { prefix: `${path}.${index}.` });
+                Object.assign(fieldErrors, result.fieldErrors);
+                return result.values;
+            });
+        } else {
+            values[field] = value;
+        }
+    });
+
+    return { values, fieldErrors };
+};
+
+/**
+ * Check a payload against a schema and return its values, or throw a ValidationError
+ * @see validate
+ */
+export const parsePayload = (schema, payload, options) => {
+    const { values, fieldErrors } = validate(schema, payload, options);
+    if (Object.keys(fieldErrors).length > 0) {
+        throw new ValidationError(fieldErrors);
+    }
+    return values;
+};
+
+/**
+ * Read a record id the way the 'id' rule does: a positive whole number, or text holding one
+ * @returns {number|null} The id, or null when value is not one
+ */
+export const parseId = (value) => {
+    if (isBlank(value)) {
+        return null;
+    }
+    const [id, message] = checkValue({ type: 'id', label: 'Id' }, value, 'id');
+    return message ? null : id;
+};
+
+/**
+ * Refuse a value that another record already uses, such as a duplicate SKU. Comparison ignores
+ * case and surrounding spaces.
+ * @param {Array} records - Existing records
+ * @param {string} field - Field that must be unique
+ * @param {string} value - Proposed value
+ * @param {Object} options - { label, excludeId: the record being updated }
+ */
+export const assertUnique = (records, field, value, { label, excludeId = null } = {}) => {
+    const key = String(value).trim().toUpperCase();
+    const clash = records.find(r => r.id !== excludeId && String(r[field] ?? '').trim().toUpperCase() === key);
+    if (clash) {
+        throw new ValidationError({ [field]: `${label} ${value} is already in use` }, 409);
+    }
+};
+
+/**
+ * Refuse an id that does not match an existing record, such as stock for a product that was never created
+ * @param {Array} records - Records the id should refer to
+ * @param {string} field - Field holding the id
+ * @param {number} id - Proposed id
+ * @param {Object} options - { label }
+ */
+export const assertReference = (records, field, id, { label }) => {
+    if (!records.some(r => r.id === id)) {
+        throw new ValidationError({ [field]: `${label} ${id} does not exist` });
+    }
+};
+
+/**
+ * Refuse list entries that name a product that does not exist, or one an earlier entry already
+ * names, such as a purchase order with the same product on two lines. Every problem is reported.
+ * @param {Array} entries - Checked entries, each with a productId
+ * @param {Array} products - Existing products
+ * @param {string} field - Field holding the list, e.g. 'lines'
+ */
+export const assertLineProducts = (entries, products, field) => {
+    const fieldErrors = {};
+    const seen = new Set();
+    entries.forEach(({ productId }, index) => {
+        const product = products.find(p => p.id === productId);
+        if (!product) {
+            fieldErrors[`${field}.${index}.productId`] = `Product ${productId} does not exist`;
+        } else if (seen.has(productId)) {
+            fieldErrors[`${field}.${index}.productId`] = `${product.name} is listed more than once`;
+        }
+        seen.add(productId);
+    });
+    if (Object.keys(fieldErrors).length > 0) {
+        throw new ValidationError(fieldErrors);
+    }
+};
@@ -0,0 +1,50 @@
+/**
+ * Warehouse records: { id, name, location, code, status, archivedAt }.
+ * Shared by /api/warehouses, /api/warehouses/[id] and the bulk endpoint. Warehouse codes are
+ * unique, ignoring case.
+ */
+
+import { ApiError } from './apiError';
+import { deleteWithDependents } from './dependents';
+import { assertUnique, parsePayload, warehouseSchema } from './validation';
+
+const findWarehouse = async (tx, id) => {
+    const warehouse = await tx.get('warehouses', id);
+    if (!warehouse) {
+        throw new ApiError(404, 'Warehouse not found');
+    }
+    return warehouse;
+};
+
+/**
+ * Add a warehouse. Must run inside a transaction.
+ * @param {Object} tx - Repository transaction
+ * @param {Object} payload - Warehouse fields from the request body
+ */
+export const createWarehouse = async (tx, payload) => {
+    const warehouse = parsePayload(warehouseSchema, payload);
+    assertUnique(await tx.list('warehouses'), 'code', warehouse.code, { label: 'Warehouse code' });
+    return tx.insert('warehouses', warehouse);
+};
+
+/**
+ * Change a warehouse. Must run inside a transaction.
+ * Only the fields that were sent are checked and changed.
+ */
+export const updateWarehouse = async (tx, id, payload) => {
+    const changes = parsePayload(warehouseSchema, payload, { partial: true });
+    const existing = await findWarehouse(tx, id);
+    if (changes.code !== undefined) {
+        assertUnique(await tx.list('warehouses'), 'code', changes.code, { label: 'Warehouse code', excludeId: existing.id });
+    }
+    return tx.update('warehouses', existing.id, changes);
+};
+
+/**
+ * Delete a warehouse. Must run inside a transaction.
+ * @param {string} mode - 'restrict' or 'cascade'; see DELETE_MODES
+ * @throws {DependentsError} When dependents would be left behind
+ */
+export const deleteWarehouse = async (tx, id, mode) => {
+    await deleteWithDependents(tx, 'warehouse', await findWarehouse(tx, id), mode);
+};
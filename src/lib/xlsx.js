@@ -0,0 +1,448 @@
+/**
+ * Reads and writes Excel workbooks (.xlsx) without a spreadsheet library. An .xlsx file is a zip
+ * of XML parts.
+ *
+ * Reading takes only what an import needs: the first worksheet's cell values, shared strings, and
+ * the cell styles that mark a number as a date. Zip entries are inflated with the built-in
+ * DecompressionStream, which browsers and Node 18+ both provide. Zip64 archives and the old
+ * binary .xls format are not supported.
+ *
+ * Writing produces a single-sheet workbook with a bold, frozen header row, where numbers,
+ * amounts and dates are stored as typed cells so Excel can sum and sort them. Amounts carry no
+ * currency symbol, as records may be in different currencies; column labels name it. The parts
+ * are stored uncompressed, which keeps the writer synchronous and small.
+ */
+
+const ZIP_LOCAL_SIGNATURE = 0x04034b50;
+const ZIP_END_SIGNATURE = 0x06054b50;
+const ZIP_ENTRY_SIGNATURE = 0x02014b50;
+
+// Built-in number formats that display a date (14-22 and 45-47 in the OOXML spec)
+const DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+// Day 0 of Excel's 1900 date system is 1899-12-30 once its 1900 leap-year bug is allowed for
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const DATE_1904_OFFSET = 1462;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const NOT_A_WORKBOOK = 'The file is not an Excel workbook; save it as .xlsx or CSV and try again';
+
+/**
+ * List a zip's entries from its central directory
+ * @returns {Map} name => { method, offset, compressedSize }
+ */
+const readZipDirectory = (bytes) => {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    // The end record sits in the last 22 bytes plus up to 64 KB of comment
+    let end = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+        if (view.getUint32(i, true) === ZIP_END_SIGNATURE) {
+            end = i;
+            break;
+        }
+    }
+    if (end === -1) {
+        throw new Error(NOT_A_WORKBOOK);
+    }
+
+    const entries = new Map();
+    const count = view.getUint16(end + 10, true);
+    const decoder = new TextDecoder();
+    let position = view.getUint32(end + 16, true);
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(position, true) !== ZIP_ENTRY_SIGNATURE) {
+            throw new Error(NOT_A_WORKBOOK);
+        }
+        const nameLength = view.getUint16(position + 28, true);
+        const extraLength = view.getUint16(position + 30, true);
+        const commentLength = view.getUint16(position + 32, true);
+        const name = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+        entries.set(name, {
+            method: view.getUint16(position + 10, true),
+            compressedSize: view.getUint32(position + 20, true),
+            offset: view.getUint32(position + 42, true),
+        });
+        position += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+};
+
+/**
+ * Read one zip entry as text, or null when the archive does not have it
+ */
+const readZipText = async (bytes, entries, name) => {
+    const entry = entries.get(name);
+    if (!entry) {
+        return null;
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    // The local header repeats the name and has its own extra field before the data
+    const start = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+    const data = bytes.subarray(start, start + entry.compressedSize);
+
+    if (entry.method === 0) {
+        return new TextDecoder().decode(data);
+    }
+    if (entry.method !== 8) {
+        throw new Error(`${name} uses a zip compression method that cannot be read`);
+    }
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).text();
+};
+
+const decodeXml = (text) => text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&amp;/g, '&')
+    // Characters XML cannot hold, such as carriage returns, are escaped as _x000D_
+    .replace(/_x([0-9A-F]{4})_/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+
+const attribute = (attributes, name) => {
+    const match = attributes.match(new RegExp(`(?:^|\\s)${name}="([^"]*)"`));
+    return match ? decodeXml(match[1]) : null;
+};
+
+// Text of a shared string or inline string, joining rich-text runs and leaving out phonetic hints
+const stringText = (xml) => [...xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)]
+    .map(match => decodeXml(match[1]))
+    .join('');
+
+const readSharedStrings = (xml) => (xml ? [...xml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(match => stringText(match[1])) : []);
+
+/**
+ * Which cell styles show their number as a date
+ * @returns {Array} One boolean per entry in cellXfs, indexed by a cell's s attribute
+ */
+const readDateStyles = (xml) => {
+    if (!xml) {
+        return [];
+    }
+    const customDateFormats = new Set(
+        [...xml.matchAll(/<numFmt\b([^>]*)\/?>/g)]
+            .filter(([, attributes]) => {
+                // Quoted text and [colour]/[locale] sections do not make a format a date
+                const code = (attribute(attributes, 'formatCode') || '').replace(/"[^"]*"|\[[^\]]*\]/g, '');
+                return /[dy]/i.test(code);
+            })
+            .map(([, attributes]) => Number(attribute(attributes, 'numFmtId')))
+    );
+    const cellXfs = xml.match(/<cellXfs\b[\s\S]*?<\/cellXfs>/)?.[0] || '';
+    return [...cellXfs.matchAll(/<xf\b([^>]*)>/g)].map(([, attributes]) => {
+        const id = Number(attribute(attributes, 'numFmtId') || 0);
+        return DATE_FORMAT_IDS.has(id) || customDateFormats.has(id);
+    });
+};
+
+const serialToDate = (serial, date1904) => {
+    const days = Math.floor(serial) + (date1904 ? DATE_1904_OFFSET : 0);
+    return new Date(EXCEL_EPOCH + days * DAY_MS).toISOString().slice(0, 10);
+};
+
+// Column letters of a cell reference as a zero-based index: A1 => 0, AB7 => 27
+const columnIndex = (reference) => reference
+    .replace(/\d+$/, '')
+    .split('')
+    .reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+
+const cellValue = (type, styleIndex, body, context) => {
+    const rawValue = body.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+    switch (type) {
+        case 's':
+            return context.sharedStrings[Number(rawValue)] ?? '';
+        case 'inlineStr':
+            return stringText(body);
+        case 'str':
+        case 'e':
+            return rawValue === undefined ? '' : decodeXml(rawValue);
+        case 'b':
+            return rawValue === '1';
+        case 'd':
+            return rawValue === undefined ? '' : rawValue.slice(0, 10);
+        default: {
+            if (rawValue === undefined || rawValue === '') {
+                return '';
+            }
+            const number = Number(rawValue);
+            return context.dateStyles[styleIndex] ? serialToDate(number, context.date1904) : number;
+        }
+    }
+};
+
+/**
+ * Read the cells of a workbook's first worksheet
+ * @param {ArrayBuffer|Uint8Array} data - The .xlsx file's contents
+ * @returns {Promise<Array>} One array per row, top to bottom. Cells are strings, numbers or booleans;
+ *   date-formatted numbers become YYYY-MM-DD strings and empty cells ''.
+ * @throws {Error} When the file is not a workbook that can be read
+ */
+export const readXlsx = async (data) => {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    if (bytes.length < 22) {
+        throw new Error(NOT_A_WORKBOOK);
+    }
+    const entries = readZipDirectory(bytes);
+
+    const workbook = await readZipText(bytes, entries, 'xl/workbook.xml');
+    if (!workbook) {
+        throw new Error(NOT_A_WORKBOOK);
+    }
+    const relationships = await readZipText(bytes, entries, 'xl/_rels/workbook.xml.rels') || '';
+    const firstSheet = workbook.match(/<sheet\b([^>]*)\/?>/)?.[1];
+    const relationshipId = firstSheet && attribute(firstSheet, 'r:id');
+    const relationship = [...relationships.matchAll(/<Relationship\b([^>]*)\/?>/g)]
+        .map(([, attributes]) => attributes)
+        .find(attributes => attribute(attributes, 'Id') === relationshipId);
+    const target = relationship ? attribute(relationship, 'Target') : 'worksheets/sheet1.xml';
+    // Targets are relative to xl/ unless they start at the package root
+    const sheetPath = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+
+    const sheet = await readZipText(bytes, entries, sheetPath);
+    if (!sheet) {
+        throw new Error('The workbook has no worksheet to read');
+    }
+    const context = {
+        sharedStrings: readSharedStrings(await readZipText(bytes, entries, 'xl/sharedStrings.xml')),
+        dateStyles: readDateStyles(await readZipText(bytes, entries, 'xl/styles.xml')),
+        date1904: /<workbookPr\b[^>]*\bdate1904="(1|true)"/.test(workbook),
+    };
+
+    const rows = [];
+    for (const [, rowAttributes, rowBody = ''] of sheet.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+        // Rows and cells can be left out when empty, so place them by their references
+        const rowNumber = Number(attribute(rowAttributes, 'r')) || rows.length + 1;
+        const cells = [];
+        for (const [, cellAttributes, cellBody = ''] of rowBody.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+            const reference = attribute(cellAttributes, 'r');
+            const index = reference ? columnIndex(reference) : cells.length;
+            cells[index] = cellValue(attribute(cellAttributes, 't'), Number(attribute(cellAttributes, 's') || 0), cellBody, context);
+        }
+        while (rows.length < rowNumber - 1) {
+            rows.push([]);
+        }
+        rows[rowNumber - 1] = Array.from(cells, cell => cell ?? '');
+    }
+    return rows;
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+    let crc = 0xffffffff;
+    for (const byte of bytes) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Pack files into a zip without compression
+ * @param {Array} files - { name, data: Uint8Array }
+ * @returns {Uint8Array}
+ */
+const writeZip = (files) => {
+    const encoder = new TextEncoder();
+    const entries = files.map(file => ({ ...file, nameBytes: encoder.encode(file.name), crc: crc32(file.data) }));
+    const localSize = entries.reduce((total, entry) => total + 30 + entry.nameBytes.length + entry.data.length, 0);
+    const directorySize = entries.reduce((total, entry) => total + 46 + entry.nameBytes.length, 0);
+    const bytes = new Uint8Array(localSize + directorySize + 22);
+    const view = new DataView(bytes.buffer);
+    // 1980-01-01 00:00 in DOS format, so the same workbook always produces the same bytes
+    const dosDate = (1 << 5) | 1;
+
+    let position = 0;
+    entries.forEach(entry => {
+        entry.offset = position;
+        view.setUint32(position, ZIP_LOCAL_SIGNATURE, true);
+        view.setUint16(position + 4, 20, true);
+        view.setUint16(position + 6, 0x0800, true); // names are UTF-8
+        view.setUint16(position + 8, 0, true); // stored
+        view.setUint16(position + 12, dosDate, true);
+        view.setUint32(position + 14, entry.crc, true);
+        view.setUint32(position + 18, entry.data.length, true);
+        view.setUint32(position + 22, entry.data.length, true);
+        view.setUint16(position + 26, entry.nameBytes.length, true);
+        bytes.set(entry.nameBytes, position + 30);
+        bytes.set(entry.data, position + 30 + entry.nameBytes.length);
+        position += 30 + entry.nameBytes.length + entry.data.length;
+    });
+
+    const directoryOffset = position;
+    entries.forEach(entry => {
+        view.setUint32(position, ZIP_ENTRY_SIGNATURE, true);
+        view.setUint16(position + 4, 20, true);
+        view.setUint16(position + 6, 20, true);
+        view.setUint16(position + 8, 0x0800, true);
+        view.setUint16(position + 10, 0, true);
+        view.setUint16(position + 14, dosDate, true);
+        view.setUint32(position + 16, entry.crc, true);
+        view.setUint32(position + 20, entry.data.length, true);
+        view.setUint32(position + 24, entry.data.length, true);
+        view.setUint16(position + 28, entry.nameBytes.length, true);
+        view.setUint32(position + 42, entry.offset, true);
+        bytes.set(entry.nameBytes, position + 46);
+        position += 46 + entry.nameBytes.length;
+    });
+
+    view.setUint32(position, ZIP_END_SIGNATURE, true);
+    view.setUint16(position + 8, entries.length, true);
+    view.setUint16(position + 10, entries.length, true);
+    view.setUint32(position + 12, directorySize, true);
+    view.setUint32(position + 16, directoryOffset, true);
+    return bytes;
+};
+
+// Characters XML 1.0 cannot hold at all are dropped
+const escapeXml = (text) => String(text)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Cell styles written to styles.xml, by column type. The index is the cell's s attribute.
+ * Amounts are shown like any other two-decimal number (#,##0.00).
+ */
+const CELL_STYLES = {
+    text: 0,
+    header: 1,
+    integer: 2,
+    number: 3,
+    currency: 3,
+    date: 4,
+    datetime: 5,
+};
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<numFmts count="2"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/><numFmt numFmtId="165" formatCode="yyyy-mm-dd hh:mm"/></numFmts>
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="6"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/><xf numFmtId="3" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+
+const columnLetters = (index) => {
+    let letters = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    }
+    return letters;
+};
+
+// Days since Excel's epoch; local wall-clock time is kept, as Excel has no time zones
+const dateToSerial = (value) => {
+    const date = value instanceof Date ? value : new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00` : value);
+    if (Number.isNaN(date.getTime())) {
+        return null;
+    }
+    const wallClock = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes(), date.getSeconds());
+    return (wallClock - EXCEL_EPOCH) / DAY_MS;
+};
+
+// Excel holds at most 32,767 characters in a cell
+const MAX_CELL_LENGTH = 32767;
+
+// Cut before escaping, so the limit counts characters rather than entities and never splits
+// one; a cut that would split a surrogate pair drops the whole pair
+const truncateText = (text) => {
+    if (text.length <= MAX_CELL_LENGTH) {
+        return text;
+    }
+    const cut = text.slice(0, MAX_CELL_LENGTH);
+    return /[\uD800-\uDBFF]$/.test(cut) ? cut.slice(0, -1) : cut;
+};
+
+const textCell = (reference, value, style = CELL_STYLES.text) =>
+    `<c r="${reference}" s="${style}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(truncateText(String(value)))}</t></is></c>`;
+
+const writeCell = (reference, value, type = 'text') => {
+    if (value === null || value === undefined || value === '') {
+        return '';
+    }
+    if (typeof value === 'boolean') {
+        return `<c r="${reference}" t="b"><v>${value ? 1 : 0}</v></c>`;
+    }
+    if (type === 'date' || type === 'datetime') {
+        const serial = dateToSerial(value);
+        return serial === null
+            ? textCell(reference, value)
+            : `<c r="${reference}" s="${CELL_STYLES[type]}"><v>${type === 'date' ? Math.floor(serial) : serial}</v></c>`;
+    }
+    if (type === 'integer' || type === 'number' || type === 'currency' || typeof value === 'number') {
+        // Numbers that arrive as text, such as '12.50', are still written as numbers
+        const number = typeof value === 'number' ? value : Number(String(value).trim());
+        if (String(value).trim() !== '' && Number.isFinite(number)) {
+            return `<c r="${reference}" s="${CELL_STYLES[type] ?? CELL_STYLES.text}"><v>${number}</v></c>`;
+        }
+    }
+    return textCell(reference, typeof value === 'object' ? JSON.stringify(value) : value);
+};
+
+const columnWidth = (column, rows, index) => {
+    const longest = rows.reduce(
+        (widest, row) => Math.max(widest, String(row[index] ?? '').length),
+        String(column.label).length
+    );
+    return Math.min(Math.max(longest + 2, 8), 60);
+};
+
+/**
+ * Write a single-sheet workbook
+ * @param {Object} sheet
+ * @param {string} sheet.name - Worksheet name; characters Excel refuses are removed and it is cut to 31 characters
+ * @param {Array} sheet.columns - { label, type }; type is 'text' (default), 'integer', 'number',
+ *   'currency', 'date' (YYYY-MM-DD) or 'datetime' (ISO timestamp)
+ * @param {Array} sheet.rows - One array of values per row, in column order
+ * @returns {Uint8Array} The .xlsx file's contents
+ */
+export const writeXlsx = ({ name, columns, rows }) => {
+    const sheetName = escapeXml(String(name || 'Sheet1').replace(/[[\]:*?/\\]/g, ' ').slice(0, 31).trim() || 'Sheet1');
+    const lastColumn = columnLetters(Math.max(columns.length - 1, 0));
+
+    const header = `<row r="1">${columns.map((column, index) => textCell(`${columnLetters(index)}1`, column.label, CELL_STYLES.header)).join('')}</row>`;
+    const body = rows.map((row, rowIndex) => {
+        const rowNumber = rowIndex + 2;
+        const cells = columns.map((column, index) => writeCell(`${columnLetters(index)}${rowNumber}`, row[index], column.type)).join('');
+        return `<row r="${rowNumber}">${cells}</row>`;
+    }).join('');
+    const widths = columns
+        .map((column, index) => `<col min="${index + 1}" max="${index + 1}" width="${columnWidth(column, rows, index)}" customWidth="1"/>`)
+        .join('');
+
+    const worksheet = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+<cols>${widths}</cols>
+<sheetData>${header}${body}</sheetData>
+<autoFilter ref="A1:${lastColumn}${rows.length + 1}"/>
+</worksheet>`;
+
+    const parts = {
+        '[Content_Types].xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/></Types>`,
+        '_rels/.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+        'xl/workbook.xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="${sheetName}" sheetId="1" r:id="rId1"/></sheets><definedNames><definedName name="_xlnm._FilterDatabase" localSheetId="0" hidden="1">'${sheetName.replace(/'/g, "''")}'!$A$1:$${lastColumn}$${rows.length + 1}</definedName></definedNames></workbook>`,
+        'xl/_rels/workbook.xml.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>`,
+        'xl/styles.xml': STYLES_XML,
+        'xl/worksheets/sheet1.xml': worksheet,
+    };
+
+    const encoder = new TextEncoder();
+    return writeZip(Object.entries(parts).map(([partName, xml]) => ({ name: partName, data: encoder.encode(xml) })));
+};
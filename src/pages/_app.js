@@ -1,6 +1,10 @@
 import '@/styles/globals.css';
+import SessionProvider from '@/components/SessionProvider';
 
 export default function App({ Component, pageProps }) {
-  return <Component {...pageProps} />;
+  return (
+    <SessionProvider>
+      <Component {...pageProps} />
+    </SessionProvider>
+  );
 }
-
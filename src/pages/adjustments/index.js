@@ -0,0 +1,789 @@
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { ADJUSTMENT_APPROVAL_THRESHOLD, ADJUSTMENT_STATUSES, REASON_DIRECTIONS } from '@/lib/adjustments';
+import { useSession } from '@/components/SessionProvider';
+import { can, stockWarehouses } from '@/lib/permissions';
+
+const STATUS_BADGES = {
+    pending_approval: 'bg-amber-500 text-white border-amber-600',
+    posted: 'bg-emerald-500 text-white border-emerald-600',
+    rejected: 'bg-red-500 text-white border-red-600',
+};
+
+const STATUS_ICONS = {
+    pending_approval: '⏳',
+    posted: '✅',
+    rejected: '✖️',
+};
+
+const EMPTY_FORM = {
+    warehouseId: '',
+    productId: '',
+    binId: '',
+    reasonCode: '',
+    quantity: '',
+    note: '',
+    attachmentRef: '',
+};
+
+const EMPTY_REASON = { code: '', label: '', direction: 'decrease' };
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+});
+
+const formatMoney = (amount) => `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2)}`;
+
+export default function AdjustmentsPage() {
+    const { user } = useSession();
+    const canManage = can(user, 'manage_inventory');
+    const [adjustments, setAdjustments] = useState([]);
+    const [reasons, setReasons] = useState([]);
+    const [products, setProducts] = useState([]);
+    const [warehouses, setWarehouses] = useState([]);
+    const [stock, setStock] = useState([]);
+    const [bins, setBins] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [statusFilter, setStatusFilter] = useState('all');
+    const [formData, setFormData] = useState(EMPTY_FORM);
+    const [formError, setFormError] = useState('');
+    const [reasonForm, setReasonForm] = useState(EMPTY_REASON);
+    const [reasonError, setReasonError] = useState('');
+    const [successMessage, setSuccessMessage] = useState('');
+    const [actionError, setActionError] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+
+    const router = useRouter();
+
+    useEffect(() => {
+        fetchData();
+    }, []);
+
+    // Preselect the product and warehouse when arriving from a stock record (?stockId=)
+    useEffect(() => {
+        const record = stock.find(s => s.id === parseInt(router.query.stockId));
+        if (record) {
+            setFormData(prev => ({ ...prev, productId: String(record.productId), warehouseId: String(record.warehouseId) }));
+        }
+    }, [router.query.stockId, stock]);
+
+    const fetchData = async () => {
+        setLoading(true);
+        try {
+            const [adjustmentsData, reasonsData, productsData, warehousesData, stockData, binsData] = await Promise.all([
+                fetch('/api/adjustments').then(res => res.json()),
+                fetch('/api/adjustment-reasons').then(res => res.json()),
+                fetch('/api/products').then(res => res.json()),
+                fetch('/api/warehouses').then(res => res.json()),
+                fetch('/api/stock').then(res => res.json()),
+                fetch('/api/bins').then(res => res.json()),
+            ]);
+
+            setAdjustments(adjustmentsData);
+            setReasons(reasonsData);
+            setProducts(productsData);
+            setWarehouses(warehousesData);
+            setStock(stockData);
+            setBins(binsData);
+        } catch (error) {
+            console.error('Failed to fetch data:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const showSuccess = (message) => {
+        setSuccessMessage(message);
+        setTimeout(() => setSuccessMessage(''), 3000);
+    };
+
+    const handleInputChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({
+            ...prev,
+            [name]: value,
+            // The bin list depends on the warehouse, product and direction
+            ...(['warehouseId', 'productId', 'reasonCode'].includes(name) && { binId: '' }),
+        }));
+        setFormError('');
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setFormError('');
+        setSubmitting(true);
+
+        try {
+            const response = await fetch('/api/adjustments', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(formData),
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to adjust stock');
+            }
+
+            setFormData(EMPTY_FORM);
+            await fetchData();
+            showSuccess(data.status === 'posted'
+                ? `${data.reference} posted: ${data.delta > 0 ? '+' : ''}${data.delta} ${data.productName}`
+                : `${data.reference} is worth ${formatMoney(data.value)} and is waiting for approval`);
+        } catch (error) {
+            setFormError(error.message);
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    // Approve or reject an adjustment waiting for approval
+    const handleAction = async (adjustment, action) => {
+        setActionError('');
+        try {
+            const response = await fetch(`/api/adjustments/${adjustment.id}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ action }),
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || `Failed to ${action} adjustment`);
+            }
+
+            await fetchData();
+            showSuccess(`${data.reference} is now ${ADJUSTMENT_STATUSES[data.status]}`);
+        } catch (error) {
+            setActionError(error.message);
+        }
+    };
+
+    const saveReason = async (url, method, body) => {
+        setReasonError('');
+        try {
+            const response = await fetch(url, {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body),
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to save reason code');
+            }
+
+            await fetchData();
+            return true;
+        } catch (error) {
+            setReasonError(error.message);
+            return false;
+        }
+    };
+
+    const handleAddReason = async (e) => {
+        e.preventDefault();
+        if (await saveReason('/api/adjustment-reasons', 'POST', reasonForm)) {
+            setReasonForm(EMPTY_REASON);
+        }
+    };
+
+    const reason = reasons.find(r => r.code === formData.reasonCode);
+    const product = products.find(p => p.id === parseInt(formData.productId));
+    const stockRecord = stock.find(s => s.productId === parseInt(formData.productId)
+        && s.warehouseId === parseInt(formData.warehouseId));
+    const estimatedValue = (parseInt(formData.quantity) || 0) * (product?.unitCost || 0);
+
+    // Stock can only be taken from bins that hold the product; it can go into any bin
+    const binOptions = bins
+        .filter(bin => bin.warehouseId === parseInt(formData.warehouseId))
+        .filter(bin => reason?.direction !== 'decrease' || stockRecord?.bins?.some(b => b.binId === bin.id));
+
+    const pending = adjustments.filter(a => a.status === 'pending_approval');
+    const filteredAdjustments = adjustments.filter(a => statusFilter === 'all' || a.status === statusFilter);
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-emerald-50 via-white to-green-50">
+            <Navigation />
+
+            <main className="container mx-auto px-4 py-8 max-w-7xl">
+                {/* Header */}
+                <div className="mb-8">
+                    <h1 className="text-4xl font-bold text-gray-900 mb-2 bg-gradient-to-r from-emerald-600 to-green-600 bg-clip-text text-transparent">
+                        Stock Adjustments
+                    </h1>
+                    <p className="text-gray-600">
+                        Damaged, lost and found stock with a reason for every change ({pending.length} waiting for approval)
+                    </p>
+                </div>
+
+                {/* Success Message */}
+                {successMessage && (
+                    <div className="mb-6 p-4 bg-emerald-50 border-l-4 border-emerald-500 text-emerald-700 rounded-lg shadow-md animate-fade-in">
+                        <div className="flex items-center gap-2">
+                            <span className="text-2xl">✅</span>
+                            <p className="font-semibold">{successMessage}</p>
+                        </div>
+                    </div>
+                )}
+
+                {/* Action Error */}
+                {actionError && (
+                    <div className="mb-6 p-4 bg-red-50 border-l-4 border-red-500 text-red-700 rounded-lg shadow-md">
+                        <div className="flex items-center gap-2">
+                            <span className="text-2xl">⚠️</span>
+                            <p className="font-semibold">{actionError}</p>
+                        </div>
+                    </div>
+                )}
+
+                <div className="grid grid-cols-1 lg:grid-cols-3 gap-8 mb-8">
+                    {/* Adjustment Form */}
+                    {can(user, 'move_stock') && (
+                        <Card className="lg:col-span-2 shadow-xl border-t-4 border-t-emerald-500">
+                            <CardHeader>
+                                <CardTitle className="flex items-center gap-2">
+                                    <span className="text-2xl">⚖️</span>
+                                    New Adjustment
+                                </CardTitle>
+                                <CardDescription>
+                                    Adjustments worth more than {formatMoney(ADJUSTMENT_APPROVAL_THRESHOLD)} need approval before stock changes
+                                </CardDescription>
+                            </CardHeader>
+                            <CardContent>
+                                <form onSubmit={handleSubmit} className="space-y-6">
+                                    {formError && (
+                                        <div className="p-4 bg-red-50 border-l-4 border-red-500 text-red-700 rounded-lg">
+                                            <div className="flex items-center gap-2">
+                                                <span className="text-2xl">⚠️</span>
+                                                <p className="font-semibold">{formError}</p>
+                                            </div>
+                                        </div>
+                                    )}
+
+                                    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                                        <div>
+                                            <label className="block text-sm font-semibold text-gray-700 mb-2">
+                                                Warehouse *
+                                            </label>
+                                            <select
+                                                name="warehouseId"
+                                                value={formData.warehouseId}
+                                                onChange={handleInputChange}
+                                                required
+                                                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all"
+                                            >
+                                                <option value="">Select a warehouse...</option>
+                                                {stockWarehouses(user, warehouses).map(warehouse => (
+                                                    <option key={warehouse.id} value={warehouse.id}>
+                                                        {warehouse.name} ({warehouse.location})
+                                                    </option>
+                                                ))}
+                                            </select>
+                                        </div>
+                                        <div>
+                                            <label className="block text-sm font-semibold text-gray-700 mb-2">
+                                                Product *
+                                            </label>
+                                            <select
+                                                name="productId"
+                                                value={formData.productId}
+                                                onChange={handleInputChange}
+                                                required
+                                                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all"
+                                            >
+                                                <option value="">Select a product...</option>
+                                                {products.map(p => (
+                                                    <option key={p.id} value={p.id}>
+                                                        {p.sku} - {p.name}
+                                                    </option>
+                                                ))}
+                                            </select>
+                                            {formData.warehouseId && formData.productId && (
+                                                <p className="mt-1 text-xs text-gray-500">On hand: {stockRecord?.quantity || 0}</p>
+                                            )}
+                                        </div>
+                                        <div>
+                                            <label className="block text-sm font-semibold text-gray-700 mb-2">
+                                                Reason *
+                                            </label>
+                                            <select
+                                                name="reasonCode"
+                                                value={formData.reasonCode}
+                                                onChange={handleInputChange}
+                                                required
+                                                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all"
+                                            >
+                                                <option value="">Select a reason...</option>
+                                                {reasons.filter(r => r.active).map(r => (
+                                                    <option key={r.code} value={r.code}>
+                                                        {r.label} ({REASON_DIRECTIONS[r.direction].toLowerCase()})
+                                                    </option>
+                                                ))}
+                                            </select>
+                                        </div>
+                                        <div>
+                                            <label className="block text-sm font-semibold text-gray-700 mb-2">
+                                                Quantity *
+                                            </label>
+                                            <input
+                                                type="number"
+                                                name="quantity"
+                                                value={formData.quantity}
+                                                onChange={handleInputChange}
+                                                required
+                                                min="1"
+                                                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all"
+                                                placeholder="Units"
+                                            />
+                                            {estimatedValue > 0 && (
+                                                <p className={`mt-1 text-xs ${estimatedValue > ADJUSTMENT_APPROVAL_THRESHOLD ? 'font-semibold text-amber-600' : 'text-gray-500'}`}>
+                                                    Value: {formatMoney(estimatedValue)}
+                                                    {estimatedValue > ADJUSTMENT_APPROVAL_THRESHOLD && ' (needs approval)'}
+                                                </p>
+                                            )}
+                                        </div>
+                                        <div>
+                                            <label className="block text-sm font-semibold text-gray-700 mb-2">
+                                                Bin (Optional)
+                                            </label>
+                                            <select
+                                                name="binId"
+                                                value={formData.binId}
+                                                onChange={handleInputChange}
+                                                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all"
+                                            >
+                                                <option value="">{reason?.direction === 'increase' ? 'Unassigned' : 'Any location'}</option>
+                                                {binOptions.map(bin => (
+                                                    <option key={bin.id} value={bin.id}>{bin.code}</option>
+                                                ))}
+                                            </select>
+                                        </div>
+                                        <div>
+                                            <label className="block text-sm font-semibold text-gray-700 mb-2">
+                                                Attachment Reference (Optional)
+                                            </label>
+                                            <input
+                                                type="text"
+                                                name="attachmentRef"
+                                                value={formData.attachmentRef}
+                                                onChange={handleInputChange}
+                                                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all"
+                                                placeholder="Photo link, claim or document number"
+                                            />
+                                        </div>
+                                    </div>
+
+                                    <div>
+                                        <label className="block text-sm font-semibold text-gray-700 mb-2">
+                                            Note (Optional)
+                                        </label>
+                                        <textarea
+                                            name="note"
+                                            value={formData.note}
+                                            onChange={handleInputChange}
+                                            rows="2"
+                                            className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all"
+                                            placeholder="What happened?"
+                                        />
+                                    </div>
+
+                                    <Button
+                                        type="submit"
+                                        disabled={submitting}
+                                        className="w-full bg-emerald-600 hover:bg-emerald-700 text-white py-3 rounded-lg font-semibold shadow-lg hover:shadow-xl transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                                    >
+                                        {submitting ? '⏳ Processing...' : '⚖️ Record Adjustment'}
+                                    </Button>
+                                </form>
+                            </CardContent>
+                        </Card>
+                    )}
+
+                    {/* Reason Codes */}
+                    <Card className="shadow-lg border-t-4 border-t-blue-500">
+                        <CardHeader>
+                            <CardTitle className="flex items-center gap-2">
+                                <span className="text-2xl">🏷️</span>
+                                Reason Codes
+                            </CardTitle>
+                            <CardDescription>Retired codes stay on past adjustments</CardDescription>
+                        </CardHeader>
+                        <CardContent>
+                            {reasonError && (
+                                <p className="mb-3 text-sm font-semibold text-red-600">{reasonError}</p>
+                            )}
+                            <ul className="space-y-2 mb-6">
+                                {reasons.map(r => (
+                                    <li key={r.id} className="flex items-center justify-between gap-2">
+                                        <div>
+                                            <p className={`font-semibold ${r.active ? 'text-gray-900' : 'text-gray-400 line-through'}`}>{r.label}</p>
+                                            <p className="text-xs text-gray-500 font-mono">{r.code} · {REASON_DIRECTIONS[r.direction]}</p>
+                                        </div>
+                                        {canManage && (
+                                            <Button
+                                                size="sm"
+                                                variant="outline"
+                                                onClick={() => saveReason(`/api/adjustment-reasons/${r.id}`, 'PUT', { active: !r.active })}
+                                                className="border-gray-300 hover:bg-gray-50"
+                                            >
+                                                {r.active ? 'Retire' : 'Restore'}
+                                            </Button>
+                                        )}
+                                    </li>
+                                ))}
+                            </ul>
+                            {canManage && (
+                                <form onSubmit={handleAddReason} className="space-y-3">
+                                    <input
+                                        type="text"
+                                        value={reasonForm.label}
+                                        onChange={(e) => setReasonForm(prev => ({ ...prev, label: e.target.value }))}
+                                        required
+                                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all"
+                                        placeholder="Label, e.g. Expired"
+                                    />
+                                    <input
+                                        type="text"
+                                        value={reasonForm.code}
+                                        onChange={(e) => setReasonForm(prev => ({ ...prev, code: e.target.value }))}
+                                        required
+                                        className="w-full px-4 py-2 border border-gray-300 rounded-lg font-mono focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all"
+                                        placeholder="Code, e.g. expired"
+                                    />
+                                    <select
+                                        value={reasonForm.direction}
+                                        onChange={(e) => setReasonForm(prev => ({ ...prev, direction: e.target.value }))}
+                                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all"
+                                    >
+                                        {Object.entries(REASON_DIRECTIONS).map(([direction, label]) => (
+                                            <option key={direction} value={direction}>{label}</option>
+                                        ))}
+                                    </select>
+                                    <Button
+                                        type="submit"
+                                        variant="outline"
+                                        className="w-full border-emerald-300 text-emerald-700 hover:bg-emerald-50"
+                                    >
+                                        ➕ Add Reason
+                                    </Button>
+                                </form>
+                            )}
+                        </CardContent>
+                    </Card>
+                </div>
+
+                {/* Adjustment History */}
+                <Card className="shadow-lg border-t-4 border-t-emerald-500">
+                    <CardHeader>
+                        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+                            <div>
+                                <CardTitle className="flex items-center gap-2">
+                                    <span className="text-2xl">📜</span>
+                                    Adjustment History
+                                </CardTitle>
+                                <CardDescription>{filteredAdjustments.length} of {adjustments.length} adjustments</CardDescription>
+                            </div>
+                            <select
+                                value={statusFilter}
+                                onChange={(e) => setStatusFilter(e.target.value)}
+                                className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+                                aria-label="Filter by status"
+                            >
+                                <option value="all">All statuses</option>
+                                {Object.entries(ADJUSTMENT_STATUSES).map(([status, label]) => (
+                                    <option key={status} value={status}>{label}</option>
+                                ))}
+                            </select>
+                        </div>
+                    </CardHeader>
+                    <CardContent>
+                        {loading ? (
+                            <div className="flex items-center justify-center py-12">
+                                <div className="text-center">
+                                    <div className="inline-block animate-spin rounded-full h-12 w-12 border-4 border-emerald-500 border-t-transparent"></div>
+                                    <p className="mt-4 text-gray-600">Loading adjustments...</p>
+                                </div>
+                            </div>
+                        ) : filteredAdjustments.length === 0 ? (
+                            <div className="text-center py-12">
+                                <div className="text-6xl mb-4">⚖️</div>
+                                <p className="text-xl text-gray-600 font-semibold mb-2">No adjustments</p>
+                                <p className="text-gray-500">Record damaged, lost or found stock above</p>
+                            </div>
+                        ) : (
+                            <div className="overflow-x-auto">
+                                <table className="w-full">
+                                    <thead>
+                                        <tr className="border-b-2 border-gray-200 bg-gray-50">
+                                            <th className="text-left py-4 px-4 font-semibold text-gray-700">Reference</th>
+                                            <th className="text-left py-4 px-4 font-semibold text-gray-700">Product</th>
+                                            <th className="text-left py-4 px-4 font-semibold text-gray-700">Location</th>
+                                            <th className="text-left py-4 px-4 font-semibold text-gray-700">Reason</th>
+                                            <th className="text-right py-4 px-4 font-semibold text-gray-700">Quantity</th>
+                                            <th className="text-right py-4 px-4 font-semibold text-gray-700">Value</th>
+                                            <th className="text-center py-4 px-4 font-semibold text-gray-700">Status</th>
+                                            <th className="text-center py-4 px-4 font-semibold text-gray-700">Actions</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {filteredAdjustments.map(adjustment => (
+                                            <tr
+                                                key={adjustment.id}
+                                                className="border-b border-gray-100 hover:bg-emerald-50 transition-colors duration-150"
+                                            >
+                                                <td className="py-4 px-4 whitespace-nowrap">
+                                                    <p className="font-mono text-sm text-gray-900">{adjustment.reference}</p>
+                                                    <p className="text-xs text-gray-500">{formatDate(adjustment.createdAt)}</p>
+                                                    {adjustment.requestedBy && (
+                                                        <p className="text-xs text-gray-500">by {adjustment.requestedBy}</p>
+                                                    )}
+                                                </td>
+                                                <td className="py-4 px-4">
+                                                    <p className="font-semibold text-gray-900">{adjustment.productName}</p>
+                                                    <p className="text-xs text-gray-500 font-mono">{adjustment.productSku}</p>
+                                                </td>
+                                                <td className="py-4 px-4 text-sm text-gray-700">
+                                                    {adjustment.warehouseName}
+                                                    {adjustment.binCode && <span className="ml-1 font-mono text-gray-500">{adjustment.binCode}</span>}
+                                                </td>
+                                                <td className="py-4 px-4 text-sm">
+                                                    <p className="font-semibold text-gray-900">{adjustment.reasonLabel}</p>
+                                                    {adjustment.note && <p className="text-gray-600">{adjustment.note}</p>}
+                                                    {adjustment.attachmentRef && (
+                                                        <p className="text-xs text-gray-500">📎 {adjustment.attachmentRef}</p>
+                                                    )}
+                                                </td>
+                                                <td className={`py-4 px-4 text-right font-bold ${adjustment.delta < 0 ? 'text-red-600' : 'text-emerald-600'}`}>
+                                                    {adjustment.delta > 0 ? `+${adjustment.delta}` : adjustment.delta}
+                                                </td>
+                                                <td className="py-4 px-4 text-right text-gray-700">{formatMoney(adjustment.value)}</td>
+                                                <td className="py-4 px-4 text-center">
+                                                    <Badge className={`${STATUS_BADGES[adjustment.status]} shadow-sm`}>
+                                                        {STATUS_ICONS[adjustment.status]} {ADJUSTMENT_STATUSES[adjustment.status]}
+                                                    </Badge>
+                                                    {(adjustment.approvedBy || adjustment.rejectedBy) && (
+                                                        <p className="mt-1 text-xs text-gray-500">by {adjustment.approvedBy || adjustment.rejectedBy}</p>
+                                                    )}
+                                                </td>
+                                                <td className="py-4 px-4">
+                                                    <div className="flex justify-center gap-2">
+                                                        {canManage && adjustment.availableActions.includes('approve') && adjustment.requestedBy !== user?.username && (
+                                                            <Button
+                                                                size="sm"
+                                                                onClick={() => handleAction(adjustment, 'approve')}
+                                                                className="bg-emerald-600 hover:bg-emerald-700"
+                                                            >
+                                                                ✅ Approve
+                                                            </Button>
+                                                        )}
+                                                        {canManage && adjustment.availableActions.includes('reject') && (
+                                                            <Button
+                                                                size="sm"
+                                                                variant="outline"
+                                                                onClick={() => handleAction(adjustment, 'reject')}
+                                                                className="border-red-300 text-red-600 hover:bg-red-50"
+                                                            >
+                                                                Reject
+                                                            </Button>
+                                                        )}
+                                                    </div>
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+                    </CardContent>
+                </Card>
+            </main>
+        </div>
+    );
+}
+
+// Navigation Component
+function Navigation() {
+    const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
+
+    return (
+        <nav className="bg-white shadow-md border-b border-gray-200 sticky top-0 z-50">
+            <div className="container mx-auto px-4">
+                <div className="flex items-center justify-between h-16">
+                    <Link href="/" className="flex items-center gap-3 hover:opacity-80 transition-opacity">
+                        <div>
+                            <h1 className="text-lg md:text-xl font-bold text-gray-900">
+                                <span className="md:hidden">IMS</span>
+                                <span className="hidden md:inline">Inventory Management System</span>
+                            </h1>
+                        </div>
+                    </Link>
+
+                    {/* Desktop Navigation */}
+                    <div className="hidden md:flex items-center gap-2">
+                        <Link href="/">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🏠 Dashboard
+                            </Button>
+                        </Link>
+                        <Link href="/products">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📦 Products
+                            </Button>
+                        </Link>
+                        <Link href="/warehouses">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🏭 Warehouses
+                            </Button>
+                        </Link>
+                        <Link href="/stock">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📊 Stock Levels
+                            </Button>
+                        </Link>
+                        <Link href="/transfers">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🔄 Transfers
+                            </Button>
+                        </Link>
+                        <Link href="/alerts">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🔔 Alerts
+                            </Button>
+                        </Link>
+                        <Link href="/purchase-orders">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🧾 Purchasing
+                            </Button>
+                        </Link>
+                        <Link href="/receiving">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📥 Receiving
+                            </Button>
+                        </Link>
+                        <Link href="/sales-orders">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🛒 Sales
+                            </Button>
+                        </Link>
+                        <Link href="/stock-counts">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📋 Counts
+                            </Button>
+                        </Link>
+                        <Link href="/adjustments">
+                            <Button variant="ghost" className="bg-emerald-50 text-emerald-600 hover:bg-emerald-100 transition-all duration-200">
+                                ⚖️ Adjustments
+                            </Button>
+                        </Link>
+                        <Link href="/audit">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🕵️ Audit
+                            </Button>
+                        </Link>
+                    </div>
+
+                    {/* Mobile Hamburger Button */}
+                    <button
+                        onClick={() => setMobileMenuOpen(!mobileMenuOpen)}
+                        className="md:hidden p-2 rounded-lg hover:bg-gray-100 transition-colors"
+                        aria-label="Toggle menu"
+                    >
+                        <svg
+                            className="w-6 h-6 text-gray-700"
+                            fill="none"
+                            strokeLinecap="round"
+                            strokeLinejoin="round"
+                            strokeWidth="2"
+                            viewBox="0 0 24 24"
+                            stroke="currentColor"
+                        >
+                            {mobileMenuOpen ? (
+                                <path d="M6 18L18 6M6 6l12 12" />
+                            ) : (
+                                <path d="M4 6h16M4 12h16M4 18h16" />
+                            )}
+                        </svg>
+                    </button>
+                </div>
+
+                {/* Mobile Menu */}
+                {mobileMenuOpen && (
+                    <div className="md:hidden py-4 border-t border-gray-200 animate-fade-in">
+                        <div className="flex flex-col space-y-2">
+                            <Link href="/" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🏠 Dashboard
+                                </Button>
+                            </Link>
+                            <Link href="/products" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📦 Products
+                                </Button>
+                            </Link>
+                            <Link href="/warehouses" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🏭 Warehouses
+                                </Button>
+                            </Link>
+                            <Link href="/stock" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📊 Stock Levels
+                                </Button>
+                            </Link>
+                            <Link href="/transfers" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🔄 Transfers
+                                </Button>
+                            </Link>
+                            <Link href="/alerts" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🔔 Alerts
+                                </Button>
+                            </Link>
+                            <Link href="/purchase-orders" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🧾 Purchasing
+                                </Button>
+                            </Link>
+                            <Link href="/receiving" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📥 Receiving
+                                </Button>
+                            </Link>
+                            <Link href="/sales-orders" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🛒 Sales
+                                </Button>
+                            </Link>
+                            <Link href="/stock-counts" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📋 Counts
+                                </Button>
+                            </Link>
+                            <Link href="/adjustments" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start bg-emerald-50 text-emerald-600 hover:bg-emerald-100 transition-all duration-200">
+                                    ⚖️ Adjustments
+                                </Button>
+                            </Link>
+                            <Link href="/audit" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🕵️ Audit
+                                </Button>
+                            </Link>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </nav>
+    );
+}
@@ -3,23 +3,51 @@ import Link from 'next/link';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
 import { Button } from '@/components/ui/button';
+import { LOT_EXPIRY_WARNING_DAYS } from '@/lib/lots';
+import { useSession } from '@/components/SessionProvider';
+import { can } from '@/lib/permissions';
+
+const EXPIRY_BADGES = {
+    critical: 'bg-red-500 text-white border-red-600',
+    high: 'bg-amber-500 text-white border-amber-600',
+    medium: 'bg-blue-500 text-white border-blue-600',
+};
 
 export default function AlertsPage() {
+    const { user } = useSession();
+    const canManage = can(user, 'manage_inventory');
     const [alerts, setAlerts] = useState([]);
+    const [expiryAlerts, setExpiryAlerts] = useState([]);
     const [loading, setLoading] = useState(true);
     const [filter, setFilter] = useState('all'); // all, critical, high, medium, low
     const [showAcknowledged, setShowAcknowledged] = useState(false);
+    const [warehouses, setWarehouses] = useState([]);
+    const [selected, setSelected] = useState([]);
+    const [deliveryWarehouseId, setDeliveryWarehouseId] = useState('');
+    const [drafting, setDrafting] = useState(false);
+    const [draftResult, setDraftResult] = useState(null);
+    const [draftError, setDraftError] = useState('');
 
     useEffect(() => {
         fetchAlerts();
+        fetch('/api/warehouses')
+            .then(res => res.json())
+            .then(data => {
+                setWarehouses(data);
+                setDeliveryWarehouseId(prev => prev || String(data[0]?.id || ''));
+            })
+            .catch(error => console.error('Failed to fetch warehouses:', error));
     }, []);
 
     const fetchAlerts = async () => {
         setLoading(true);
         try {
-            const response = await fetch('/api/alerts');
-            const data = await response.json();
-            setAlerts(data);
+            const [stockData, expiryData] = await Promise.all([
+                fetch('/api/alerts').then(res => res.json()),
+                fetch('/api/alerts?type=lot_expiry').then(res => res.json()),
+            ]);
+            setAlerts(stockData);
+            setExpiryAlerts(expiryData);
         } catch (error) {
             console.error('Failed to fetch alerts:', error);
         } finally {
@@ -32,7 +60,7 @@ export default function AlertsPage() {
             await fetch('/api/alerts', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ productId, acknowledgedBy: 'Manager' }),
+                body: JSON.stringify({ productId }),
             });
             await fetchAlerts();
         } catch (error) {
@@ -51,6 +79,44 @@ export default function AlertsPage() {
         }
     };
 
+    const toggleSelected = (productId) => {
+        setSelected(prev => (prev.includes(productId)
+            ? prev.filter(id => id !== productId)
+            : [...prev, productId]));
+    };
+
+    // Turn the selected reorder recommendations into draft purchase orders, one per supplier
+    const handleDraftPurchaseOrders = async () => {
+        setDraftError('');
+        setDraftResult(null);
+        setDrafting(true);
+
+        try {
+            const items = alerts
+                .filter(a => selected.includes(a.productId))
+                .map(a => ({ productId: a.productId, quantity: a.reorderQuantity }));
+
+            const response = await fetch('/api/purchase-orders/from-alerts', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ warehouseId: deliveryWarehouseId, items }),
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to draft purchase orders');
+            }
+
+            setDraftResult(data);
+            setSelected([]);
+        } catch (error) {
+            setDraftError(error.message);
+        } finally {
+            setDrafting(false);
+        }
+    };
+
     // Filter alerts
     const filteredAlerts = alerts.filter(alert => {
         const severityMatch = filter === 'all' || alert.severity === filter;
@@ -62,6 +128,7 @@ export default function AlertsPage() {
     const criticalCount = alerts.filter(a => a.severity === 'critical' && !a.acknowledged).length;
     const highCount = alerts.filter(a => a.severity === 'high' && !a.acknowledged).length;
     const mediumCount = alerts.filter(a => a.severity === 'medium' && !a.acknowledged).length;
+    const reorderableAlerts = filteredAlerts.filter(a => a.reorderQuantity > 0);
     const totalReorderCost = alerts
         .filter(a => a.reorderQuantity > 0 && !a.acknowledged)
         .reduce((sum, a) => sum + a.estimatedCost, 0);
@@ -163,6 +230,123 @@ export default function AlertsPage() {
                     </CardContent>
                 </Card>
 
+                {/* Draft Purchase Orders */}
+                {canManage && reorderableAlerts.length > 0 && (
+                    <Card className="mb-6 shadow-lg border-t-4 border-t-blue-500">
+                        <CardContent className="p-6">
+                            <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+                                <div>
+                                    <p className="font-semibold text-gray-900">
+                                        🧾 {selected.length} of {reorderableAlerts.length} recommendations selected
+                                    </p>
+                                    <p className="text-sm text-gray-600">
+                                        Selected products become draft purchase orders, one per supplier
+                                    </p>
+                                </div>
+                                <div className="flex flex-wrap items-center gap-2">
+                                    <Button
+                                        variant="outline"
+                                        onClick={() => setSelected(selected.length === reorderableAlerts.length
+                                            ? []
+                                            : reorderableAlerts.map(a => a.productId))}
+                                    >
+                                        {selected.length === reorderableAlerts.length ? 'Clear Selection' : 'Select All'}
+                                    </Button>
+                                    <select
+                                        value={deliveryWarehouseId}
+                                        onChange={(e) => setDeliveryWarehouseId(e.target.value)}
+                                        className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+                                        aria-label="Deliver to warehouse"
+                                    >
+                                        {warehouses.map(warehouse => (
+                                            <option key={warehouse.id} value={warehouse.id}>
+                                                Deliver to {warehouse.name}
+                                            </option>
+                                        ))}
+                                    </select>
+                                    <Button
+                                        onClick={handleDraftPurchaseOrders}
+                                        disabled={selected.length === 0 || !deliveryWarehouseId || drafting}
+                                        className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                                    >
+                                        {drafting ? '⏳ Drafting...' : '🧾 Create Draft POs'}
+                                    </Button>
+                                </div>
+                            </div>
+                            {draftError && (
+                                <p className="mt-4 text-sm font-semibold text-red-600">⚠️ {draftError}</p>
+                            )}
+                            {draftResult && (
+                                <div className="mt-4 p-3 bg-emerald-50 rounded-lg border border-emerald-200 text-sm text-emerald-800">
+                                    {draftResult.purchaseOrders.length > 0 ? (
+                                        <p>
+                                            Created {draftResult.purchaseOrders.map(o => `${o.reference} (${o.supplierName})`).join(', ')}.{' '}
+                                            <Link href="/purchase-orders" className="font-semibold underline">
+                                                Review purchase orders
+                                            </Link>
+                                        </p>
+                                    ) : (
+                                        <p>No purchase orders were created.</p>
+                                    )}
+                                    {draftResult.unassigned.length > 0 && (
+                                        <p className="mt-1 text-amber-700">
+                                            No supplier sells {draftResult.unassigned.map(u => u.productName).join(', ')}; add them to a supplier&apos;s price list first.
+                                        </p>
+                                    )}
+                                </div>
+                            )}
+                        </CardContent>
+                    </Card>
+                )}
+
+                {/* Lots Nearing Expiry */}
+                {!loading && expiryAlerts.length > 0 && (
+                    <Card className="mb-6 shadow-lg border-t-4 border-t-amber-500">
+                        <CardContent className="p-6">
+                            <h2 className="text-lg font-bold text-gray-900 mb-1">⏳ Lots Nearing Expiry</h2>
+                            <p className="text-sm text-gray-600 mb-4">
+                                {expiryAlerts.length} {expiryAlerts.length === 1 ? 'lot has' : 'lots have'} expired or expire within {LOT_EXPIRY_WARNING_DAYS} days; they are picked first (FEFO)
+                            </p>
+                            <div className="overflow-x-auto">
+                                <table className="w-full text-sm">
+                                    <thead>
+                                        <tr className="border-b-2 border-gray-200 bg-gray-50">
+                                            <th className="text-left py-3 px-4 font-semibold text-gray-700">Lot</th>
+                                            <th className="text-left py-3 px-4 font-semibold text-gray-700">Product</th>
+                                            <th className="text-left py-3 px-4 font-semibold text-gray-700">Warehouse</th>
+                                            <th className="text-right py-3 px-4 font-semibold text-gray-700">Quantity</th>
+                                            <th className="text-left py-3 px-4 font-semibold text-gray-700">Expires</th>
+                                            <th className="text-left py-3 px-4 font-semibold text-gray-700">Action</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {expiryAlerts.map(lot => (
+                                            <tr key={`${lot.stockId}-${lot.lotNumber}`} className="border-b border-gray-100">
+                                                <td className="py-3 px-4 font-mono text-gray-900">{lot.lotNumber}</td>
+                                                <td className="py-3 px-4">
+                                                    <p className="font-semibold text-gray-900">{lot.productName}</p>
+                                                    <p className="text-xs text-gray-500">{lot.productSku}</p>
+                                                </td>
+                                                <td className="py-3 px-4 text-gray-700">{lot.warehouseName}</td>
+                                                <td className="py-3 px-4 text-right font-semibold">{lot.quantity.toLocaleString()}</td>
+                                                <td className="py-3 px-4 whitespace-nowrap">
+                                                    <p className="text-gray-900">{lot.expiresAt}</p>
+                                                    <Badge className={EXPIRY_BADGES[lot.severity]}>
+                                                        {lot.status === 'expired'
+                                                            ? `Expired ${-lot.daysUntilExpiry} days ago`
+                                                            : `${lot.daysUntilExpiry} days left`}
+                                                    </Badge>
+                                                </td>
+                                                <td className="py-3 px-4 text-gray-700">{lot.recommendedAction}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </CardContent>
+                    </Card>
+                )}
+
                 {/* Alerts List */}
                 {loading ? (
                     <div className="flex items-center justify-center py-12">
@@ -191,6 +375,9 @@ export default function AlertsPage() {
                                 alert={alert}
                                 onAcknowledge={handleAcknowledge}
                                 onUnacknowledge={handleUnacknowledge}
+                                selected={selected.includes(alert.productId)}
+                                onToggleSelect={toggleSelected}
+                                canManage={canManage}
                             />
                         ))}
                     </div>
@@ -201,7 +388,7 @@ export default function AlertsPage() {
 }
 
 // Alert Card Component
-function AlertCard({ alert, onAcknowledge, onUnacknowledge }) {
+function AlertCard({ alert, onAcknowledge, onUnacknowledge, selected, onToggleSelect, canManage }) {
     const severityColors = {
         critical: 'border-red-500 bg-red-50',
         high: 'border-amber-500 bg-amber-50',
@@ -225,6 +412,15 @@ function AlertCard({ alert, onAcknowledge, onUnacknowledge }) {
                         <div className="flex items-start justify-between mb-4">
                             <div>
                                 <div className="flex items-center gap-3 mb-2">
+                                    {canManage && alert.reorderQuantity > 0 && (
+                                        <input
+                                            type="checkbox"
+                                            checked={selected}
+                                            onChange={() => onToggleSelect(alert.productId)}
+                                            className="w-5 h-5 text-emerald-600 border-gray-300 rounded focus:ring-emerald-500"
+                                            aria-label={`Select ${alert.productName} for a purchase order`}
+                                        />
+                                    )}
                                     <h3 className="text-xl font-bold text-gray-900">{alert.productName}</h3>
                                     {severityBadges[alert.severity]}
                                     {alert.acknowledged && (
@@ -243,8 +439,13 @@ function AlertCard({ alert, onAcknowledge, onUnacknowledge }) {
                         {/* Stock Information */}
                         <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
                             <div>
-                                <p className="text-xs text-gray-500 mb-1">Current Stock</p>
+                                <p className="text-xs text-gray-500 mb-1">Available Stock</p>
                                 <p className="text-2xl font-bold text-gray-900">{alert.currentStock.toLocaleString()}</p>
+                                {alert.reservedStock > 0 && (
+                                    <p className="text-xs text-gray-500">
+                                        {alert.onHandStock.toLocaleString()} on hand, {alert.reservedStock.toLocaleString()} reserved
+                                    </p>
+                                )}
                             </div>
                             <div>
                                 <p className="text-xs text-gray-500 mb-1">Reorder Point</p>
@@ -277,7 +478,12 @@ function AlertCard({ alert, onAcknowledge, onUnacknowledge }) {
                                                 <p className="text-sm font-medium text-gray-900">{wh.warehouseName}</p>
                                                 <p className="text-xs text-gray-500">{wh.warehouseLocation}</p>
                                             </div>
-                                            <p className="text-lg font-bold text-gray-700">{wh.quantity.toLocaleString()}</p>
+                                            <div className="text-right">
+                                                <p className="text-lg font-bold text-gray-700">{wh.availableQuantity.toLocaleString()}</p>
+                                                {wh.reservedQuantity > 0 && (
+                                                    <p className="text-xs text-gray-500">{wh.reservedQuantity.toLocaleString()} reserved</p>
+                                                )}
+                                            </div>
                                         </div>
                                     ))}
                                 </div>
@@ -297,27 +503,31 @@ function AlertCard({ alert, onAcknowledge, onUnacknowledge }) {
 
                     {/* Right Section - Actions */}
                     <div className="flex flex-col gap-2 lg:w-48">
-                        {!alert.acknowledged ? (
-                            <Button
-                                onClick={() => onAcknowledge(alert.productId)}
-                                className="bg-emerald-600 hover:bg-emerald-700 shadow-lg"
-                            >
-                                ✓ Acknowledge
-                            </Button>
-                        ) : (
-                            <Button
-                                onClick={() => onUnacknowledge(alert.productId)}
-                                variant="outline"
-                                className="border-gray-300 hover:bg-gray-50"
-                            >
-                                ↺ Unacknowledge
-                            </Button>
+                        {canManage && (
+                            <>
+                                {!alert.acknowledged ? (
+                                    <Button
+                                        onClick={() => onAcknowledge(alert.productId)}
+                                        className="bg-emerald-600 hover:bg-emerald-700 shadow-lg"
+                                    >
+                                        ✓ Acknowledge
+                                    </Button>
+                                ) : (
+                                    <Button
+                                        onClick={() => onUnacknowledge(alert.productId)}
+                                        variant="outline"
+                                        className="border-gray-300 hover:bg-gray-50"
+                                    >
+                                        ↺ Unacknowledge
+                                    </Button>
+                                )}
+                                <Link href={`/products/edit/${alert.productId}`}>
+                                    <Button variant="outline" className="w-full border-emerald-600 text-emerald-600 hover:bg-emerald-50">
+                                        📝 Edit Product
+                                    </Button>
+                                </Link>
+                            </>
                         )}
-                        <Link href={`/products/edit/${alert.productId}`}>
-                            <Button variant="outline" className="w-full border-emerald-600 text-emerald-600 hover:bg-emerald-50">
-                                📝 Edit Product
-                            </Button>
-                        </Link>
                         <Link href="/transfers">
                             <Button variant="outline" className="w-full border-blue-600 text-blue-600 hover:bg-blue-50">
                                 🔄 Transfer Stock
@@ -402,6 +612,36 @@ function Navigation() {
                                 🔔 Alerts
                             </Button>
                         </Link>
+                        <Link href="/purchase-orders">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🧾 Purchasing
+                            </Button>
+                        </Link>
+                        <Link href="/receiving">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📥 Receiving
+                            </Button>
+                        </Link>
+                        <Link href="/sales-orders">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🛒 Sales
+                            </Button>
+                        </Link>
+                        <Link href="/stock-counts">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📋 Counts
+                            </Button>
+                        </Link>
+                        <Link href="/adjustments">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                ⚖️ Adjustments
+                            </Button>
+                        </Link>
+                        <Link href="/audit">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🕵️ Audit
+                            </Button>
+                        </Link>
                     </div>
 
                     {/* Mobile Hamburger Button */}
@@ -462,6 +702,36 @@ function Navigation() {
                                     🔔 Alerts
                                 </Button>
                             </Link>
+                            <Link href="/purchase-orders" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🧾 Purchasing
+                                </Button>
+                            </Link>
+                            <Link href="/receiving" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📥 Receiving
+                                </Button>
+                            </Link>
+                            <Link href="/sales-orders" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🛒 Sales
+                                </Button>
+                            </Link>
+                            <Link href="/stock-counts" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📋 Counts
+                                </Button>
+                            </Link>
+                            <Link href="/adjustments" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    ⚖️ Adjustments
+                                </Button>
+                            </Link>
+                            <Link href="/audit" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🕵️ Audit
+                                </Button>
+                            </Link>
                         </div>
                     </div>
                 )}
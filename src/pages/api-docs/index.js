@@ -0,0 +1,629 @@
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { resolveSchema, responseProblems } from '@/lib/contract';
+
+const METHOD_BADGES = {
+    get: 'bg-blue-500 text-white border-blue-600',
+    post: 'bg-emerald-500 text-white border-emerald-600',
+    put: 'bg-amber-500 text-white border-amber-600',
+    delete: 'bg-red-500 text-white border-red-600',
+};
+
+const METHODS = Object.keys(METHOD_BADGES);
+
+const INPUT_CLASS = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all';
+
+// Every operation in the document, in document order
+const listOperations = (spec) => Object.entries(spec.paths).flatMap(([path, item]) =>
+    METHODS.filter(method => item[method]).map(method => ({ path, method, ...item[method] }))
+);
+
+// A request body to start from: every property, filled with a value of the right type
+const exampleFor = (spec, schema) => {
+    const rules = resolveSchema(spec, schema);
+    if (rules.oneOf) {
+        return exampleFor(spec, rules.oneOf[0]);
+    }
+    if (rules.enum) {
+        return rules.enum[0];
+    }
+    const type = [].concat(rules.type)[0];
+    if (type === 'object') {
+        return Object.fromEntries(Object.entries(rules.properties || {}).map(([field, property]) => [field, exampleFor(spec, property)]));
+    }
+    if (type === 'array') {
+        return rules.items ? [exampleFor(spec, rules.items)] : [];
+    }
+    if (type === 'integer' || type === 'number') {
+        return rules.minimum ?? 0;
+    }
+    if (type === 'boolean') {
+        return false;
+    }
+    if (rules.format === 'date') {
+        return new Date().toISOString().slice(0, 10);
+    }
+    return type === 'null' ? null : '';
+};
+
+const buildUrl = (operation, values) => {
+    const path = operation.path.replace(/\{(\w+)\}/g, (match, name) => encodeURIComponent(values[name] || ''));
+    const query = new URLSearchParams();
+    (operation.parameters || [])
+        .filter(parameter => parameter.in === 'query' && values[parameter.name])
+        .forEach(parameter => query.set(parameter.name, values[parameter.name]));
+    const search = query.toString();
+    return search ? `${path}?${search}` : path;
+};
+
+const mediaTypeOf = (res) => (res.headers.get('Content-Type') || 'application/json').split(';')[0].trim();
+
+// Files such as CSV or PDF reports are described rather than shown
+const readBody = async (res) => {
+    if ((res.headers.get('Content-Disposition') || '').startsWith('attachment')) {
+        const file = await res.blob();
+        return `(${mediaTypeOf(res)} file, ${file.size.toLocaleString()} bytes)`;
+    }
+    const text = await res.text();
+    if (!text) {
+        return null;
+    }
+    try {
+        return JSON.parse(text);
+    } catch {
+        return text;
+    }
+};
+
+export default function ApiDocsPage() {
+    const [spec, setSpec] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [selected, setSelected] = useState(null);
+    const [values, setValues] = useState({});
+    const [body, setBody] = useState('');
+    const [result, setResult] = useState(null);
+    const [sending, setSending] = useState(false);
+    const [contract, setContract] = useState(null);
+    const [checking, setChecking] = useState(false);
+
+    useEffect(() => {
+        fetchSpec();
+    }, []);
+
+    const fetchSpec = async () => {
+        try {
+            const res = await fetch('/api/openapi');
+            setSpec(await res.json());
+        } catch (error) {
+            console.error('Failed to fetch API document:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const operations = spec ? listOperations(spec) : [];
+    const tags = [...new Set(operations.map(operation => operation.tags[0]))];
+
+    const selectOperation = (operation) => {
+        setSelected(operation);
+        setValues({});
+        setResult(null);
+        const schema = operation.requestBody?.content['application/json'].schema;
+        setBody(schema ? JSON.stringify(exampleFor(spec, schema), null, 2) : '');
+    };
+
+    const handleSend = async (e) => {
+        e.preventDefault();
+        let payload;
+        if (selected.requestBody) {
+            try {
+                payload = JSON.stringify(JSON.parse(body));
+            } catch {
+                setResult({ error: 'The request body is not valid JSON' });
+                return;
+            }
+        }
+
+        setSending(true);
+        const url = buildUrl(selected, values);
+        const started = performance.now();
+        try {
+            const res = await fetch(url, {
+                method: selected.method.toUpperCase(),
+                headers: payload ? { 'Content-Type': 'application/json' } : {},
+                body: payload,
+            });
+            const responseBody = await readBody(res);
+            setResult({
+                url,
+                status: res.status,
+                time: Math.round(performance.now() - started),
+                body: responseBody,
+                problems: responseProblems(spec, selected.path, selected.method, res.status, responseBody, mediaTypeOf(res)),
+            });
+        } catch (error) {
+            setResult({ error: 'Failed to send the request' });
+        } finally {
+            setSending(false);
+        }
+    };
+
+    // Call every read endpoint and compare its response with the document. Paths with an {id}
+    // use the first record from the list above them, so they need some data to be checked.
+    const handleCheckContract = async () => {
+        setChecking(true);
+        const results = [];
+        const firstIds = {};
+        for (const operation of operations.filter(o => o.method === 'get' && o.path !== '/api/openapi')) {
+            let url = operation.path;
+            if (operation.path.includes('{id}')) {
+                const id = firstIds[operation.path.replace('/{id}', '')];
+                if (!id) {
+                    results.push({ operation, skipped: 'No record to fetch' });
+                    continue;
+                }
+                url = operation.path.replace('{id}', id);
+            }
+            try {
+                const res = await fetch(url);
+                const responseBody = await readBody(res);
+                if (res.ok && Array.isArray(responseBody) && responseBody[0]?.id) {
+                    firstIds[operation.path] = responseBody[0].id;
+                }
+                results.push({
+                    operation,
+                    status: res.status,
+                    problems: responseProblems(spec, operation.path, 'get', res.status, responseBody, mediaTypeOf(res)),
+                });
+            } catch (error) {
+                results.push({ operation, problems: ['The request failed'] });
+            }
+        }
+        setContract(results);
+        setChecking(false);
+    };
+
+    const renderSchema = (schema) => (
+        <pre className="p-3 bg-gray-50 border border-gray-200 rounded-lg text-xs font-mono overflow-x-auto max-h-64">
+            {JSON.stringify(resolveSchema(spec, schema), null, 2)}
+        </pre>
+    );
+
+    const driftCount = contract ? contract.filter(r => r.problems?.length > 0).length : 0;
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-emerald-50 via-white to-green-50">
+            <Navigation />
+
+            <main className="container mx-auto px-4 py-8 max-w-7xl">
+                {/* Header */}
+                <div className="mb-8 flex flex-col md:flex-row md:items-end md:justify-between gap-4">
+                    <div>
+                        <h1 className="text-4xl font-bold text-gray-900 mb-2 bg-gradient-to-r from-emerald-600 to-green-600 bg-clip-text text-transparent">
+                            API Explorer
+                        </h1>
+                        <p className="text-gray-600">
+                            Every route, its payload and its errors, from the OpenAPI document at{' '}
+                            <a href="/api/openapi" className="font-mono text-emerald-700 hover:underline">/api/openapi</a>
+                        </p>
+                    </div>
+                    <Button
+                        onClick={handleCheckContract}
+                        disabled={!spec || checking}
+                        className="bg-gradient-to-r from-emerald-600 to-green-600 hover:from-emerald-700 hover:to-green-700 shadow-md"
+                    >
+                        {checking ? 'Checking...' : '🧪 Check Contract'}
+                    </Button>
+                </div>
+
+                {/* Contract Check */}
+                {contract && (
+                    <Card className="mb-8 shadow-lg border-t-4 border-t-emerald-500">
+                        <CardHeader>
+                            <CardTitle className="flex items-center gap-2">
+                                <span className="text-2xl">{driftCount > 0 ? '⚠️' : '✅'}</span>
+                                Contract Check
+                            </CardTitle>
+                            <CardDescription>
+                                {driftCount > 0
+                                    ? `${driftCount} of ${contract.length} read endpoints no longer match the document`
+                                    : `All ${contract.filter(r => !r.skipped).length} checked read endpoints match the document`}
+                            </CardDescription>
+                        </CardHeader>
+                        <CardContent>
+                            <div className="space-y-2">
+                                {contract.map(({ operation, status, problems, skipped }) => (
+                                    <div key={operation.path} className="flex items-start gap-3 text-sm">
+                                        <span>{skipped ? '⏭️' : problems.length > 0 ? '❌' : '✅'}</span>
+                                        <div>
+                                            <p className="font-mono text-gray-900">
+                                                GET {operation.path}
+                                                {status && <span className="ml-2 text-gray-500">{status}</span>}
+                                            </p>
+                                            {skipped && <p className="text-gray-500">{skipped}</p>}
+                                            {problems?.slice(0, 5).map(problem => (
+                                                <p key={problem} className="text-red-600 font-mono text-xs">{problem}</p>
+                                            ))}
+                                            {problems?.length > 5 && (
+                                                <p className="text-red-600 text-xs">and {problems.length - 5} more</p>
+                                            )}
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        </CardContent>
+                    </Card>
+                )}
+
+                {loading ? (
+                    <div className="flex items-center justify-center py-12">
+                        <div className="inline-block animate-spin rounded-full h-12 w-12 border-4 border-emerald-500 border-t-transparent"></div>
+                    </div>
+                ) : !spec ? (
+                    <div className="p-4 bg-red-50 border-l-4 border-red-500 text-red-700 rounded-lg shadow-md">
+                        <div className="flex items-center gap-2">
+                            <span className="text-2xl">⚠️</span>
+                            <p className="font-semibold">Failed to load the API document</p>
+                        </div>
+                    </div>
+                ) : (
+                    <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+                        {/* Operation List */}
+                        <Card className="shadow-lg border-t-4 border-t-emerald-500 h-fit">
+                            <CardHeader>
+                                <CardTitle className="flex items-center gap-2">
+                                    <span className="text-2xl">📚</span>
+                                    Routes
+                                </CardTitle>
+                                <CardDescription>{operations.length} operations</CardDescription>
+                            </CardHeader>
+                            <CardContent className="space-y-6">
+                                {tags.map(tag => (
+                                    <div key={tag}>
+                                        <h3 className="text-sm font-semibold text-gray-500 uppercase mb-2">{tag}</h3>
+                                        <div className="space-y-1">
+                                            {operations.filter(operation => operation.tags[0] === tag).map(operation => (
+                                                <button
+                                                    key={`${operation.method} ${operation.path}`}
+                                                    onClick={() => selectOperation(operation)}
+                                                    className={`w-full text-left px-2 py-1 rounded-lg flex items-center gap-2 hover:bg-emerald-50 transition-colors ${
+                                                        selected?.path === operation.path && selected?.method === operation.method ? 'bg-emerald-50' : ''
+                                                    }`}
+                                                >
+                                                    <Badge className={`${METHOD_BADGES[operation.method]} w-16 justify-center text-xs`}>
+                                                        {operation.method.toUpperCase()}
+                                                    </Badge>
+                                                    <span className="font-mono text-xs text-gray-800 break-all">{operation.path}</span>
+                                                </button>
+                                            ))}
+                                        </div>
+                                    </div>
+                                ))}
+                            </CardContent>
+                        </Card>
+
+                        {/* Operation Detail */}
+                        <Card className="shadow-lg border-t-4 border-t-emerald-500 lg:col-span-2 h-fit">
+                            {!selected ? (
+                                <CardContent className="py-12 text-center text-gray-500">
+                                    Choose a route to see its parameters, payload and responses, and to try it out
+                                </CardContent>
+                            ) : (
+                                <>
+                                    <CardHeader>
+                                        <CardTitle className="flex items-center gap-2">
+                                            <Badge className={METHOD_BADGES[selected.method]}>{selected.method.toUpperCase()}</Badge>
+                                            <span className="font-mono text-lg">{selected.path}</span>
+                                        </CardTitle>
+                                        <CardDescription>
+                                            {selected.summary}
+                                            {selected.description && `. ${selected.description}`}
+                                        </CardDescription>
+                                        <p className="text-sm text-gray-600">
+                                            {selected['x-permission']
+                                                ? <>Needs the <span className="font-mono">{selected['x-permission']}</span> permission</>
+                                                : 'No sign-in needed'}
+                                        </p>
+                                    </CardHeader>
+                                    <CardContent className="space-y-6">
+                                        <form onSubmit={handleSend} className="space-y-4">
+                                            {selected.parameters && (
+                                                <div>
+                                                    <h3 className="font-semibold text-gray-900 mb-2">Parameters</h3>
+                                                    <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                                                        {selected.parameters.map(parameter => (
+                                                            <div key={parameter.name}>
+                                                                <label className="block text-sm font-semibold text-gray-700 mb-1">
+                                                                    <span className="font-mono">{parameter.name}</span>
+                                                                    <span className="ml-1 text-xs font-normal text-gray-500">
+                                                                        {parameter.in}{parameter.required && ', required'}
+                                                                    </span>
+                                                                </label>
+                                                                {parameter.schema.enum ? (
+                                                                    <select
+                                                                        value={values[parameter.name] || ''}
+                                                                        onChange={(e) => setValues(prev => ({ ...prev, [parameter.name]: e.target.value }))}
+                                                                        required={parameter.required}
+                                                                        className={INPUT_CLASS}
+                                                                    >
+                                                                        <option value="">Any</option>
+                                                                        {parameter.schema.enum.map(option => (
+                                                                            <option key={option} value={option}>{option}</option>
+                                                                        ))}
+                                                                    </select>
+                                                                ) : (
+                                                                    <input
+                                                                        type="text"
+                                                                        value={values[parameter.name] || ''}
+                                                                        onChange={(e) => setValues(prev => ({ ...prev, [parameter.name]: e.target.value }))}
+                                                                        required={parameter.required}
+                                                                        placeholder={parameter.description}
+                                                                        className={INPUT_CLASS}
+                                                                    />
+                                                                )}
+                                                            </div>
+                                                        ))}
+                                                    </div>
+                                                </div>
+                                            )}
+                                            {selected.requestBody && (
+                                                <div>
+                                                    <h3 className="font-semibold text-gray-900 mb-2">Request Body</h3>
+                                                    <textarea
+                                                        value={body}
+                                                        onChange={(e) => setBody(e.target.value)}
+                                                        rows={Math.min(16, body.split('\n').length + 1)}
+                                                        className={`${INPUT_CLASS} font-mono text-xs`}
+                                                    />
+                                                    <details className="mt-2">
+                                                        <summary className="text-sm text-emerald-700 cursor-pointer">Schema</summary>
+                                                        {renderSchema(selected.requestBody.content['application/json'].schema)}
+                                                    </details>
+                                                </div>
+                                            )}
+                                            <Button
+                                                type="submit"
+                                                disabled={sending}
+                                                className="bg-gradient-to-r from-emerald-600 to-green-600 hover:from-emerald-700 hover:to-green-700 shadow-md"
+                                            >
+                                                {sending ? 'Sending...' : '▶️ Send Request'}
+                                            </Button>
+                                        </form>
+
+                                        {result && (
+                                            <div>
+                                                <h3 className="font-semibold text-gray-900 mb-2">Response</h3>
+                                                {result.error ? (
+                                                    <p className="text-red-600 font-semibold">{result.error}</p>
+                                                ) : (
+                                                    <>
+                                                        <p className="text-sm text-gray-600 mb-2">
+                                                            <span className={`font-semibold ${result.status < 400 ? 'text-emerald-700' : 'text-red-600'}`}>
+                                                                {result.status}
+                                                            </span>
+                                                            {' '}from <span className="font-mono">{result.url}</span> in {result.time} ms
+                                                        </p>
+                                                        {result.problems.length > 0 ? (
+                                                            <div className="mb-2 p-3 bg-red-50 border-l-4 border-red-500 text-red-700 rounded-lg text-xs font-mono">
+                                                                {result.problems.slice(0, 10).map(problem => <p key={problem}>{problem}</p>)}
+                                                            </div>
+                                                        ) : (
+                                                            <p className="mb-2 text-sm text-emerald-700">✅ Matches the document</p>
+                                                        )}
+                                                        <pre className="p-3 bg-gray-50 border border-gray-200 rounded-lg text-xs font-mono overflow-x-auto max-h-96">
+                                                            {result.body === null ? '(no body)' : JSON.stringify(result.body, null, 2)}
+                                                        </pre>
+                                                    </>
+                                                )}
+                                            </div>
+                                        )}
+
+                                        <div>
+                                            <h3 className="font-semibold text-gray-900 mb-2">Responses</h3>
+                                            <div className="space-y-2">
+                                                {Object.entries(selected.responses).map(([status, response]) => (
+                                                    <details key={status}>
+                                                        <summary className="text-sm cursor-pointer">
+                                                            <span className={`font-semibold ${status < 400 ? 'text-emerald-700' : 'text-red-600'}`}>{status}</span>
+                                                            <span className="ml-2 text-gray-600">{response.description}</span>
+                                                        </summary>
+                                                        {response.content && renderSchema(response.content['application/json'].schema)}
+                                                        {response.content && Object.keys(response.content).length > 1 && (
+                                                            <p className="mt-1 text-xs text-gray-600">
+                                                                Also sent as {Object.keys(response.content).filter(type => type !== 'application/json').join(', ')}
+                                                            </p>
+                                                        )}
+                                                    </details>
+                                                ))}
+                                            </div>
+                                        </div>
+                                    </CardContent>
+                                </>
+                            )}
+                        </Card>
+                    </div>
+                )}
+            </main>
+        </div>
+    );
+}
+
+// Navigation Component
+function Navigation() {
+    const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
+
+    return (
+        <nav className="bg-white shadow-md border-b border-gray-200 sticky top-0 z-50">
+            <div className="container mx-auto px-4">
+                <div className="flex items-center justify-between h-16">
+                    <Link href="/" className="flex items-center gap-3 hover:opacity-80 transition-opacity">
+                        <div>
+                            <h1 className="text-lg md:text-xl font-bold text-gray-900">
+                                <span className="md:hidden">IMS</span>
+                                <span className="hidden md:inline">Inventory Management System</span>
+                            </h1>
+                        </div>
+                    </Link>
+
+                    {/* Desktop Navigation */}
+                    <div className="hidden md:flex items-center gap-2">
+                        <Link href="/">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🏠 Dashboard
+                            </Button>
+                        </Link>
+                        <Link href="/products">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📦 Products
+                            </Button>
+                        </Link>
+                        <Link href="/warehouses">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🏭 Warehouses
+                            </Button>
+                        </Link>
+                        <Link href="/stock">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📊 Stock Levels
+                            </Button>
+                        </Link>
+                        <Link href="/transfers">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🔄 Transfers
+                            </Button>
+                        </Link>
+                        <Link href="/alerts">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🔔 Alerts
+                            </Button>
+                        </Link>
+                        <Link href="/purchase-orders">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🧾 Purchasing
+                            </Button>
+                        </Link>
+                        <Link href="/receiving">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📥 Receiving
+                            </Button>
+                        </Link>
+                        <Link href="/sales-orders">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🛒 Sales
+                            </Button>
+                        </Link>
+                        <Link href="/stock-counts">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📋 Counts
+                            </Button>
+                        </Link>
+                        <Link href="/adjustments">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                ⚖️ Adjustments
+                            </Button>
+                        </Link>
+                        <Link href="/audit">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🕵️ Audit
+                            </Button>
+                        </Link>
+                    </div>
+
+                    {/* Mobile Hamburger Button */}
+                    <button
+                        onClick={() => setMobileMenuOpen(!mobileMenuOpen)}
+                        className="md:hidden p-2 rounded-lg hover:bg-gray-100 transition-colors"
+                        aria-label="Toggle menu"
+                    >
+                        <svg
+                            className="w-6 h-6 text-gray-700"
+                            fill="none"
+                            strokeLinecap="round"
+                            strokeLinejoin="round"
+                            strokeWidth="2"
+                            viewBox="0 0 24 24"
+                            stroke="currentColor"
+                        >
+                            {mobileMenuOpen ? (
+                                <path d="M6 18L18 6M6 6l12 12" />
+                            ) : (
+                                <path d="M4 6h16M4 12h16M4 18h16" />
+                            )}
+                        </svg>
+                    </button>
+                </div>
+
+                {/* Mobile Menu */}
+                {mobileMenuOpen && (
+                    <div className="md:hidden py-4 border-t border-gray-200 animate-fade-in">
+                        <div className="flex flex-col space-y-2">
+                            <Link href="/" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🏠 Dashboard
+                                </Button>
+                            </Link>
+                            <Link href="/products" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📦 Products
+                                </Button>
+                            </Link>
+                            <Link href="/warehouses" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🏭 Warehouses
+                                </Button>
+                            </Link>
+                            <Link href="/stock" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📊 Stock Levels
+                                </Button>
+                            </Link>
+                            <Link href="/transfers" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🔄 Transfers
+                                </Button>
+                            </Link>
+                            <Link href="/alerts" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🔔 Alerts
+                                </Button>
+                            </Link>
+                            <Link href="/purchase-orders" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🧾 Purchasing
+                                </Button>
+                            </Link>
+                            <Link href="/receiving" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📥 Receiving
+                                </Button>
+                            </Link>
+                            <Link href="/sales-orders" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🛒 Sales
+                                </Button>
+                            </Link>
+                            <Link href="/stock-counts" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📋 Counts
+                                </Button>
+                            </Link>
+                            <Link href="/adjustments" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    ⚖️ Adjustments
+                                </Button>
+                            </Link>
+                            <Link href="/audit" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🕵️ Audit
+                                </Button>
+                            </Link>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </nav>
+    );
+}
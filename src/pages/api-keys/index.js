@@ -0,0 +1,591 @@
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { useSession } from '@/components/SessionProvider';
+import { API_KEY_ACCESS, API_KEY_RESOURCES, can } from '@/lib/permissions';
+
+const ACCESS_BADGES = {
+    read: 'bg-gray-500 text-white border-gray-600',
+    write: 'bg-emerald-500 text-white border-emerald-600',
+};
+
+const EMPTY_FORM = {
+    name: '',
+    access: 'read',
+    resources: ['stock', 'transfers'],
+};
+
+const INPUT_CLASS = 'w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all';
+
+const formatDateTime = (date) => new Date(date).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+});
+
+export default function ApiKeysPage() {
+    const { user } = useSession();
+    const [apiKeys, setApiKeys] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [formData, setFormData] = useState(EMPTY_FORM);
+    const [editingId, setEditingId] = useState(null);
+    const [formError, setFormError] = useState('');
+    const [fieldErrors, setFieldErrors] = useState({});
+    const [issuedKey, setIssuedKey] = useState(null);
+    const [successMessage, setSuccessMessage] = useState('');
+    const [actionError, setActionError] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+
+    const allowed = can(user, 'manage_users');
+
+    useEffect(() => {
+        if (allowed) {
+            fetchKeys();
+        }
+    }, [allowed]);
+
+    const fetchKeys = async () => {
+        try {
+            const res = await fetch('/api/api-keys');
+            setApiKeys(await res.json());
+        } catch (error) {
+            console.error('Failed to fetch API keys:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const showSuccess = (message) => {
+        setSuccessMessage(message);
+        setTimeout(() => setSuccessMessage(''), 3000);
+    };
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+    };
+
+    const allResources = formData.resources.includes('*');
+
+    const toggleResource = (resource) => {
+        setFormData(prev => ({
+            ...prev,
+            resources: prev.resources.includes(resource)
+                ? prev.resources.filter(r => r !== resource)
+                : [...prev.resources, resource],
+        }));
+    };
+
+    const resetForm = () => {
+        setFormData(EMPTY_FORM);
+        setEditingId(null);
+        setFormError('');
+        setFieldErrors({});
+    };
+
+    const handleEdit = (apiKey) => {
+        setFormData({ name: apiKey.name, access: apiKey.access, resources: apiKey.resources });
+        setEditingId(apiKey.id);
+        setFormError('');
+        setFieldErrors({});
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setFormError('');
+        setFieldErrors({});
+        setSubmitting(true);
+
+        try {
+            const res = await fetch(editingId ? `/api/api-keys/${editingId}` : '/api/api-keys', {
+                method: editingId ? 'PUT' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(formData),
+            });
+            const data = await res.json();
+
+            if (res.ok) {
+                if (editingId) {
+                    showSuccess(`${data.name} updated`);
+                } else {
+                    setIssuedKey(data);
+                }
+                resetForm();
+                fetchKeys();
+            } else {
+                setFormError(data.error || 'Failed to save API key');
+                setFieldErrors(data.fieldErrors || {});
+            }
+        } catch (error) {
+            setFormError('Failed to save API key');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const handleAction = async (apiKey, action) => {
+        const question = action === 'rotate'
+            ? `Rotate ${apiKey.name}? The current key stops working straight away.`
+            : `Revoke ${apiKey.name}? Scripts using it will be refused.`;
+        if (!confirm(question)) {
+            return;
+        }
+        setActionError('');
+        try {
+            const res = await fetch(`/api/api-keys/${apiKey.id}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ action }),
+            });
+            const data = await res.json();
+            if (res.ok) {
+                if (action === 'rotate') {
+                    setIssuedKey(data);
+                } else {
+                    showSuccess(`${data.name} revoked`);
+                }
+                if (editingId === apiKey.id) {
+                    resetForm();
+                }
+                fetchKeys();
+            } else {
+                setActionError(data.error || `Failed to ${action} API key`);
+            }
+        } catch (error) {
+            setActionError(`Failed to ${action} API key`);
+        }
+    };
+
+    const resourceNames = (resources) => (resources.includes('*')
+        ? 'All resources'
+        : resources.map(resource => API_KEY_RESOURCES[resource] || resource).join(', '));
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-emerald-50 via-white to-green-50">
+            <Navigation />
+
+            <main className="container mx-auto px-4 py-8 max-w-7xl">
+                {/* Header */}
+                <div className="mb-8">
+                    <h1 className="text-4xl font-bold text-gray-900 mb-2 bg-gradient-to-r from-emerald-600 to-green-600 bg-clip-text text-transparent">
+                        API Keys
+                    </h1>
+                    <p className="text-gray-600">
+                        Keys for scripts and other systems, sent in the <code className="font-mono">X-API-Key</code> header
+                    </p>
+                </div>
+
+                {!allowed ? (
+                    <div className="p-4 bg-red-50 border-l-4 border-red-500 text-red-700 rounded-lg shadow-md">
+                        <div className="flex items-center gap-2">
+                            <span className="text-2xl">🔒</span>
+                            <p className="font-semibold">Only admins can manage API keys</p>
+                        </div>
+                    </div>
+                ) : (
+                    <>
+                        {/* Issued Key */}
+                        {issuedKey && (
+                            <div className="mb-6 p-4 bg-emerald-50 border-l-4 border-emerald-500 text-emerald-800 rounded-lg shadow-md">
+                                <div className="flex items-start justify-between gap-4">
+                                    <div>
+                                        <p className="font-semibold">
+                                            🔑 Key for {issuedKey.name}. Copy it now, it will not be shown again.
+                                        </p>
+                                        <code className="mt-2 block break-all font-mono text-sm bg-white px-3 py-2 rounded border border-emerald-200">
+                                            {issuedKey.key}
+                                        </code>
+                                    </div>
+                                    <Button size="sm" variant="outline" onClick={() => setIssuedKey(null)}>
+                                        Done
+                                    </Button>
+                                </div>
+                            </div>
+                        )}
+
+                        {/* Success Message */}
+                        {successMessage && (
+                            <div className="mb-6 p-4 bg-emerald-50 border-l-4 border-emerald-500 text-emerald-700 rounded-lg shadow-md animate-fade-in">
+                                <div className="flex items-center gap-2">
+                                    <span className="text-2xl">✅</span>
+                                    <p className="font-semibold">{successMessage}</p>
+                                </div>
+                            </div>
+                        )}
+
+                        {/* Action Error */}
+                        {actionError && (
+                            <div className="mb-6 p-4 bg-red-50 border-l-4 border-red-500 text-red-700 rounded-lg shadow-md">
+                                <div className="flex items-center gap-2">
+                                    <span className="text-2xl">⚠️</span>
+                                    <p className="font-semibold">{actionError}</p>
+                                </div>
+                            </div>
+                        )}
+
+                        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+                            {/* Key Form */}
+                            <Card className="shadow-lg border-t-4 border-t-emerald-500 h-fit">
+                                <CardHeader>
+                                    <CardTitle className="flex items-center gap-2">
+                                        <span className="text-2xl">{editingId ? '✏️' : '➕'}</span>
+                                        {editingId ? 'Edit API Key' : 'Issue API Key'}
+                                    </CardTitle>
+                                    <CardDescription>
+                                        {editingId ? 'Changes apply to the key already in use' : 'The key is shown once, when it is issued'}
+                                    </CardDescription>
+                                </CardHeader>
+                                <CardContent>
+                                    {formError && (
+                                        <div className="mb-4 p-4 bg-red-50 border-l-4 border-red-500 text-red-700 rounded-lg">
+                                            <div className="flex items-center gap-2">
+                                                <span className="text-xl">⚠️</span>
+                                                <p className="font-semibold">{formError}</p>
+                                            </div>
+                                        </div>
+                                    )}
+                                    <form onSubmit={handleSubmit} className="space-y-4">
+                                        <div>
+                                            <label className="block text-sm font-semibold text-gray-700 mb-2">Name</label>
+                                            <input
+                                                type="text"
+                                                name="name"
+                                                value={formData.name}
+                                                onChange={handleChange}
+                                                required
+                                                placeholder="e.g. ERP nightly sync"
+                                                className={INPUT_CLASS}
+                                            />
+                                            {fieldErrors.name && <p className="mt-1 text-sm text-red-600">{fieldErrors.name}</p>}
+                                        </div>
+                                        <div>
+                                            <label className="block text-sm font-semibold text-gray-700 mb-2">Access</label>
+                                            <select
+                                                name="access"
+                                                value={formData.access}
+                                                onChange={handleChange}
+                                                className={INPUT_CLASS}
+                                            >
+                                                {Object.entries(API_KEY_ACCESS).map(([access, { label }]) => (
+                                                    <option key={access} value={access}>{label}</option>
+                                                ))}
+                                            </select>
+                                            {fieldErrors.access && <p className="mt-1 text-sm text-red-600">{fieldErrors.access}</p>}
+                                        </div>
+                                        <div>
+                                            <label className="block text-sm font-semibold text-gray-700 mb-2">Resources</label>
+                                            <label className="flex items-center gap-2 text-sm font-semibold text-gray-700 mb-2">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={allResources}
+                                                    onChange={() => setFormData(prev => ({ ...prev, resources: allResources ? [] : ['*'] }))}
+                                                    className="h-4 w-4 accent-emerald-600"
+                                                />
+                                                All resources
+                                            </label>
+                                            {!allResources && (
+                                                <div className="grid grid-cols-2 gap-2">
+                                                    {Object.entries(API_KEY_RESOURCES).map(([resource, label]) => (
+                                                        <label key={resource} className="flex items-center gap-2 text-sm text-gray-700">
+                                                            <input
+                                                                type="checkbox"
+                                                                checked={formData.resources.includes(resource)}
+                                                                onChange={() => toggleResource(resource)}
+                                                                className="h-4 w-4 accent-emerald-600"
+                                                            />
+                                                            {label}
+                                                        </label>
+                                                    ))}
+                                                </div>
+                                            )}
+                                            {fieldErrors.resources && <p className="mt-1 text-sm text-red-600">{fieldErrors.resources}</p>}
+                                        </div>
+                                        <div className="flex gap-2">
+                                            <Button
+                                                type="submit"
+                                                disabled={submitting}
+                                                className="flex-1 bg-gradient-to-r from-emerald-600 to-green-600 hover:from-emerald-700 hover:to-green-700 shadow-md"
+                                            >
+                                                {submitting ? 'Saving...' : editingId ? '💾 Save Changes' : '🔑 Issue Key'}
+                                            </Button>
+                                            {editingId && (
+                                                <Button type="button" variant="outline" onClick={resetForm}>
+                                                    Cancel
+                                                </Button>
+                                            )}
+                                        </div>
+                                    </form>
+                                </CardContent>
+                            </Card>
+
+                            {/* Key List */}
+                            <Card className="shadow-lg border-t-4 border-t-emerald-500 lg:col-span-2">
+                                <CardHeader>
+                                    <CardTitle className="flex items-center gap-2">
+                                        <span className="text-2xl">🔑</span>
+                                        Keys
+                                    </CardTitle>
+                                    <CardDescription>
+                                        {apiKeys.filter(k => !k.revokedAt).length} active, {apiKeys.filter(k => k.revokedAt).length} revoked
+                                    </CardDescription>
+                                </CardHeader>
+                                <CardContent>
+                                    {loading ? (
+                                        <div className="flex items-center justify-center py-12">
+                                            <div className="inline-block animate-spin rounded-full h-12 w-12 border-4 border-emerald-500 border-t-transparent"></div>
+                                        </div>
+                                    ) : apiKeys.length === 0 ? (
+                                        <p className="py-12 text-center text-gray-500">No API keys yet</p>
+                                    ) : (
+                                        <div className="overflow-x-auto">
+                                            <table className="w-full">
+                                                <thead>
+                                                    <tr className="border-b-2 border-gray-200 bg-gray-50">
+                                                        <th className="text-left py-4 px-4 font-semibold text-gray-700">Key</th>
+                                                        <th className="text-left py-4 px-4 font-semibold text-gray-700">Scope</th>
+                                                        <th className="text-left py-4 px-4 font-semibold text-gray-700">Last Used</th>
+                                                        <th className="text-center py-4 px-4 font-semibold text-gray-700">Actions</th>
+                                                    </tr>
+                                                </thead>
+                                                <tbody>
+                                                    {apiKeys.map(apiKey => (
+                                                        <tr
+                                                            key={apiKey.id}
+                                                            className={`border-b border-gray-100 hover:bg-emerald-50 transition-colors duration-150 ${apiKey.revokedAt ? 'opacity-60' : ''}`}
+                                                        >
+                                                            <td className="py-4 px-4">
+                                                                <p className="font-semibold text-gray-900">
+                                                                    {apiKey.name}
+                                                                    {apiKey.revokedAt && <span className="ml-2 text-xs text-gray-500">(revoked)</span>}
+                                                                </p>
+                                                                <p className="text-xs text-gray-500 font-mono">{apiKey.prefix}…</p>
+                                                                <p className="text-xs text-gray-500">
+                                                                    Issued by {apiKey.createdBy} on {formatDateTime(apiKey.createdAt)}
+                                                                    {apiKey.rotatedAt && `, rotated ${formatDateTime(apiKey.rotatedAt)}`}
+                                                                </p>
+                                                            </td>
+                                                            <td className="py-4 px-4">
+                                                                <Badge className={`${ACCESS_BADGES[apiKey.access]} shadow-sm`}>
+                                                                    {API_KEY_ACCESS[apiKey.access].label}
+                                                                </Badge>
+                                                                <p className="mt-1 text-xs text-gray-500">{resourceNames(apiKey.resources)}</p>
+                                                            </td>
+                                                            <td className="py-4 px-4 text-sm text-gray-700">
+                                                                {apiKey.lastUsedAt ? formatDateTime(apiKey.lastUsedAt) : 'Never'}
+                                                            </td>
+                                                            <td className="py-4 px-4">
+                                                                {!apiKey.revokedAt && (
+                                                                    <div className="flex justify-center gap-2">
+                                                                        <Button size="sm" variant="outline" onClick={() => handleEdit(apiKey)}>
+                                                                            Edit
+                                                                        </Button>
+                                                                        <Button size="sm" variant="outline" onClick={() => handleAction(apiKey, 'rotate')}>
+                                                                            Rotate
+                                                                        </Button>
+                                                                        <Button
+                                                                            size="sm"
+                                                                            variant="outline"
+                                                                            onClick={() => handleAction(apiKey, 'revoke')}
+                                                                            className="border-red-300 text-red-600 hover:bg-red-50"
+                                                                        >
+                                                                            Revoke
+                                                                        </Button>
+                                                                    </div>
+                                                                )}
+                                                            </td>
+                                                        </tr>
+                                                    ))}
+                                                </tbody>
+                                            </table>
+                                        </div>
+                                    )}
+                                </CardContent>
+                            </Card>
+                        </div>
+                    </>
+                )}
+            </main>
+        </div>
+    );
+}
+
+// Navigation Component
+function Navigation() {
+    const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
+
+    return (
+        <nav className="bg-white shadow-md border-b border-gray-200 sticky top-0 z-50">
+            <div className="container mx-auto px-4">
+                <div className="flex items-center justify-between h-16">
+                    <Link href="/" className="flex items-center gap-3 hover:opacity-80 transition-opacity">
+                        <div>
+                            <h1 className="text-lg md:text-xl font-bold text-gray-900">
+                                <span className="md:hidden">IMS</span>
+                                <span className="hidden md:inline">Inventory Management System</span>
+                            </h1>
+                        </div>
+                    </Link>
+
+                    {/* Desktop Navigation */}
+                    <div className="hidden md:flex items-center gap-2">
+                        <Link href="/">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🏠 Dashboard
+                            </Button>
+                        </Link>
+                        <Link href="/products">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📦 Products
+                            </Button>
+                        </Link>
+                        <Link href="/warehouses">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🏭 Warehouses
+                            </Button>
+                        </Link>
+                        <Link href="/stock">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📊 Stock Levels
+                            </Button>
+                        </Link>
+                        <Link href="/transfers">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🔄 Transfers
+                            </Button>
+                        </Link>
+                        <Link href="/alerts">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🔔 Alerts
+                            </Button>
+                        </Link>
+                        <Link href="/purchase-orders">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🧾 Purchasing
+                            </Button>
+                        </Link>
+                        <Link href="/receiving">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📥 Receiving
+                            </Button>
+                        </Link>
+                        <Link href="/sales-orders">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🛒 Sales
+                            </Button>
+                        </Link>
+                        <Link href="/stock-counts">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📋 Counts
+                            </Button>
+                        </Link>
+                        <Link href="/adjustments">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                ⚖️ Adjustments
+                            </Button>
+                        </Link>
+                        <Link href="/audit">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🕵️ Audit
+                            </Button>
+                        </Link>
+                    </div>
+
+                    {/* Mobile Hamburger Button */}
+                    <button
+                        onClick={() => setMobileMenuOpen(!mobileMenuOpen)}
+                        className="md:hidden p-2 rounded-lg hover:bg-gray-100 transition-colors"
+                        aria-label="Toggle menu"
+                    >
+                        <svg
+                            className="w-6 h-6 text-gray-700"
+                            fill="none"
+                            strokeLinecap="round"
+                            strokeLinejoin="round"
+                            strokeWidth="2"
+                            viewBox="0 0 24 24"
+                            stroke="currentColor"
+                        >
+                            {mobileMenuOpen ? (
+                                <path d="M6 18L18 6M6 6l12 12" />
+                            ) : (
+                                <path d="M4 6h16M4 12h16M4 18h16" />
+                            )}
+                        </svg>
+                    </button>
+                </div>
+
+                {/* Mobile Menu */}
+                {mobileMenuOpen && (
+                    <div className="md:hidden py-4 border-t border-gray-200 animate-fade-in">
+                        <div className="flex flex-col space-y-2">
+                            <Link href="/" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🏠 Dashboard
+                                </Button>
+                            </Link>
+                            <Link href="/products" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📦 Products
+                                </Button>
+                            </Link>
+                            <Link href="/warehouses" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🏭 Warehouses
+                                </Button>
+                            </Link>
+                            <Link href="/stock" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📊 Stock Levels
+                                </Button>
+                            </Link>
+                            <Link href="/transfers" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🔄 Transfers
+                                </Button>
+                            </Link>
+                            <Link href="/alerts" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🔔 Alerts
+                                </Button>
+                            </Link>
+                            <Link href="/purchase-orders" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🧾 Purchasing
+                                </Button>
+                            </Link>
+                            <Link href="/receiving" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📥 Receiving
+                                </Button>
+                            </Link>
+                            <Link href="/sales-orders" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🛒 Sales
+                                </Button>
+                            </Link>
+                            <Link href="/stock-counts" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📋 Counts
+                                </Button>
+                            </Link>
+                            <Link href="/adjustments" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    ⚖️ Adjustments
+                                </Button>
+                            </Link>
+                            <Link href="/audit" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🕵️ Audit
+                                </Button>
+                            </Link>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </nav>
+    );
+}
@@ -0,0 +1,36 @@
+import { getRepository } from '@/lib/storage';
+import { ApiError, sendError } from '@/lib/apiError';
+import { withAuth } from '@/lib/auth';
+import { normalizeReason } from '@/lib/adjustments';
+
+async function handler(req, res) {
+    const { id } = req.query;
+
+    if (req.method === 'PUT') {
+        // Change a reason's label or direction, or retire it with active: false.
+        // The code itself is fixed because past adjustments refer to it.
+        try {
+            const repo = await getRepository();
+            const reason = await repo.transaction(async (tx) => {
+                const existing = await tx.get('adjustmentReasons', id);
+                if (!existing) {
+                    throw new ApiError(404, 'Adjustment reason not found');
+                }
+                const reasons = await tx.list('adjustmentReasons');
+                return tx.update('adjustmentReasons', existing.id, normalizeReason({
+                    ...existing,
+                    ...req.body,
+                    code: existing.code,
+                }, reasons));
+            });
+
+            res.status(200).json(reason);
+        } catch (error) {
+            sendError(res, error, 'Failed to update adjustment reason');
+        }
+    } else {
+        res.status(405).json({ error: 'Method not allowed' });
+    }
+}
+
+export default withAuth(handler);
@@ -0,0 +1,32 @@
+import { getRepository } from '@/lib/storage';
+import { sendError } from '@/lib/apiError';
+import { withAuth } from '@/lib/auth';
+import { normalizeReason } from '@/lib/adjustments';
+
+async function handler(req, res) {
+    if (req.method === 'GET') {
+        // List reason codes; inactive ones are kept so past adjustments still show their label
+        try {
+            const repo = await getRepository();
+            res.status(200).json(await repo.list('adjustmentReasons'));
+        } catch (error) {
+            sendError(res, error, 'Failed to read adjustment reasons');
+        }
+    } else if (req.method === 'POST') {
+        // Add a reason code: { code, label, direction: 'increase' | 'decrease' }
+        try {
+            const repo = await getRepository();
+            const reason = await repo.transaction(async (tx) =>
+                tx.insert('adjustmentReasons', normalizeReason(req.body, await tx.list('adjustmentReasons')))
+            );
+
+            res.status(201).json(reason);
+        } catch (error) {
+            sendError(res, error, 'Failed to create adjustment reason');
+        }
+    } else {
+        res.status(405).json({ error: 'Method not allowed' });
+    }
+}
+
+export default withAuth(handler);
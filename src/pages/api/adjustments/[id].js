@@ -0,0 +1,65 @@
+import { getRepository } from '@/lib/storage';
+import { auditedRepository } from '@/lib/audit';
+import { ApiError, sendError } from '@/lib/apiError';
+import { withAuth } from '@/lib/auth';
+import { approveAdjustment, enrichAdjustment, rejectAdjustment } from '@/lib/adjustments';
+
+const loadLookups = async (store) => ({
+    products: await store.list('products'),
+    warehouses: await store.list('warehouses'),
+    bins: await store.list('bins'),
+    reasons: await store.list('adjustmentReasons'),
+});
+
+async function handler(req, res) {
+    const { id } = req.query;
+
+    if (req.method === 'GET') {
+        // Get a single adjustment
+        try {
+            const repo = await getRepository();
+            const adjustment = await repo.get('adjustments', id);
+
+            if (!adjustment) {
+                return res.status(404).json({ error: 'Adjustment not found' });
+            }
+
+            res.status(200).json(enrichAdjustment(adjustment, await loadLookups(repo)));
+        } catch (error) {
+            sendError(res, error, 'Failed to read adjustment');
+        }
+    } else if (req.method === 'POST') {
+        // Decide on an adjustment waiting for approval: { action: 'approve' | 'reject', note }.
+        // Whoever requested an adjustment cannot approve it.
+        try {
+            const { action, note } = req.body;
+
+            const repo = auditedRepository(await getRepository(), req);
+            const enrichedAdjustment = await repo.transaction(async (tx) => {
+                const adjustment = await tx.get('adjustments', id);
+                if (!adjustment) {
+                    throw new ApiError(404, 'Adjustment not found');
+                }
+
+                let updated;
+                if (action === 'approve') {
+                    updated = await approveAdjustment(tx, adjustment, { note }, req.user);
+                } else if (action === 'reject') {
+                    updated = await rejectAdjustment(tx, adjustment, { note }, req.user);
+                } else {
+                    throw new ApiError(400, `Unknown adjustment action: ${action}`);
+                }
+
+                return enrichAdjustment(updated, await loadLookups(tx));
+            });
+
+            res.status(200).json(enrichedAdjustment);
+        } catch (error) {
+            sendError(res, error, 'Failed to update adjustment');
+        }
+    } else {
+        res.status(405).json({ error: 'Method not allowed' });
+    }
+}
+
+export default withAuth(handler);
@@ -0,0 +1,60 @@
+import { getRepository } from '@/lib/storage';
+import { auditedRepository } from '@/lib/audit';
+import { sendError } from '@/lib/apiError';
+import { assertCan, withAuth } from '@/lib/auth';
+import { createAdjustment, enrichAdjustment } from '@/lib/adjustments';
+import { adjustmentSchema, parsePayload } from '@/lib/validation';
+
+const loadLookups = async (store) => ({
+    products: await store.list('products'),
+    warehouses: await store.list('warehouses'),
+    bins: await store.list('bins'),
+    reasons: await store.list('adjustmentReasons'),
+});
+
+async function handler(req, res) {
+    if (req.method === 'GET') {
+        // Adjustment history, optionally filtered by status, product, warehouse or reason code
+        try {
+            const { status, productId, warehouseId, reasonCode } = req.query;
+            const repo = await getRepository();
+            const adjustments = await repo.list('adjustments');
+            const lookups = await loadLookups(repo);
+
+            const enrichedAdjustments = adjustments
+                .filter(a => !status || a.status === status)
+                .filter(a => !productId || a.productId === parseInt(productId))
+                .filter(a => !warehouseId || a.warehouseId === parseInt(warehouseId))
+                .filter(a => !reasonCode || a.reasonCode === reasonCode)
+                .map(a => enrichAdjustment(a, lookups));
+
+            // Newest first
+            enrichedAdjustments.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+            res.status(200).json(enrichedAdjustments);
+        } catch (error) {
+            sendError(res, error, 'Failed to read adjustments');
+        }
+    } else if (req.method === 'POST') {
+        // Adjust stock: { productId, warehouseId, binId, quantity, reasonCode, note, attachmentRef }.
+        // quantity is in units; the reason decides whether stock goes up or down.
+        try {
+            const fields = parsePayload(adjustmentSchema, req.body);
+            assertCan(req.user, 'move_stock', fields.warehouseId);
+
+            const repo = auditedRepository(await getRepository(), req);
+            const enrichedAdjustment = await repo.transaction(async (tx) => {
+                const adjustment = await createAdjustment(tx, fields, req.user);
+                return enrichAdjustment(adjustment, await loadLookups(tx));
+            });
+
+            res.status(201).json(enrichedAdjustment);
+        } catch (error) {
+            sendError(res, error, 'Failed to create adjustment');
+        }
+    } else {
+        res.status(405).json({ error: 'Method not allowed' });
+    }
+}
+
+export default withAuth(handler, { write: 'move_stock' });
@@ -1,145 +1,54 @@
-import fs from 'fs';
-import path from 'path';
-
-// Helper function to read JSON file
-const readJSONFile = (filename) => {
-    const filePath = path.join(process.cwd(), 'data', filename);
-    const fileData = fs.readFileSync(filePath, 'utf8');
-    return JSON.parse(fileData);
-};
-
-// Helper function to write JSON file
-const writeJSONFile = (filename, data) => {
-    const filePath = path.join(process.cwd(), 'data', filename);
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
-};
-
-export default function handler(req, res) {
+import { getRepository } from '@/lib/storage';
+import { sendError } from '@/lib/apiError';
+import { withAuth } from '@/lib/auth';
+import { auditContext, auditedRepository } from '@/lib/audit';
+import { withAvailability } from '@/lib/reservations';
+import { stockLevelAlerts } from '@/lib/alerts';
+import { lotExpiryAlerts } from '@/lib/lots';
+import { alertSchema, assertReference, parsePayload } from '@/lib/validation';
+
+async function handler(req, res) {
     if (req.method === 'GET') {
-        // Get all alerts with calculated stock status
+        // Get all alerts with calculated stock status; ?type=lot_expiry lists lots nearing expiry instead
         try {
-            const products = readJSONFile('products.json');
-            const stock = readJSONFile('stock.json');
-            const warehouses = readJSONFile('warehouses.json');
-            const alerts = readJSONFile('alerts.json');
-
-            // Calculate stock status for each product
-            const productAlerts = products.map(product => {
-                // Get all stock for this product across warehouses
-                const productStock = stock.filter(s => s.productId === product.id);
-                const totalQuantity = productStock.reduce((sum, s) => sum + s.quantity, 0);
-
-                // Calculate stock status
-                const reorderPoint = product.reorderPoint;
-                const criticalThreshold = reorderPoint * 0.5;
-                const overstockThreshold = reorderPoint * 3;
-
-                let status = 'adequate';
-                let severity = 'low';
-                let recommendedAction = 'No action needed';
-                let reorderQuantity = 0;
-
-                if (totalQuantity < criticalThreshold) {
-                    status = 'critical';
-                    severity = 'critical';
-                    recommendedAction = 'URGENT: Immediate reorder required';
-                    reorderQuantity = Math.ceil((reorderPoint * 2) - totalQuantity);
-                } else if (totalQuantity < reorderPoint) {
-                    status = 'low';
-                    severity = 'high';
-                    recommendedAction = 'Reorder recommended';
-                    reorderQuantity = Math.ceil((reorderPoint * 1.5) - totalQuantity);
-                } else if (totalQuantity > overstockThreshold) {
-                    status = 'overstocked';
-                    severity = 'medium';
-                    recommendedAction = 'Consider redistribution or promotion';
-                    reorderQuantity = 0;
-                } else {
-                    status = 'adequate';
-                    severity = 'low';
-                    recommendedAction = 'Stock levels healthy';
-                    reorderQuantity = 0;
-                }
-
-                // Get warehouse breakdown
-                const warehouseBreakdown = productStock.map(s => {
-                    const warehouse = warehouses.find(w => w.id === s.warehouseId);
-                    return {
-                        warehouseId: s.warehouseId,
-                        warehouseName: warehouse?.name || 'Unknown',
-                        warehouseLocation: warehouse?.location || 'Unknown',
-                        quantity: s.quantity,
-                    };
-                });
-
-                // Check if alert has been acknowledged
-                const alertRecord = alerts.find(a => a.productId === product.id);
-                const acknowledged = alertRecord?.acknowledged || false;
-                const acknowledgedAt = alertRecord?.acknowledgedAt || null;
-                const acknowledgedBy = alertRecord?.acknowledgedBy || null;
-
-                return {
-                    productId: product.id,
-                    productName: product.name,
-                    productSku: product.sku,
-                    category: product.category,
-                    unitCost: product.unitCost,
-                    currentStock: totalQuantity,
-                    reorderPoint: reorderPoint,
-                    status,
-                    severity,
-                    recommendedAction,
-                    reorderQuantity,
-                    estimatedCost: reorderQuantity * product.unitCost,
-                    warehouseBreakdown,
-                    acknowledged,
-                    acknowledgedAt,
-                    acknowledgedBy,
-                };
-            });
+            const repo = await getRepository();
+            const products = await repo.list('products');
+            // Stock reserved for sales orders is already spoken for
+            const stock = withAvailability(await repo.list('stock'), await repo.list('salesOrders'));
+            const warehouses = await repo.list('warehouses');
+
+            if (req.query.type === 'lot_expiry') {
+                return res.status(200).json(lotExpiryAlerts(stock, { products, warehouses }));
+            }
 
-            // Sort by severity: critical > high > medium > low
-            const severityOrder = { critical: 0, high: 1, medium: 2, low: 3 };
-            productAlerts.sort((a, b) => severityOrder[a.severity] - severityOrder[b.severity]);
+            const alerts = await repo.list('alerts');
 
-            res.status(200).json(productAlerts);
+            res.status(200).json(stockLevelAlerts({ products, stock, warehouses, alerts }));
         } catch (error) {
-            console.error('Error fetching alerts:', error);
-            res.status(500).json({ error: 'Failed to fetch alerts' });
+            sendError(res, error, 'Failed to fetch alerts');
         }
     } else if (req.method === 'POST') {
         // Acknowledge an alert
         try {
-            const { productId, acknowledgedBy } = req.body;
-
-            if (!productId) {
-                return res.status(400).json({ error: 'Product ID is required' });
-            }
+            const { productId } = parsePayload(alertSchema, req.body);
 
-            const alerts = readJSONFile('alerts.json');
-
-            // Find existing alert or create new one
-            const existingAlertIndex = alerts.findIndex(a => a.productId === parseInt(productId));
+            const repo = auditedRepository(await getRepository(), req);
+            assertReference(await repo.list('products'), 'productId', productId, { label: 'Product' });
 
+            // Create or replace the alert record for this product. It is always acknowledged by whoever
+            // sent the request, so an acknowledgement cannot be made in someone else's name
             const alertData = {
-                productId: parseInt(productId),
+                productId,
                 acknowledged: true,
                 acknowledgedAt: new Date().toISOString(),
-                acknowledgedBy: acknowledgedBy || 'System',
+                acknowledgedBy: auditContext(req).user,
             };
 
-            if (existingAlertIndex >= 0) {
-                alerts[existingAlertIndex] = alertData;
-            } else {
-                alerts.push(alertData);
-            }
-
-            writeJSONFile('alerts.json', alerts);
+            await repo.save('alerts', alertData);
 
             res.status(200).json({ message: 'Alert acknowledged successfully', alert: alertData });
         } catch (error) {
-            console.error('Error acknowledging alert:', error);
-            res.status(500).json({ error: 'Failed to acknowledge alert' });
+            sendError(res, error, 'Failed to acknowledge alert');
         }
     } else if (req.method === 'DELETE') {
         // Unacknowledge an alert
@@ -150,17 +59,16 @@ export default function handler(req, res) {
                 return res.status(400).json({ error: 'Product ID is required' });
             }
 
-            const alerts = readJSONFile('alerts.json');
-            const filteredAlerts = alerts.filter(a => a.productId !== parseInt(productId));
-
-            writeJSONFile('alerts.json', filteredAlerts);
+            const repo = auditedRepository(await getRepository(), req);
+            await repo.remove('alerts', productId);
 
             res.status(200).json({ message: 'Alert unacknowledged successfully' });
         } catch (error) {
-            console.error('Error unacknowledging alert:', error);
-            res.status(500).json({ error: 'Failed to unacknowledge alert' });
+            sendError(res, error, 'Failed to unacknowledge alert');
         }
     } else {
         res.status(405).json({ error: 'Method not allowed' });
     }
 }
+
+export default withAuth(handler);
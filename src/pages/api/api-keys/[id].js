@@ -0,0 +1,68 @@
+import { getRepository } from '@/lib/storage';
+import { ApiError, sendError } from '@/lib/apiError';
+import { withAuth } from '@/lib/auth';
+import { publicApiKey, revokeApiKey, rotateApiKey, updateApiKey } from '@/lib/apiKeys';
+
+async function handler(req, res) {
+    const { id } = req.query;
+
+    if (req.method === 'GET') {
+        // Get a single API key
+        try {
+            const repo = await getRepository();
+            const apiKey = await repo.get('apiKeys', id);
+
+            if (!apiKey) {
+                return res.status(404).json({ error: 'API key not found' });
+            }
+
+            res.status(200).json(publicApiKey(apiKey));
+        } catch (error) {
+            sendError(res, error, 'Failed to read API key');
+        }
+    } else if (req.method === 'PUT') {
+        // Rename or rescope a key: any of { name, access, resources }
+        try {
+            const repo = await getRepository();
+            const apiKey = await repo.transaction(async (tx) => {
+                const existing = await tx.get('apiKeys', id);
+                if (!existing) {
+                    throw new ApiError(404, 'API key not found');
+                }
+                return updateApiKey(tx, existing, req.body);
+            });
+
+            res.status(200).json(apiKey);
+        } catch (error) {
+            sendError(res, error, 'Failed to update API key');
+        }
+    } else if (req.method === 'POST') {
+        // Rotate or revoke a key: { action: 'rotate' | 'revoke' }
+        // Rotating returns the new key; the old one stops working straight away
+        try {
+            const repo = await getRepository();
+            const apiKey = await repo.transaction(async (tx) => {
+                const existing = await tx.get('apiKeys', id);
+                if (!existing) {
+                    throw new ApiError(404, 'API key not found');
+                }
+
+                if (req.body.action === 'rotate') {
+                    return rotateApiKey(tx, existing);
+                }
+                if (req.body.action === 'revoke') {
+                    return revokeApiKey(tx, existing, req.user);
+                }
+                throw new ApiError(400, `Unknown API key action: ${req.body.action}`);
+            });
+
+            res.status(200).json(apiKey);
+        } catch (error) {
+            sendError(res, error, 'Failed to change API key');
+        }
+    } else {
+        res.status(405).json({ error: 'Method not allowed' });
+    }
+}
+
+export default withAuth(handler, { read: 'manage_users', write: 'manage_users' });
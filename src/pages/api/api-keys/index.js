@@ -0,0 +1,33 @@
+import { getRepository } from '@/lib/storage';
+import { sendError } from '@/lib/apiError';
+import { withAuth } from '@/lib/auth';
+import { createApiKey, publicApiKey } from '@/lib/apiKeys';
+
+async function handler(req, res) {
+    if (req.method === 'GET') {
+        // Get all API keys, newest first, without their hashes
+        try {
+            const repo = await getRepository();
+            const apiKeys = await repo.list('apiKeys');
+
+            res.status(200).json(apiKeys.map(publicApiKey).sort((a, b) => b.createdAt.localeCompare(a.createdAt)));
+        } catch (error) {
+            sendError(res, error, 'Failed to fetch API keys');
+        }
+    } else if (req.method === 'POST') {
+        // Issue a key: { name, access: 'read' | 'write', resources: ['stock', ...] or ['*'] }
+        // The response holds the full key; it cannot be read back later
+        try {
+            const repo = await getRepository();
+            const apiKey = await repo.transaction(tx => createApiKey(tx, req.body, req.user));
+
+            res.status(201).json(apiKey);
+        } catch (error) {
+            sendError(res, error, 'Failed to create API key');
+        }
+    } else {
+        res.status(405).json({ error: 'Method not allowed' });
+    }
+}
+
+export default withAuth(handler, { read: 'manage_users', write: 'manage_users' });
@@ -0,0 +1,39 @@
+import { getRepository } from '@/lib/storage';
+import { sendError } from '@/lib/apiError';
+import { withAuth } from '@/lib/auth';
+import { AUDIT_ACTIONS, AUDIT_ENTITIES } from '@/lib/audit';
+
+async function handler(req, res) {
+    if (req.method === 'GET') {
+        // Get audit entries, optionally for one entity type, one record of it, one user or one action
+        try {
+            const { entity, entityId, user, action } = req.query;
+
+            if (entity && !AUDIT_ENTITIES[entity]) {
+                return res.status(400).json({ error: `Unknown entity: ${entity}` });
+            }
+            if (action && !AUDIT_ACTIONS[action]) {
+                return res.status(400).json({ error: `Unknown action: ${action}` });
+            }
+
+            const repo = await getRepository();
+            const entries = (await repo.list('auditLog')).filter(e =>
+                (!entity || e.entity === entity) &&
+                (!entityId || e.entityId === parseInt(entityId)) &&
+                (!user || e.user.toLowerCase() === user.toLowerCase()) &&
+                (!action || e.action === action)
+            );
+
+            // Newest first; ids break ties between changes made in the same transaction
+            entries.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp) || b.id - a.id);
+
+            res.status(200).json(entries);
+        } catch (error) {
+            sendError(res, error, 'Failed to fetch audit log');
+        }
+    } else {
+        res.status(405).json({ error: 'Method not allowed' });
+    }
+}
+
+export default withAuth(handler, { read: 'manage_inventory' });
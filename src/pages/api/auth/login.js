@@ -0,0 +1,43 @@
+import { getRepository } from '@/lib/storage';
+import { ApiError, sendError } from '@/lib/apiError';
+import { publicUser, startSession, verifyPassword } from '@/lib/auth';
+
+export default async function handler(req, res) {
+    if (req.method === 'POST') {
+        // Sign in: { username, password }
+        try {
+            const { username, password } = req.body;
+            if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+                return res.status(400).json({ error: 'Username and password are required' });
+            }
+
+            const repo = await getRepository();
+            const key = username.trim().toUpperCase();
+            const existing = (await repo.list('users')).find(u => u.username.toUpperCase() === key);
+
+            // The same answer for unknown users, wrong passwords and deactivated accounts.
+            // Hashing is slow on purpose, so it happens before the transaction takes the write lock.
+            if (!existing || existing.active === false || !(await verifyPassword(password, existing.passwordHash))) {
+                throw new ApiError(401, 'Invalid username or password');
+            }
+
+            const user = await repo.transaction(async (tx) => {
+                // The account may have been deactivated or its password changed while hashing
+                const current = await tx.get('users', existing.id);
+                if (!current || current.active === false || current.passwordHash !== existing.passwordHash) {
+                    throw new ApiError(401, 'Invalid username or password');
+                }
+
+                await tx.update('users', current.id, { lastLoginAt: new Date().toISOString() });
+                await startSession(tx, req, res, current);
+                return publicUser(current);
+            });
+
+            res.status(200).json({ user });
+        } catch (error) {
+            sendError(res, error, 'Failed to sign in');
+        }
+    } else {
+        res.status(405).json({ error: 'Method not allowed' });
+    }
+}
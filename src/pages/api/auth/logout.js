@@ -0,0 +1,19 @@
+import { getRepository } from '@/lib/storage';
+import { sendError } from '@/lib/apiError';
+import { endSession } from '@/lib/auth';
+
+export default async function handler(req, res) {
+    if (req.method === 'POST') {
+        // Sign out of this browser
+        try {
+            const repo = await getRepository();
+            await repo.transaction(tx => endSession(tx, req, res));
+
+            res.status(200).json({ message: 'Signed out' });
+        } catch (error) {
+            sendError(res, error, 'Failed to sign out');
+        }
+    } else {
+        res.status(405).json({ error: 'Method not allowed' });
+    }
+}
@@ -0,0 +1,20 @@
+import { getRepository } from '@/lib/storage';
+import { sendError } from '@/lib/apiError';
+import { sessionUser } from '@/lib/auth';
+
+export default async function handler(req, res) {
+    if (req.method === 'GET') {
+        // Who is signed in; setupRequired is true until the first admin has been created
+        try {
+            const repo = await getRepository();
+            const user = await sessionUser(repo, req);
+            const setupRequired = !user && (await repo.list('users')).length === 0;
+
+            res.status(200).json({ user, setupRequired });
+        } catch (error) {
+            sendError(res, error, 'Failed to read session');
+        }
+    } else {
+        res.status(405).json({ error: 'Method not allowed' });
+    }
+}
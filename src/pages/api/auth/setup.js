@@ -0,0 +1,29 @@
+import { getRepository } from '@/lib/storage';
+import { ApiError, sendError } from '@/lib/apiError';
+import { startSession } from '@/lib/auth';
+import { createUser } from '@/lib/users';
+
+export default async function handler(req, res) {
+    if (req.method === 'POST') {
+        // Create the first admin and sign them in: { username, name, password }.
+        // Only possible while there are no users at all.
+        try {
+            const repo = await getRepository();
+            const user = await repo.transaction(async (tx) => {
+                if ((await tx.list('users')).length > 0) {
+                    throw new ApiError(409, 'Setup has already been completed');
+                }
+
+                const admin = await createUser(tx, { ...req.body, role: 'admin' });
+                await startSession(tx, req, res, admin);
+                return admin;
+            });
+
+            res.status(201).json({ user });
+        } catch (error) {
+            sendError(res, error, 'Failed to create admin');
+        }
+    } else {
+        res.status(405).json({ error: 'Method not allowed' });
+    }
+}
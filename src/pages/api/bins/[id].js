@@ -0,0 +1,50 @@
+import { getRepository } from '@/lib/storage';
+import { ApiError, sendError } from '@/lib/apiError';
+import { withAuth } from '@/lib/auth';
+import { binOccupancy, normalizeCapacity } from '@/lib/bins';
+
+async function handler(req, res) {
+    const { id } = req.query;
+
+    if (req.method === 'PUT') {
+        // Change a bin's capacity: { capacity } (empty for unlimited). Its location is fixed.
+        try {
+            const repo = await getRepository();
+            const bin = await repo.transaction(async (tx) => {
+                const existing = await tx.get('bins', id);
+                if (!existing) {
+                    throw new ApiError(404, 'Bin not found');
+                }
+                const occupied = binOccupancy(await tx.list('stock')).get(existing.id) || 0;
+                return tx.update('bins', existing.id, { capacity: normalizeCapacity(req.body.capacity, occupied) });
+            });
+
+            res.status(200).json(bin);
+        } catch (error) {
+            sendError(res, error, 'Failed to update bin');
+        }
+    } else if (req.method === 'DELETE') {
+        // Delete an empty bin
+        try {
+            const repo = await getRepository();
+            await repo.transaction(async (tx) => {
+                const existing = await tx.get('bins', id);
+                if (!existing) {
+                    throw new ApiError(404, 'Bin not found');
+                }
+                if (binOccupancy(await tx.list('stock')).get(existing.id)) {
+                    throw new ApiError(409, `Bin ${existing.code} still holds stock; move it out first`);
+                }
+                await tx.remove('bins', existing.id);
+            });
+
+            res.status(204).end();
+        } catch (error) {
+            sendError(res, error, 'Failed to delete bin');
+        }
+    } else {
+        res.status(405).json({ error: 'Method not allowed' });
+    }
+}
+
+export default withAuth(handler);
@@ -0,0 +1,44 @@
+import { getRepository } from '@/lib/storage';
+import { sendError } from '@/lib/apiError';
+import { withAuth } from '@/lib/auth';
+import { enrichBins, normalizeBin } from '@/lib/bins';
+import { assertReference } from '@/lib/validation';
+
+async function handler(req, res) {
+    if (req.method === 'GET') {
+        // List bins with their occupancy and contents, optionally for one warehouse (?warehouseId=)
+        try {
+            const { warehouseId } = req.query;
+
+            const repo = await getRepository();
+            let bins = await repo.list('bins');
+            if (warehouseId) {
+                bins = bins.filter(bin => bin.warehouseId === parseInt(warehouseId));
+            }
+            const stock = await repo.list('stock');
+            const products = await repo.list('products');
+
+            res.status(200).json(enrichBins(bins, { stock, products }));
+        } catch (error) {
+            sendError(res, error, 'Failed to read bins');
+        }
+    } else if (req.method === 'POST') {
+        // Create a bin: { warehouseId, zone, aisle, bin, capacity }
+        try {
+            const repo = await getRepository();
+            const bin = await repo.transaction(async (tx) => {
+                const values = normalizeBin(req.body, await tx.list('bins'));
+                assertReference(await tx.list('warehouses'), 'warehouseId', values.warehouseId, { label: 'Warehouse' });
+                return tx.insert('bins', values);
+            });
+
+            res.status(201).json(bin);
+        } catch (error) {
+            sendError(res, error, 'Failed to create bin');
+        }
+    } else {
+        res.status(405).json({ error: 'Method not allowed' });
+    }
+}
+
+export default withAuth(handler);
@@ -0,0 +1,30 @@
+import { getRepository } from '@/lib/storage';
+import { auditedRepository } from '@/lib/audit';
+import { sendError } from '@/lib/apiError';
+import { assertCan, withAuth } from '@/lib/auth';
+import { moveBetweenBins } from '@/lib/bins';
+
+async function handler(req, res) {
+    if (req.method === 'POST') {
+        // Move stock between bins of its warehouse: { stockId, fromBinId, toBinId, quantity, notes }.
+        // Leave fromBinId empty to put away unassigned stock, or toBinId empty to unassign it.
+        try {
+            const repo = auditedRepository(await getRepository(), req);
+            const result = await repo.transaction(async (tx) => {
+                const stock = await tx.get('stock', req.body.stockId);
+                if (stock) {
+                    assertCan(req.user, 'move_stock', stock.warehouseId);
+                }
+                return moveBetweenBins(tx, req.body);
+            });
+
+            res.status(201).json(result);
+        } catch (error) {
+            sendError(res, error, 'Failed to move stock');
+        }
+    } else {
+        res.status(405).json({ error: 'Method not allowed' });
+    }
+}
+
+export default withAuth(handler, { write: 'move_stock' });
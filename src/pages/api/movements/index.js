@@ -0,0 +1,50 @@
+import { getRepository } from '@/lib/storage';
+import { sendError } from '@/lib/apiError';
+import { withAuth } from '@/lib/auth';
+import { MOVEMENT_REASONS } from '@/lib/ledger';
+
+async function handler(req, res) {
+    if (req.method === 'GET') {
+        // Get ledger entries, optionally for one product/warehouse or one referenced document
+        try {
+            const { productId, warehouseId, referenceType, referenceId } = req.query;
+
+            const repo = await getRepository();
+            const movements = await repo.list('movements');
+            const products = await repo.list('products');
+            const warehouses = await repo.list('warehouses');
+
+            const filtered = movements.filter(m =>
+                (!productId || m.productId === parseInt(productId)) &&
+                (!warehouseId || m.warehouseId === parseInt(warehouseId)) &&
+                (!referenceType || m.referenceType === referenceType) &&
+                (!referenceId || m.referenceId === parseInt(referenceId))
+            );
+
+            // Enrich movements with product and warehouse details
+            const enrichedMovements = filtered.map(movement => {
+                const product = products.find(p => p.id === movement.productId);
+                const warehouse = warehouses.find(w => w.id === movement.warehouseId);
+
+                return {
+                    ...movement,
+                    reasonLabel: MOVEMENT_REASONS[movement.reason] || movement.reason,
+                    productName: product?.name || 'Unknown Product',
+                    productSku: product?.sku || 'N/A',
+                    warehouseName: warehouse?.name || 'Unknown Warehouse',
+                };
+            });
+
+            // Newest first; ids break ties between movements posted in the same transaction
+            enrichedMovements.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp) || b.id - a.id);
+
+            res.status(200).json(enrichedMovements);
+        } catch (error) {
+            sendError(res, error, 'Failed to fetch stock movements');
+        }
+    } else {
+        res.status(405).json({ error: 'Method not allowed' });
+    }
+}
+
+export default withAuth(handler);
@@ -0,0 +1,16 @@
+import { buildOpenApiDocument } from '@/lib/openapi';
+import { sendError } from '@/lib/apiError';
+
+export default function handler(req, res) {
+    if (req.method === 'GET') {
+        // The OpenAPI document; public, like the session endpoint, so tools can fetch it before signing in
+        try {
+            const protocol = req.headers['x-forwarded-proto'] || 'http';
+            res.status(200).json(buildOpenApiDocument(`${protocol}://${req.headers.host}`));
+        } catch (error) {
+            sendError(res, error, 'Failed to build OpenAPI document');
+        }
+    } else {
+        res.status(405).json({ error: 'Method not allowed' });
+    }
+}
@@ -1,40 +1,70 @@
 // pages/api/products/[id].js
-import fs from 'fs';
-import path from 'path';
+import { getRepository } from '@/lib/storage';
+import { auditedRepository } from '@/lib/audit';
+import { ApiError, sendError } from '@/lib/apiError';
+import { withAuth } from '@/lib/auth';
+import { archiveRecord, restoreRecord } from '@/lib/archive';
+import { describeDependents } from '@/lib/dependents';
+import { deleteProduct, updateProduct } from '@/lib/products';
 
-export default function handler(req, res) {
+async function handler(req, res) {
   const { id } = req.query;
-  const filePath = path.join(process.cwd(), 'data', 'products.json');
-  const jsonData = fs.readFileSync(filePath);
-  let products = JSON.parse(jsonData);
+  const repo = auditedRepository(await getRepository(), req);
 
   if (req.method === 'GET') {
-    const product = products.find((p) => p.id === parseInt(id));
-    if (product) {
+    const product = await repo.get('products', id);
+    if (product && req.query.include === 'dependents') {
+      // What a delete would affect, for the confirmation dialog
+      res.status(200).json({ ...product, dependents: await describeDependents(repo, 'product', product.id) });
+    } else if (product) {
       res.status(200).json(product);
     } else {
-      res.status(404).json({ message: 'Product not found' });
+      res.status(404).json({ error: 'Product not found' });
     }
   } else if (req.method === 'PUT') {
-    const index = products.findIndex((p) => p.id === parseInt(id));
-    if (index !== -1) {
-      products[index] = { ...products[index], ...req.body, id: parseInt(id) };
-      fs.writeFileSync(filePath, JSON.stringify(products, null, 2));
-      res.status(200).json(products[index]);
-    } else {
-      res.status(404).json({ message: 'Product not found' });
+    try {
+      // Only the fields that were sent are checked and changed
+      const product = await repo.transaction(tx => updateProduct(tx, id, req.body));
+
+      res.status(200).json(product);
+    } catch (error) {
+      sendError(res, error, 'Failed to update product');
+    }
+  } else if (req.method === 'POST') {
+    // Archive or restore: { action: 'archive' | 'restore' }
+    try {
+      const product = await repo.transaction(async (tx) => {
+        const existing = await tx.get('products', id);
+        if (!existing) {
+          throw new ApiError(404, 'Product not found');
+        }
+
+        if (req.body.action === 'archive') {
+          return archiveRecord(tx, 'product', existing);
+        }
+        if (req.body.action === 'restore') {
+          return restoreRecord(tx, 'product', existing);
+        }
+        throw new ApiError(400, `Unknown product action: ${req.body.action}`);
+      });
+
+      res.status(200).json(product);
+    } catch (error) {
+      sendError(res, error, 'Failed to change product status');
     }
   } else if (req.method === 'DELETE') {
-    const index = products.findIndex((p) => p.id === parseInt(id));
-    if (index !== -1) {
-      products.splice(index, 1);
-      fs.writeFileSync(filePath, JSON.stringify(products, null, 2));
+    // Refused while anything depends on the product; ?mode=cascade also zeroes and deletes its stock
+    // and deletes its alerts, bins and price-list entries, but never documents or ledger movements
+    try {
+      await repo.transaction(tx => deleteProduct(tx, id, req.query.mode));
+
       res.status(204).end();
-    } else {
-      res.status(404).json({ message: 'Product not found' });
+    } catch (error) {
+      sendError(res, error, 'Failed to delete product');
     }
   } else {
-    res.status(405).json({ message: 'Method Not Allowed' });
+    res.status(405).json({ error: 'Method not allowed' });
   }
 }
 
+export default withAuth(handler);
@@ -0,0 +1,13 @@
+// pages/api/products/bulk.js
+import { withAuth } from '@/lib/auth';
+import { bulkHandler } from '@/lib/bulk';
+import { createProduct, deleteProduct, updateProduct } from '@/lib/products';
+
+// Create (POST), change (PUT) or delete (DELETE) many products in one transaction; see bulk.js.
+// Deletes take ?mode=cascade like a single delete.
+export default withAuth(bulkHandler({
+  label: 'Product',
+  create: createProduct,
+  update: updateProduct,
+  remove: (tx, id, req) => deleteProduct(tx, id, req.query.mode),
+}));
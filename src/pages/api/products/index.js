@@ -1,22 +1,49 @@
 // pages/api/products/index.js
-import fs from 'fs';
-import path from 'path';
+import { getRepository } from '@/lib/storage';
+import { auditedRepository } from '@/lib/audit';
+import { sendError } from '@/lib/apiError';
+import { withAuth } from '@/lib/auth';
+import { recordStatus } from '@/lib/archive';
+import { listFilters, matchesSearch, pageRecords, parseListQuery, sendList } from '@/lib/listQuery';
+import { createProduct } from '@/lib/products';
+import { productAvailability, withAvailability } from '@/lib/reservations';
 
-export default function handler(req, res) {
-  const filePath = path.join(process.cwd(), 'data', 'products.json');
-  const jsonData = fs.readFileSync(filePath);
-  let products = JSON.parse(jsonData);
+async function handler(req, res) {
+  const repo = auditedRepository(await getRepository(), req);
 
   if (req.method === 'GET') {
-    res.status(200).json(products);
+    // Archived products are included unless ?status=active, so history can still resolve them.
+    // Also filters by ?category= and searches name and SKU with ?q=; paging and sorting as in listQuery.js.
+    // ?include=availability adds each product's onHand, reserved and available totals across warehouses
+    try {
+      const { status, category, include, q, ...paging } = parseListQuery(req.query, listFilters.products);
+      const products = (await repo.list('products')).filter(product =>
+        (!status || recordStatus(product) === status)
+        && (!category || product.category.toLowerCase() === category.toLowerCase())
+        && matchesSearch(q, product.name, product.sku)
+      );
+
+      const list = pageRecords(products, paging);
+      if (include === 'availability') {
+        const stock = withAvailability(await repo.list('stock'), await repo.list('salesOrders'));
+        list.items = list.items.map(product => ({ ...product, ...productAvailability(stock, product.id) }));
+      }
+
+      sendList(res, list);
+    } catch (error) {
+      sendError(res, error, 'Failed to read products');
+    }
   } else if (req.method === 'POST') {
-    const newProduct = req.body;
-    newProduct.id = products.length ? Math.max(...products.map(p => p.id)) + 1 : 1;
-    products.push(newProduct);
-    fs.writeFileSync(filePath, JSON.stringify(products, null, 2));
-    res.status(201).json(newProduct);
+    try {
+      const newProduct = await repo.transaction(tx => createProduct(tx, req.body));
+
+      res.status(201).json(newProduct);
+    } catch (error) {
+      sendError(res, error, 'Failed to create product');
+    }
   } else {
-    res.status(405).json({ message: 'Method Not Allowed' });
+    res.status(405).json({ error: 'Method not allowed' });
   }
 }
 
+export default withAuth(handler);
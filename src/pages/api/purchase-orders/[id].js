@@ -0,0 +1,103 @@
+import { getRepository } from '@/lib/storage';
+import { ApiError, sendError } from '@/lib/apiError';
+import { withAuth } from '@/lib/auth';
+import {
+    cancelPurchaseOrder,
+    enrichPurchaseOrder,
+    sendPurchaseOrder,
+    updateDraftPurchaseOrder,
+} from '@/lib/purchaseOrders';
+
+const loadLookups = async (store) => ({
+    suppliers: await store.list('suppliers'),
+    products: await store.list('products'),
+    warehouses: await store.list('warehouses'),
+});
+
+async function handler(req, res) {
+    const { id } = req.query;
+
+    if (req.method === 'GET') {
+        // Get a single purchase order
+        try {
+            const repo = await getRepository();
+            const order = await repo.get('purchaseOrders', id);
+
+            if (!order) {
+                return res.status(404).json({ error: 'Purchase order not found' });
+            }
+
+            res.status(200).json(enrichPurchaseOrder(order, await loadLookups(repo)));
+        } catch (error) {
+            sendError(res, error, 'Failed to read purchase order');
+        }
+    } else if (req.method === 'PUT') {
+        // Edit a draft: { warehouseId, lines, notes }
+        try {
+            const repo = await getRepository();
+            const enrichedOrder = await repo.transaction(async (tx) => {
+                const order = await tx.get('purchaseOrders', id);
+                if (!order) {
+                    throw new ApiError(404, 'Purchase order not found');
+                }
+                const updated = await updateDraftPurchaseOrder(tx, order, req.body);
+                return enrichPurchaseOrder(updated, await loadLookups(tx));
+            });
+
+            res.status(200).json(enrichedOrder);
+        } catch (error) {
+            sendError(res, error, 'Failed to update purchase order');
+        }
+    } else if (req.method === 'POST') {
+        // Move a purchase order through its lifecycle: { action: 'send' | 'cancel', note }
+        try {
+            const { action, note } = req.body;
+
+            const repo = await getRepository();
+            const enrichedOrder = await repo.transaction(async (tx) => {
+                const order = await tx.get('purchaseOrders', id);
+                if (!order) {
+                    throw new ApiError(404, 'Purchase order not found');
+                }
+
+                let updated;
+                if (action === 'send') {
+                    updated = await sendPurchaseOrder(tx, order);
+                } else if (action === 'cancel') {
+                    updated = await cancelPurchaseOrder(tx, order, { note });
+                } else {
+                    throw new ApiError(400, `Unknown purchase order action: ${action}`);
+                }
+
+                return enrichPurchaseOrder(updated, await loadLookups(tx));
+            });
+
+            res.status(200).json(enrichedOrder);
+        } catch (error) {
+            sendError(res, error, 'Failed to update purchase order');
+        }
+    } else if (req.method === 'DELETE') {
+        // Delete a draft that was never sent
+        try {
+            const repo = await getRepository();
+            await repo.transaction(async (tx) => {
+                const order = await tx.get('purchaseOrders', id);
+                if (!order) {
+                    throw new ApiError(404, 'Purchase order not found');
+                }
+                if (order.status !== 'draft') {
+                    throw new ApiError(409, 'Only draft purchase orders can be deleted; cancel it instead');
+                }
+                await tx.remove('purchaseOrders', id);
+            });
+
+            res.status(204).end();
+        } catch (error) {
+            sendError(res, error, 'Failed to delete purchase order');
+        }
+    } else {
+        res.status(405).json({ error: 'Method not allowed' });
+    }
+}
+
+export default withAuth(handler);
@@ -0,0 +1,37 @@
+import { getRepository } from '@/lib/storage';
+import { sendError } from '@/lib/apiError';
+import { withAuth } from '@/lib/auth';
+import { draftPurchaseOrdersFromRecommendations, enrichPurchaseOrder } from '@/lib/purchaseOrders';
+
+async function handler(req, res) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    // Turn selected reorder recommendations into draft purchase orders grouped by supplier:
+    // { warehouseId, items: [{ productId, quantity }] }
+    try {
+        const repo = await getRepository();
+        const result = await repo.transaction(async (tx) => {
+            const { purchaseOrders, unassigned } = await draftPurchaseOrdersFromRecommendations(tx, req.body);
+            const lookups = {
+                suppliers: await tx.list('suppliers'),
+                products: await tx.list('products'),
+                warehouses: await tx.list('warehouses'),
+            };
+            return {
+                purchaseOrders: purchaseOrders.map(order => enrichPurchaseOrder(order, lookups)),
+                unassigned: unassigned.map(productId => ({
+                    productId,
+                    productName: lookups.products.find(p => p.id === productId)?.name || 'Unknown Product',
+                })),
+            };
+        });
+
+        res.status(201).json(result);
+    } catch (error) {
+        sendError(res, error, 'Failed to draft purchase orders');
+    }
+}
+
+export default withAuth(handler);
@@ -0,0 +1,53 @@
+import { getRepository } from '@/lib/storage';
+import { sendError } from '@/lib/apiError';
+import { withAuth } from '@/lib/auth';
+import { createPurchaseOrder, enrichPurchaseOrder } from '@/lib/purchaseOrders';
+
+async function handler(req, res) {
+    if (req.method === 'GET') {
+        // Get all purchase orders, optionally filtered by status and supplier
+        try {
+            const { status, supplierId } = req.query;
+            const repo = await getRepository();
+            const orders = await repo.list('purchaseOrders');
+            const lookups = {
+                suppliers: await repo.list('suppliers'),
+                products: await repo.list('products'),
+                warehouses: await repo.list('warehouses'),
+            };
+
+            const enrichedOrders = orders
+                .filter(order => (!status || order.status === status) &&
+                    (!supplierId || order.supplierId === parseInt(supplierId)))
+                .map(order => enrichPurchaseOrder(order, lookups));
+
+            // Newest first
+            enrichedOrders.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+            res.status(200).json(enrichedOrders);
+        } catch (error) {
+            sendError(res, error, 'Failed to read purchase orders');
+        }
+    } else if (req.method === 'POST') {
+        // Create a draft: { supplierId, warehouseId, lines: [{ productId, quantity, unitPrice? }], notes }
+        try {
+            const repo = await getRepository();
+            const enrichedOrder = await repo.transaction(async (tx) => {
+                const order = await createPurchaseOrder(tx, req.body);
+                return enrichPurchaseOrder(order, {
+                    suppliers: await tx.list('suppliers'),
+                    products: await tx.list('products'),
+                    warehouses: await tx.list('warehouses'),
+                });
+            });
+
+            res.status(201).json(enrichedOrder);
+        } catch (error) {
+            sendError(res, error, 'Failed to create purchase order');
+        }
+    } else {
+        res.status(405).json({ error: 'Method not allowed' });
+    }
+}
+
+export default withAuth(handler);
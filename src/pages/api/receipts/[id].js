@@ -0,0 +1,33 @@
+import { getRepository } from '@/lib/storage';
+import { sendError } from '@/lib/apiError';
+import { withAuth } from '@/lib/auth';
+import { enrichReceipt } from '@/lib/receipts';
+
+async function handler(req, res) {
+    const { id } = req.query;
+
+    if (req.method === 'GET') {
+        // Get a single goods receipt
+        try {
+            const repo = await getRepository();
+            const receipt = await repo.get('receipts', id);
+
+            if (!receipt) {
+                return res.status(404).json({ error: 'Receipt not found' });
+            }
+
+            res.status(200).json(enrichReceipt(receipt, {
+                suppliers: await repo.list('suppliers'),
+                products: await repo.list('products'),
+                warehouses: await repo.list('warehouses'),
+                purchaseOrders: await repo.list('purchaseOrders'),
+            }));
+        } catch (error) {
+            sendError(res, error, 'Failed to read receipt');
+        }
+    } else {
+        res.status(405).json({ error: 'Method not allowed' });
+    }
+}
+
+export default withAuth(handler);
@@ -0,0 +1,73 @@
+import { getRepository } from '@/lib/storage';
+import { auditedRepository } from '@/lib/audit';
+import { ApiError, sendError } from '@/lib/apiError';
+import { assertCan, withAuth } from '@/lib/auth';
+import { enrichPurchaseOrder } from '@/lib/purchaseOrders';
+import { enrichReceipt, postGoodsReceipt } from '@/lib/receipts';
+
+const loadLookups = async (store) => ({
+    suppliers: await store.list('suppliers'),
+    products: await store.list('products'),
+    warehouses: await store.list('warehouses'),
+    purchaseOrders: await store.list('purchaseOrders'),
+});
+
+async function handler(req, res) {
+    if (req.method === 'GET') {
+        // Get all goods receipts, optionally for one purchase order
+        try {
+            const { purchaseOrderId } = req.query;
+            const repo = await getRepository();
+            const receipts = await repo.list('receipts');
+            const lookups = await loadLookups(repo);
+
+            const enrichedReceipts = receipts
+                .filter(receipt => !purchaseOrderId || receipt.purchaseOrderId === parseInt(purchaseOrderId))
+                .map(receipt => enrichReceipt(receipt, lookups));
+
+            // Newest first
+            enrichedReceipts.sort((a, b) => new Date(b.receivedAt) - new Date(a.receivedAt));
+
+            res.status(200).json(enrichedReceipts);
+        } catch (error) {
+            sendError(res, error, 'Failed to read receipts');
+        }
+    } else if (req.method === 'POST') {
+        // Receive goods: { purchaseOrderId, lines: [{ productId, quantity, lotNumber, manufacturedAt, expiresAt }], notes, closeShort }
+        try {
+            const { purchaseOrderId, lines, notes, closeShort } = req.body;
+
+            if (!purchaseOrderId) {
+                return res.status(400).json({ error: 'Missing required fields' });
+            }
+
+            const repo = auditedRepository(await getRepository(), req);
+            const result = await repo.transaction(async (tx) => {
+                const order = await tx.get('purchaseOrders', purchaseOrderId);
+                if (!order) {
+                    throw new ApiError(404, 'Purchase order not found');
+                }
+                assertCan(req.user, 'move_stock', order.warehouseId);
+
+                const { receipt, order: updatedOrder } = await postGoodsReceipt(tx, order, {
+                    lines,
+                    notes,
+                    closeShort: Boolean(closeShort),
+                });
+                const lookups = await loadLookups(tx);
+                return {
+                    ...enrichReceipt(receipt, lookups),
+                    purchaseOrder: enrichPurchaseOrder(updatedOrder, lookups),
+                };
+            });
+
+            res.status(201).json(result);
+        } catch (error) {
+            sendError(res, error, 'Failed to receive goods');
+        }
+    } else {
+        res.status(405).json({ error: 'Method not allowed' });
+    }
+}
+
+export default withAuth(handler, { write: 'move_stock' });
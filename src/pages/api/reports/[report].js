@@ -0,0 +1,30 @@
+import { getRepository } from '@/lib/storage';
+import { withAuth } from '@/lib/auth';
+import { sendError } from '@/lib/apiError';
+import { generateReport, reportFile } from '@/lib/reports';
+
+async function handler(req, res) {
+    if (req.method === 'GET') {
+        // Build a report with the filters in the query string; ?format=csv, xlsx or pdf downloads it
+        // as a file, otherwise it is sent as JSON. See reports.js for the reports and their filters.
+        try {
+            const repo = await getRepository();
+            const { format, details, ...result } = await generateReport(repo, req.query.report, req.query);
+
+            if (format === 'json') {
+                return res.status(200).json(result);
+            }
+
+            const { filename, mimeType, body } = reportFile({ format, details, ...result });
+            res.setHeader('Content-Type', mimeType);
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+            res.status(200).send(body);
+        } catch (error) {
+            sendError(res, error, 'Failed to generate report');
+        }
+    } else {
+        res.status(405).json({ error: 'Method not allowed' });
+    }
+}
+
+export default withAuth(handler);
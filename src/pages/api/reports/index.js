@@ -0,0 +1,24 @@
+import { withAuth } from '@/lib/auth';
+import { REPORTS, REPORT_FORMATS } from '@/lib/reports';
+
+async function handler(req, res) {
+    if (req.method === 'GET') {
+        // List the reports /api/reports/[report] can build, with their filters, columns and formats
+        res.status(200).json(Object.entries(REPORTS).map(([name, report]) => ({
+            name,
+            title: report.title,
+            description: report.description,
+            formats: REPORT_FORMATS,
+            filters: Object.entries(report.filters).map(([filter, rule]) => ({
+                name: filter,
+                type: rule.type,
+                ...(rule.oneOf && { values: rule.oneOf }),
+            })),
+            columns: report.columns,
+        })));
+    } else {
+        res.status(405).json({ error: 'Method not allowed' });
+    }
+}
+
+export default withAuth(handler);
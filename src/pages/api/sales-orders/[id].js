@@ -0,0 +1,63 @@
+import { getRepository } from '@/lib/storage';
+import { auditedRepository } from '@/lib/audit';
+import { ApiError, sendError } from '@/lib/apiError';
+import { assertCan, withAuth } from '@/lib/auth';
+import { allocatedWarehouseIds, cancelSalesOrder, enrichSalesOrder, shipSalesOrder } from '@/lib/salesOrders';
+
+const loadLookups = async (store) => ({
+    products: await store.list('products'),
+    warehouses: await store.list('warehouses'),
+});
+
+async function handler(req, res) {
+    const { id } = req.query;
+
+    if (req.method === 'GET') {
+        // Get a single sales order
+        try {
+            const repo = await getRepository();
+            const order = await repo.get('salesOrders', id);
+
+            if (!order) {
+                return res.status(404).json({ error: 'Sales order not found' });
+            }
+
+            res.status(200).json(enrichSalesOrder(order, await loadLookups(repo)));
+        } catch (error) {
+            sendError(res, error, 'Failed to read sales order');
+        }
+    } else if (req.method === 'POST') {
+        // Move a sales order through its lifecycle: { action: 'ship' | 'cancel', note }
+        try {
+            const { action, note } = req.body;
+
+            const repo = auditedRepository(await getRepository(), req);
+            const enrichedOrder = await repo.transaction(async (tx) => {
+                const order = await tx.get('salesOrders', id);
+                if (!order) {
+                    throw new ApiError(404, 'Sales order not found');
+                }
+                allocatedWarehouseIds(order).forEach(warehouseId => assertCan(req.user, 'move_stock', warehouseId));
+
+                let updated;
+                if (action === 'ship') {
+                    updated = await shipSalesOrder(tx, order);
+                } else if (action === 'cancel') {
+                    updated = await cancelSalesOrder(tx, order, { note });
+                } else {
+                    throw new ApiError(400, `Unknown sales order action: ${action}`);
+                }
+
+                return enrichSalesOrder(updated, await loadLookups(tx));
+            });
+
+            res.status(200).json(enrichedOrder);
+        } catch (error) {
+            sendError(res, error, 'Failed to update sales order');
+        }
+    } else {
+        res.status(405).json({ error: 'Method not allowed' });
+    }
+}
+
+export default withAuth(handler, { write: 'move_stock' });
@@ -0,0 +1,54 @@
+import { getRepository } from '@/lib/storage';
+import { auditedRepository } from '@/lib/audit';
+import { sendError } from '@/lib/apiError';
+import { assertCan, withAuth } from '@/lib/auth';
+import { allocatedWarehouseIds, createSalesOrder, enrichSalesOrder } from '@/lib/salesOrders';
+
+async function handler(req, res) {
+    if (req.method === 'GET') {
+        // Get all sales orders, optionally filtered by status
+        try {
+            const { status } = req.query;
+            const repo = await getRepository();
+            const orders = await repo.list('salesOrders');
+            const lookups = {
+                products: await repo.list('products'),
+                warehouses: await repo.list('warehouses'),
+            };
+
+            const enrichedOrders = orders
+                .filter(order => !status || order.status === status)
+                .map(order => enrichSalesOrder(order, lookups));
+
+            // Newest first
+            enrichedOrders.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+            res.status(200).json(enrichedOrders);
+        } catch (error) {
+            sendError(res, error, 'Failed to read sales orders');
+        }
+    } else if (req.method === 'POST') {
+        // Place an order and reserve stock:
+        // { customerName, warehouseId (omit to auto-allocate), lines: [{ productId, quantity }], notes }
+        try {
+            const repo = auditedRepository(await getRepository(), req);
+            const enrichedOrder = await repo.transaction(async (tx) => {
+                const order = await createSalesOrder(tx, req.body);
+                // Auto-allocation may reach into other warehouses; every one of them must be the user's
+                allocatedWarehouseIds(order).forEach(id => assertCan(req.user, 'move_stock', id));
+                return enrichSalesOrder(order, {
+                    products: await tx.list('products'),
+                    warehouses: await tx.list('warehouses'),
+                });
+            });
+
+            res.status(201).json(enrichedOrder);
+        } catch (error) {
+            sendError(res, error, 'Failed to create sales order');
+        }
+    } else {
+        res.status(405).json({ error: 'Method not allowed' });
+    }
+}
+
+export default withAuth(handler, { write: 'move_stock' });
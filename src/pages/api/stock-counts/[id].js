@@ -0,0 +1,84 @@
+import { getRepository } from '@/lib/storage';
+import { auditedRepository } from '@/lib/audit';
+import { ApiError, sendError } from '@/lib/apiError';
+import { assertCan, withAuth } from '@/lib/auth';
+import {
+    cancelStockCount,
+    enrichStockCount,
+    postStockCount,
+    recordCounts,
+    recountStockCount,
+    submitStockCount,
+} from '@/lib/stockCounts';
+
+const loadLookups = async (store) => ({
+    products: await store.list('products'),
+    warehouses: await store.list('warehouses'),
+    bins: await store.list('bins'),
+});
+
+async function handler(req, res) {
+    const { id } = req.query;
+
+    if (req.method === 'GET') {
+        // Get a single count session
+        try {
+            const repo = await getRepository();
+            const session = await repo.get('stockCounts', id);
+
+            if (!session) {
+                return res.status(404).json({ error: 'Stock count not found' });
+            }
+
+            res.status(200).json(enrichStockCount(session, await loadLookups(repo)));
+        } catch (error) {
+            sendError(res, error, 'Failed to read stock count');
+        }
+    } else if (req.method === 'POST') {
+        // Move a count session through its lifecycle:
+        // { action: 'count' | 'submit' | 'recount' | 'post' | 'cancel', note }.
+        // count takes counts: [{ line, countedQuantity }]; post takes approved: [line, ...]
+        // (zero-based line indexes; defaults to every line).
+        try {
+            const { action, counts, approved, note } = req.body;
+
+            const repo = auditedRepository(await getRepository(), req);
+            const enrichedSession = await repo.transaction(async (tx) => {
+                const session = await tx.get('stockCounts', id);
+                if (!session) {
+                    throw new ApiError(404, 'Stock count not found');
+                }
+                assertCan(req.user, 'move_stock', session.warehouseId);
+                // Posting approves the variances, which is for managers
+                if (action === 'post') {
+                    assertCan(req.user, 'manage_inventory');
+                }
+
+                let updated;
+                if (action === 'count') {
+                    updated = await recordCounts(tx, session, counts);
+                } else if (action === 'submit') {
+                    updated = await submitStockCount(tx, session);
+                } else if (action === 'recount') {
+                    updated = await recountStockCount(tx, session, { note });
+                } else if (action === 'post') {
+                    updated = await postStockCount(tx, session, { approved, note });
+                } else if (action === 'cancel') {
+                    updated = await cancelStockCount(tx, session, { note });
+                } else {
+                    throw new ApiError(400, `Unknown stock count action: ${action}`);
+                }
+
+                return enrichStockCount(updated, await loadLookups(tx));
+            });
+
+            res.status(200).json(enrichedSession);
+        } catch (error) {
+            sendError(res, error, 'Failed to update stock count');
+        }
+    } else {
+        res.status(405).json({ error: 'Method not allowed' });
+    }
+}
+
+export default withAuth(handler, { write: 'move_stock' });
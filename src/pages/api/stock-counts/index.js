@@ -0,0 +1,62 @@
+import { getRepository } from '@/lib/storage';
+import { auditedRepository } from '@/lib/audit';
+import { sendError } from '@/lib/apiError';
+import { assertCan, withAuth } from '@/lib/auth';
+import { enrichStockCount, openStockCount } from '@/lib/stockCounts';
+
+const loadLookups = async (store) => ({
+    products: await store.list('products'),
+    warehouses: await store.list('warehouses'),
+    bins: await store.list('bins'),
+});
+
+async function handler(req, res) {
+    if (req.method === 'GET') {
+        // Get all count sessions, optionally filtered by status and warehouse
+        try {
+            const { status, warehouseId } = req.query;
+            const repo = await getRepository();
+            const sessions = await repo.list('stockCounts');
+            const lookups = await loadLookups(repo);
+
+            const enrichedSessions = sessions
+                .filter(session => !status || session.status === status)
+                .filter(session => !warehouseId || session.warehouseId === parseInt(warehouseId))
+                .map(session => enrichStockCount(session, lookups));
+
+            // Newest first
+            enrichedSessions.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+            res.status(200).json(enrichedSessions);
+        } catch (error) {
+            sendError(res, error, 'Failed to read stock counts');
+        }
+    } else if (req.method === 'POST') {
+        // Open a count session: { warehouseId, categories: [], binIds: [], blind, notes }.
+        // Empty categories and binIds count the whole warehouse.
+        try {
+            const { warehouseId, categories, binIds, blind, notes } = req.body;
+            assertCan(req.user, 'move_stock', parseInt(warehouseId));
+
+            const repo = auditedRepository(await getRepository(), req);
+            const enrichedSession = await repo.transaction(async (tx) => {
+                const session = await openStockCount(tx, {
+                    warehouseId: parseInt(warehouseId),
+                    categories,
+                    binIds,
+                    blind,
+                    notes,
+                });
+                return enrichStockCount(session, await loadLookups(tx));
+            });
+
+            res.status(201).json(enrichedSession);
+        } catch (error) {
+            sendError(res, error, 'Failed to open stock count');
+        }
+    } else {
+        res.status(405).json({ error: 'Method not allowed' });
+    }
+}
+
+export default withAuth(handler, { write: 'move_stock' });
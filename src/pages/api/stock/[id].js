@@ -1,40 +1,42 @@
 // pages/api/stock/[id].js
-import fs from 'fs';
-import path from 'path';
+import { getRepository } from '@/lib/storage';
+import { auditedRepository } from '@/lib/audit';
+import { sendError } from '@/lib/apiError';
+import { withAuth } from '@/lib/auth';
+import { deleteStock, updateStock } from '@/lib/stock';
 
-export default function handler(req, res) {
+async function handler(req, res) {
   const { id } = req.query;
-  const filePath = path.join(process.cwd(), 'data', 'stock.json');
-  const jsonData = fs.readFileSync(filePath);
-  let stock = JSON.parse(jsonData);
+  const repo = auditedRepository(await getRepository(), req);
 
   if (req.method === 'GET') {
-    const stockItem = stock.find((s) => s.id === parseInt(id));
+    const stockItem = await repo.get('stock', id);
     if (stockItem) {
       res.status(200).json(stockItem);
     } else {
-      res.status(404).json({ message: 'Stock item not found' });
+      res.status(404).json({ error: 'Stock item not found' });
     }
   } else if (req.method === 'PUT') {
-    const index = stock.findIndex((s) => s.id === parseInt(id));
-    if (index !== -1) {
-      stock[index] = { ...stock[index], ...req.body, id: parseInt(id) };
-      fs.writeFileSync(filePath, JSON.stringify(stock, null, 2));
-      res.status(200).json(stock[index]);
-    } else {
-      res.status(404).json({ message: 'Stock item not found' });
+    // Lots and bins only change through movements; lot fields describe the lot of any added quantity
+    try {
+      const stockItem = await repo.transaction(tx => updateStock(tx, id, req.body, req.user));
+
+      res.status(200).json(stockItem);
+    } catch (error) {
+      sendError(res, error, 'Failed to update stock record');
     }
   } else if (req.method === 'DELETE') {
-    const index = stock.findIndex((s) => s.id === parseInt(id));
-    if (index !== -1) {
-      stock.splice(index, 1);
-      fs.writeFileSync(filePath, JSON.stringify(stock, null, 2));
+    // The quantity is zeroed through the ledger first so the removal stays explainable
+    try {
+      await repo.transaction(tx => deleteStock(tx, id, req.user));
+
       res.status(204).end();
-    } else {
-      res.status(404).json({ message: 'Stock item not found' });
+    } catch (error) {
+      sendError(res, error, 'Failed to delete stock record');
     }
   } else {
-    res.status(405).json({ message: 'Method Not Allowed' });
+    res.status(405).json({ error: 'Method not allowed' });
   }
 }
 
+export default withAuth(handler, { write: 'move_stock' });
@@ -0,0 +1,13 @@
+// pages/api/stock/bulk.js
+import { withAuth } from '@/lib/auth';
+import { bulkHandler } from '@/lib/bulk';
+import { createStock, deleteStock, updateStock } from '@/lib/stock';
+
+// Create (POST), change (PUT) or delete (DELETE) many stock records in one transaction; see bulk.js.
+// Operators can only touch stock in their own warehouses; other rows fail with 403.
+export default withAuth(bulkHandler({
+  label: 'Stock item',
+  create: (tx, item, req) => createStock(tx, item, req.user),
+  update: (tx, id, item, req) => updateStock(tx, id, item, req.user),
+  remove: (tx, id, req) => deleteStock(tx, id, req.user),
+}), { write: 'move_stock' });
@@ -1,22 +1,53 @@
 // pages/api/stock/index.js
-import fs from 'fs';
-import path from 'path';
+import { getRepository } from '@/lib/storage';
+import { auditedRepository } from '@/lib/audit';
+import { sendError } from '@/lib/apiError';
+import { withAuth } from '@/lib/auth';
+import { withAvailability } from '@/lib/reservations';
+import { createStock, enrichStock } from '@/lib/stock';
+import { listFilters, matchesSearch, pageRecords, parseListQuery, sendList } from '@/lib/listQuery';
 
-export default function handler(req, res) {
-  const filePath = path.join(process.cwd(), 'data', 'stock.json');
-  const jsonData = fs.readFileSync(filePath);
-  let stock = JSON.parse(jsonData);
+async function handler(req, res) {
+  const repo = auditedRepository(await getRepository(), req);
 
   if (req.method === 'GET') {
-    res.status(200).json(stock);
+    // Each record also carries what sales orders have reserved and what is left available.
+    // Filters by ?productId=, ?warehouseId= and the product's ?category=, and searches the product's
+    // name and SKU with ?q=; paging and sorting as in listQuery.js. ?include=details adds the product's
+    // name, SKU and status and the quantity in transit towards the record (see enrichStock)
+    try {
+      const { productId, warehouseId, category, include, q, ...paging } = parseListQuery(req.query, listFilters.stock);
+      const products = await repo.list('products');
+      const stock = withAvailability(await repo.list('stock'), await repo.list('salesOrders')).filter((item) => {
+        const product = products.find(p => p.id === item.productId);
+        return (!productId || item.productId === productId)
+          && (!warehouseId || item.warehouseId === warehouseId)
+          && (!category || product?.category.toLowerCase() === category.toLowerCase())
+          && matchesSearch(q, product?.name, product?.sku);
+      });
+
+      const list = pageRecords(stock, paging);
+      if (include === 'details') {
+        const transfers = await repo.list('transfers');
+        list.items = list.items.map(item => enrichStock(item, { products, transfers }));
+      }
+
+      sendList(res, list);
+    } catch (error) {
+      sendError(res, error, 'Failed to read stock');
+    }
   } else if (req.method === 'POST') {
-    const newStock = req.body;
-    newStock.id = stock.length ? Math.max(...stock.map(s => s.id)) + 1 : 1;
-    stock.push(newStock);
-    fs.writeFileSync(filePath, JSON.stringify(stock, null, 2));
-    res.status(201).json(newStock);
+    // Lot fields optionally put the opening quantity into a lot
+    try {
+      const newStock = await repo.transaction(tx => createStock(tx, req.body, req.user));
+
+      res.status(201).json(newStock);
+    } catch (error) {
+      sendError(res, error, 'Failed to create stock record');
+    }
   } else {
-    res.status(405).json({ message: 'Method Not Allowed' });
+    res.status(405).json({ error: 'Method not allowed' });
   }
 }
 
+export default withAuth(handler, { write: 'move_stock' });
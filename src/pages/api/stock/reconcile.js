@@ -0,0 +1,36 @@
+import { getRepository } from '@/lib/storage';
+import { sendError } from '@/lib/apiError';
+import { withAuth } from '@/lib/auth';
+import { auditedRepository } from '@/lib/audit';
+import { findDiscrepancies, reconcileStock } from '@/lib/ledger';
+
+async function handler(req, res) {
+    if (req.method === 'GET') {
+        // Report stock records that disagree with the movement ledger
+        try {
+            const repo = await getRepository();
+            const stock = await repo.list('stock');
+            const movements = await repo.list('movements');
+
+            const discrepancies = findDiscrepancies(stock, movements);
+
+            res.status(200).json({ inSync: discrepancies.length === 0, discrepancies });
+        } catch (error) {
+            sendError(res, error, 'Failed to reconcile stock');
+        }
+    } else if (req.method === 'POST') {
+        // Rebuild stock quantities from the ledger
+        try {
+            const repo = auditedRepository(await getRepository(), req);
+            const corrected = await repo.transaction(tx => reconcileStock(tx));
+
+            res.status(200).json({ message: `Corrected ${corrected.length} stock record(s)`, corrected });
+        } catch (error) {
+            sendError(res, error, 'Failed to reconcile stock');
+        }
+    } else {
+        res.status(405).json({ error: 'Method not allowed' });
+    }
+}
+
+export default withAuth(handler);
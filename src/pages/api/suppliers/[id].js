@@ -0,0 +1,65 @@
+import { getRepository } from '@/lib/storage';
+import { ApiError, sendError } from '@/lib/apiError';
+import { withAuth } from '@/lib/auth';
+import { normalizeSupplier } from '@/lib/suppliers';
+
+async function handler(req, res) {
+    const { id } = req.query;
+
+    if (req.method === 'GET') {
+        // Get a single supplier
+        try {
+            const repo = await getRepository();
+            const supplier = await repo.get('suppliers', id);
+
+            if (!supplier) {
+                return res.status(404).json({ error: 'Supplier not found' });
+            }
+
+            res.status(200).json(supplier);
+        } catch (error) {
+            sendError(res, error, 'Failed to read supplier');
+        }
+    } else if (req.method === 'PUT') {
+        // Replace a supplier's details and price list. Existing purchase orders keep their prices.
+        try {
+            const repo = await getRepository();
+            const supplier = await repo.transaction(async (tx) => {
+                const existing = await tx.get('suppliers', id);
+                if (!existing) {
+                    throw new ApiError(404, 'Supplier not found');
+                }
+                const products = await tx.list('products');
+                return tx.update('suppliers', id, normalizeSupplier({ ...existing, ...req.body }, products));
+            });
+
+            res.status(200).json(supplier);
+        } catch (error) {
+            sendError(res, error, 'Failed to update supplier');
+        }
+    } else if (req.method === 'DELETE') {
+        // Delete a supplier that no purchase order refers to
+        try {
+            const repo = await getRepository();
+            await repo.transaction(async (tx) => {
+                const existing = await tx.get('suppliers', id);
+                if (!existing) {
+                    throw new ApiError(404, 'Supplier not found');
+                }
+                const orders = await tx.list('purchaseOrders');
+                if (orders.some(order => order.supplierId === existing.id)) {
+                    throw new ApiError(409, `${existing.name} has purchase orders and cannot be deleted`);
+                }
+                await tx.remove('suppliers', id);
+            });
+
+            res.status(204).end();
+        } catch (error) {
+            sendError(res, error, 'Failed to delete supplier');
+        }
+    } else {
+        res.status(405).json({ error: 'Method not allowed' });
+    }
+}
+
+export default withAuth(handler);
@@ -0,0 +1,34 @@
+import { getRepository } from '@/lib/storage';
+import { sendError } from '@/lib/apiError';
+import { withAuth } from '@/lib/auth';
+import { normalizeSupplier } from '@/lib/suppliers';
+
+async function handler(req, res) {
+    if (req.method === 'GET') {
+        // Get all suppliers
+        try {
+            const repo = await getRepository();
+            const suppliers = await repo.list('suppliers');
+            res.status(200).json(suppliers);
+        } catch (error) {
+            sendError(res, error, 'Failed to read suppliers');
+        }
+    } else if (req.method === 'POST') {
+        // Create a supplier with its price list
+        try {
+            const repo = await getRepository();
+            const supplier = await repo.transaction(async (tx) => {
+                const products = await tx.list('products');
+                return tx.insert('suppliers', normalizeSupplier(req.body, products));
+            });
+
+            res.status(201).json(supplier);
+        } catch (error) {
+            sendError(res, error, 'Failed to create supplier');
+        }
+    } else {
+        res.status(405).json({ error: 'Method not allowed' });
+    }
+}
+
+export default withAuth(handler);
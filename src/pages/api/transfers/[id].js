@@ -0,0 +1,104 @@
+import { getRepository } from '@/lib/storage';
+import { auditedRepository } from '@/lib/audit';
+import { ApiError, sendError } from '@/lib/apiError';
+import { assertCan, withAuth } from '@/lib/auth';
+import { parsePayload } from '@/lib/validation';
+import {
+    TRANSFER_ACTIONS,
+    cancelTransfer,
+    correctTransfer,
+    enrichTransfer,
+    receiveTransfer,
+    reverseTransfer,
+    shipTransfer,
+} from '@/lib/transfers';
+
+const actionSchema = {
+    action: { type: 'string', label: 'Action', required: true, oneOf: Object.keys(TRANSFER_ACTIONS) },
+};
+
+async function handler(req, res) {
+    const { id } = req.query;
+
+    if (req.method === 'GET') {
+        // Get a single transfer
+        try {
+            const repo = await getRepository();
+            const transfer = await repo.get('transfers', id);
+
+            if (!transfer) {
+                return res.status(404).json({ error: 'Transfer not found' });
+            }
+
+            const products = await repo.list('products');
+            const warehouses = await repo.list('warehouses');
+            const picking = { stock: await repo.list('stock'), bins: await repo.list('bins') };
+
+            res.status(200).json(enrichTransfer(transfer, products, warehouses, picking));
+        } catch (error) {
+            sendError(res, error, 'Failed to read transfer');
+        }
+    } else if (req.method === 'POST') {
+        // Move a transfer through its lifecycle: { action: 'ship' | 'receive' | 'cancel' | 'reverse' | 'correct' }.
+        // receive takes optional lines: [{ productId, quantity }]; without them everything in transit arrives.
+        // correct takes lines: [{ productId, quantity }] with the quantity that should have arrived,
+        // or toWarehouseId when the stock went to a different warehouse than the one recorded.
+        // reverse and correct respond with the updated transfer and the adjustment transfer they created.
+        try {
+            const body = req.body ?? {};
+            const { action } = parsePayload(actionSchema, body);
+            const { lines, closeShort, note, toWarehouseId } = body;
+
+            const repo = auditedRepository(await getRepository(), req);
+            const enrichedTransfer = await repo.transaction(async (tx) => {
+                const transfer = await tx.get('transfers', id);
+                if (!transfer) {
+                    throw new ApiError(404, 'Transfer not found');
+                }
+
+                // Receiving happens at the destination, everything else at the source;
+                // reversals and corrections rewrite history and are for managers
+                if (action === 'reverse' || action === 'correct') {
+                    assertCan(req.user, 'manage_inventory');
+                } else {
+                    assertCan(req.user, 'move_stock', action === 'receive' ? transfer.toWarehouseId : transfer.fromWarehouseId);
+                }
+
+                const products = await tx.list('products');
+                const warehouses = await tx.list('warehouses');
+
+                if (action === 'reverse' || action === 'correct') {
+                    const result = action === 'reverse'
+                        ? await reverseTransfer(tx, transfer, { note })
+                        : await correctTransfer(tx, transfer, { lines, toWarehouseId, note });
+                    return {
+                        ...enrichTransfer(result.transfer, products, warehouses),
+                        adjustment: enrichTransfer(result.adjustment, products, warehouses),
+                    };
+                }
+
+                let updated;
+                if (action === 'ship') {
+                    updated = await shipTransfer(tx, transfer);
+                } else if (action === 'receive') {
+                    updated = await receiveTransfer(tx, transfer, { lines, closeShort: !!closeShort, note });
+                } else {
+                    updated = await cancelTransfer(tx, transfer, { note });
+                }
+
+                return enrichTransfer(updated, products, warehouses, {
+                    stock: await tx.list('stock'),
+                    bins: await tx.list('bins'),
+                });
+            });
+
+            res.status(200).json(enrichedTransfer);
+        } catch (error) {
+            sendError(res, error, 'Failed to update transfer');
+        }
+    } else {
+        res.status(405).json({ error: 'Method not allowed' });
+    }
+}
+
+export default withAuth(handler, { write: 'move_stock' });
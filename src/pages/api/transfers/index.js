@@ -1,152 +1,125 @@
-import fs from 'fs';
-import path from 'path';
-
-// Helper function to read JSON file
-const readJSONFile = (filename) => {
-    const filePath = path.join(process.cwd(), 'data', filename);
-    const fileData = fs.readFileSync(filePath, 'utf8');
-    return JSON.parse(fileData);
-};
-
-// Helper function to write JSON file
-const writeJSONFile = (filename, data) => {
-    const filePath = path.join(process.cwd(), 'data', filename);
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
-};
-
-export default function handler(req, res) {
+import { getRepository } from '@/lib/storage';
+import { auditedRepository } from '@/lib/audit';
+import { ApiError, sendError } from '@/lib/apiError';
+import { assertCan, withAuth } from '@/lib/auth';
+import { TransferLinesError, enrichTransfer, shipTransfer, transferReference, validateTransferLines } from '@/lib/transfers';
+import { withAvailability } from '@/lib/reservations';
+import { ValidationError, parsePayload, transferSchema } from '@/lib/validation';
+import { assertActive } from '@/lib/archive';
+import { listFilters, matchesSearch, pageRecords, parseListQuery, sendList, withinDates } from '@/lib/listQuery';
+
+async function handler(req, res) {
     if (req.method === 'GET') {
-        // Get all transfers
+        // Get transfers, newest first unless ?sort= says otherwise. Filters by ?warehouseId= (either end),
+        // ?fromWarehouseId=, ?toWarehouseId=, ?productId= (any line), ?status= and a ?dateFrom=/?dateTo= range,
+        // and searches the reference and product names and SKUs with ?q=; paging as in listQuery.js
         try {
-            const transfers = readJSONFile('transfers.json');
-            const products = readJSONFile('products.json');
-            const warehouses = readJSONFile('warehouses.json');
-
-            // Enrich transfers with product and warehouse details
-            const enrichedTransfers = transfers.map(transfer => {
-                const product = products.find(p => p.id === transfer.productId);
-                const fromWarehouse = warehouses.find(w => w.id === transfer.fromWarehouseId);
-                const toWarehouse = warehouses.find(w => w.id === transfer.toWarehouseId);
-
-                return {
-                    ...transfer,
-                    productName: product?.name || 'Unknown Product',
-                    productSku: product?.sku || 'N/A',
-                    fromWarehouseName: fromWarehouse?.name || 'Unknown Warehouse',
-                    toWarehouseName: toWarehouse?.name || 'Unknown Warehouse',
-                };
-            });
-
-            // Sort by date (newest first)
-            enrichedTransfers.sort((a, b) => new Date(b.date) - new Date(a.date));
-
-            res.status(200).json(enrichedTransfers);
+            const { warehouseId, fromWarehouseId, toWarehouseId, productId, status, dateFrom, dateTo, q, ...paging } = parseListQuery(req.query, listFilters.transfers);
+
+            const repo = await getRepository();
+            const transfers = (await repo.list('transfers')).filter(transfer =>
+                (!warehouseId || transfer.fromWarehouseId === warehouseId || transfer.toWarehouseId === warehouseId)
+                && (!fromWarehouseId || transfer.fromWarehouseId === fromWarehouseId)
+                && (!toWarehouseId || transfer.toWarehouseId === toWarehouseId)
+                && (!productId || transfer.lines.some(line => line.productId === productId))
+                && (!status || transfer.status === status)
+                && withinDates(transfer.date, dateFrom, dateTo)
+            );
+            const products = await repo.list('products');
+            const warehouses = await repo.list('warehouses');
+            const picking = { stock: await repo.list('stock'), bins: await repo.list('bins') };
+
+            // Enrich transfers with product and warehouse details and the bins to pick from
+            const enrichedTransfers = transfers
+                .map(transfer => enrichTransfer(transfer, products, warehouses, picking))
+                .filter(transfer => matchesSearch(
+                    q,
+                    transfer.reference,
+                    ...transfer.lines.flatMap(line => [line.productName, line.productSku])
+                ));
+
+            sendList(res, pageRecords(enrichedTransfers, paging, '-date'));
         } catch (error) {
-            res.status(500).json({ error: 'Failed to read transfers' });
+            sendError(res, error, 'Failed to read transfers');
         }
     } else if (req.method === 'POST') {
-        // Create new transfer
+        // Create a transfer order: { fromWarehouseId, toWarehouseId, lines: [{ productId, quantity }], notes, ship }.
+        // A single productId/quantity is accepted as a one-line order.
+        // The order starts out pending unless ship is set.
         try {
-            const { productId, fromWarehouseId, toWarehouseId, quantity, notes } = req.body;
-
-            // Validation
-            if (!productId || !fromWarehouseId || !toWarehouseId || !quantity) {
-                return res.status(400).json({ error: 'Missing required fields' });
-            }
+            const { fromWarehouseId, toWarehouseId, lines, notes, ship } = parsePayload(transferSchema, {
+                ...req.body,
+                lines: req.body.lines || (req.body.productId
+                    ? [{ productId: req.body.productId, quantity: req.body.quantity }]
+                    : []),
+            });
 
             if (fromWarehouseId === toWarehouseId) {
-                return res.status(400).json({ error: 'Source and destination warehouses must be different' });
-            }
-
-            if (quantity <= 0) {
-                return res.status(400).json({ error: 'Quantity must be greater than 0' });
-            }
-
-            // Read current data
-            const transfers = readJSONFile('transfers.json');
-            const stock = readJSONFile('stock.json');
-            const products = readJSONFile('products.json');
-            const warehouses = readJSONFile('warehouses.json');
-
-            // Verify product exists
-            const product = products.find(p => p.id === parseInt(productId));
-            if (!product) {
-                return res.status(404).json({ error: 'Product not found' });
+                throw new ValidationError({ toWarehouseId: 'Source and destination warehouses must be different' });
             }
-
-            // Verify warehouses exist
-            const fromWarehouse = warehouses.find(w => w.id === parseInt(fromWarehouseId));
-            const toWarehouse = warehouses.find(w => w.id === parseInt(toWarehouseId));
-
-            if (!fromWarehouse || !toWarehouse) {
-                return res.status(404).json({ error: 'Warehouse not found' });
-            }
-
-            // Check if source warehouse has enough stock
-            const sourceStock = stock.find(
-                s => s.productId === parseInt(productId) && s.warehouseId === parseInt(fromWarehouseId)
-            );
-
-            if (!sourceStock || sourceStock.quantity < parseInt(quantity)) {
-                return res.status(400).json({
-                    error: `Insufficient stock in ${fromWarehouse.name}. Available: ${sourceStock?.quantity || 0}, Requested: ${quantity}`
+            // Transfers are raised by the warehouse the stock leaves
+            assertCan(req.user, 'move_stock', fromWarehouseId);
+
+            // Read, check and write inside one transaction so concurrent transfers
+            // cannot both spend the same source stock
+            const repo = auditedRepository(await getRepository(), req);
+            const enrichedTransfer = await repo.transaction(async (tx) => {
+                const stock = withAvailability(await tx.list('stock'), await tx.list('salesOrders'));
+                const products = await tx.list('products');
+                const warehouses = await tx.list('warehouses');
+
+                // Verify warehouses exist
+                const fromWarehouse = warehouses.find(w => w.id === fromWarehouseId);
+                const toWarehouse = warehouses.find(w => w.id === toWarehouseId);
+
+                if (!fromWarehouse || !toWarehouse) {
+                    throw new ApiError(404, 'Warehouse not found');
+                }
+                assertActive(warehouses, 'fromWarehouseId', fromWarehouseId, { label: 'Warehouse' });
+                assertActive(warehouses, 'toWarehouseId', toWarehouseId, { label: 'Warehouse' });
+                lines.forEach((line, index) => {
+                    assertActive(products, `lines.${index}.productId`, line.productId, { label: 'Product' });
                 });
-            }
-
-            // Create new transfer
-            const newTransfer = {
-                id: transfers.length > 0 ? Math.max(...transfers.map(t => t.id)) + 1 : 1,
-                productId: parseInt(productId),
-                fromWarehouseId: parseInt(fromWarehouseId),
-                toWarehouseId: parseInt(toWarehouseId),
-                quantity: parseInt(quantity),
-                notes: notes || '',
-                date: new Date().toISOString(),
-                status: 'completed',
-            };
 
-            // Update stock levels
-            // Decrease stock in source warehouse
-            sourceStock.quantity -= parseInt(quantity);
-
-            // Increase stock in destination warehouse (or create new stock entry)
-            const destStock = stock.find(
-                s => s.productId === parseInt(productId) && s.warehouseId === parseInt(toWarehouseId)
-            );
-
-            if (destStock) {
-                destStock.quantity += parseInt(quantity);
-            } else {
-                // Create new stock entry for destination warehouse
-                const newStockId = stock.length > 0 ? Math.max(...stock.map(s => s.id)) + 1 : 1;
-                stock.push({
-                    id: newStockId,
-                    productId: parseInt(productId),
-                    warehouseId: parseInt(toWarehouseId),
-                    quantity: parseInt(quantity),
+                // Every line must be valid before anything is written
+                const lineErrors = validateTransferLines(lines, { products, stock, fromWarehouse });
+                if (lineErrors.length > 0) {
+                    throw new TransferLinesError(lineErrors);
+                }
+
+                // Save transfer record
+                const date = new Date().toISOString();
+                let newTransfer = await tx.insert('transfers', {
+                    fromWarehouseId,
+                    toWarehouseId,
+                    lines: lines.map(line => ({ ...line, receivedQuantity: 0 })),
+                    notes: notes || '',
+                    date,
+                    status: 'pending',
+                    history: [{ status: 'pending', timestamp: date }],
+                });
+                // The reference number is derived from the id the repository assigned
+                newTransfer = await tx.update('transfers', newTransfer.id, {
+                    reference: transferReference(newTransfer.id),
                 });
-            }
 
-            // Save updated data
-            transfers.push(newTransfer);
-            writeJSONFile('transfers.json', transfers);
-            writeJSONFile('stock.json', stock);
+                if (ship) {
+                    newTransfer = await shipTransfer(tx, newTransfer);
+                }
 
-            // Return enriched transfer
-            const enrichedTransfer = {
-                ...newTransfer,
-                productName: product.name,
-                productSku: product.sku,
-                fromWarehouseName: fromWarehouse.name,
-                toWarehouseName: toWarehouse.name,
-            };
+                return enrichTransfer(newTransfer, products, warehouses, {
+                    stock: await tx.list('stock'),
+                    bins: await tx.list('bins'),
+                });
+            });
 
             res.status(201).json(enrichedTransfer);
         } catch (error) {
-            console.error('Transfer error:', error);
-            res.status(500).json({ error: 'Failed to create transfer' });
+            sendError(res, error, 'Failed to create transfer');
         }
     } else {
         res.status(405).json({ error: 'Method not allowed' });
     }
 }
+
+export default withAuth(handler, { write: 'move_stock' });
@@ -0,0 +1,67 @@
+import { getRepository } from '@/lib/storage';
+import { auditedRepository } from '@/lib/audit';
+import { ApiError, sendError } from '@/lib/apiError';
+import { publicUser, withAuth } from '@/lib/auth';
+import { deleteUser, updateUser } from '@/lib/users';
+
+async function handler(req, res) {
+    const { id } = req.query;
+
+    if (req.method === 'GET') {
+        // Get a single user
+        try {
+            const repo = await getRepository();
+            const user = await repo.get('users', id);
+
+            if (!user) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+
+            res.status(200).json(publicUser(user));
+        } catch (error) {
+            sendError(res, error, 'Failed to read user');
+        }
+    } else if (req.method === 'PUT') {
+        // Change a user: any of { username, name, role, warehouseIds, password, active }
+        try {
+            const repo = auditedRepository(await getRepository(), req);
+            const user = await repo.transaction(async (tx) => {
+                const existing = await tx.get('users', id);
+                if (!existing) {
+                    throw new ApiError(404, 'User not found');
+                }
+                if (existing.id === req.user.id && (req.body.active === false || (req.body.role && req.body.role !== existing.role))) {
+                    throw new ApiError(409, 'You cannot deactivate your own account or change your own role');
+                }
+                return updateUser(tx, existing, req.body, req);
+            });
+
+            res.status(200).json(user);
+        } catch (error) {
+            sendError(res, error, 'Failed to update user');
+        }
+    } else if (req.method === 'DELETE') {
+        // Delete a user; their name stays on the audit log
+        try {
+            const repo = auditedRepository(await getRepository(), req);
+            await repo.transaction(async (tx) => {
+                const existing = await tx.get('users', id);
+                if (!existing) {
+                    throw new ApiError(404, 'User not found');
+                }
+                if (existing.id === req.user.id) {
+                    throw new ApiError(409, 'You cannot delete your own account');
+                }
+                await deleteUser(tx, existing);
+            });
+
+            res.status(200).json({ message: 'User deleted successfully' });
+        } catch (error) {
+            sendError(res, error, 'Failed to delete user');
+        }
+    } else {
+        res.status(405).json({ error: 'Method not allowed' });
+    }
+}
+
+export default withAuth(handler, { read: 'manage_users', write: 'manage_users' });
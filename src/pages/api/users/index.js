@@ -0,0 +1,33 @@
+import { getRepository } from '@/lib/storage';
+import { auditedRepository } from '@/lib/audit';
+import { sendError } from '@/lib/apiError';
+import { publicUser, withAuth } from '@/lib/auth';
+import { createUser } from '@/lib/users';
+
+async function handler(req, res) {
+    if (req.method === 'GET') {
+        // Get all users, without their password hashes
+        try {
+            const repo = await getRepository();
+            const users = await repo.list('users');
+
+            res.status(200).json(users.map(publicUser));
+        } catch (error) {
+            sendError(res, error, 'Failed to fetch users');
+        }
+    } else if (req.method === 'POST') {
+        // Create a user: { username, name, role, password, warehouseIds }
+        try {
+            const repo = auditedRepository(await getRepository(), req);
+            const user = await repo.transaction(tx => createUser(tx, req.body));
+
+            res.status(201).json(user);
+        } catch (error) {
+            sendError(res, error, 'Failed to create user');
+        }
+    } else {
+        res.status(405).json({ error: 'Method not allowed' });
+    }
+}
+
+export default withAuth(handler, { read: 'manage_users', write: 'manage_users' });
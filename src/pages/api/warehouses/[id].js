@@ -1,40 +1,70 @@
 // pages/api/warehouses/[id].js
-import fs from 'fs';
-import path from 'path';
+import { getRepository } from '@/lib/storage';
+import { auditedRepository } from '@/lib/audit';
+import { ApiError, sendError } from '@/lib/apiError';
+import { withAuth } from '@/lib/auth';
+import { archiveRecord, restoreRecord } from '@/lib/archive';
+import { describeDependents } from '@/lib/dependents';
+import { deleteWarehouse, updateWarehouse } from '@/lib/warehouses';
 
-export default function handler(req, res) {
+async function handler(req, res) {
   const { id } = req.query;
-  const filePath = path.join(process.cwd(), 'data', 'warehouses.json');
-  const jsonData = fs.readFileSync(filePath);
-  let warehouses = JSON.parse(jsonData);
+  const repo = auditedRepository(await getRepository(), req);
 
   if (req.method === 'GET') {
-    const warehouse = warehouses.find((w) => w.id === parseInt(id));
-    if (warehouse) {
+    const warehouse = await repo.get('warehouses', id);
+    if (warehouse && req.query.include === 'dependents') {
+      // What a delete would affect, for the confirmation dialog
+      res.status(200).json({ ...warehouse, dependents: await describeDependents(repo, 'warehouse', warehouse.id) });
+    } else if (warehouse) {
       res.status(200).json(warehouse);
     } else {
-      res.status(404).json({ message: 'Warehouse not found' });
+      res.status(404).json({ error: 'Warehouse not found' });
     }
   } else if (req.method === 'PUT') {
-    const index = warehouses.findIndex((w) => w.id === parseInt(id));
-    if (index !== -1) {
-      warehouses[index] = { ...warehouses[index], ...req.body, id: parseInt(id) };
-      fs.writeFileSync(filePath, JSON.stringify(warehouses, null, 2));
-      res.status(200).json(warehouses[index]);
-    } else {
-      res.status(404).json({ message: 'Warehouse not found' });
+    try {
+      // Only the fields that were sent are checked and changed
+      const warehouse = await repo.transaction(tx => updateWarehouse(tx, id, req.body));
+
+      res.status(200).json(warehouse);
+    } catch (error) {
+      sendError(res, error, 'Failed to update warehouse');
+    }
+  } else if (req.method === 'POST') {
+    // Archive or restore: { action: 'archive' | 'restore' }
+    try {
+      const warehouse = await repo.transaction(async (tx) => {
+        const existing = await tx.get('warehouses', id);
+        if (!existing) {
+          throw new ApiError(404, 'Warehouse not found');
+        }
+
+        if (req.body.action === 'archive') {
+          return archiveRecord(tx, 'warehouse', existing);
+        }
+        if (req.body.action === 'restore') {
+          return restoreRecord(tx, 'warehouse', existing);
+        }
+        throw new ApiError(400, `Unknown warehouse action: ${req.body.action}`);
+      });
+
+      res.status(200).json(warehouse);
+    } catch (error) {
+      sendError(res, error, 'Failed to change warehouse status');
     }
   } else if (req.method === 'DELETE') {
-    const index = warehouses.findIndex((w) => w.id === parseInt(id));
-    if (index !== -1) {
-      warehouses.splice(index, 1);
-      fs.writeFileSync(filePath, JSON.stringify(warehouses, null, 2));
+    // Refused while anything depends on the warehouse; ?mode=cascade also zeroes and deletes its stock
+    // and deletes its alerts, bins and price-list entries, but never documents or ledger movements
+    try {
+      await repo.transaction(tx => deleteWarehouse(tx, id, req.query.mode));
+
       res.status(204).end();
-    } else {
-      res.status(404).json({ message: 'Warehouse not found' });
+    } catch (error) {
+      sendError(res, error, 'Failed to delete warehouse');
     }
   } else {
-    res.status(405).json({ message: 'Method Not Allowed' });
+    res.status(405).json({ error: 'Method not allowed' });
   }
 }
 
+export default withAuth(handler);
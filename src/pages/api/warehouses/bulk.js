@@ -0,0 +1,13 @@
+// pages/api/warehouses/bulk.js
+import { withAuth } from '@/lib/auth';
+import { bulkHandler } from '@/lib/bulk';
+import { createWarehouse, deleteWarehouse, updateWarehouse } from '@/lib/warehouses';
+
+// Create (POST), change (PUT) or delete (DELETE) many warehouses in one transaction; see bulk.js.
+// Deletes take ?mode=cascade like a single delete.
+export default withAuth(bulkHandler({
+  label: 'Warehouse',
+  create: createWarehouse,
+  update: updateWarehouse,
+  remove: (tx, id, req) => deleteWarehouse(tx, id, req.query.mode),
+}));
@@ -1,22 +1,30 @@
 // pages/api/warehouses/index.js
-import fs from 'fs';
-import path from 'path';
+import { getRepository } from '@/lib/storage';
+import { auditedRepository } from '@/lib/audit';
+import { sendError } from '@/lib/apiError';
+import { withAuth } from '@/lib/auth';
+import { recordStatus } from '@/lib/archive';
+import { createWarehouse } from '@/lib/warehouses';
 
-export default function handler(req, res) {
-  const filePath = path.join(process.cwd(), 'data', 'warehouses.json');
-  const jsonData = fs.readFileSync(filePath);
-  let warehouses = JSON.parse(jsonData);
+async function handler(req, res) {
+  const repo = auditedRepository(await getRepository(), req);
 
   if (req.method === 'GET') {
+    // Archived warehouses are included unless ?status=active, so history can still resolve them
+    const { status } = req.query;
+    const warehouses = (await repo.list('warehouses')).filter(r => !status || recordStatus(r) === status);
     res.status(200).json(warehouses);
   } else if (req.method === 'POST') {
-    const newWarehouse = req.body;
-    newWarehouse.id = warehouses.length ? Math.max(...warehouses.map(w => w.id)) + 1 : 1;
-    warehouses.push(newWarehouse);
-    fs.writeFileSync(filePath, JSON.stringify(warehouses, null, 2));
-    res.status(201).json(newWarehouse);
+    try {
+      const newWarehouse = await repo.transaction(tx => createWarehouse(tx, req.body));
+
+      res.status(201).json(newWarehouse);
+    } catch (error) {
+      sendError(res, error, 'Failed to create warehouse');
+    }
   } else {
-    res.status(405).json({ message: 'Method Not Allowed' });
+    res.status(405).json({ error: 'Method not allowed' });
   }
 }
 
+export default withAuth(handler);
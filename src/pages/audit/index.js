@@ -0,0 +1,415 @@
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { AUDIT_ACTIONS, AUDIT_ENTITIES } from '@/lib/audit';
+import { useSession } from '@/components/SessionProvider';
+import { can } from '@/lib/permissions';
+
+const ACTION_BADGES = {
+    create: 'bg-emerald-500 text-white border-emerald-600',
+    update: 'bg-blue-500 text-white border-blue-600',
+    delete: 'bg-red-500 text-white border-red-600',
+};
+
+const ACTION_ICONS = {
+    create: '➕',
+    update: '✏️',
+    delete: '🗑️',
+};
+
+const formatDateTime = (date) => new Date(date).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+});
+
+// Arrays and objects (lots, bins, transfer lines) are shown as compact JSON
+const formatValue = (value) => {
+    if (value === null) {
+        return '—';
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+export default function AuditPage() {
+    const { user } = useSession();
+    const [entries, setEntries] = useState([]);
+    const [users, setUsers] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [entityFilter, setEntityFilter] = useState('all');
+    const [userFilter, setUserFilter] = useState('all');
+
+    const router = useRouter();
+    const entityId = router.query.entityId;
+    const allowed = can(user, 'manage_inventory');
+
+    // Deep links such as /audit?entity=product&entityId=3 show the history of one record
+    useEffect(() => {
+        if (router.query.entity && AUDIT_ENTITIES[router.query.entity]) {
+            setEntityFilter(router.query.entity);
+        }
+    }, [router.query.entity]);
+
+    useEffect(() => {
+        if (!allowed) {
+            return;
+        }
+        // Every user that appears in the log, for the user filter
+        fetch('/api/audit')
+            .then(res => res.json())
+            .then(data => setUsers([...new Set(data.map(e => e.user))].sort()))
+            .catch(error => console.error('Failed to fetch audit users:', error));
+    }, [allowed]);
+
+    useEffect(() => {
+        if (router.isReady && allowed) {
+            fetchEntries();
+        }
+    }, [router.isReady, allowed, entityFilter, userFilter, entityId]);
+
+    const fetchEntries = async () => {
+        setLoading(true);
+        try {
+            const params = new URLSearchParams();
+            if (entityFilter !== 'all') params.set('entity', entityFilter);
+            if (userFilter !== 'all') params.set('user', userFilter);
+            if (entityId && entityFilter !== 'all') params.set('entityId', entityId);
+
+            const res = await fetch(`/api/audit?${params}`);
+            setEntries(await res.json());
+        } catch (error) {
+            console.error('Failed to fetch audit log:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleEntityFilter = (entity) => {
+        setEntityFilter(entity);
+        if (entityId) {
+            router.replace('/audit', undefined, { shallow: true });
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-emerald-50 via-white to-green-50">
+            <Navigation />
+
+            <main className="container mx-auto px-4 py-8 max-w-7xl">
+                {/* Header */}
+                <div className="mb-8">
+                    <h1 className="text-4xl font-bold text-gray-900 mb-2 bg-gradient-to-r from-emerald-600 to-green-600 bg-clip-text text-transparent">
+                        Audit Log
+                    </h1>
+                    <p className="text-gray-600">
+                        Who created, changed or deleted products, warehouses, stock, transfers and alerts, and what changed
+                    </p>
+                </div>
+
+                {/* Audit Entries */}
+                {!allowed ? (
+                    <div className="p-4 bg-red-50 border-l-4 border-red-500 text-red-700 rounded-lg shadow-md">
+                        <div className="flex items-center gap-2">
+                            <span className="text-2xl">🔒</span>
+                            <p className="font-semibold">Only inventory managers and admins can see the audit log</p>
+                        </div>
+                    </div>
+                ) : (
+                    <Card className="shadow-lg border-t-4 border-t-emerald-500">
+                        <CardHeader>
+                            <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+                                <div>
+                                    <CardTitle className="flex items-center gap-2">
+                                        <span className="text-2xl">🕵️</span>
+                                        Changes
+                                    </CardTitle>
+                                    <CardDescription>
+                                        {entries.length} {entries.length === 1 ? 'change' : 'changes'}
+                                        {entityId && entityFilter !== 'all' && ` to ${AUDIT_ENTITIES[entityFilter].label.toLowerCase()} #${entityId}`}
+                                    </CardDescription>
+                                </div>
+                                <div className="flex flex-col md:flex-row gap-2">
+                                    <select
+                                        value={entityFilter}
+                                        onChange={(e) => handleEntityFilter(e.target.value)}
+                                        className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+                                        aria-label="Filter by entity"
+                                    >
+                                        <option value="all">All records</option>
+                                        {Object.entries(AUDIT_ENTITIES).map(([entity, { label }]) => (
+                                            <option key={entity} value={entity}>{label}s</option>
+                                        ))}
+                                    </select>
+                                    <select
+                                        value={userFilter}
+                                        onChange={(e) => setUserFilter(e.target.value)}
+                                        className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+                                        aria-label="Filter by user"
+                                    >
+                                        <option value="all">All users</option>
+                                        {users.map(user => (
+                                            <option key={user} value={user}>{user}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                            </div>
+                        </CardHeader>
+                        <CardContent>
+                            {loading ? (
+                                <div className="flex items-center justify-center py-12">
+                                    <div className="text-center">
+                                        <div className="inline-block animate-spin rounded-full h-12 w-12 border-4 border-emerald-500 border-t-transparent"></div>
+                                        <p className="mt-4 text-gray-600">Loading audit log...</p>
+                                    </div>
+                                </div>
+                            ) : entries.length === 0 ? (
+                                <div className="text-center py-12">
+                                    <div className="text-6xl mb-4">🕵️</div>
+                                    <p className="text-xl text-gray-600 font-semibold mb-2">No changes recorded</p>
+                                    <p className="text-gray-500">Changes show up here as soon as they are made</p>
+                                </div>
+                            ) : (
+                                <div className="overflow-x-auto">
+                                    <table className="w-full">
+                                        <thead>
+                                            <tr className="border-b-2 border-gray-200 bg-gray-50">
+                                                <th className="text-left py-4 px-4 font-semibold text-gray-700">When</th>
+                                                <th className="text-left py-4 px-4 font-semibold text-gray-700">User</th>
+                                                <th className="text-left py-4 px-4 font-semibold text-gray-700">Record</th>
+                                                <th className="text-center py-4 px-4 font-semibold text-gray-700">Action</th>
+                                                <th className="text-left py-4 px-4 font-semibold text-gray-700">Changes</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {entries.map(entry => (
+                                                <tr
+                                                    key={entry.id}
+                                                    className="border-b border-gray-100 hover:bg-emerald-50 transition-colors duration-150 align-top"
+                                                >
+                                                    <td className="py-4 px-4 whitespace-nowrap">
+                                                        <p className="text-sm text-gray-900">{formatDateTime(entry.timestamp)}</p>
+                                                        <p className="text-xs text-gray-500 font-mono">{entry.route}</p>
+                                                    </td>
+                                                    <td className="py-4 px-4 font-semibold text-gray-900">{entry.user}</td>
+                                                    <td className="py-4 px-4">
+                                                        <p className="font-semibold text-gray-900">{entry.label}</p>
+                                                        <p className="text-xs text-gray-500">
+                                                            {AUDIT_ENTITIES[entry.entity]?.label || entry.entity} #{entry.entityId}
+                                                        </p>
+                                                    </td>
+                                                    <td className="py-4 px-4 text-center">
+                                                        <Badge className={`${ACTION_BADGES[entry.action]} shadow-sm`}>
+                                                            {ACTION_ICONS[entry.action]} {AUDIT_ACTIONS[entry.action]}
+                                                        </Badge>
+                                                    </td>
+                                                    <td className="py-4 px-4 text-sm">
+                                                        <ul className="space-y-1">
+                                                            {Object.entries(entry.changes).map(([field, { from, to }]) => (
+                                                                <li key={field} className="break-all">
+                                                                    <span className="font-mono text-gray-700">{field}</span>:{' '}
+                                                                    {entry.action !== 'create' && (
+                                                                        <span className="text-red-600 line-through">{formatValue(from)}</span>
+                                                                    )}
+                                                                    {entry.action === 'update' && ' → '}
+                                                                    {entry.action !== 'delete' && (
+                                                                        <span className="text-emerald-700">{formatValue(to)}</span>
+                                                                    )}
+                                                                </li>
+                                                            ))}
+                                                        </ul>
+                                                    </td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            )}
+                        </CardContent>
+                    </Card>
+                )}
+            </main>
+        </div>
+    );
+}
+
+// Navigation Component
+function Navigation() {
+    const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
+
+    return (
+        <nav className="bg-white shadow-md border-b border-gray-200 sticky top-0 z-50">
+            <div className="container mx-auto px-4">
+                <div className="flex items-center justify-between h-16">
+                    <Link href="/" className="flex items-center gap-3 hover:opacity-80 transition-opacity">
+                        <div>
+                            <h1 className="text-lg md:text-xl font-bold text-gray-900">
+                                <span className="md:hidden">IMS</span>
+                                <span className="hidden md:inline">Inventory Management System</span>
+                            </h1>
+                        </div>
+                    </Link>
+
+                    {/* Desktop Navigation */}
+                    <div className="hidden md:flex items-center gap-2">
+                        <Link href="/">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🏠 Dashboard
+                            </Button>
+                        </Link>
+                        <Link href="/products">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📦 Products
+                            </Button>
+                        </Link>
+                        <Link href="/warehouses">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🏭 Warehouses
+                            </Button>
+                        </Link>
+                        <Link href="/stock">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📊 Stock Levels
+                            </Button>
+                        </Link>
+                        <Link href="/transfers">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🔄 Transfers
+                            </Button>
+                        </Link>
+                        <Link href="/alerts">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🔔 Alerts
+                            </Button>
+                        </Link>
+                        <Link href="/purchase-orders">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🧾 Purchasing
+                            </Button>
+                        </Link>
+                        <Link href="/receiving">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📥 Receiving
+                            </Button>
+                        </Link>
+                        <Link href="/sales-orders">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🛒 Sales
+                            </Button>
+                        </Link>
+                        <Link href="/stock-counts">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📋 Counts
+                            </Button>
+                        </Link>
+                        <Link href="/adjustments">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                ⚖️ Adjustments
+                            </Button>
+                        </Link>
+                        <Link href="/audit">
+                            <Button variant="ghost" className="bg-emerald-50 text-emerald-600 hover:bg-emerald-100 transition-all duration-200">
+                                🕵️ Audit
+                            </Button>
+                        </Link>
+                    </div>
+
+                    {/* Mobile Hamburger Button */}
+                    <button
+                        onClick={() => setMobileMenuOpen(!mobileMenuOpen)}
+                        className="md:hidden p-2 rounded-lg hover:bg-gray-100 transition-colors"
+                        aria-label="Toggle menu"
+                    >
+                        <svg
+                            className="w-6 h-6 text-gray-700"
+                            fill="none"
+                            strokeLinecap="round"
+                            strokeLinejoin="round"
+                            strokeWidth="2"
+                            viewBox="0 0 24 24"
+                            stroke="currentColor"
+                        >
+                            {mobileMenuOpen ? (
+                                <path d="M6 18L18 6M6 6l12 12" />
+                            ) : (
+                                <path d="M4 6h16M4 12h16M4 18h16" />
+                            )}
+                        </svg>
+                    </button>
+                </div>
+
+                {/* Mobile Menu */}
+                {mobileMenuOpen && (
+                    <div className="md:hidden py-4 border-t border-gray-200 animate-fade-in">
+                        <div className="flex flex-col space-y-2">
+                            <Link href="/" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🏠 Dashboard
+                                </Button>
+                            </Link>
+                            <Link href="/products" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📦 Products
+                                </Button>
+                            </Link>
+                            <Link href="/warehouses" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🏭 Warehouses
+                                </Button>
+                            </Link>
+                            <Link href="/stock" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📊 Stock Levels
+                                </Button>
+                            </Link>
+                            <Link href="/transfers" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🔄 Transfers
+                                </Button>
+                            </Link>
+                            <Link href="/alerts" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🔔 Alerts
+                                </Button>
+                            </Link>
+                            <Link href="/purchase-orders" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🧾 Purchasing
+                                </Button>
+                            </Link>
+                            <Link href="/receiving" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📥 Receiving
+                                </Button>
+                            </Link>
+                            <Link href="/sales-orders" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🛒 Sales
+                                </Button>
+                            </Link>
+                            <Link href="/stock-counts" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📋 Counts
+                                </Button>
+                            </Link>
+                            <Link href="/adjustments" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    ⚖️ Adjustments
+                                </Button>
+                            </Link>
+                            <Link href="/audit" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start bg-emerald-50 text-emerald-600 hover:bg-emerald-100 transition-all duration-200">
+                                    🕵️ Audit
+                                </Button>
+                            </Link>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </nav>
+    );
+}
@@ -0,0 +1,640 @@
+import { useState, useEffect, useMemo } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { useSession } from '@/components/SessionProvider';
+import { can } from '@/lib/permissions';
+import {
+    IMPORT_MODES,
+    IMPORT_TYPES,
+    guessMapping,
+    planImport,
+    readImportFile,
+    runImport,
+    unmappedKeyFields,
+} from '@/lib/importUtils';
+
+const ACTION_BADGES = {
+    create: { label: 'Create', className: 'bg-emerald-500 text-white border-emerald-600' },
+    update: { label: 'Update', className: 'bg-blue-500 text-white border-blue-600' },
+    skip: { label: 'Skip', className: 'bg-gray-400 text-white border-gray-500' },
+    invalid: { label: 'Error', className: 'bg-red-500 text-white border-red-600' },
+};
+
+// Rows shown in the preview; every row is still checked and imported
+const PREVIEW_LIMIT = 200;
+
+const INPUT_CLASS = 'w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all';
+
+const displayCell = (value) => (value === undefined ? '' : String(value));
+
+export default function ImportPage() {
+    const router = useRouter();
+    const { user } = useSession();
+    const [type, setType] = useState('products');
+    const [mode, setMode] = useState('upsert');
+    const [file, setFile] = useState(null);
+    const [fileName, setFileName] = useState('');
+    const [mapping, setMapping] = useState({});
+    const [existing, setExisting] = useState(null);
+    const [onlyProblems, setOnlyProblems] = useState(false);
+    const [fileError, setFileError] = useState('');
+    const [reading, setReading] = useState(false);
+    const [importing, setImporting] = useState(false);
+    const [report, setReport] = useState(null);
+
+    const allowedTypes = Object.keys(IMPORT_TYPES).filter(key => can(user, IMPORT_TYPES[key].permission));
+
+    useEffect(() => {
+        // Products, warehouses and stock pages link here with ?type=
+        if (router.isReady && IMPORT_TYPES[router.query.type]) {
+            setType(router.query.type);
+        }
+    }, [router.isReady, router.query.type]);
+
+    useEffect(() => {
+        if (allowedTypes.length > 0 && !allowedTypes.includes(type)) {
+            setType(allowedTypes[0]);
+        }
+    }, [allowedTypes.join(), type]);
+
+    const fetchExisting = async () => {
+        try {
+            const [productsRes, warehousesRes, stockRes] = await Promise.all([
+                fetch('/api/products'),
+                fetch('/api/warehouses'),
+                fetch('/api/stock'),
+            ]);
+            setExisting({
+                products: await productsRes.json(),
+                warehouses: await warehousesRes.json(),
+                stock: await stockRes.json(),
+            });
+        } catch (error) {
+            console.error('Failed to fetch existing records:', error);
+            setFileError('Existing records could not be loaded, so rows cannot be matched');
+        }
+    };
+
+    const handleTypeChange = (newType) => {
+        setType(newType);
+        setReport(null);
+        if (file) {
+            setMapping(guessMapping(newType, file.headers));
+        }
+    };
+
+    const handleFile = async (e) => {
+        const chosen = e.target.files[0];
+        e.target.value = '';
+        if (!chosen) {
+            return;
+        }
+        setFileError('');
+        setReport(null);
+        setReading(true);
+        try {
+            const parsed = await readImportFile(chosen);
+            setFile(parsed);
+            setFileName(chosen.name);
+            setMapping(guessMapping(type, parsed.headers));
+            await fetchExisting();
+        } catch (error) {
+            setFile(null);
+            setFileError(error.message || 'The file could not be read');
+        } finally {
+            setReading(false);
+        }
+    };
+
+    const handleMappingChange = (field, value) => {
+        setMapping(prev => {
+            const next = { ...prev };
+            if (value === '') {
+                delete next[field];
+            } else {
+                next[field] = parseInt(value);
+            }
+            return next;
+        });
+    };
+
+    const resetImport = () => {
+        setFile(null);
+        setFileName('');
+        setMapping({});
+        setReport(null);
+        setFileError('');
+        setOnlyProblems(false);
+    };
+
+    const importType = IMPORT_TYPES[type];
+    const missingKeys = file ? unmappedKeyFields(type, mapping) : [];
+    const mappedFields = Object.keys(importType.schema).filter(field => mapping[field] !== undefined);
+
+    const plan = useMemo(() => (
+        file && existing && missingKeys.length === 0
+            ? planImport({ type, mode, rows: file.rows, mapping, existing, user })
+            : []
+    ), [file, existing, type, mode, mapping, user, missingKeys.length]);
+
+    const counts = plan.reduce((totals, row) => ({ ...totals, [row.action]: (totals[row.action] || 0) + 1 }), {});
+    const toSend = (counts.create || 0) + (counts.update || 0);
+    const previewRows = (onlyProblems ? plan.filter(row => row.action === 'invalid') : plan).slice(0, PREVIEW_LIMIT);
+
+    const handleImport = async () => {
+        if (!confirm(`Import ${toSend} ${importType.label.toLowerCase()} rows from ${fileName}?`)) {
+            return;
+        }
+        setImporting(true);
+        try {
+            setReport(await runImport(type, plan));
+            await fetchExisting();
+        } finally {
+            setImporting(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-emerald-50 via-white to-green-50">
+            <Navigation />
+
+            <main className="container mx-auto px-4 py-8 max-w-7xl">
+                {/* Header */}
+                <div className="mb-8">
+                    <h1 className="text-4xl font-bold text-gray-900 mb-2 bg-gradient-to-r from-emerald-600 to-green-600 bg-clip-text text-transparent">
+                        Import
+                    </h1>
+                    <p className="text-gray-600">
+                        Load products, warehouses and stock levels from a CSV or Excel (.xlsx) file
+                    </p>
+                </div>
+
+                {allowedTypes.length === 0 ? (
+                    <div className="p-4 bg-red-50 border-l-4 border-red-500 text-red-700 rounded-lg shadow-md">
+                        <div className="flex items-center gap-2">
+                            <span className="text-2xl">🔒</span>
+                            <p className="font-semibold">Your role cannot import records</p>
+                        </div>
+                    </div>
+                ) : (
+                    <>
+                        {/* Summary Report */}
+                        {report && (
+                            <Card className="mb-8 shadow-lg border-t-4 border-t-emerald-500">
+                                <CardHeader>
+                                    <CardTitle className="flex items-center gap-2">
+                                        <span className="text-2xl">{report.failed + report.invalid > 0 ? '⚠️' : '✅'}</span>
+                                        Import Summary
+                                    </CardTitle>
+                                    <CardDescription>{fileName} into {importType.label}</CardDescription>
+                                </CardHeader>
+                                <CardContent>
+                                    <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
+                                        {[
+                                            ['Created', report.created, 'text-emerald-600'],
+                                            ['Updated', report.updated, 'text-blue-600'],
+                                            ['Skipped', report.skipped, 'text-gray-600'],
+                                            ['Invalid', report.invalid, 'text-red-600'],
+                                            ['Failed', report.failed, 'text-red-600'],
+                                        ].map(([label, value, color]) => (
+                                            <div key={label} className="p-4 bg-gray-50 rounded-lg text-center">
+                                                <p className={`text-3xl font-bold ${color}`}>{value}</p>
+                                                <p className="text-sm text-gray-600">{label}</p>
+                                            </div>
+                                        ))}
+                                    </div>
+                                    {report.problems.length > 0 && (
+                                        <div className="overflow-x-auto mb-4">
+                                            <table className="w-full">
+                                                <thead>
+                                                    <tr className="border-b-2 border-gray-200 bg-gray-50">
+                                                        <th className="text-left py-3 px-4 font-semibold text-gray-700">Row</th>
+                                                        <th className="text-left py-3 px-4 font-semibold text-gray-700">Not imported because</th>
+                                                    </tr>
+                                                </thead>
+                                                <tbody>
+                                                    {report.problems.map(problem => (
+                                                        <tr key={problem.rowNumber} className="border-b border-gray-100">
+                                                            <td className="py-2 px-4 font-mono text-sm">{problem.rowNumber}</td>
+                                                            <td className="py-2 px-4 text-sm text-red-700">{problem.message}</td>
+                                                        </tr>
+                                                    ))}
+                                                </tbody>
+                                            </table>
+                                        </div>
+                                    )}
+                                    <Button variant="outline" onClick={resetImport}>
+                                        Import another file
+                                    </Button>
+                                </CardContent>
+                            </Card>
+                        )}
+
+                        {/* File Error */}
+                        {fileError && (
+                            <div className="mb-6 p-4 bg-red-50 border-l-4 border-red-500 text-red-700 rounded-lg shadow-md">
+                                <div className="flex items-center gap-2">
+                                    <span className="text-2xl">⚠️</span>
+                                    <p className="font-semibold">{fileError}</p>
+                                </div>
+                            </div>
+                        )}
+
+                        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8 mb-8">
+                            {/* File & Options */}
+                            <Card className="shadow-lg border-t-4 border-t-emerald-500 h-fit">
+                                <CardHeader>
+                                    <CardTitle className="flex items-center gap-2">
+                                        <span className="text-2xl">📂</span>
+                                        File
+                                    </CardTitle>
+                                    <CardDescription>The first row must hold the column names</CardDescription>
+                                </CardHeader>
+                                <CardContent className="space-y-4">
+                                    <div>
+                                        <label className="block text-sm font-semibold text-gray-700 mb-2">Import into</label>
+                                        <select
+                                            value={type}
+                                            onChange={(e) => handleTypeChange(e.target.value)}
+                                            className={INPUT_CLASS}
+                                        >
+                                            {allowedTypes.map(key => (
+                                                <option key={key} value={key}>{IMPORT_TYPES[key].label}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-semibold text-gray-700 mb-2">Existing records</label>
+                                        {Object.entries(IMPORT_MODES).map(([key, { label, description }]) => (
+                                            <label key={key} className="flex items-start gap-2 mb-2 text-sm text-gray-700">
+                                                <input
+                                                    type="radio"
+                                                    name="mode"
+                                                    value={key}
+                                                    checked={mode === key}
+                                                    onChange={() => setMode(key)}
+                                                    className="mt-1 h-4 w-4 accent-emerald-600"
+                                                />
+                                                <span>
+                                                    <span className="font-semibold">{label}</span>
+                                                    <span className="block text-gray-500">{description}</span>
+                                                </span>
+                                            </label>
+                                        ))}
+                                        <p className="text-xs text-gray-500">
+                                            Matched by {importType.keyFields.map(field => importType.schema[field].label).join(' and ')}
+                                        </p>
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-semibold text-gray-700 mb-2">CSV or Excel file</label>
+                                        <input
+                                            type="file"
+                                            accept=".csv,.txt,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+                                            onChange={handleFile}
+                                            disabled={reading || importing}
+                                            className="block w-full text-sm text-gray-700 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-emerald-50 file:text-emerald-700 file:font-semibold hover:file:bg-emerald-100"
+                                        />
+                                        {reading && <p className="mt-2 text-sm text-gray-500">Reading file...</p>}
+                                        {file && !reading && (
+                                            <p className="mt-2 text-sm text-gray-600">
+                                                {fileName}: {file.rows.length} rows, {file.headers.length} columns
+                                            </p>
+                                        )}
+                                    </div>
+                                </CardContent>
+                            </Card>
+
+                            {/* Column Mapping */}
+                            <Card className="shadow-lg border-t-4 border-t-emerald-500 lg:col-span-2">
+                                <CardHeader>
+                                    <CardTitle className="flex items-center gap-2">
+                                        <span className="text-2xl">🔗</span>
+                                        Columns
+                                    </CardTitle>
+                                    <CardDescription>
+                                        Choose the column that holds each field; unmapped fields are left as they are on updates
+                                    </CardDescription>
+                                </CardHeader>
+                                <CardContent>
+                                    {!file ? (
+                                        <p className="py-12 text-center text-gray-500">Choose a file to map its columns</p>
+                                    ) : (
+                                        <>
+                                            {missingKeys.length > 0 && (
+                                                <div className="mb-4 p-4 bg-red-50 border-l-4 border-red-500 text-red-700 rounded-lg">
+                                                    <p className="font-semibold">
+                                                        Choose a column for {missingKeys.join(' and ')} so rows can be matched
+                                                    </p>
+                                                </div>
+                                            )}
+                                            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                                                {Object.entries(importType.schema).map(([field, rule]) => (
+                                                    <div key={field}>
+                                                        <label className="block text-sm font-semibold text-gray-700 mb-2">
+                                                            {rule.label}
+                                                            {rule.required && <span className="text-red-500"> *</span>}
+                                                        </label>
+                                                        <select
+                                                            value={mapping[field] ?? ''}
+                                                            onChange={(e) => handleMappingChange(field, e.target.value)}
+                                                            className={INPUT_CLASS}
+                                                        >
+                                                            <option value="">Not imported</option>
+                                                            {file.headers.map((header, index) => (
+                                                                <option key={index} value={index}>{header}</option>
+                                                            ))}
+                                                        </select>
+                                                    </div>
+                                                ))}
+                                            </div>
+                                        </>
+                                    )}
+                                </CardContent>
+                            </Card>
+                        </div>
+
+                        {/* Preview */}
+                        {file && missingKeys.length === 0 && !report && (
+                            <Card className="shadow-lg border-t-4 border-t-emerald-500">
+                                <CardHeader>
+                                    <div className="flex flex-wrap items-center justify-between gap-4">
+                                        <div>
+                                            <CardTitle className="flex items-center gap-2">
+                                                <span className="text-2xl">👀</span>
+                                                Preview
+                                            </CardTitle>
+                                            <CardDescription className="mt-1 flex flex-wrap gap-2">
+                                                {Object.entries(ACTION_BADGES).map(([action, { label, className }]) => (
+                                                    <Badge key={action} className={`${className} shadow-sm`}>
+                                                        {label}: {counts[action] || 0}
+                                                    </Badge>
+                                                ))}
+                                            </CardDescription>
+                                        </div>
+                                        <div className="flex items-center gap-4">
+                                            <label className="flex items-center gap-2 text-sm text-gray-700">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={onlyProblems}
+                                                    onChange={(e) => setOnlyProblems(e.target.checked)}
+                                                    className="h-4 w-4 accent-emerald-600"
+                                                />
+                                                Only rows with errors
+                                            </label>
+                                            <Button
+                                                onClick={handleImport}
+                                                disabled={importing || toSend === 0}
+                                                className="bg-gradient-to-r from-emerald-600 to-green-600 hover:from-emerald-700 hover:to-green-700 shadow-md"
+                                            >
+                                                {importing ? 'Importing...' : `⬆️ Import ${toSend} Rows`}
+                                            </Button>
+                                        </div>
+                                    </div>
+                                </CardHeader>
+                                <CardContent>
+                                    {!existing ? (
+                                        <div className="flex items-center justify-center py-12">
+                                            <div className="inline-block animate-spin rounded-full h-12 w-12 border-4 border-emerald-500 border-t-transparent"></div>
+                                        </div>
+                                    ) : previewRows.length === 0 ? (
+                                        <p className="py-12 text-center text-gray-500">No rows with errors</p>
+                                    ) : (
+                                        <div className="overflow-x-auto">
+                                            <table className="w-full">
+                                                <thead>
+                                                    <tr className="border-b-2 border-gray-200 bg-gray-50">
+                                                        <th className="text-left py-3 px-4 font-semibold text-gray-700">Row</th>
+                                                        <th className="text-left py-3 px-4 font-semibold text-gray-700">Action</th>
+                                                        {mappedFields.map(field => (
+                                                            <th key={field} className="text-left py-3 px-4 font-semibold text-gray-700">
+                                                                {importType.schema[field].label}
+                                                            </th>
+                                                        ))}
+                                                        <th className="text-left py-3 px-4 font-semibold text-gray-700">Other Problems</th>
+                                                    </tr>
+                                                </thead>
+                                                <tbody>
+                                                    {previewRows.map(row => (
+                                                        <tr key={row.rowNumber} className="border-b border-gray-100 align-top">
+                                                            <td className="py-2 px-4 font-mono text-sm text-gray-500">{row.rowNumber}</td>
+                                                            <td className="py-2 px-4">
+                                                                <Badge className={`${ACTION_BADGES[row.action].className} shadow-sm`}>
+                                                                    {ACTION_BADGES[row.action].label}
+                                                                </Badge>
+                                                            </td>
+                                                            {mappedFields.map(field => (
+                                                                <td
+                                                                    key={field}
+                                                                    className={`py-2 px-4 text-sm ${row.fieldErrors[field] ? 'bg-red-50 text-red-700' : 'text-gray-900'}`}
+                                                                >
+                                                                    {displayCell(row.cells[field])}
+                                                                    {row.fieldErrors[field] && (
+                                                                        <p className="text-xs font-semibold">{row.fieldErrors[field]}</p>
+                                                                    )}
+                                                                </td>
+                                                            ))}
+                                                            <td className="py-2 px-4 text-xs font-semibold text-red-700">
+                                                                {Object.entries(row.fieldErrors)
+                                                                    .filter(([field]) => !mappedFields.includes(field))
+                                                                    .map(([field, message]) => <p key={field}>{message}</p>)}
+                                                            </td>
+                                                        </tr>
+                                                    ))}
+                                                </tbody>
+                                            </table>
+                                            {(onlyProblems ? counts.invalid || 0 : plan.length) > PREVIEW_LIMIT && (
+                                                <p className="mt-4 text-sm text-gray-500">
+                                                    Showing the first {PREVIEW_LIMIT} rows; all {plan.length} are checked and imported
+                                                </p>
+                                            )}
+                                        </div>
+                                    )}
+                                </CardContent>
+                            </Card>
+                        )}
+                    </>
+                )}
+            </main>
+        </div>
+    );
+}
+
+// Navigation Component
+function Navigation() {
+    const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
+
+    return (
+        <nav className="bg-white shadow-md border-b border-gray-200 sticky top-0 z-50">
+            <div className="container mx-auto px-4">
+                <div className="flex items-center justify-between h-16">
+                    <Link href="/" className="flex items-center gap-3 hover:opacity-80 transition-opacity">
+                        <div>
+                            <h1 className="text-lg md:text-xl font-bold text-gray-900">
+                                <span className="md:hidden">IMS</span>
+                                <span className="hidden md:inline">Inventory Management System</span>
+                            </h1>
+                        </div>
+                    </Link>
+
+                    {/* Desktop Navigation */}
+                    <div className="hidden md:flex items-center gap-2">
+                        <Link href="/">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🏠 Dashboard
+                            </Button>
+                        </Link>
+                        <Link href="/products">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📦 Products
+                            </Button>
+                        </Link>
+                        <Link href="/warehouses">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🏭 Warehouses
+                            </Button>
+                        </Link>
+                        <Link href="/stock">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📊 Stock Levels
+                            </Button>
+                        </Link>
+                        <Link href="/transfers">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🔄 Transfers
+                            </Button>
+                        </Link>
+                        <Link href="/alerts">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🔔 Alerts
+                            </Button>
+                        </Link>
+                        <Link href="/purchase-orders">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🧾 Purchasing
+                            </Button>
+                        </Link>
+                        <Link href="/receiving">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📥 Receiving
+                            </Button>
+                        </Link>
+                        <Link href="/sales-orders">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🛒 Sales
+                            </Button>
+                        </Link>
+                        <Link href="/stock-counts">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📋 Counts
+                            </Button>
+                        </Link>
+                        <Link href="/adjustments">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                ⚖️ Adjustments
+                            </Button>
+                        </Link>
+                        <Link href="/audit">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🕵️ Audit
+                            </Button>
+                        </Link>
+                    </div>
+
+                    {/* Mobile Hamburger Button */}
+                    <button
+                        onClick={() => setMobileMenuOpen(!mobileMenuOpen)}
+                        className="md:hidden p-2 rounded-lg hover:bg-gray-100 transition-colors"
+                        aria-label="Toggle menu"
+                    >
+                        <svg
+                            className="w-6 h-6 text-gray-700"
+                            fill="none"
+                            strokeLinecap="round"
+                            strokeLinejoin="round"
+                            strokeWidth="2"
+                            viewBox="0 0 24 24"
+                            stroke="currentColor"
+                        >
+                            {mobileMenuOpen ? (
+                                <path d="M6 18L18 6M6 6l12 12" />
+                            ) : (
+                                <path d="M4 6h16M4 12h16M4 18h16" />
+                            )}
+                        </svg>
+                    </button>
+                </div>
+
+                {/* Mobile Menu */}
+                {mobileMenuOpen && (
+                    <div className="md:hidden py-4 border-t border-gray-200 animate-fade-in">
+                        <div className="flex flex-col space-y-2">
+                            <Link href="/" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🏠 Dashboard
+                                </Button>
+                            </Link>
+                            <Link href="/products" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📦 Products
+                                </Button>
+                            </Link>
+                            <Link href="/warehouses" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🏭 Warehouses
+                                </Button>
+                            </Link>
+                            <Link href="/stock" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📊 Stock Levels
+                                </Button>
+                            </Link>
+                            <Link href="/transfers" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🔄 Transfers
+                                </Button>
+                            </Link>
+                            <Link href="/alerts" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🔔 Alerts
+                                </Button>
+                            </Link>
+                            <Link href="/purchase-orders" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🧾 Purchasing
+                                </Button>
+                            </Link>
+                            <Link href="/receiving" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📥 Receiving
+                                </Button>
+                            </Link>
+                            <Link href="/sales-orders" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🛒 Sales
+                                </Button>
+                            </Link>
+                            <Link href="/stock-counts" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📋 Counts
+                                </Button>
+                            </Link>
+                            <Link href="/adjustments" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    ⚖️ Adjustments
+                                </Button>
+                            </Link>
+                            <Link href="/audit" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🕵️ Audit
+                                </Button>
+                            </Link>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </nav>
+    );
+}
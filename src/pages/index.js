@@ -16,9 +16,12 @@ import {
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
 import { Button } from '@/components/ui/button';
-import { exportInventoryData } from '@/lib/exportUtils';
+import { INVENTORY_COLUMNS, exportInventoryData, loadExportColumns } from '@/lib/exportUtils';
 import { useKeyboardShortcuts } from '@/lib/keyboardShortcuts';
 import KeyboardShortcutsModal from '@/components/KeyboardShortcutsModal';
+import ExportDialog from '@/components/ExportDialog';
+import { useSession } from '@/components/SessionProvider';
+import { can } from '@/lib/permissions';
 
 // Eco-friendly color palette
 const COLORS = {
@@ -42,6 +45,9 @@ export default function Home() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [showShortcutsModal, setShowShortcutsModal] = useState(false);
+  // Format the export dialog was opened for; null while it is closed
+  const [exportFormat, setExportFormat] = useState(null);
+  const { user } = useSession();
 
   useEffect(() => {
     // Fetch all data with error handling
@@ -143,37 +149,24 @@ export default function Home() {
     .slice(0, 5);
 
   // Export handlers
-  const handleExportCSV = () => {
+  const handleExport = (format, columns) => {
     const exportData = inventoryOverview.map(item => ({
       sku: item.sku,
       productName: item.name,
       category: item.category,
       currentStock: item.totalQuantity,
       reorderPoint: item.reorderPoint,
-      stockValue: item.stockValue.toFixed(2),
+      stockValue: item.stockValue,
       status: item.isCritical ? 'Critical' : item.isLowStock ? 'Low Stock' : item.isOverstocked ? 'Overstocked' : 'Adequate',
     }));
-    exportInventoryData(exportData, 'csv');
+    exportInventoryData(exportData, format, columns);
   };
 
-  const handleExportPDF = () => {
-    const exportData = inventoryOverview.map(item => ({
-      sku: item.sku,
-      productName: item.name,
-      category: item.category,
-      currentStock: item.totalQuantity,
-      reorderPoint: item.reorderPoint,
-      stockValue: item.stockValue.toFixed(2),
-      status: item.isCritical ? 'Critical' : item.isLowStock ? 'Low Stock' : item.isOverstocked ? 'Overstocked' : 'Adequate',
-    }));
-    exportInventoryData(exportData, 'pdf');
-  };
-
-  // Keyboard shortcuts
+  // Keyboard shortcuts skip the dialog and use the columns last chosen in it
   useKeyboardShortcuts({
     showShortcuts: () => setShowShortcutsModal(true),
-    exportCSV: handleExportCSV,
-    exportPDF: handleExportPDF,
+    exportCSV: () => handleExport('csv', loadExportColumns('inventory', INVENTORY_COLUMNS)),
+    exportPDF: () => handleExport('pdf', loadExportColumns('inventory', INVENTORY_COLUMNS)),
   });
 
   if (loading) {
@@ -223,25 +216,36 @@ export default function Home() {
             </p>
           </div>
           <div className="flex flex-wrap gap-2">
-            <Link href="/products/add">
-              <Button className="bg-emerald-600 hover:bg-emerald-700 shadow-lg hover:shadow-xl transition-all duration-300 text-sm md:text-base">
-                ➕ Add Product
-              </Button>
-            </Link>
-            <Link href="/stock/add">
-              <Button variant="outline" className="border-emerald-600 text-emerald-600 hover:bg-emerald-50 shadow-md hover:shadow-lg transition-all duration-300 text-sm md:text-base">
-                📦 Add Stock
-              </Button>
-            </Link>
+            {can(user, 'manage_inventory') && (
+              <Link href="/products/add">
+                <Button className="bg-emerald-600 hover:bg-emerald-700 shadow-lg hover:shadow-xl transition-all duration-300 text-sm md:text-base">
+                  ➕ Add Product
+                </Button>
+              </Link>
+            )}
+            {can(user, 'move_stock') && (
+              <Link href="/stock/add">
+                <Button variant="outline" className="border-emerald-600 text-emerald-600 hover:bg-emerald-50 shadow-md hover:shadow-lg transition-all duration-300 text-sm md:text-base">
+                  📦 Add Stock
+                </Button>
+              </Link>
+            )}
             <Button
-              onClick={handleExportCSV}
+              onClick={() => setExportFormat('csv')}
               variant="outline"
               className="border-blue-600 text-blue-600 hover:bg-blue-50 shadow-md hover:shadow-lg transition-all duration-300 text-sm md:text-base"
             >
               📊 Export CSV
             </Button>
             <Button
-              onClick={handleExportPDF}
+              onClick={() => setExportFormat('xlsx')}
+              variant="outline"
+              className="border-green-700 text-green-700 hover:bg-green-50 shadow-md hover:shadow-lg transition-all duration-300 text-sm md:text-base"
+            >
+              📗 Export Excel
+            </Button>
+            <Button
+              onClick={() => setExportFormat('pdf')}
               variant="outline"
               className="border-purple-600 text-purple-600 hover:bg-purple-50 shadow-md hover:shadow-lg transition-all duration-300 text-sm md:text-base"
             >
@@ -549,6 +553,17 @@ export default function Home() {
         isOpen={showShortcutsModal}
         onClose={() => setShowShortcutsModal(false)}
       />
+
+      {/* Export Dialog */}
+      <ExportDialog
+        isOpen={exportFormat !== null}
+        onClose={() => setExportFormat(null)}
+        title="Inventory Report"
+        report="inventory"
+        columns={INVENTORY_COLUMNS}
+        format={exportFormat || 'csv'}
+        onExport={handleExport}
+      />
     </div>
   );
 }
@@ -603,6 +618,36 @@ function Navigation() {
                 🔔 Alerts
               </Button>
             </Link>
+            <Link href="/purchase-orders">
+              <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                🧾 Purchasing
+              </Button>
+            </Link>
+            <Link href="/receiving">
+              <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                📥 Receiving
+              </Button>
+            </Link>
+            <Link href="/sales-orders">
+              <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                🛒 Sales
+              </Button>
+            </Link>
+            <Link href="/stock-counts">
+              <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                📋 Counts
+              </Button>
+            </Link>
+            <Link href="/adjustments">
+              <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                ⚖️ Adjustments
+              </Button>
+            </Link>
+            <Link href="/audit">
+              <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                🕵️ Audit
+              </Button>
+            </Link>
           </div>
 
           {/* Mobile Hamburger Button */}
@@ -663,6 +708,36 @@ function Navigation() {
                   🔔 Alerts
                 </Button>
               </Link>
+              <Link href="/purchase-orders" onClick={() => setMobileMenuOpen(false)}>
+                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                  🧾 Purchasing
+                </Button>
+              </Link>
+              <Link href="/receiving" onClick={() => setMobileMenuOpen(false)}>
+                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                  📥 Receiving
+                </Button>
+              </Link>
+              <Link href="/sales-orders" onClick={() => setMobileMenuOpen(false)}>
+                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                  🛒 Sales
+                </Button>
+              </Link>
+              <Link href="/stock-counts" onClick={() => setMobileMenuOpen(false)}>
+                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                  📋 Counts
+                </Button>
+              </Link>
+              <Link href="/adjustments" onClick={() => setMobileMenuOpen(false)}>
+                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                  ⚖️ Adjustments
+                </Button>
+              </Link>
+              <Link href="/audit" onClick={() => setMobileMenuOpen(false)}>
+                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                  🕵️ Audit
+                </Button>
+              </Link>
             </div>
           </div>
         )}
@@ -0,0 +1,163 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { useSession } from '@/components/SessionProvider';
+
+const INPUT_CLASS = 'w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all';
+
+export default function LoginPage() {
+    const { user, loading, setupRequired, refresh } = useSession();
+    const [formData, setFormData] = useState({ username: '', name: '', password: '', confirmPassword: '' });
+    const [error, setError] = useState('');
+    const [fieldErrors, setFieldErrors] = useState({});
+    const [submitting, setSubmitting] = useState(false);
+
+    const router = useRouter();
+    // Only return to pages of this app
+    const next = typeof router.query.next === 'string' && router.query.next.startsWith('/') ? router.query.next : '/';
+
+    useEffect(() => {
+        if (!loading && user) {
+            router.replace(next);
+        }
+    }, [loading, user]);
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setFieldErrors({});
+
+        if (setupRequired && formData.password !== formData.confirmPassword) {
+            setFieldErrors({ confirmPassword: 'Passwords do not match' });
+            return;
+        }
+
+        setSubmitting(true);
+        try {
+            const res = await fetch(setupRequired ? '/api/auth/setup' : '/api/auth/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(setupRequired
+                    ? { username: formData.username, name: formData.name, password: formData.password }
+                    : { username: formData.username, password: formData.password }),
+            });
+
+            if (res.ok) {
+                // The session cookie is set; picking it up redirects to the page that was asked for
+                await refresh();
+                return;
+            }
+
+            const data = await res.json();
+            setError(data.error || 'Failed to sign in');
+            setFieldErrors(data.fieldErrors || {});
+        } catch (err) {
+            setError('Failed to sign in');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    if (loading) {
+        return null;
+    }
+
+    return (
+        <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-emerald-50 via-white to-green-50 px-4">
+            <Card className="w-full max-w-md shadow-lg border-t-4 border-t-emerald-500">
+                <CardHeader>
+                    <CardTitle className="text-2xl flex items-center gap-2">
+                        <span>📦</span>
+                        {setupRequired ? 'Create the First Admin' : 'Sign In'}
+                    </CardTitle>
+                    <CardDescription>
+                        {setupRequired
+                            ? 'No users exist yet. The account you create here can add everyone else.'
+                            : 'Inventory Management System'}
+                    </CardDescription>
+                </CardHeader>
+                <CardContent>
+                    {error && (
+                        <div className="mb-6 p-4 bg-red-50 border-l-4 border-red-500 text-red-700 rounded-lg">
+                            <div className="flex items-center gap-2">
+                                <span className="text-xl">⚠️</span>
+                                <p className="font-semibold">{error}</p>
+                            </div>
+                        </div>
+                    )}
+                    <form onSubmit={handleSubmit} className="space-y-4">
+                        <div>
+                            <label className="block text-sm font-semibold text-gray-700 mb-2">Username</label>
+                            <input
+                                type="text"
+                                name="username"
+                                value={formData.username}
+                                onChange={handleChange}
+                                required
+                                autoFocus
+                                autoComplete="username"
+                                className={INPUT_CLASS}
+                            />
+                            {fieldErrors.username && <p className="mt-1 text-sm text-red-600">{fieldErrors.username}</p>}
+                        </div>
+                        {setupRequired && (
+                            <div>
+                                <label className="block text-sm font-semibold text-gray-700 mb-2">Full Name</label>
+                                <input
+                                    type="text"
+                                    name="name"
+                                    value={formData.name}
+                                    onChange={handleChange}
+                                    required
+                                    className={INPUT_CLASS}
+                                />
+                                {fieldErrors.name && <p className="mt-1 text-sm text-red-600">{fieldErrors.name}</p>}
+                            </div>
+                        )}
+                        <div>
+                            <label className="block text-sm font-semibold text-gray-700 mb-2">Password</label>
+                            <input
+                                type="password"
+                                name="password"
+                                value={formData.password}
+                                onChange={handleChange}
+                                required
+                                autoComplete={setupRequired ? 'new-password' : 'current-password'}
+                                className={INPUT_CLASS}
+                            />
+                            {fieldErrors.password && <p className="mt-1 text-sm text-red-600">{fieldErrors.password}</p>}
+                        </div>
+                        {setupRequired && (
+                            <div>
+                                <label className="block text-sm font-semibold text-gray-700 mb-2">Confirm Password</label>
+                                <input
+                                    type="password"
+                                    name="confirmPassword"
+                                    value={formData.confirmPassword}
+                                    onChange={handleChange}
+                                    required
+                                    autoComplete="new-password"
+                                    className={INPUT_CLASS}
+                                />
+                                {fieldErrors.confirmPassword && <p className="mt-1 text-sm text-red-600">{fieldErrors.confirmPassword}</p>}
+                            </div>
+                        )}
+                        <Button
+                            type="submit"
+                            disabled={submitting}
+                            className="w-full bg-gradient-to-r from-emerald-600 to-green-600 hover:from-emerald-700 hover:to-green-700 shadow-md"
+                        >
+                            {submitting ? 'Signing in...' : setupRequired ? '🚀 Create Admin' : '🔑 Sign In'}
+                        </Button>
+                    </form>
+                </CardContent>
+            </Card>
+        </div>
+    );
+}
@@ -10,8 +10,10 @@ import {
   Paper,
   AppBar,
   Toolbar,
+  Alert,
 } from '@mui/material';
 import InventoryIcon from '@mui/icons-material/Inventory';
+import { productSchema, validate } from '@/lib/validation';
 
 export default function AddProduct() {
   const [product, setProduct] = useState({
@@ -21,26 +23,39 @@ export default function AddProduct() {
     unitCost: '',
     reorderPoint: '',
   });
+  const [error, setError] = useState('');
+  const [errors, setErrors] = useState({});
 
   const router = useRouter();
 
   const handleChange = (e) => {
     setProduct({ ...product, [e.target.name]: e.target.value });
+    setErrors({ ...errors, [e.target.name]: undefined });
   };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    // Check the same schema the API uses, so mistakes show up next to their fields before anything is sent
+    const { values, fieldErrors } = validate(productSchema, product);
+    setErrors(fieldErrors);
+    setError('');
+    if (Object.keys(fieldErrors).length > 0) {
+      return;
+    }
+
     const res = await fetch('/api/products', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        ...product,
-        unitCost: parseFloat(product.unitCost),
-        reorderPoint: parseInt(product.reorderPoint),
-      }),
+      body: JSON.stringify(values),
     });
     if (res.ok) {
       router.push('/products');
+    } else {
+      const data = await res.json();
+      setErrors(data.fieldErrors || {});
+      if (!data.fieldErrors) {
+        setError(data.error || 'Failed to add product');
+      }
     }
   };
 
@@ -72,6 +87,11 @@ export default function AddProduct() {
           <Typography variant="h4" component="h1" gutterBottom>
             Add New Product
           </Typography>
+          {error && (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              {error}
+            </Alert>
+          )}
           <Box component="form" onSubmit={handleSubmit} noValidate sx={{ mt: 2 }}>
             <TextField
               margin="normal"
@@ -81,6 +101,8 @@ export default function AddProduct() {
               name="sku"
               value={product.sku}
               onChange={handleChange}
+              error={Boolean(errors.sku)}
+              helperText={errors.sku}
             />
             <TextField
               margin="normal"
@@ -90,6 +112,8 @@ export default function AddProduct() {
               name="name"
               value={product.name}
               onChange={handleChange}
+              error={Boolean(errors.name)}
+              helperText={errors.name}
             />
             <TextField
               margin="normal"
@@ -99,6 +123,8 @@ export default function AddProduct() {
               name="category"
               value={product.category}
               onChange={handleChange}
+              error={Boolean(errors.category)}
+              helperText={errors.category}
             />
             <TextField
               margin="normal"
@@ -110,6 +136,8 @@ export default function AddProduct() {
               inputProps={{ step: '0.01', min: '0' }}
               value={product.unitCost}
               onChange={handleChange}
+              error={Boolean(errors.unitCost)}
+              helperText={errors.unitCost}
             />
             <TextField
               margin="normal"
@@ -121,6 +149,8 @@ export default function AddProduct() {
               inputProps={{ min: '0' }}
               value={product.reorderPoint}
               onChange={handleChange}
+              error={Boolean(errors.reorderPoint)}
+              helperText={errors.reorderPoint}
             />
             <Box sx={{ mt: 3, display: 'flex', gap: 2 }}>
               <Button
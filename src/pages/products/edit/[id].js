@@ -11,8 +11,10 @@ import {
   AppBar,
   Toolbar,
   CircularProgress,
+  Alert,
 } from '@mui/material';
 import InventoryIcon from '@mui/icons-material/Inventory';
+import { productSchema, validate } from '@/lib/validation';
 
 export default function EditProduct() {
   const [product, setProduct] = useState({
@@ -23,6 +25,8 @@ export default function EditProduct() {
     reorderPoint: '',
   });
   const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [errors, setErrors] = useState({});
 
   const router = useRouter();
   const { id } = router.query;
@@ -40,21 +44,32 @@ export default function EditProduct() {
 
   const handleChange = (e) => {
     setProduct({ ...product, [e.target.name]: e.target.value });
+    setErrors({ ...errors, [e.target.name]: undefined });
   };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    // Check the same schema the API uses, so mistakes show up next to their fields before anything is sent
+    const { values, fieldErrors } = validate(productSchema, product);
+    setErrors(fieldErrors);
+    setError('');
+    if (Object.keys(fieldErrors).length > 0) {
+      return;
+    }
+
     const res = await fetch(`/api/products/${id}`, {
       method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        ...product,
-        unitCost: parseFloat(product.unitCost),
-        reorderPoint: parseInt(product.reorderPoint),
-      }),
+      body: JSON.stringify(values),
     });
     if (res.ok) {
       router.push('/products');
+    } else {
+      const data = await res.json();
+      setErrors(data.fieldErrors || {});
+      if (!data.fieldErrors) {
+        setError(data.error || 'Failed to update product');
+      }
     }
   };
 
@@ -94,6 +109,11 @@ export default function EditProduct() {
           <Typography variant="h4" component="h1" gutterBottom>
             Edit Product
           </Typography>
+          {error && (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              {error}
+            </Alert>
+          )}
           <Box component="form" onSubmit={handleSubmit} noValidate sx={{ mt: 2 }}>
             <TextField
               margin="normal"
@@ -103,6 +123,8 @@ export default function EditProduct() {
               name="sku"
               value={product.sku}
               onChange={handleChange}
+              error={Boolean(errors.sku)}
+              helperText={errors.sku}
             />
             <TextField
               margin="normal"
@@ -112,6 +134,8 @@ export default function EditProduct() {
               name="name"
               value={product.name}
               onChange={handleChange}
+              error={Boolean(errors.name)}
+              helperText={errors.name}
             />
             <TextField
               margin="normal"
@@ -121,6 +145,8 @@ export default function EditProduct() {
               name="category"
               value={product.category}
               onChange={handleChange}
+              error={Boolean(errors.category)}
+              helperText={errors.category}
             />
             <TextField
               margin="normal"
@@ -132,6 +158,8 @@ export default function EditProduct() {
               inputProps={{ step: '0.01', min: '0' }}
               value={product.unitCost}
               onChange={handleChange}
+              error={Boolean(errors.unitCost)}
+              helperText={errors.unitCost}
             />
             <TextField
               margin="normal"
@@ -143,6 +171,8 @@ export default function EditProduct() {
               inputProps={{ min: '0' }}
               value={product.reorderPoint}
               onChange={handleChange}
+              error={Boolean(errors.reorderPoint)}
+              helperText={errors.reorderPoint}
             />
             <Box sx={{ mt: 3, display: 'flex', gap: 2 }}>
               <Button
@@ -12,59 +12,102 @@ import {
   TableRow,
   Paper,
   IconButton,
-  Dialog,
-  DialogActions,
-  DialogContent,
-  DialogContentText,
-  DialogTitle,
   AppBar,
   Toolbar,
   Box,
+  Alert,
+  Chip,
+  FormControlLabel,
+  Switch,
+  TablePagination,
+  TextField,
 } from '@mui/material';
+import ArchiveIcon from '@mui/icons-material/Archive';
 import DeleteIcon from '@mui/icons-material/Delete';
 import EditIcon from '@mui/icons-material/Edit';
 import InventoryIcon from '@mui/icons-material/Inventory';
+import UnarchiveIcon from '@mui/icons-material/Unarchive';
+import DeleteRecordDialog from '@/components/DeleteRecordDialog';
+import { useSession } from '@/components/SessionProvider';
+import { isArchived } from '@/lib/archive';
+import { can } from '@/lib/permissions';
+
+const ROWS_PER_PAGE_OPTIONS = [25, 50, 100];
 
 export default function Products() {
+  // One page of products, with the total that match the search
   const [products, setProducts] = useState([]);
-  const [open, setOpen] = useState(false);
+  const [total, setTotal] = useState(0);
+  const [archivedCount, setArchivedCount] = useState(0);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(ROWS_PER_PAGE_OPTIONS[0]);
+  const [search, setSearch] = useState('');
   const [selectedProductId, setSelectedProductId] = useState(null);
+  const [showArchived, setShowArchived] = useState(false);
+  const [error, setError] = useState('');
+  const { user } = useSession();
+  const canManage = can(user, 'manage_inventory');
 
   useEffect(() => {
     fetchProducts();
-  }, []);
+  }, [page, rowsPerPage, search, showArchived]);
 
+  // The server filters and pages; TablePagination counts pages from 0, the API from 1
   const fetchProducts = () => {
-    fetch('/api/products')
-      .then((res) => res.json())
-      .then((data) => setProducts(data));
+    const params = new URLSearchParams({ page: page + 1, limit: rowsPerPage, include: 'availability' });
+    if (search) params.set('q', search);
+    if (!showArchived) params.set('status', 'active');
+    Promise.all([
+      fetch(`/api/products?${params}`).then((res) => res.json()),
+      fetch('/api/products?status=archived&limit=1').then((res) => res.json()),
+    ]).then(([productsData, archivedData]) => {
+      // Step back when the last product on a page was deleted or archived
+      if (productsData.items.length === 0 && page > 0) {
+        setPage(page - 1);
+        return;
+      }
+      setProducts(productsData.items);
+      setTotal(productsData.total);
+      setArchivedCount(archivedData.total);
+    });
   };
 
   const handleClickOpen = (id) => {
     setSelectedProductId(id);
-    setOpen(true);
   };
 
   const handleClose = () => {
-    setOpen(false);
     setSelectedProductId(null);
   };
 
-  const handleDelete = async () => {
+  // A cascade delete also removes stock records, so reload everything
+  const handleDeleted = () => {
+    handleClose();
+    fetchProducts();
+  };
+
+  // Archive or restore a product: { action: 'archive' | 'restore' }
+  const handleStatusAction = async (id, action) => {
+    setError('');
     try {
-      const res = await fetch(`/api/products/${selectedProductId}`, {
-        method: 'DELETE',
+      const res = await fetch(`/api/products/${id}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action }),
       });
 
       if (res.ok) {
-        setProducts(products.filter((product) => product.id !== selectedProductId));
-        handleClose();
+        fetchProducts();
+      } else {
+        const data = await res.json();
+        setError(data.error || `Failed to ${action} product`);
       }
-    } catch (error) {
-      console.error('Error deleting product:', error);
+    } catch (err) {
+      console.error(`Error trying to ${action} product:`, err);
     }
   };
 
+
   return (
     <>
       <AppBar position="static">
@@ -91,6 +134,24 @@ export default function Products() {
           <Button color="inherit" component={Link} href="/alerts">
             Alerts
           </Button>
+          <Button color="inherit" component={Link} href="/purchase-orders">
+            Purchasing
+          </Button>
+          <Button color="inherit" component={Link} href="/receiving">
+            Receiving
+          </Button>
+          <Button color="inherit" component={Link} href="/sales-orders">
+            Sales
+          </Button>
+          <Button color="inherit" component={Link} href="/stock-counts">
+            Counts
+          </Button>
+          <Button color="inherit" component={Link} href="/adjustments">
+            Adjustments
+          </Button>
+          <Button color="inherit" component={Link} href="/audit">
+            Audit
+          </Button>
         </Toolbar>
       </AppBar>
 
@@ -99,16 +160,52 @@ export default function Products() {
           <Typography variant="h4" component="h1">
             Products
           </Typography>
-          <Button
-            variant="contained"
-            color="primary"
-            component={Link}
-            href="/products/add"
-          >
-            Add Product
-          </Button>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+            <TextField
+              size="small"
+              label="Search name or SKU"
+              value={search}
+              onChange={(e) => {
+                setSearch(e.target.value);
+                setPage(0);
+              }}
+            />
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={showArchived}
+                  onChange={(e) => {
+                    setShowArchived(e.target.checked);
+                    setPage(0);
+                  }}
+                />
+              }
+              label={`Show archived (${archivedCount})`}
+            />
+            {canManage && (
+              <Button variant="outlined" component={Link} href="/import?type=products">
+                Import
+              </Button>
+            )}
+            {canManage && (
+              <Button
+                variant="contained"
+                color="primary"
+                component={Link}
+                href="/products/add"
+              >
+                Add Product
+              </Button>
+            )}
+          </Box>
         </Box>
 
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+            {error}
+          </Alert>
+        )}
+
         <TableContainer component={Paper}>
           <Table>
             <TableHead>
@@ -118,63 +215,100 @@ export default function Products() {
                 <TableCell><strong>Category</strong></TableCell>
                 <TableCell align="right"><strong>Unit Cost</strong></TableCell>
                 <TableCell align="right"><strong>Reorder Point</strong></TableCell>
+                <TableCell align="right"><strong>On Hand</strong></TableCell>
+                <TableCell align="right"><strong>Reserved</strong></TableCell>
+                <TableCell align="right"><strong>Available</strong></TableCell>
                 <TableCell><strong>Actions</strong></TableCell>
               </TableRow>
             </TableHead>
             <TableBody>
-              {products.map((product) => (
-                <TableRow key={product.id}>
-                  <TableCell>{product.sku}</TableCell>
-                  <TableCell>{product.name}</TableCell>
-                  <TableCell>{product.category}</TableCell>
-                  <TableCell align="right">${product.unitCost.toFixed(2)}</TableCell>
-                  <TableCell align="right">{product.reorderPoint}</TableCell>
-                  <TableCell>
-                    <IconButton
-                      color="primary"
-                      component={Link}
-                      href={`/products/edit/${product.id}`}
-                      size="small"
-                    >
-                      <EditIcon />
-                    </IconButton>
-                    <IconButton
-                      color="error"
-                      onClick={() => handleClickOpen(product.id)}
-                      size="small"
-                    >
-                      <DeleteIcon />
-                    </IconButton>
-                  </TableCell>
-                </TableRow>
-              ))}
+              {products.map((product) => {
+                const { onHand, reserved, available } = product;
+                return (
+                  <TableRow key={product.id} sx={isArchived(product) ? { opacity: 0.6 } : undefined}>
+                    <TableCell>{product.sku}</TableCell>
+                    <TableCell>
+                      {product.name}
+                      {isArchived(product) && <Chip label="Archived" size="small" sx={{ ml: 1 }} />}
+                    </TableCell>
+                    <TableCell>{product.category}</TableCell>
+                    <TableCell align="right">${product.unitCost.toFixed(2)}</TableCell>
+                    <TableCell align="right">{product.reorderPoint}</TableCell>
+                    <TableCell align="right">{onHand}</TableCell>
+                    <TableCell align="right">{reserved || '-'}</TableCell>
+                    <TableCell align="right">{available}</TableCell>
+                    <TableCell>
+                      {canManage && (
+                        <>
+                          <IconButton
+                            color="primary"
+                            component={Link}
+                            href={`/products/edit/${product.id}`}
+                            size="small"
+                          >
+                            <EditIcon />
+                          </IconButton>
+                          {isArchived(product) ? (
+                            <IconButton
+                              color="default"
+                              onClick={() => handleStatusAction(product.id, 'restore')}
+                              size="small"
+                              title="Restore"
+                            >
+                              <UnarchiveIcon />
+                            </IconButton>
+                          ) : (
+                            <IconButton
+                              color="default"
+                              onClick={() => handleStatusAction(product.id, 'archive')}
+                              size="small"
+                              title="Archive"
+                            >
+                              <ArchiveIcon />
+                            </IconButton>
+                          )}
+                          <IconButton
+                            color="error"
+                            onClick={() => handleClickOpen(product.id)}
+                            size="small"
+                          >
+                            <DeleteIcon />
+                          </IconButton>
+                        </>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
               {products.length === 0 && (
                 <TableRow>
-                  <TableCell colSpan={6} align="center">
-                    No products available.
+                  <TableCell colSpan={9} align="center">
+                    {search ? 'No products match your search.' : 'No products available.'}
                   </TableCell>
                 </TableRow>
               )}
             </TableBody>
           </Table>
+          <TablePagination
+            component="div"
+            count={total}
+            page={page}
+            onPageChange={(e, newPage) => setPage(newPage)}
+            rowsPerPage={rowsPerPage}
+            rowsPerPageOptions={ROWS_PER_PAGE_OPTIONS}
+            onRowsPerPageChange={(e) => {
+              setRowsPerPage(parseInt(e.target.value, 10));
+              setPage(0);
+            }}
+          />
         </TableContainer>
 
-        <Dialog open={open} onClose={handleClose}>
-          <DialogTitle>Delete Product</DialogTitle>
-          <DialogContent>
-            <DialogContentText>
-              Are you sure you want to delete this product? This action cannot be undone.
-            </DialogContentText>
-          </DialogContent>
-          <DialogActions>
-            <Button onClick={handleClose} color="primary">
-              Cancel
-            </Button>
-            <Button onClick={handleDelete} color="error" autoFocus>
-              Delete
-            </Button>
-          </DialogActions>
-        </Dialog>
+        <DeleteRecordDialog
+          url={selectedProductId ? `/api/products/${selectedProductId}` : null}
+          noun="product"
+          onClose={handleClose}
+          onDeleted={handleDeleted}
+        />
       </Container>
     </>
   );
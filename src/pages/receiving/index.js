@@ -0,0 +1,608 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { PO_STATUSES } from '@/lib/purchaseOrders';
+import { useSession } from '@/components/SessionProvider';
+import { can } from '@/lib/permissions';
+
+const DISCREPANCY_BADGES = {
+    over: 'bg-amber-100 text-amber-800 border-amber-300',
+    short: 'bg-red-100 text-red-800 border-red-300',
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+});
+
+// Optional lot details entered per line
+const LOT_FIELDS = [
+    { name: 'lotNumber', label: 'Lot number', type: 'text' },
+    { name: 'manufacturedAt', label: 'Manufactured', type: 'date' },
+    { name: 'expiresAt', label: 'Expires', type: 'date' },
+];
+
+const describeVariance = (line) =>
+    line.variance > 0 ? `+${line.variance} over` : `${Math.abs(line.variance)} short`;
+
+export default function ReceivingPage() {
+    const router = useRouter();
+    const { user } = useSession();
+    const [orders, setOrders] = useState([]);
+    const [receipts, setReceipts] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [selectedOrderId, setSelectedOrderId] = useState('');
+    const [quantities, setQuantities] = useState({});
+    // Optional lot per product: { lotNumber, manufacturedAt, expiresAt }
+    const [lots, setLots] = useState({});
+    const [notes, setNotes] = useState('');
+    const [closeShort, setCloseShort] = useState(false);
+    const [formError, setFormError] = useState('');
+    const [lastReceipt, setLastReceipt] = useState(null);
+    const [submitting, setSubmitting] = useState(false);
+
+    useEffect(() => {
+        fetchData();
+    }, []);
+
+    // Preselect the order when arriving from the Purchase Orders page
+    useEffect(() => {
+        if (router.query.purchaseOrderId) {
+            selectOrder(String(router.query.purchaseOrderId), orders);
+        }
+    }, [router.query.purchaseOrderId, orders]);
+
+    const fetchData = async () => {
+        setLoading(true);
+        try {
+            const [ordersData, receiptsData] = await Promise.all([
+                fetch('/api/purchase-orders').then(res => res.json()),
+                fetch('/api/receipts').then(res => res.json()),
+            ]);
+
+            setOrders(ordersData);
+            setReceipts(receiptsData);
+        } catch (error) {
+            console.error('Failed to fetch data:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Orders the signed-in user can book deliveries for
+    const openOrders = orders.filter(order => order.availableActions.includes('receive') && can(user, 'move_stock', order.warehouseId));
+    const selectedOrder = openOrders.find(order => order.id === parseInt(selectedOrderId));
+
+    // Start every line at the quantity still outstanding
+    const selectOrder = (orderId, list = orders) => {
+        const order = list.find(o => o.id === parseInt(orderId));
+        setSelectedOrderId(orderId);
+        setQuantities(Object.fromEntries(
+            (order?.lines || []).map(line => [line.productId, String(line.outstandingQuantity)])
+        ));
+        setLots({});
+        setNotes('');
+        setCloseShort(false);
+        setFormError('');
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setFormError('');
+        setSubmitting(true);
+
+        try {
+            const response = await fetch('/api/receipts', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    purchaseOrderId: selectedOrder.id,
+                    lines: selectedOrder.lines.map(line => ({
+                        productId: line.productId,
+                        quantity: quantities[line.productId] ?? '',
+                        ...lots[line.productId],
+                    })),
+                    notes,
+                    closeShort,
+                }),
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to receive goods');
+            }
+
+            setLastReceipt(data);
+            selectOrder('');
+            await fetchData();
+        } catch (error) {
+            setFormError(error.message);
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-emerald-50 via-white to-green-50">
+            <Navigation />
+
+            <main className="container mx-auto px-4 py-8 max-w-7xl">
+                {/* Header */}
+                <div className="mb-8 flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+                    <div>
+                        <h1 className="text-4xl font-bold text-gray-900 mb-2 bg-gradient-to-r from-emerald-600 to-green-600 bg-clip-text text-transparent">
+                            Goods Receiving
+                        </h1>
+                        <p className="text-gray-600">
+                            Book deliveries against purchase orders ({openOrders.length} awaiting delivery)
+                        </p>
+                    </div>
+                    <Link href="/purchase-orders">
+                        <Button variant="outline" className="border-emerald-600 text-emerald-600 hover:bg-emerald-50">
+                            🧾 Purchase Orders
+                        </Button>
+                    </Link>
+                </div>
+
+                {/* Result of the last receipt */}
+                {lastReceipt && (
+                    <div className={`mb-6 p-4 border-l-4 rounded-lg shadow-md animate-fade-in ${
+                        lastReceipt.discrepancies.length > 0
+                            ? 'bg-amber-50 border-amber-500 text-amber-800'
+                            : 'bg-emerald-50 border-emerald-500 text-emerald-700'
+                    }`}>
+                        <div className="flex items-center gap-2">
+                            <span className="text-2xl">{lastReceipt.discrepancies.length > 0 ? '⚠️' : '✅'}</span>
+                            <p className="font-semibold">
+                                {lastReceipt.reference}: {lastReceipt.totalReceived} units received into {lastReceipt.warehouseName}.
+                                {' '}{lastReceipt.purchaseOrderReference} is now {PO_STATUSES[lastReceipt.purchaseOrder.status]}.
+                            </p>
+                        </div>
+                        {lastReceipt.discrepancies.length > 0 && (
+                            <ul className="mt-2 ml-10 list-disc text-sm">
+                                {lastReceipt.discrepancies.map(line => (
+                                    <li key={line.productId}>
+                                        {line.productName}: expected {line.outstandingQuantity}, received {line.receivedQuantity} ({describeVariance(line)})
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+                )}
+
+                {/* Receiving Form */}
+                <Card className="mb-8 shadow-xl border-t-4 border-t-emerald-500">
+                    <CardHeader>
+                        <CardTitle className="flex items-center gap-2">
+                            <span className="text-2xl">📥</span>
+                            Receive Delivery
+                        </CardTitle>
+                        <CardDescription>Enter what actually arrived; differences from the order are reported</CardDescription>
+                    </CardHeader>
+                    <CardContent>
+                        <form onSubmit={handleSubmit} className="space-y-6">
+                            {formError && (
+                                <div className="p-4 bg-red-50 border-l-4 border-red-500 text-red-700 rounded-lg">
+                                    <div className="flex items-center gap-2">
+                                        <span className="text-2xl">⚠️</span>
+                                        <p className="font-semibold">{formError}</p>
+                                    </div>
+                                </div>
+                            )}
+
+                            <div>
+                                <label className="block text-sm font-semibold text-gray-700 mb-2">
+                                    Purchase Order *
+                                </label>
+                                <select
+                                    value={selectedOrderId}
+                                    onChange={(e) => selectOrder(e.target.value)}
+                                    required
+                                    disabled={loading}
+                                    className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all"
+                                >
+                                    <option value="">{loading ? 'Loading...' : 'Select an open purchase order...'}</option>
+                                    {openOrders.map(order => (
+                                        <option key={order.id} value={order.id}>
+                                            {order.reference} - {order.supplierName} to {order.warehouseName} ({PO_STATUSES[order.status]})
+                                        </option>
+                                    ))}
+                                </select>
+                            </div>
+
+                            {selectedOrder && (
+                                <>
+                                    <div className="overflow-x-auto">
+                                        <table className="w-full">
+                                            <thead>
+                                                <tr className="border-b-2 border-gray-200 bg-gray-50">
+                                                    <th className="text-left py-3 px-4 font-semibold text-gray-700">Product</th>
+                                                    <th className="text-right py-3 px-4 font-semibold text-gray-700">Ordered</th>
+                                                    <th className="text-right py-3 px-4 font-semibold text-gray-700">Already Received</th>
+                                                    <th className="text-right py-3 px-4 font-semibold text-gray-700">Outstanding</th>
+                                                    <th className="text-right py-3 px-4 font-semibold text-gray-700">Received Now</th>
+                                                    <th className="text-left py-3 px-4 font-semibold text-gray-700">Lot (Optional)</th>
+                                                    <th className="text-left py-3 px-4 font-semibold text-gray-700">Variance</th>
+                                                </tr>
+                                            </thead>
+                                            <tbody>
+                                                {selectedOrder.lines.map(line => {
+                                                    const entered = Number(quantities[line.productId] || 0);
+                                                    const variance = entered - line.outstandingQuantity;
+                                                    return (
+                                                        <tr key={line.productId} className="border-b border-gray-100">
+                                                            <td className="py-3 px-4">
+                                                                <p className="font-semibold text-gray-900">{line.productName}</p>
+                                                                <p className="text-xs text-gray-500 font-mono">{line.productSku}</p>
+                                                            </td>
+                                                            <td className="py-3 px-4 text-right">{line.quantity}</td>
+                                                            <td className="py-3 px-4 text-right">{line.receivedQuantity}</td>
+                                                            <td className="py-3 px-4 text-right font-semibold">{line.outstandingQuantity}</td>
+                                                            <td className="py-3 px-4 text-right">
+                                                                <input
+                                                                    type="number"
+                                                                    min="0"
+                                                                    value={quantities[line.productId] ?? ''}
+                                                                    onChange={(e) => setQuantities(prev => ({
+                                                                        ...prev,
+                                                                        [line.productId]: e.target.value,
+                                                                    }))}
+                                                                    className="w-28 px-3 py-2 border border-gray-300 rounded-lg text-right focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all"
+                                                                    aria-label={`Quantity of ${line.productName} received`}
+                                                                />
+                                                            </td>
+                                                            <td className="py-3 px-4">
+                                                                <div className="flex flex-col gap-1 w-40">
+                                                                    {LOT_FIELDS.map(field => (
+                                                                        <input
+                                                                            key={field.name}
+                                                                            type={field.type}
+                                                                            placeholder={field.label}
+                                                                            title={field.label}
+                                                                            value={lots[line.productId]?.[field.name] || ''}
+                                                                            onChange={(e) => setLots(prev => ({
+                                                                                ...prev,
+                                                                                [line.productId]: { ...prev[line.productId], [field.name]: e.target.value },
+                                                                            }))}
+                                                                            className="px-2 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all"
+                                                                            aria-label={`${field.label} of ${line.productName}`}
+                                                                        />
+                                                                    ))}
+                                                                </div>
+                                                            </td>
+                                                            <td className="py-3 px-4">
+                                                                {variance !== 0 && (
+                                                                    <Badge
+                                                                        variant="outline"
+                                                                        className={DISCREPANCY_BADGES[variance > 0 ? 'over' : 'short']}
+                                                                    >
+                                                                        {describeVariance({ variance })}
+                                                                    </Badge>
+                                                                )}
+                                                            </td>
+                                                        </tr>
+                                                    );
+                                                })}
+                                            </tbody>
+                                        </table>
+                                    </div>
+
+                                    <div>
+                                        <label className="block text-sm font-semibold text-gray-700 mb-2">
+                                            Notes (Optional)
+                                        </label>
+                                        <textarea
+                                            value={notes}
+                                            onChange={(e) => setNotes(e.target.value)}
+                                            rows="2"
+                                            className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all"
+                                            placeholder="Delivery note number, damaged cartons..."
+                                        />
+                                    </div>
+
+                                    <label className="flex items-center gap-2 text-sm text-gray-700">
+                                        <input
+                                            type="checkbox"
+                                            checked={closeShort}
+                                            onChange={(e) => setCloseShort(e.target.checked)}
+                                            className="h-4 w-4 accent-emerald-600"
+                                        />
+                                        Close the order after this delivery, even if lines are still outstanding
+                                    </label>
+
+                                    <Button
+                                        type="submit"
+                                        disabled={submitting}
+                                        className="w-full bg-emerald-600 hover:bg-emerald-700 text-white py-3 rounded-lg font-semibold shadow-lg hover:shadow-xl transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                                    >
+                                        {submitting ? '⏳ Processing...' : '📥 Post Receipt'}
+                                    </Button>
+                                </>
+                            )}
+                        </form>
+                    </CardContent>
+                </Card>
+
+                {/* Receipt History */}
+                <Card className="shadow-lg border-t-4 border-t-emerald-500">
+                    <CardHeader>
+                        <CardTitle className="flex items-center gap-2">
+                            <span className="text-2xl">📋</span>
+                            Recent Receipts
+                        </CardTitle>
+                        <CardDescription>{receipts.length} goods receipts</CardDescription>
+                    </CardHeader>
+                    <CardContent>
+                        {loading ? (
+                            <div className="flex items-center justify-center py-12">
+                                <div className="text-center">
+                                    <div className="inline-block animate-spin rounded-full h-12 w-12 border-4 border-emerald-500 border-t-transparent"></div>
+                                    <p className="mt-4 text-gray-600">Loading receipts...</p>
+                                </div>
+                            </div>
+                        ) : receipts.length === 0 ? (
+                            <div className="text-center py-12">
+                                <div className="text-6xl mb-4">📥</div>
+                                <p className="text-xl text-gray-600 font-semibold mb-2">No goods received yet</p>
+                                <p className="text-gray-500">Send a purchase order, then book its delivery here</p>
+                            </div>
+                        ) : (
+                            <div className="overflow-x-auto">
+                                <table className="w-full">
+                                    <thead>
+                                        <tr className="border-b-2 border-gray-200 bg-gray-50">
+                                            <th className="text-left py-4 px-4 font-semibold text-gray-700">Receipt</th>
+                                            <th className="text-left py-4 px-4 font-semibold text-gray-700">Purchase Order</th>
+                                            <th className="text-left py-4 px-4 font-semibold text-gray-700">Warehouse</th>
+                                            <th className="text-left py-4 px-4 font-semibold text-gray-700">Lines</th>
+                                            <th className="text-left py-4 px-4 font-semibold text-gray-700">Discrepancies</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {receipts.map(receipt => (
+                                            <tr
+                                                key={receipt.id}
+                                                className="border-b border-gray-100 hover:bg-emerald-50 transition-colors duration-150"
+                                            >
+                                                <td className="py-4 px-4 whitespace-nowrap">
+                                                    <p className="font-mono text-sm text-gray-900">{receipt.reference}</p>
+                                                    <p className="text-xs text-gray-500">{formatDate(receipt.receivedAt)}</p>
+                                                </td>
+                                                <td className="py-4 px-4">
+                                                    <p className="font-mono text-sm text-gray-900">{receipt.purchaseOrderReference}</p>
+                                                    <p className="text-xs text-gray-500">{receipt.supplierName}</p>
+                                                </td>
+                                                <td className="py-4 px-4">
+                                                    <Badge variant="outline" className="text-gray-600">
+                                                        🏭 {receipt.warehouseName}
+                                                    </Badge>
+                                                </td>
+                                                <td className="py-4 px-4 text-sm">
+                                                    {receipt.lines.filter(line => line.receivedQuantity > 0).map(line => (
+                                                        <p key={line.productId} className="text-gray-900">
+                                                            {line.productName}
+                                                            <span className="ml-1 text-gray-500">&times; {line.receivedQuantity}</span>
+                                                            {line.lot && (
+                                                                <span className="ml-1 text-xs text-gray-500 font-mono">
+                                                                    lot {line.lot.lotNumber}{line.lot.expiresAt && `, exp. ${line.lot.expiresAt}`}
+                                                                </span>
+                                                            )}
+                                                        </p>
+                                                    ))}
+                                                    {receipt.closedShort && (
+                                                        <p className="text-xs text-gray-500 italic">Order closed short</p>
+                                                    )}
+                                                </td>
+                                                <td className="py-4 px-4">
+                                                    {receipt.discrepancies.length === 0 ? (
+                                                        <Badge className="bg-emerald-500 text-white border-emerald-600">✅ As ordered</Badge>
+                                                    ) : (
+                                                        <div className="flex flex-col gap-1 items-start">
+                                                            {receipt.discrepancies.map(line => (
+                                                                <Badge
+                                                                    key={line.productId}
+                                                                    variant="outline"
+                                                                    className={DISCREPANCY_BADGES[line.discrepancy]}
+                                                                >
+                                                                    {line.productSku}: {describeVariance(line)}
+                                                                </Badge>
+                                                            ))}
+                                                        </div>
+                                                    )}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+                    </CardContent>
+                </Card>
+            </main>
+        </div>
+    );
+}
+
+// Navigation Component
+function Navigation() {
+    const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
+
+    return (
+        <nav className="bg-white shadow-md border-b border-gray-200 sticky top-0 z-50">
+            <div className="container mx-auto px-4">
+                <div className="flex items-center justify-between h-16">
+                    <Link href="/" className="flex items-center gap-3 hover:opacity-80 transition-opacity">
+                        <div>
+                            <h1 className="text-lg md:text-xl font-bold text-gray-900">
+                                <span className="md:hidden">IMS</span>
+                                <span className="hidden md:inline">Inventory Management System</span>
+                            </h1>
+                        </div>
+                    </Link>
+
+                    {/* Desktop Navigation */}
+                    <div className="hidden md:flex items-center gap-2">
+                        <Link href="/">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🏠 Dashboard
+                            </Button>
+                        </Link>
+                        <Link href="/products">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📦 Products
+                            </Button>
+                        </Link>
+                        <Link href="/warehouses">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🏭 Warehouses
+                            </Button>
+                        </Link>
+                        <Link href="/stock">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📊 Stock Levels
+                            </Button>
+                        </Link>
+                        <Link href="/transfers">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🔄 Transfers
+                            </Button>
+                        </Link>
+                        <Link href="/alerts">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🔔 Alerts
+                            </Button>
+                        </Link>
+                        <Link href="/purchase-orders">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🧾 Purchasing
+                            </Button>
+                        </Link>
+                        <Link href="/receiving">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📥 Receiving
+                            </Button>
+                        </Link>
+                        <Link href="/sales-orders">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🛒 Sales
+                            </Button>
+                        </Link>
+                        <Link href="/stock-counts">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📋 Counts
+                            </Button>
+                        </Link>
+                        <Link href="/adjustments">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                ⚖️ Adjustments
+                            </Button>
+                        </Link>
+                        <Link href="/audit">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🕵️ Audit
+                            </Button>
+                        </Link>
+                    </div>
+
+                    {/* Mobile Hamburger Button */}
+                    <button
+                        onClick={() => setMobileMenuOpen(!mobileMenuOpen)}
+                        className="md:hidden p-2 rounded-lg hover:bg-gray-100 transition-colors"
+                        aria-label="Toggle menu"
+                    >
+                        <svg
+                            className="w-6 h-6 text-gray-700"
+                            fill="none"
+                            strokeLinecap="round"
+                            strokeLinejoin="round"
+                            strokeWidth="2"
+                            viewBox="0 0 24 24"
+                            stroke="currentColor"
+                        >
+                            {mobileMenuOpen ? (
+                                <path d="M6 18L18 6M6 6l12 12" />
+                            ) : (
+                                <path d="M4 6h16M4 12h16M4 18h16" />
+                            )}
+                        </svg>
+                    </button>
+                </div>
+
+                {/* Mobile Menu */}
+                {mobileMenuOpen && (
+                    <div className="md:hidden py-4 border-t border-gray-200 animate-fade-in">
+                        <div className="flex flex-col space-y-2">
+                            <Link href="/" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🏠 Dashboard
+                                </Button>
+                            </Link>
+                            <Link href="/products" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📦 Products
+                                </Button>
+                            </Link>
+                            <Link href="/warehouses" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🏭 Warehouses
+                                </Button>
+                            </Link>
+                            <Link href="/stock" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📊 Stock Levels
+                                </Button>
+                            </Link>
+                            <Link href="/transfers" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🔄 Transfers
+                                </Button>
+                            </Link>
+                            <Link href="/alerts" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🔔 Alerts
+                                </Button>
+                            </Link>
+                            <Link href="/purchase-orders" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🧾 Purchasing
+                                </Button>
+                            </Link>
+                            <Link href="/receiving" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📥 Receiving
+                                </Button>
+                            </Link>
+                            <Link href="/sales-orders" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🛒 Sales
+                                </Button>
+                            </Link>
+                            <Link href="/stock-counts" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📋 Counts
+                                </Button>
+                            </Link>
+                            <Link href="/adjustments" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    ⚖️ Adjustments
+                                </Button>
+                            </Link>
+                            <Link href="/audit" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🕵️ Audit
+                                </Button>
+                            </Link>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </nav>
+    );
+}
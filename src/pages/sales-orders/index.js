@@ -0,0 +1,701 @@
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { SO_STATUSES, allocatedWarehouseIds } from '@/lib/salesOrders';
+import { useSession } from '@/components/SessionProvider';
+import { can } from '@/lib/permissions';
+
+const STATUS_BADGES = {
+    reserved: 'bg-blue-500 text-white border-blue-600',
+    shipped: 'bg-emerald-500 text-white border-emerald-600',
+    cancelled: 'bg-red-500 text-white border-red-600',
+};
+
+const STATUS_ICONS = {
+    reserved: '🔒',
+    shipped: '🚚',
+    cancelled: '✖️',
+};
+
+const EMPTY_LINE = { productId: '', quantity: '' };
+
+const EMPTY_FORM = {
+    customerName: '',
+    warehouseId: '',
+    lines: [EMPTY_LINE],
+    notes: '',
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+});
+
+export default function SalesOrdersPage() {
+    const { user } = useSession();
+    const [orders, setOrders] = useState([]);
+    const [products, setProducts] = useState([]);
+    const [warehouses, setWarehouses] = useState([]);
+    const [stock, setStock] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [statusFilter, setStatusFilter] = useState('all');
+    const [showForm, setShowForm] = useState(false);
+    const [formData, setFormData] = useState(EMPTY_FORM);
+    const [formError, setFormError] = useState('');
+    const [lineErrors, setLineErrors] = useState({});
+    const [successMessage, setSuccessMessage] = useState('');
+    const [actionError, setActionError] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+
+    useEffect(() => {
+        fetchData();
+    }, []);
+
+    const fetchData = async () => {
+        setLoading(true);
+        try {
+            const [ordersData, productsData, warehousesData, stockData] = await Promise.all([
+                fetch('/api/sales-orders').then(res => res.json()),
+                fetch('/api/products').then(res => res.json()),
+                fetch('/api/warehouses').then(res => res.json()),
+                fetch('/api/stock').then(res => res.json()),
+            ]);
+
+            setOrders(ordersData);
+            setProducts(productsData);
+            setWarehouses(warehousesData);
+            setStock(stockData);
+        } catch (error) {
+            console.error('Failed to fetch data:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const showSuccess = (message) => {
+        setSuccessMessage(message);
+        setTimeout(() => setSuccessMessage(''), 3000);
+    };
+
+    // Stock that can be reserved in the chosen warehouse, or across all warehouses when auto-allocating
+    const getAvailableStock = (productId) => {
+        if (!productId) return 0;
+        return stock
+            .filter(s => s.productId === parseInt(productId))
+            .filter(s => !formData.warehouseId || s.warehouseId === parseInt(formData.warehouseId))
+            .reduce((sum, s) => sum + Math.max(s.shippableQuantity, 0), 0);
+    };
+
+    const handleInputChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+        setFormError('');
+        setLineErrors({});
+    };
+
+    const handleLineChange = (index, field, value) => {
+        setFormData(prev => ({
+            ...prev,
+            lines: prev.lines.map((line, i) => (i === index ? { ...line, [field]: value } : line)),
+        }));
+        setFormError('');
+        setLineErrors({});
+    };
+
+    const addLine = () => {
+        setFormData(prev => ({ ...prev, lines: [...prev.lines, EMPTY_LINE] }));
+    };
+
+    const removeLine = (index) => {
+        setFormData(prev => ({ ...prev, lines: prev.lines.filter((_, i) => i !== index) }));
+        setLineErrors({});
+    };
+
+    const resetForm = () => {
+        setFormData(EMPTY_FORM);
+        setFormError('');
+        setLineErrors({});
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setFormError('');
+        setLineErrors({});
+        setSubmitting(true);
+
+        try {
+            const response = await fetch('/api/sales-orders', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    ...formData,
+                    warehouseId: formData.warehouseId || null,
+                }),
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                if (data.lineErrors) {
+                    setLineErrors(Object.fromEntries(data.lineErrors.map(e => [e.line, e.error])));
+                }
+                throw new Error(data.error || 'Failed to create sales order');
+            }
+
+            resetForm();
+            setShowForm(false);
+            await fetchData();
+            showSuccess(`${data.reference} placed; ${data.totalQuantity} units reserved`);
+        } catch (error) {
+            setFormError(error.message);
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    // Apply a lifecycle action (ship, cancel) to a sales order
+    const handleAction = async (order, action) => {
+        setActionError('');
+        if (action === 'cancel' && !window.confirm(`Cancel ${order.reference} and release its reservations?`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/sales-orders/${order.id}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ action }),
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || `Failed to ${action} sales order`);
+            }
+
+            await fetchData();
+            showSuccess(`${data.reference} is now ${SO_STATUSES[data.status]}`);
+        } catch (error) {
+            setActionError(error.message);
+        }
+    };
+
+    const filteredOrders = orders.filter(order => statusFilter === 'all' || order.status === statusFilter);
+
+    // Shipping and cancelling touch stock in every warehouse the order is allocated from
+    const canAct = (order, action) => order.availableActions.includes(action)
+        && allocatedWarehouseIds(order).every(warehouseId => can(user, 'move_stock', warehouseId));
+
+    const reservedCount = orders.filter(o => o.status === 'reserved').length;
+    const reservedUnits = stock.reduce((sum, s) => sum + s.reservedQuantity, 0);
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-emerald-50 via-white to-green-50">
+            <Navigation />
+
+            <main className="container mx-auto px-4 py-8 max-w-7xl">
+                {/* Header */}
+                <div className="mb-8 flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+                    <div>
+                        <h1 className="text-4xl font-bold text-gray-900 mb-2 bg-gradient-to-r from-emerald-600 to-green-600 bg-clip-text text-transparent">
+                            Sales Orders
+                        </h1>
+                        <p className="text-gray-600">
+                            Customer demand and the stock it reserves ({reservedCount} open, {reservedUnits.toLocaleString()} units reserved)
+                        </p>
+                    </div>
+                    {can(user, 'move_stock') && (
+                        <Button
+                            onClick={() => setShowForm(!showForm)}
+                            className="bg-emerald-600 hover:bg-emerald-700 shadow-lg hover:shadow-xl transition-all duration-300"
+                        >
+                            {showForm ? '❌ Cancel' : '➕ New Sales Order'}
+                        </Button>
+                    )}
+                </div>
+
+                {/* Success Message */}
+                {successMessage && (
+                    <div className="mb-6 p-4 bg-emerald-50 border-l-4 border-emerald-500 text-emerald-700 rounded-lg shadow-md animate-fade-in">
+                        <div className="flex items-center gap-2">
+                            <span className="text-2xl">✅</span>
+                            <p className="font-semibold">{successMessage}</p>
+                        </div>
+                    </div>
+                )}
+
+                {/* Sales Order Form */}
+                {showForm && (
+                    <Card className="mb-8 shadow-xl border-t-4 border-t-emerald-500 animate-fade-in">
+                        <CardHeader>
+                            <CardTitle className="flex items-center gap-2">
+                                <span className="text-2xl">🛒</span>
+                                New Sales Order
+                            </CardTitle>
+                            <CardDescription>Stock is reserved as soon as the order is placed</CardDescription>
+                        </CardHeader>
+                        <CardContent>
+                            <form onSubmit={handleSubmit} className="space-y-6">
+                                {formError && (
+                                    <div className="p-4 bg-red-50 border-l-4 border-red-500 text-red-700 rounded-lg">
+                                        <div className="flex items-center gap-2">
+                                            <span className="text-2xl">⚠️</span>
+                                            <p className="font-semibold">{formError}</p>
+                                        </div>
+                                    </div>
+                                )}
+
+                                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                                    <div>
+                                        <label className="block text-sm font-semibold text-gray-700 mb-2">
+                                            Customer *
+                                        </label>
+                                        <input
+                                            type="text"
+                                            name="customerName"
+                                            value={formData.customerName}
+                                            onChange={handleInputChange}
+                                            required
+                                            className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all"
+                                            placeholder="Customer or account name"
+                                        />
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-semibold text-gray-700 mb-2">
+                                            Ship From
+                                        </label>
+                                        <select
+                                            name="warehouseId"
+                                            value={formData.warehouseId}
+                                            onChange={handleInputChange}
+                                            className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all"
+                                        >
+                                            <option value="">Auto-allocate across warehouses</option>
+                                            {warehouses.map(warehouse => (
+                                                <option key={warehouse.id} value={warehouse.id}>
+                                                    {warehouse.name} ({warehouse.location})
+                                                </option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                </div>
+
+                                {/* Product Lines */}
+                                <div>
+                                    <label className="block text-sm font-semibold text-gray-700 mb-2">
+                                        Products *
+                                    </label>
+                                    <div className="space-y-3">
+                                        {formData.lines.map((line, index) => {
+                                            const available = getAvailableStock(line.productId);
+                                            return (
+                                                <div key={index}>
+                                                    <div className="flex gap-3">
+                                                        <select
+                                                            value={line.productId}
+                                                            onChange={(e) => handleLineChange(index, 'productId', e.target.value)}
+                                                            required
+                                                            className={`flex-1 px-4 py-3 border rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all ${lineErrors[index] ? 'border-red-400' : 'border-gray-300'}`}
+                                                        >
+                                                            <option value="">Select a product...</option>
+                                                            {products
+                                                                .filter(product => product.id === parseInt(line.productId)
+                                                                    || !formData.lines.some(l => parseInt(l.productId) === product.id))
+                                                                .map(product => (
+                                                                    <option key={product.id} value={product.id}>
+                                                                        {product.sku} - {product.name}
+                                                                    </option>
+                                                                ))}
+                                                        </select>
+                                                        <input
+                                                            type="number"
+                                                            value={line.quantity}
+                                                            onChange={(e) => handleLineChange(index, 'quantity', e.target.value)}
+                                                            required
+                                                            min="1"
+                                                            max={available || undefined}
+                                                            className={`w-32 px-4 py-3 border rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all ${lineErrors[index] ? 'border-red-400' : 'border-gray-300'}`}
+                                                            placeholder="Qty"
+                                                        />
+                                                        <Button
+                                                            type="button"
+                                                            variant="outline"
+                                                            onClick={() => removeLine(index)}
+                                                            disabled={formData.lines.length === 1}
+                                                            className="border-gray-300 hover:bg-red-50"
+                                                            aria-label="Remove line"
+                                                        >
+                                                            🗑️
+                                                        </Button>
+                                                    </div>
+                                                    {line.productId && (
+                                                        <p className="mt-1 text-xs text-gray-500">Available: {available}</p>
+                                                    )}
+                                                    {lineErrors[index] && (
+                                                        <p className="mt-1 text-xs font-semibold text-red-600">{lineErrors[index]}</p>
+                                                    )}
+                                                </div>
+                                            );
+                                        })}
+                                    </div>
+                                    <Button
+                                        type="button"
+                                        variant="outline"
+                                        onClick={addLine}
+                                        className="mt-3 border-emerald-300 text-emerald-700 hover:bg-emerald-50"
+                                    >
+                                        ➕ Add Line
+                                    </Button>
+                                </div>
+
+                                <div>
+                                    <label className="block text-sm font-semibold text-gray-700 mb-2">
+                                        Notes (Optional)
+                                    </label>
+                                    <textarea
+                                        name="notes"
+                                        value={formData.notes}
+                                        onChange={handleInputChange}
+                                        rows="2"
+                                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all"
+                                        placeholder="Customer PO number, delivery instructions..."
+                                    />
+                                </div>
+
+                                <div className="flex gap-4">
+                                    <Button
+                                        type="submit"
+                                        disabled={submitting}
+                                        className="flex-1 bg-emerald-600 hover:bg-emerald-700 text-white py-3 rounded-lg font-semibold shadow-lg hover:shadow-xl transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                                    >
+                                        {submitting ? '⏳ Processing...' : '🔒 Place Order & Reserve'}
+                                    </Button>
+                                    <Button
+                                        type="button"
+                                        onClick={() => {
+                                            setShowForm(false);
+                                            resetForm();
+                                        }}
+                                        variant="outline"
+                                        className="px-8 border-gray-300 hover:bg-gray-50"
+                                    >
+                                        Cancel
+                                    </Button>
+                                </div>
+                            </form>
+                        </CardContent>
+                    </Card>
+                )}
+
+                {/* Action Error */}
+                {actionError && (
+                    <div className="mb-6 p-4 bg-red-50 border-l-4 border-red-500 text-red-700 rounded-lg shadow-md">
+                        <div className="flex items-center gap-2">
+                            <span className="text-2xl">⚠️</span>
+                            <p className="font-semibold">{actionError}</p>
+                        </div>
+                    </div>
+                )}
+
+                {/* Sales Order List */}
+                <Card className="shadow-lg border-t-4 border-t-emerald-500">
+                    <CardHeader>
+                        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+                            <div>
+                                <CardTitle className="flex items-center gap-2">
+                                    <span className="text-2xl">🛒</span>
+                                    Sales Orders
+                                </CardTitle>
+                                <CardDescription>{filteredOrders.length} of {orders.length} orders</CardDescription>
+                            </div>
+                            <select
+                                value={statusFilter}
+                                onChange={(e) => setStatusFilter(e.target.value)}
+                                className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+                                aria-label="Filter by status"
+                            >
+                                <option value="all">All statuses</option>
+                                {Object.entries(SO_STATUSES).map(([status, label]) => (
+                                    <option key={status} value={status}>{label}</option>
+                                ))}
+                            </select>
+                        </div>
+                    </CardHeader>
+                    <CardContent>
+                        {loading ? (
+                            <div className="flex items-center justify-center py-12">
+                                <div className="text-center">
+                                    <div className="inline-block animate-spin rounded-full h-12 w-12 border-4 border-emerald-500 border-t-transparent"></div>
+                                    <p className="mt-4 text-gray-600">Loading sales orders...</p>
+                                </div>
+                            </div>
+                        ) : filteredOrders.length === 0 ? (
+                            <div className="text-center py-12">
+                                <div className="text-6xl mb-4">🛒</div>
+                                <p className="text-xl text-gray-600 font-semibold mb-2">No sales orders</p>
+                                <p className="text-gray-500">Place an order to reserve stock for a customer</p>
+                            </div>
+                        ) : (
+                            <div className="overflow-x-auto">
+                                <table className="w-full">
+                                    <thead>
+                                        <tr className="border-b-2 border-gray-200 bg-gray-50">
+                                            <th className="text-left py-4 px-4 font-semibold text-gray-700">Reference</th>
+                                            <th className="text-left py-4 px-4 font-semibold text-gray-700">Customer</th>
+                                            <th className="text-left py-4 px-4 font-semibold text-gray-700">Lines & Allocation</th>
+                                            <th className="text-right py-4 px-4 font-semibold text-gray-700">Units</th>
+                                            <th className="text-center py-4 px-4 font-semibold text-gray-700">Status</th>
+                                            <th className="text-center py-4 px-4 font-semibold text-gray-700">Actions</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {filteredOrders.map(order => (
+                                            <tr
+                                                key={order.id}
+                                                className="border-b border-gray-100 hover:bg-emerald-50 transition-colors duration-150"
+                                            >
+                                                <td className="py-4 px-4 whitespace-nowrap">
+                                                    <p className="font-mono text-sm text-gray-900">{order.reference}</p>
+                                                    <p className="text-xs text-gray-500">{formatDate(order.createdAt)}</p>
+                                                </td>
+                                                <td className="py-4 px-4 font-semibold text-gray-900">{order.customerName}</td>
+                                                <td className="py-4 px-4 text-sm">
+                                                    {order.lines.map(line => (
+                                                        <div key={line.productId} className="mb-1">
+                                                            <p className="text-gray-900">
+                                                                {line.productName}
+                                                                <span className="ml-1 text-gray-500">&times; {line.quantity}</span>
+                                                            </p>
+                                                            <div className="flex flex-wrap gap-1">
+                                                                {line.allocations.map(allocation => (
+                                                                    <Badge key={allocation.warehouseId} variant="outline" className="text-xs text-gray-600">
+                                                                        🏭 {allocation.warehouseName}: {allocation.quantity}
+                                                                    </Badge>
+                                                                ))}
+                                                            </div>
+                                                        </div>
+                                                    ))}
+                                                </td>
+                                                <td className="py-4 px-4 text-right font-bold text-emerald-600">
+                                                    {order.totalQuantity.toLocaleString()}
+                                                </td>
+                                                <td className="py-4 px-4 text-center">
+                                                    <Badge className={`${STATUS_BADGES[order.status]} shadow-sm`}>
+                                                        {STATUS_ICONS[order.status]} {SO_STATUSES[order.status]}
+                                                    </Badge>
+                                                </td>
+                                                <td className="py-4 px-4">
+                                                    <div className="flex justify-center gap-2">
+                                                        {canAct(order, 'ship') && (
+                                                            <Button
+                                                                size="sm"
+                                                                onClick={() => handleAction(order, 'ship')}
+                                                                className="bg-emerald-600 hover:bg-emerald-700"
+                                                            >
+                                                                🚚 Ship
+                                                            </Button>
+                                                        )}
+                                                        {canAct(order, 'cancel') && (
+                                                            <Button
+                                                                size="sm"
+                                                                variant="outline"
+                                                                onClick={() => handleAction(order, 'cancel')}
+                                                                className="border-red-300 text-red-600 hover:bg-red-50"
+                                                            >
+                                                                Cancel
+                                                            </Button>
+                                                        )}
+                                                    </div>
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+                    </CardContent>
+                </Card>
+            </main>
+        </div>
+    );
+}
+
+// Navigation Component
+function Navigation() {
+    const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
+
+    return (
+        <nav className="bg-white shadow-md border-b border-gray-200 sticky top-0 z-50">
+            <div className="container mx-auto px-4">
+                <div className="flex items-center justify-between h-16">
+                    <Link href="/" className="flex items-center gap-3 hover:opacity-80 transition-opacity">
+                        <div>
+                            <h1 className="text-lg md:text-xl font-bold text-gray-900">
+                                <span className="md:hidden">IMS</span>
+                                <span className="hidden md:inline">Inventory Management System</span>
+                            </h1>
+                        </div>
+                    </Link>
+
+                    {/* Desktop Navigation */}
+                    <div className="hidden md:flex items-center gap-2">
+                        <Link href="/">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🏠 Dashboard
+                            </Button>
+                        </Link>
+                        <Link href="/products">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📦 Products
+                            </Button>
+                        </Link>
+                        <Link href="/warehouses">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🏭 Warehouses
+                            </Button>
+                        </Link>
+                        <Link href="/stock">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📊 Stock Levels
+                            </Button>
+                        </Link>
+                        <Link href="/transfers">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🔄 Transfers
+                            </Button>
+                        </Link>
+                        <Link href="/alerts">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🔔 Alerts
+                            </Button>
+                        </Link>
+                        <Link href="/purchase-orders">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🧾 Purchasing
+                            </Button>
+                        </Link>
+                        <Link href="/receiving">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📥 Receiving
+                            </Button>
+                        </Link>
+                        <Link href="/sales-orders">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🛒 Sales
+                            </Button>
+                        </Link>
+                        <Link href="/stock-counts">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📋 Counts
+                            </Button>
+                        </Link>
+                        <Link href="/adjustments">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                ⚖️ Adjustments
+                            </Button>
+                        </Link>
+                        <Link href="/audit">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🕵️ Audit
+                            </Button>
+                        </Link>
+                    </div>
+
+                    {/* Mobile Hamburger Button */}
+                    <button
+                        onClick={() => setMobileMenuOpen(!mobileMenuOpen)}
+                        className="md:hidden p-2 rounded-lg hover:bg-gray-100 transition-colors"
+                        aria-label="Toggle menu"
+                    >
+                        <svg
+                            className="w-6 h-6 text-gray-700"
+                            fill="none"
+                            strokeLinecap="round"
+                            strokeLinejoin="round"
+                            strokeWidth="2"
+                            viewBox="0 0 24 24"
+                            stroke="currentColor"
+                        >
+                            {mobileMenuOpen ? (
+                                <path d="M6 18L18 6M6 6l12 12" />
+                            ) : (
+                                <path d="M4 6h16M4 12h16M4 18h16" />
+                            )}
+                        </svg>
+                    </button>
+                </div>
+
+                {/* Mobile Menu */}
+                {mobileMenuOpen && (
+                    <div className="md:hidden py-4 border-t border-gray-200 animate-fade-in">
+                        <div className="flex flex-col space-y-2">
+                            <Link href="/" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🏠 Dashboard
+                                </Button>
+                            </Link>
+                            <Link href="/products" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📦 Products
+                                </Button>
+                            </Link>
+                            <Link href="/warehouses" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🏭 Warehouses
+                                </Button>
+                            </Link>
+                            <Link href="/stock" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📊 Stock Levels
+                                </Button>
+                            </Link>
+                            <Link href="/transfers" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🔄 Transfers
+                                </Button>
+                            </Link>
+                            <Link href="/alerts" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🔔 Alerts
+                                </Button>
+                            </Link>
+                            <Link href="/purchase-orders" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🧾 Purchasing
+                                </Button>
+                            </Link>
+                            <Link href="/receiving" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📥 Receiving
+                                </Button>
+                            </Link>
+                            <Link href="/sales-orders" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🛒 Sales
+                                </Button>
+                            </Link>
+                            <Link href="/stock-counts" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📋 Counts
+                                </Button>
+                            </Link>
+                            <Link href="/adjustments" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    ⚖️ Adjustments
+                                </Button>
+                            </Link>
+                            <Link href="/audit" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🕵️ Audit
+                                </Button>
+                            </Link>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </nav>
+    );
+}
@@ -0,0 +1,802 @@
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { COUNT_STATUSES } from '@/lib/stockCounts';
+import { useSession } from '@/components/SessionProvider';
+import { can, stockWarehouses } from '@/lib/permissions';
+
+const STATUS_BADGES = {
+    counting: 'bg-blue-500 text-white border-blue-600',
+    review: 'bg-amber-500 text-white border-amber-600',
+    posted: 'bg-emerald-500 text-white border-emerald-600',
+    cancelled: 'bg-red-500 text-white border-red-600',
+};
+
+const STATUS_ICONS = {
+    counting: '📝',
+    review: '🔍',
+    posted: '✅',
+    cancelled: '✖️',
+};
+
+const EMPTY_FORM = {
+    warehouseId: '',
+    categories: [],
+    binIds: [],
+    blind: false,
+    notes: '',
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+});
+
+const formatMoney = (amount) => `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2)}`;
+
+const describeScope = (session) => {
+    if (session.binIds.length > 0) return `${session.binIds.length} bins`;
+    if (session.categories.length > 0) return session.categories.join(', ');
+    return 'Whole warehouse';
+};
+
+export default function StockCountsPage() {
+    const { user } = useSession();
+    const [sessions, setSessions] = useState([]);
+    const [products, setProducts] = useState([]);
+    const [warehouses, setWarehouses] = useState([]);
+    const [bins, setBins] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [showForm, setShowForm] = useState(false);
+    const [formData, setFormData] = useState(EMPTY_FORM);
+    const [formError, setFormError] = useState('');
+    const [selectedId, setSelectedId] = useState(null);
+    const [counts, setCounts] = useState({});
+    const [approved, setApproved] = useState({});
+    const [successMessage, setSuccessMessage] = useState('');
+    const [actionError, setActionError] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+
+    useEffect(() => {
+        fetchData();
+    }, []);
+
+    const fetchData = async () => {
+        setLoading(true);
+        try {
+            const [sessionsData, productsData, warehousesData, binsData] = await Promise.all([
+                fetch('/api/stock-counts').then(res => res.json()),
+                fetch('/api/products').then(res => res.json()),
+                fetch('/api/warehouses').then(res => res.json()),
+                fetch('/api/bins').then(res => res.json()),
+            ]);
+
+            setSessions(sessionsData);
+            setProducts(productsData);
+            setWarehouses(warehousesData);
+            setBins(binsData);
+        } catch (error) {
+            console.error('Failed to fetch data:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const showSuccess = (message) => {
+        setSuccessMessage(message);
+        setTimeout(() => setSuccessMessage(''), 3000);
+    };
+
+    // Load a session's counts into the form and approve every variance by default
+    const selectSession = (session) => {
+        setSelectedId(session.id);
+        setActionError('');
+        setCounts(Object.fromEntries(session.lines.map(line => [line.line, line.countedQuantity ?? ''])));
+        setApproved(Object.fromEntries(session.lines.map(line => [line.line, true])));
+    };
+
+    const handleInputChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setFormData(prev => ({
+            ...prev,
+            [name]: type === 'checkbox' ? checked : value,
+            // Bins belong to one warehouse
+            ...(name === 'warehouseId' && { binIds: [] }),
+        }));
+        setFormError('');
+    };
+
+    const toggleScope = (field, value) => {
+        setFormData(prev => ({
+            ...prev,
+            [field]: prev[field].includes(value)
+                ? prev[field].filter(v => v !== value)
+                : [...prev[field], value],
+        }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setFormError('');
+        setSubmitting(true);
+
+        try {
+            const response = await fetch('/api/stock-counts', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(formData),
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to open stock count');
+            }
+
+            setFormData(EMPTY_FORM);
+            setShowForm(false);
+            await fetchData();
+            selectSession(data);
+            showSuccess(`${data.reference} opened with ${data.lines.length} lines to count`);
+        } catch (error) {
+            setFormError(error.message);
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    // Apply a lifecycle action to the selected session
+    const handleAction = async (session, action) => {
+        setActionError('');
+        if (action === 'cancel' && !window.confirm(`Cancel ${session.reference}? Counted quantities will be discarded.`)) {
+            return;
+        }
+
+        const body = { action };
+        if (action === 'count') {
+            body.counts = session.lines.map(line => ({ line: line.line, countedQuantity: counts[line.line] }));
+        } else if (action === 'post') {
+            body.approved = session.lines.filter(line => approved[line.line]).map(line => line.line);
+        }
+
+        try {
+            const response = await fetch(`/api/stock-counts/${session.id}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body),
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || `Failed to ${action} stock count`);
+            }
+
+            await fetchData();
+            selectSession(data);
+            showSuccess(action === 'count'
+                ? `${data.countedLines} of ${data.lines.length} lines counted`
+                : `${data.reference} is now ${COUNT_STATUSES[data.status]}`);
+        } catch (error) {
+            setActionError(error.message);
+        }
+    };
+
+    const categories = [...new Set(products.map(p => p.category))].sort();
+    const warehouseBins = bins.filter(bin => bin.warehouseId === parseInt(formData.warehouseId));
+    const selected = sessions.find(s => s.id === selectedId);
+    const openCount = sessions.filter(s => ['counting', 'review'].includes(s.status)).length;
+
+    // Largest variances by value first once expected quantities are visible
+    const selectedLines = selected
+        ? [...selected.lines].sort((a, b) => Math.abs(b.varianceValue || 0) - Math.abs(a.varianceValue || 0))
+        : [];
+    const showExpected = selected && !(selected.blind && selected.status === 'counting');
+
+    // Counting happens in the operator's own warehouses; posting the variances is for managers
+    const canAct = (session, action) => session.availableActions.includes(action)
+        && can(user, action === 'post' ? 'manage_inventory' : 'move_stock', session.warehouseId);
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-emerald-50 via-white to-green-50">
+            <Navigation />
+
+            <main className="container mx-auto px-4 py-8 max-w-7xl">
+                {/* Header */}
+                <div className="mb-8 flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+                    <div>
+                        <h1 className="text-4xl font-bold text-gray-900 mb-2 bg-gradient-to-r from-emerald-600 to-green-600 bg-clip-text text-transparent">
+                            Stock Counts
+                        </h1>
+                        <p className="text-gray-600">
+                            Cycle counts and stocktakes with variance review ({openCount} open)
+                        </p>
+                    </div>
+                    {can(user, 'move_stock') && (
+                        <Button
+                            onClick={() => setShowForm(!showForm)}
+                            className="bg-emerald-600 hover:bg-emerald-700 shadow-lg hover:shadow-xl transition-all duration-300"
+                        >
+                            {showForm ? '❌ Cancel' : '➕ New Count'}
+                        </Button>
+                    )}
+                </div>
+
+                {/* Success Message */}
+                {successMessage && (
+                    <div className="mb-6 p-4 bg-emerald-50 border-l-4 border-emerald-500 text-emerald-700 rounded-lg shadow-md animate-fade-in">
+                        <div className="flex items-center gap-2">
+                            <span className="text-2xl">✅</span>
+                            <p className="font-semibold">{successMessage}</p>
+                        </div>
+                    </div>
+                )}
+
+                {/* New Count Form */}
+                {showForm && (
+                    <Card className="mb-8 shadow-xl border-t-4 border-t-emerald-500 animate-fade-in">
+                        <CardHeader>
+                            <CardTitle className="flex items-center gap-2">
+                                <span className="text-2xl">📋</span>
+                                New Count Session
+                            </CardTitle>
+                            <CardDescription>Expected quantities are frozen when the session opens</CardDescription>
+                        </CardHeader>
+                        <CardContent>
+                            <form onSubmit={handleSubmit} className="space-y-6">
+                                {formError && (
+                                    <div className="p-4 bg-red-50 border-l-4 border-red-500 text-red-700 rounded-lg">
+                                        <div className="flex items-center gap-2">
+                                            <span className="text-2xl">⚠️</span>
+                                            <p className="font-semibold">{formError}</p>
+                                        </div>
+                                    </div>
+                                )}
+
+                                <div>
+                                    <label className="block text-sm font-semibold text-gray-700 mb-2">
+                                        Warehouse *
+                                    </label>
+                                    <select
+                                        name="warehouseId"
+                                        value={formData.warehouseId}
+                                        onChange={handleInputChange}
+                                        required
+                                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all"
+                                    >
+                                        <option value="">Select a warehouse...</option>
+                                        {stockWarehouses(user, warehouses).map(warehouse => (
+                                            <option key={warehouse.id} value={warehouse.id}>
+                                                {warehouse.name} ({warehouse.location})
+                                            </option>
+                                        ))}
+                                    </select>
+                                </div>
+
+                                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                                    <div>
+                                        <p className="block text-sm font-semibold text-gray-700 mb-2">
+                                            Categories (leave empty for all)
+                                        </p>
+                                        <div className="flex flex-wrap gap-3">
+                                            {categories.map(category => (
+                                                <label key={category} className="flex items-center gap-2 text-sm text-gray-700">
+                                                    <input
+                                                        type="checkbox"
+                                                        checked={formData.categories.includes(category)}
+                                                        onChange={() => toggleScope('categories', category)}
+                                                        className="h-4 w-4 text-emerald-600 focus:ring-emerald-500 border-gray-300 rounded"
+                                                    />
+                                                    {category}
+                                                </label>
+                                            ))}
+                                        </div>
+                                    </div>
+                                    <div>
+                                        <p className="block text-sm font-semibold text-gray-700 mb-2">
+                                            Bins (leave empty for all stock)
+                                        </p>
+                                        {warehouseBins.length === 0 ? (
+                                            <p className="text-sm text-gray-500">
+                                                {formData.warehouseId ? 'This warehouse has no bins' : 'Choose a warehouse first'}
+                                            </p>
+                                        ) : (
+                                            <div className="flex flex-wrap gap-3">
+                                                {warehouseBins.map(bin => (
+                                                    <label key={bin.id} className="flex items-center gap-2 text-sm text-gray-700 font-mono">
+                                                        <input
+                                                            type="checkbox"
+                                                            checked={formData.binIds.includes(bin.id)}
+                                                            onChange={() => toggleScope('binIds', bin.id)}
+                                                            className="h-4 w-4 text-emerald-600 focus:ring-emerald-500 border-gray-300 rounded"
+                                                        />
+                                                        {bin.code}
+                                                    </label>
+                                                ))}
+                                            </div>
+                                        )}
+                                    </div>
+                                </div>
+
+                                <label className="flex items-center gap-2 text-sm text-gray-700">
+                                    <input
+                                        type="checkbox"
+                                        name="blind"
+                                        checked={formData.blind}
+                                        onChange={handleInputChange}
+                                        className="h-4 w-4 text-emerald-600 focus:ring-emerald-500 border-gray-300 rounded"
+                                    />
+                                    Blind count (hide expected quantities from counters until the count is submitted)
+                                </label>
+
+                                <div>
+                                    <label className="block text-sm font-semibold text-gray-700 mb-2">
+                                        Notes (Optional)
+                                    </label>
+                                    <textarea
+                                        name="notes"
+                                        value={formData.notes}
+                                        onChange={handleInputChange}
+                                        rows="2"
+                                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all"
+                                        placeholder="Year-end stocktake, monthly cycle count..."
+                                    />
+                                </div>
+
+                                <div className="flex gap-4">
+                                    <Button
+                                        type="submit"
+                                        disabled={submitting}
+                                        className="flex-1 bg-emerald-600 hover:bg-emerald-700 text-white py-3 rounded-lg font-semibold shadow-lg hover:shadow-xl transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                                    >
+                                        {submitting ? '⏳ Processing...' : '📋 Open Count'}
+                                    </Button>
+                                    <Button
+                                        type="button"
+                                        onClick={() => {
+                                            setShowForm(false);
+                                            setFormData(EMPTY_FORM);
+                                        }}
+                                        variant="outline"
+                                        className="px-8 border-gray-300 hover:bg-gray-50"
+                                    >
+                                        Cancel
+                                    </Button>
+                                </div>
+                            </form>
+                        </CardContent>
+                    </Card>
+                )}
+
+                {/* Action Error */}
+                {actionError && (
+                    <div className="mb-6 p-4 bg-red-50 border-l-4 border-red-500 text-red-700 rounded-lg shadow-md">
+                        <div className="flex items-center gap-2">
+                            <span className="text-2xl">⚠️</span>
+                            <p className="font-semibold">{actionError}</p>
+                        </div>
+                    </div>
+                )}
+
+                {/* Selected Session */}
+                {selected && (
+                    <Card className="mb-8 shadow-xl border-t-4 border-t-blue-500">
+                        <CardHeader>
+                            <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+                                <div>
+                                    <CardTitle className="flex items-center gap-2">
+                                        <span className="text-2xl">{STATUS_ICONS[selected.status]}</span>
+                                        {selected.reference} &middot; {selected.warehouseName}
+                                    </CardTitle>
+                                    <CardDescription>
+                                        {describeScope(selected)}{selected.blind ? ' · blind count' : ''} &middot;{' '}
+                                        {selected.countedLines} of {selected.lines.length} lines counted
+                                        {showExpected && ` · ${selected.varianceLines} variances, net ${formatMoney(selected.netVarianceValue)}, absolute ${formatMoney(selected.absoluteVarianceValue)}`}
+                                    </CardDescription>
+                                </div>
+                                <Button variant="outline" onClick={() => setSelectedId(null)} className="border-gray-300 hover:bg-gray-50">
+                                    Close
+                                </Button>
+                            </div>
+                        </CardHeader>
+                        <CardContent>
+                            <div className="overflow-x-auto">
+                                <table className="w-full">
+                                    <thead>
+                                        <tr className="border-b-2 border-gray-200 bg-gray-50">
+                                            <th className="text-left py-3 px-4 font-semibold text-gray-700">Product</th>
+                                            <th className="text-left py-3 px-4 font-semibold text-gray-700">Bin</th>
+                                            {showExpected && (
+                                                <th className="text-right py-3 px-4 font-semibold text-gray-700">Expected</th>
+                                            )}
+                                            <th className="text-right py-3 px-4 font-semibold text-gray-700">Counted</th>
+                                            {showExpected && (
+                                                <>
+                                                    <th className="text-right py-3 px-4 font-semibold text-gray-700">Variance</th>
+                                                    <th className="text-right py-3 px-4 font-semibold text-gray-700">Value</th>
+                                                </>
+                                            )}
+                                            {selected.status === 'review' && (
+                                                <th className="text-center py-3 px-4 font-semibold text-gray-700">Approve</th>
+                                            )}
+                                            {selected.status === 'posted' && (
+                                                <th className="text-center py-3 px-4 font-semibold text-gray-700">Adjustment</th>
+                                            )}
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {selectedLines.map(line => (
+                                            <tr key={line.line} className="border-b border-gray-100">
+                                                <td className="py-3 px-4">
+                                                    <p className="font-semibold text-gray-900">{line.productName}</p>
+                                                    <p className="text-xs text-gray-500 font-mono">{line.productSku}</p>
+                                                </td>
+                                                <td className="py-3 px-4 font-mono text-sm text-gray-700">{line.binCode || '-'}</td>
+                                                {showExpected && (
+                                                    <td className="py-3 px-4 text-right">{line.expectedQuantity}</td>
+                                                )}
+                                                <td className="py-3 px-4 text-right">
+                                                    {selected.status === 'counting' ? (
+                                                        <input
+                                                            type="number"
+                                                            min="0"
+                                                            value={counts[line.line] ?? ''}
+                                                            onChange={(e) => setCounts(prev => ({ ...prev, [line.line]: e.target.value }))}
+                                                            className="w-28 px-3 py-2 border border-gray-300 rounded-lg text-right focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all"
+                                                            aria-label={`Counted quantity of ${line.productName}`}
+                                                        />
+                                                    ) : (
+                                                        line.countedQuantity
+                                                    )}
+                                                </td>
+                                                {showExpected && (
+                                                    <>
+                                                        <td className={`py-3 px-4 text-right font-semibold ${line.variance < 0 ? 'text-red-600' : line.variance > 0 ? 'text-blue-600' : 'text-gray-500'}`}>
+                                                            {line.variance === null ? '-' : line.variance > 0 ? `+${line.variance}` : line.variance}
+                                                        </td>
+                                                        <td className="py-3 px-4 text-right text-gray-700">
+                                                            {line.varianceValue === null ? '-' : formatMoney(line.varianceValue)}
+                                                        </td>
+                                                    </>
+                                                )}
+                                                {selected.status === 'review' && (
+                                                    <td className="py-3 px-4 text-center">
+                                                        {line.variance !== 0 && (
+                                                            <input
+                                                                type="checkbox"
+                                                                checked={!!approved[line.line]}
+                                                                onChange={(e) => setApproved(prev => ({ ...prev, [line.line]: e.target.checked }))}
+                                                                className="h-4 w-4 text-emerald-600 focus:ring-emerald-500 border-gray-300 rounded"
+                                                                aria-label={`Approve variance of ${line.productName}`}
+                                                            />
+                                                        )}
+                                                    </td>
+                                                )}
+                                                {selected.status === 'posted' && (
+                                                    <td className="py-3 px-4 text-center text-sm text-gray-600">
+                                                        {line.adjustment === 'posted' ? 'Posted' : line.adjustment === 'rejected' ? 'Rejected' : '-'}
+                                                    </td>
+                                                )}
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+
+                            <div className="mt-6 flex flex-wrap gap-3">
+                                {canAct(selected, 'count') && (
+                                    <Button
+                                        onClick={() => handleAction(selected, 'count')}
+                                        className="bg-blue-600 hover:bg-blue-700"
+                                    >
+                                        💾 Save Counts
+                                    </Button>
+                                )}
+                                {canAct(selected, 'submit') && (
+                                    <Button
+                                        onClick={() => handleAction(selected, 'submit')}
+                                        className="bg-emerald-600 hover:bg-emerald-700"
+                                    >
+                                        📤 Submit for Review
+                                    </Button>
+                                )}
+                                {canAct(selected, 'post') && (
+                                    <Button
+                                        onClick={() => handleAction(selected, 'post')}
+                                        className="bg-emerald-600 hover:bg-emerald-700"
+                                    >
+                                        ✅ Post Approved Adjustments
+                                    </Button>
+                                )}
+                                {canAct(selected, 'recount') && (
+                                    <Button
+                                        variant="outline"
+                                        onClick={() => handleAction(selected, 'recount')}
+                                        className="border-blue-300 text-blue-600 hover:bg-blue-50"
+                                    >
+                                        🔁 Recount
+                                    </Button>
+                                )}
+                                {canAct(selected, 'cancel') && (
+                                    <Button
+                                        variant="outline"
+                                        onClick={() => handleAction(selected, 'cancel')}
+                                        className="border-red-300 text-red-600 hover:bg-red-50"
+                                    >
+                                        Cancel Count
+                                    </Button>
+                                )}
+                            </div>
+                        </CardContent>
+                    </Card>
+                )}
+
+                {/* Session List */}
+                <Card className="shadow-lg border-t-4 border-t-emerald-500">
+                    <CardHeader>
+                        <CardTitle className="flex items-center gap-2">
+                            <span className="text-2xl">📋</span>
+                            Count Sessions
+                        </CardTitle>
+                        <CardDescription>{sessions.length} sessions</CardDescription>
+                    </CardHeader>
+                    <CardContent>
+                        {loading ? (
+                            <div className="flex items-center justify-center py-12">
+                                <div className="text-center">
+                                    <div className="inline-block animate-spin rounded-full h-12 w-12 border-4 border-emerald-500 border-t-transparent"></div>
+                                    <p className="mt-4 text-gray-600">Loading stock counts...</p>
+                                </div>
+                            </div>
+                        ) : sessions.length === 0 ? (
+                            <div className="text-center py-12">
+                                <div className="text-6xl mb-4">📋</div>
+                                <p className="text-xl text-gray-600 font-semibold mb-2">No count sessions</p>
+                                <p className="text-gray-500">Open a count to check stock against what is on the shelves</p>
+                            </div>
+                        ) : (
+                            <div className="overflow-x-auto">
+                                <table className="w-full">
+                                    <thead>
+                                        <tr className="border-b-2 border-gray-200 bg-gray-50">
+                                            <th className="text-left py-4 px-4 font-semibold text-gray-700">Reference</th>
+                                            <th className="text-left py-4 px-4 font-semibold text-gray-700">Warehouse</th>
+                                            <th className="text-left py-4 px-4 font-semibold text-gray-700">Scope</th>
+                                            <th className="text-right py-4 px-4 font-semibold text-gray-700">Counted</th>
+                                            <th className="text-right py-4 px-4 font-semibold text-gray-700">Variance Value</th>
+                                            <th className="text-center py-4 px-4 font-semibold text-gray-700">Status</th>
+                                            <th className="text-center py-4 px-4 font-semibold text-gray-700">Actions</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {sessions.map(session => (
+                                            <tr
+                                                key={session.id}
+                                                className="border-b border-gray-100 hover:bg-emerald-50 transition-colors duration-150"
+                                            >
+                                                <td className="py-4 px-4 whitespace-nowrap">
+                                                    <p className="font-mono text-sm text-gray-900">{session.reference}</p>
+                                                    <p className="text-xs text-gray-500">{formatDate(session.createdAt)}</p>
+                                                </td>
+                                                <td className="py-4 px-4">
+                                                    <Badge variant="outline" className="text-gray-600">
+                                                        🏭 {session.warehouseName}
+                                                    </Badge>
+                                                </td>
+                                                <td className="py-4 px-4 text-sm text-gray-700">
+                                                    {describeScope(session)}
+                                                    {session.blind && <span className="ml-1 text-xs text-gray-500">(blind)</span>}
+                                                </td>
+                                                <td className="py-4 px-4 text-right text-gray-900">
+                                                    {session.countedLines} / {session.lines.length}
+                                                </td>
+                                                <td className="py-4 px-4 text-right font-semibold text-gray-900">
+                                                    {session.varianceLines > 0 ? formatMoney(session.netVarianceValue) : '-'}
+                                                </td>
+                                                <td className="py-4 px-4 text-center">
+                                                    <Badge className={`${STATUS_BADGES[session.status]} shadow-sm`}>
+                                                        {STATUS_ICONS[session.status]} {COUNT_STATUSES[session.status]}
+                                                    </Badge>
+                                                </td>
+                                                <td className="py-4 px-4 text-center">
+                                                    <Button
+                                                        size="sm"
+                                                        variant="outline"
+                                                        onClick={() => selectSession(session)}
+                                                        className="border-gray-300 hover:bg-gray-50"
+                                                    >
+                                                        {['counting', 'review'].includes(session.status) ? '📝 Open' : '👁️ View'}
+                                                    </Button>
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+                    </CardContent>
+                </Card>
+            </main>
+        </div>
+    );
+}
+
+// Navigation Component
+function Navigation() {
+    const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
+
+    return (
+        <nav className="bg-white shadow-md border-b border-gray-200 sticky top-0 z-50">
+            <div className="container mx-auto px-4">
+                <div className="flex items-center justify-between h-16">
+                    <Link href="/" className="flex items-center gap-3 hover:opacity-80 transition-opacity">
+                        <div>
+                            <h1 className="text-lg md:text-xl font-bold text-gray-900">
+                                <span className="md:hidden">IMS</span>
+                                <span className="hidden md:inline">Inventory Management System</span>
+                            </h1>
+                        </div>
+                    </Link>
+
+                    {/* Desktop Navigation */}
+                    <div className="hidden md:flex items-center gap-2">
+                        <Link href="/">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🏠 Dashboard
+                            </Button>
+                        </Link>
+                        <Link href="/products">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📦 Products
+                            </Button>
+                        </Link>
+                        <Link href="/warehouses">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🏭 Warehouses
+                            </Button>
+                        </Link>
+                        <Link href="/stock">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📊 Stock Levels
+                            </Button>
+                        </Link>
+                        <Link href="/transfers">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🔄 Transfers
+                            </Button>
+                        </Link>
+                        <Link href="/alerts">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🔔 Alerts
+                            </Button>
+                        </Link>
+                        <Link href="/purchase-orders">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🧾 Purchasing
+                            </Button>
+                        </Link>
+                        <Link href="/receiving">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📥 Receiving
+                            </Button>
+                        </Link>
+                        <Link href="/sales-orders">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🛒 Sales
+                            </Button>
+                        </Link>
+                        <Link href="/stock-counts">
+                            <Button variant="ghost" className="bg-emerald-50 text-emerald-600 hover:bg-emerald-100 transition-all duration-200">
+                                📋 Counts
+                            </Button>
+                        </Link>
+                        <Link href="/adjustments">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                ⚖️ Adjustments
+                            </Button>
+                        </Link>
+                        <Link href="/audit">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🕵️ Audit
+                            </Button>
+                        </Link>
+                    </div>
+
+                    {/* Mobile Hamburger Button */}
+                    <button
+                        onClick={() => setMobileMenuOpen(!mobileMenuOpen)}
+                        className="md:hidden p-2 rounded-lg hover:bg-gray-100 transition-colors"
+                        aria-label="Toggle menu"
+                    >
+                        <svg
+                            className="w-6 h-6 text-gray-700"
+                            fill="none"
+                            strokeLinecap="round"
+                            strokeLinejoin="round"
+                            strokeWidth="2"
+                            viewBox="0 0 24 24"
+                            stroke="currentColor"
+                        >
+                            {mobileMenuOpen ? (
+                                <path d="M6 18L18 6M6 6l12 12" />
+                            ) : (
+                                <path d="M4 6h16M4 12h16M4 18h16" />
+                            )}
+                        </svg>
+                    </button>
+                </div>
+
+                {/* Mobile Menu */}
+                {mobileMenuOpen && (
+                    <div className="md:hidden py-4 border-t border-gray-200 animate-fade-in">
+                        <div className="flex flex-col space-y-2">
+                            <Link href="/" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🏠 Dashboard
+                                </Button>
+                            </Link>
+                            <Link href="/products" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📦 Products
+                                </Button>
+                            </Link>
+                            <Link href="/warehouses" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🏭 Warehouses
+                                </Button>
+                            </Link>
+                            <Link href="/stock" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📊 Stock Levels
+                                </Button>
+                            </Link>
+                            <Link href="/transfers" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🔄 Transfers
+                                </Button>
+                            </Link>
+                            <Link href="/alerts" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🔔 Alerts
+                                </Button>
+                            </Link>
+                            <Link href="/purchase-orders" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🧾 Purchasing
+                                </Button>
+                            </Link>
+                            <Link href="/receiving" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📥 Receiving
+                                </Button>
+                            </Link>
+                            <Link href="/sales-orders" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🛒 Sales
+                                </Button>
+                            </Link>
+                            <Link href="/stock-counts" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start bg-emerald-50 text-emerald-600 hover:bg-emerald-100 transition-all duration-200">
+                                    📋 Counts
+                                </Button>
+                            </Link>
+                            <Link href="/adjustments" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    ⚖️ Adjustments
+                                </Button>
+                            </Link>
+                            <Link href="/audit" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🕵️ Audit
+                                </Button>
+                            </Link>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </nav>
+    );
+}
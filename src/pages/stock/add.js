@@ -11,17 +11,28 @@ import {
   AppBar,
   Toolbar,
   MenuItem,
+  Alert,
 } from '@mui/material';
 import InventoryIcon from '@mui/icons-material/Inventory';
+import { stockSchema, validate } from '@/lib/validation';
+import { selectableRecords } from '@/lib/archive';
+import { stockWarehouses } from '@/lib/permissions';
+import { useSession } from '@/components/SessionProvider';
 
 export default function AddStock() {
   const [stock, setStock] = useState({
     productId: '',
     warehouseId: '',
     quantity: '',
+    lotNumber: '',
+    manufacturedAt: '',
+    expiresAt: '',
   });
   const [products, setProducts] = useState([]);
   const [warehouses, setWarehouses] = useState([]);
+  const [error, setError] = useState('');
+  const [errors, setErrors] = useState({});
+  const { user } = useSession();
 
   const router = useRouter();
 
@@ -37,21 +48,32 @@ export default function AddStock() {
 
   const handleChange = (e) => {
     setStock({ ...stock, [e.target.name]: e.target.value });
+    setErrors({ ...errors, [e.target.name]: undefined });
   };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    // Check the same schema the API uses, so mistakes show up next to their fields before anything is sent
+    const { values, fieldErrors } = validate(stockSchema, stock);
+    setErrors(fieldErrors);
+    setError('');
+    if (Object.keys(fieldErrors).length > 0) {
+      return;
+    }
+
     const res = await fetch('/api/stock', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        productId: parseInt(stock.productId),
-        warehouseId: parseInt(stock.warehouseId),
-        quantity: parseInt(stock.quantity),
-      }),
+      body: JSON.stringify(values),
     });
     if (res.ok) {
       router.push('/stock');
+    } else {
+      const data = await res.json();
+      setErrors(data.fieldErrors || {});
+      if (!data.fieldErrors) {
+        setError(data.error || 'Failed to add stock record');
+      }
     }
   };
 
@@ -83,6 +105,11 @@ export default function AddStock() {
           <Typography variant="h4" component="h1" gutterBottom>
             Add Stock Record
           </Typography>
+          {error && (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              {error}
+            </Alert>
+          )}
           <Box component="form" onSubmit={handleSubmit} noValidate sx={{ mt: 2 }}>
             <TextField
               margin="normal"
@@ -93,8 +120,10 @@ export default function AddStock() {
               name="productId"
               value={stock.productId}
               onChange={handleChange}
+              error={Boolean(errors.productId)}
+              helperText={errors.productId}
             >
-              {products.map((product) => (
+              {selectableRecords(products).map((product) => (
                 <MenuItem key={product.id} value={product.id}>
                   {product.name} ({product.sku})
                 </MenuItem>
@@ -109,8 +138,10 @@ export default function AddStock() {
               name="warehouseId"
               value={stock.warehouseId}
               onChange={handleChange}
+              error={Boolean(errors.warehouseId)}
+              helperText={errors.warehouseId}
             >
-              {warehouses.map((warehouse) => (
+              {stockWarehouses(user, selectableRecords(warehouses)).map((warehouse) => (
                 <MenuItem key={warehouse.id} value={warehouse.id}>
                   {warehouse.name} ({warehouse.code})
                 </MenuItem>
@@ -126,7 +157,48 @@ export default function AddStock() {
               inputProps={{ min: '0' }}
               value={stock.quantity}
               onChange={handleChange}
+              error={Boolean(errors.quantity)}
+              helperText={errors.quantity}
+            />
+            <Typography variant="subtitle2" color="text.secondary" sx={{ mt: 2 }}>
+              Lot (optional): shelf-life tracked goods are picked first-expiry-first-out
+            </Typography>
+            <TextField
+              margin="normal"
+              fullWidth
+              label="Lot Number"
+              name="lotNumber"
+              value={stock.lotNumber}
+              onChange={handleChange}
+              error={Boolean(errors.lotNumber)}
+              helperText={errors.lotNumber}
             />
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <TextField
+                margin="normal"
+                fullWidth
+                label="Manufactured"
+                name="manufacturedAt"
+                type="date"
+                InputLabelProps={{ shrink: true }}
+                value={stock.manufacturedAt}
+                onChange={handleChange}
+                error={Boolean(errors.manufacturedAt)}
+                helperText={errors.manufacturedAt}
+              />
+              <TextField
+                margin="normal"
+                fullWidth
+                label="Expires"
+                name="expiresAt"
+                type="date"
+                InputLabelProps={{ shrink: true }}
+                value={stock.expiresAt}
+                onChange={handleChange}
+                error={Boolean(errors.expiresAt)}
+                helperText={errors.expiresAt}
+              />
+            </Box>
             <Box sx={{ mt: 3, display: 'flex', gap: 2 }}>
               <Button
                 type="submit"
@@ -12,8 +12,14 @@ import {
   Toolbar,
   MenuItem,
   CircularProgress,
+  Alert,
 } from '@mui/material';
 import InventoryIcon from '@mui/icons-material/Inventory';
+import { sortFEFO } from '@/lib/lots';
+import { stockSchema, validate } from '@/lib/validation';
+import { selectableRecords } from '@/lib/archive';
+import { can } from '@/lib/permissions';
+import { useSession } from '@/components/SessionProvider';
 
 export default function EditStock() {
   const [stock, setStock] = useState({
@@ -24,6 +30,9 @@ export default function EditStock() {
   const [products, setProducts] = useState([]);
   const [warehouses, setWarehouses] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [errors, setErrors] = useState({});
+  const { user } = useSession();
 
   const router = useRouter();
   const { id } = router.query;
@@ -35,7 +44,7 @@ export default function EditStock() {
         fetch('/api/products').then(res => res.json()),
         fetch('/api/warehouses').then(res => res.json()),
       ]).then(([stockData, productsData, warehousesData]) => {
-        setStock(stockData);
+        setStock({ ...stockData, lotNumber: '', manufacturedAt: '', expiresAt: '' });
         setProducts(productsData);
         setWarehouses(warehousesData);
         setLoading(false);
@@ -45,21 +54,32 @@ export default function EditStock() {
 
   const handleChange = (e) => {
     setStock({ ...stock, [e.target.name]: e.target.value });
+    setErrors({ ...errors, [e.target.name]: undefined });
   };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    // Check the same schema the API uses, so mistakes show up next to their fields before anything is sent
+    const { values, fieldErrors } = validate(stockSchema, stock);
+    setErrors(fieldErrors);
+    setError('');
+    if (Object.keys(fieldErrors).length > 0) {
+      return;
+    }
+
     const res = await fetch(`/api/stock/${id}`, {
       method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        productId: parseInt(stock.productId),
-        warehouseId: parseInt(stock.warehouseId),
-        quantity: parseInt(stock.quantity),
-      }),
+      body: JSON.stringify(values),
     });
     if (res.ok) {
       router.push('/stock');
+    } else {
+      const data = await res.json();
+      setErrors(data.fieldErrors || {});
+      if (!data.fieldErrors) {
+        setError(data.error || 'Failed to update stock record');
+      }
     }
   };
 
@@ -99,6 +119,11 @@ export default function EditStock() {
           <Typography variant="h4" component="h1" gutterBottom>
             Edit Stock Record
           </Typography>
+          {error && (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              {error}
+            </Alert>
+          )}
           <Box component="form" onSubmit={handleSubmit} noValidate sx={{ mt: 2 }}>
             <TextField
               margin="normal"
@@ -109,8 +134,10 @@ export default function EditStock() {
               name="productId"
               value={stock.productId}
               onChange={handleChange}
+              error={Boolean(errors.productId)}
+              helperText={errors.productId}
             >
-              {products.map((product) => (
+              {selectableRecords(products, stock.productId).map((product) => (
                 <MenuItem key={product.id} value={product.id}>
                   {product.name} ({product.sku})
                 </MenuItem>
@@ -125,12 +152,16 @@ export default function EditStock() {
               name="warehouseId"
               value={stock.warehouseId}
               onChange={handleChange}
+              error={Boolean(errors.warehouseId)}
+              helperText={errors.warehouseId}
             >
-              {warehouses.map((warehouse) => (
-                <MenuItem key={warehouse.id} value={warehouse.id}>
-                  {warehouse.name} ({warehouse.code})
-                </MenuItem>
-              ))}
+              {selectableRecords(warehouses, stock.warehouseId)
+                .filter((warehouse) => warehouse.id === stock.warehouseId || can(user, 'move_stock', warehouse.id))
+                .map((warehouse) => (
+                  <MenuItem key={warehouse.id} value={warehouse.id}>
+                    {warehouse.name} ({warehouse.code})
+                  </MenuItem>
+                ))}
             </TextField>
             <TextField
               margin="normal"
@@ -142,7 +173,60 @@ export default function EditStock() {
               inputProps={{ min: '0' }}
               value={stock.quantity}
               onChange={handleChange}
+              error={Boolean(errors.quantity)}
+              helperText={errors.quantity}
+            />
+            {stock.lots?.length > 0 && (
+              <Box sx={{ mt: 2 }}>
+                <Typography variant="subtitle2" color="text.secondary">
+                  Current lots (stock is taken from the earliest expiry first)
+                </Typography>
+                {sortFEFO(stock.lots).map((lot) => (
+                  <Typography key={lot.lotNumber} variant="body2">
+                    {lot.lotNumber}: {lot.quantity} units{lot.expiresAt ? `, expires ${lot.expiresAt}` : ''}
+                  </Typography>
+                ))}
+              </Box>
+            )}
+            <Typography variant="subtitle2" color="text.secondary" sx={{ mt: 2 }}>
+              Lot for added quantity (optional)
+            </Typography>
+            <TextField
+              margin="normal"
+              fullWidth
+              label="Lot Number"
+              name="lotNumber"
+              value={stock.lotNumber}
+              onChange={handleChange}
+              error={Boolean(errors.lotNumber)}
+              helperText={errors.lotNumber}
             />
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <TextField
+                margin="normal"
+                fullWidth
+                label="Manufactured"
+                name="manufacturedAt"
+                type="date"
+                InputLabelProps={{ shrink: true }}
+                value={stock.manufacturedAt}
+                onChange={handleChange}
+                error={Boolean(errors.manufacturedAt)}
+                helperText={errors.manufacturedAt}
+              />
+              <TextField
+                margin="normal"
+                fullWidth
+                label="Expires"
+                name="expiresAt"
+                type="date"
+                InputLabelProps={{ shrink: true }}
+                value={stock.expiresAt}
+                onChange={handleChange}
+                error={Boolean(errors.expiresAt)}
+                helperText={errors.expiresAt}
+              />
+            </Box>
             <Box sx={{ mt: 3, display: 'flex', gap: 2 }}>
               <Button
                 type="submit"
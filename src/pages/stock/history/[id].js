@@ -0,0 +1,168 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import {
+  Container,
+  Typography,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  AppBar,
+  Toolbar,
+  Box,
+  Chip,
+  CircularProgress,
+} from '@mui/material';
+import InventoryIcon from '@mui/icons-material/Inventory';
+import { transferReference } from '@/lib/transfers';
+import { receiptReference } from '@/lib/receipts';
+import { salesOrderReference } from '@/lib/salesOrders';
+import { stockCountReference } from '@/lib/stockCounts';
+import { adjustmentReference } from '@/lib/adjustments';
+
+export default function StockHistory() {
+  const [stockItem, setStockItem] = useState(null);
+  const [movements, setMovements] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const router = useRouter();
+  const { id } = router.query;
+
+  useEffect(() => {
+    if (id) {
+      fetch(`/api/stock/${id}`)
+        .then(res => res.json())
+        .then(stockData => {
+          setStockItem(stockData);
+          return fetch(`/api/movements?productId=${stockData.productId}&warehouseId=${stockData.warehouseId}`);
+        })
+        .then(res => res.json())
+        .then(movementsData => {
+          setMovements(movementsData);
+          setLoading(false);
+        });
+    }
+  }, [id]);
+
+  const formatReference = (movement) => {
+    if (movement.referenceType === 'transfer') {
+      return transferReference(movement.referenceId);
+    }
+    if (movement.referenceType === 'receipt') {
+      return receiptReference(movement.referenceId);
+    }
+    if (movement.referenceType === 'salesOrder') {
+      return salesOrderReference(movement.referenceId);
+    }
+    if (movement.referenceType === 'stockCount') {
+      return stockCountReference(movement.referenceId);
+    }
+    if (movement.referenceType === 'adjustment') {
+      return adjustmentReference(movement.referenceId);
+    }
+    return movement.referenceType ? `${movement.referenceType} #${movement.referenceId}` : '-';
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', minHeight: '100vh' }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <>
+      <AppBar position="static">
+        <Toolbar>
+          <InventoryIcon sx={{ mr: 2 }} />
+          <Typography variant="h6" component="div" sx={{ flexGrow: 1 }}>
+            Inventory Management System
+          </Typography>
+          <Button color="inherit" component={Link} href="/">
+            Dashboard
+          </Button>
+          <Button color="inherit" component={Link} href="/products">
+            Products
+          </Button>
+          <Button color="inherit" component={Link} href="/warehouses">
+            Warehouses
+          </Button>
+          <Button color="inherit" component={Link} href="/stock">
+            Stock Levels
+          </Button>
+        </Toolbar>
+      </AppBar>
+
+      <Container sx={{ mt: 4, mb: 4 }}>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+          <Box>
+            <Typography variant="h4" component="h1">
+              Stock History
+            </Typography>
+            {movements.length > 0 && (
+              <Typography variant="subtitle1" color="text.secondary">
+                {movements[0].productName} ({movements[0].productSku}) at {movements[0].warehouseName}
+                {' '}&mdash; current quantity {stockItem.quantity}
+              </Typography>
+            )}
+          </Box>
+          <Button variant="outlined" component={Link} href="/stock">
+            Back to Stock Levels
+          </Button>
+        </Box>
+
+        <TableContainer component={Paper}>
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell><strong>Date</strong></TableCell>
+                <TableCell><strong>Reason</strong></TableCell>
+                <TableCell><strong>Reference</strong></TableCell>
+                <TableCell align="right"><strong>Change</strong></TableCell>
+                <TableCell align="right"><strong>Balance</strong></TableCell>
+                <TableCell><strong>Lots</strong></TableCell>
+                <TableCell><strong>Notes</strong></TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {movements.map((movement) => (
+                <TableRow key={movement.id}>
+                  <TableCell>{new Date(movement.timestamp).toLocaleString()}</TableCell>
+                  <TableCell>{movement.reasonLabel}</TableCell>
+                  <TableCell>{formatReference(movement)}</TableCell>
+                  <TableCell align="right">
+                    <Chip
+                      size="small"
+                      color={movement.delta < 0 ? 'error' : 'success'}
+                      label={movement.delta > 0 ? `+${movement.delta}` : movement.delta}
+                    />
+                  </TableCell>
+                  <TableCell align="right">{movement.balance}</TableCell>
+                  <TableCell>
+                    {movement.lots?.length
+                      ? movement.lots.map(lot => `${lot.lotNumber} (${lot.quantity})`).join(', ')
+                      : '-'}
+                  </TableCell>
+                  <TableCell>{movement.notes || '-'}</TableCell>
+                </TableRow>
+              ))}
+              {movements.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={7} align="center">
+                    No movements recorded for this stock record.
+                  </TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Container>
+    </>
+  );
+}
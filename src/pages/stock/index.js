@@ -20,42 +20,93 @@ import {
   AppBar,
   Toolbar,
   Box,
+  MenuItem,
+  TablePagination,
+  TextField,
 } from '@mui/material';
+import BalanceIcon from '@mui/icons-material/Balance';
 import DeleteIcon from '@mui/icons-material/Delete';
 import EditIcon from '@mui/icons-material/Edit';
+import HistoryIcon from '@mui/icons-material/History';
 import InventoryIcon from '@mui/icons-material/Inventory';
+import { useSession } from '@/components/SessionProvider';
+import { sortFEFO } from '@/lib/lots';
+import { isArchived } from '@/lib/archive';
+import { can } from '@/lib/permissions';
+
+const ROWS_PER_PAGE_OPTIONS = [25, 50, 100];
 
 export default function Stock() {
+  // One page of stock records, with the total that match the search and warehouse filter
   const [stock, setStock] = useState([]);
-  const [products, setProducts] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(ROWS_PER_PAGE_OPTIONS[0]);
+  const [search, setSearch] = useState('');
+  const [warehouseFilter, setWarehouseFilter] = useState('');
   const [warehouses, setWarehouses] = useState([]);
+  const [bins, setBins] = useState([]);
   const [open, setOpen] = useState(false);
   const [selectedStockId, setSelectedStockId] = useState(null);
+  const { user } = useSession();
 
   useEffect(() => {
-    fetchData();
-  }, []);
-
-  const fetchData = () => {
     Promise.all([
-      fetch('/api/stock').then(res => res.json()),
-      fetch('/api/products').then(res => res.json()),
       fetch('/api/warehouses').then(res => res.json()),
-    ]).then(([stockData, productsData, warehousesData]) => {
-      setStock(stockData);
-      setProducts(productsData);
+      fetch('/api/bins').then(res => res.json()),
+    ]).then(([warehousesData, binsData]) => {
       setWarehouses(warehousesData);
+      setBins(binsData);
     });
-  };
+  }, []);
+
+  useEffect(() => {
+    fetchStock();
+  }, [page, rowsPerPage, search, warehouseFilter]);
 
-  const getProductName = (productId) => {
-    const product = products.find(p => p.id === productId);
-    return product ? `${product.name} (${product.sku})` : 'Unknown';
+  // The server filters and pages, and adds product names and inbound quantities (?include=details);
+  // TablePagination counts pages from 0, the API from 1
+  const fetchStock = () => {
+    const params = new URLSearchParams({ page: page + 1, limit: rowsPerPage, include: 'details' });
+    if (search) params.set('q', search);
+    if (warehouseFilter) params.set('warehouseId', warehouseFilter);
+    fetch(`/api/stock?${params}`)
+      .then(res => res.json())
+      .then((stockData) => {
+        // Step back when the last record on a page was deleted
+        if (stockData.items.length === 0 && page > 0) {
+          setPage(page - 1);
+          return;
+        }
+        setStock(stockData.items);
+        setTotal(stockData.total);
+      });
   };
 
+  const getProductName = (item) =>
+    `${item.productName} (${item.productSku})${item.productStatus === 'archived' ? ' - archived' : ''}`;
+
   const getWarehouseName = (warehouseId) => {
     const warehouse = warehouses.find(w => w.id === warehouseId);
-    return warehouse ? `${warehouse.name} (${warehouse.code})` : 'Unknown';
+    if (!warehouse) return 'Unknown';
+    return `${warehouse.name} (${warehouse.code})${isArchived(warehouse) ? ' - archived' : ''}`;
+  };
+
+  // Lot count and the expiry date that will be picked next (FEFO)
+  const describeLots = (item) => {
+    if (!item.lots?.length) return '-';
+    const next = sortFEFO(item.lots)[0];
+    const count = `${item.lots.length} ${item.lots.length === 1 ? 'lot' : 'lots'}`;
+    return next.expiresAt ? `${count}, next expiry ${next.expiresAt}` : count;
+  };
+
+  // Bins holding the record, in pick-path order
+  const describeBins = (item) => {
+    if (!item.bins?.length) return '-';
+    return bins
+      .filter(bin => item.bins.some(b => b.binId === bin.id))
+      .map(bin => `${bin.code} (${item.bins.find(b => b.binId === bin.id).quantity})`)
+      .join(', ');
   };
 
   const handleClickOpen = (id) => {
@@ -75,8 +126,8 @@ export default function Stock() {
       });
 
       if (res.ok) {
-        setStock(stock.filter((item) => item.id !== selectedStockId));
         handleClose();
+        fetchStock();
       }
     } catch (error) {
       console.error('Error deleting stock:', error);
@@ -109,6 +160,24 @@ export default function Stock() {
           <Button color="inherit" component={Link} href="/alerts">
             Alerts
           </Button>
+          <Button color="inherit" component={Link} href="/purchase-orders">
+            Purchasing
+          </Button>
+          <Button color="inherit" component={Link} href="/receiving">
+            Receiving
+          </Button>
+          <Button color="inherit" component={Link} href="/sales-orders">
+            Sales
+          </Button>
+          <Button color="inherit" component={Link} href="/stock-counts">
+            Counts
+          </Button>
+          <Button color="inherit" component={Link} href="/adjustments">
+            Adjustments
+          </Button>
+          <Button color="inherit" component={Link} href="/audit">
+            Audit
+          </Button>
         </Toolbar>
       </AppBar>
 
@@ -117,14 +186,52 @@ export default function Stock() {
           <Typography variant="h4" component="h1">
             Stock Levels
           </Typography>
-          <Button
-            variant="contained"
-            color="primary"
-            component={Link}
-            href="/stock/add"
+          {can(user, 'move_stock') && (
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <Button variant="outlined" component={Link} href="/import?type=stock">
+                Import
+              </Button>
+              <Button
+                variant="contained"
+                color="primary"
+                component={Link}
+                href="/stock/add"
+              >
+                Add Stock Record
+              </Button>
+            </Box>
+          )}
+        </Box>
+
+        <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+          <TextField
+            size="small"
+            label="Search product name or SKU"
+            value={search}
+            onChange={(e) => {
+              setSearch(e.target.value);
+              setPage(0);
+            }}
+            sx={{ minWidth: 280 }}
+          />
+          <TextField
+            select
+            size="small"
+            label="Warehouse"
+            value={warehouseFilter}
+            onChange={(e) => {
+              setWarehouseFilter(e.target.value);
+              setPage(0);
+            }}
+            sx={{ minWidth: 220 }}
           >
-            Add Stock Record
-          </Button>
+            <MenuItem value="">All warehouses</MenuItem>
+            {warehouses.map(warehouse => (
+              <MenuItem key={warehouse.id} value={warehouse.id}>
+                {warehouse.name} ({warehouse.code}){isArchived(warehouse) ? ' - archived' : ''}
+              </MenuItem>
+            ))}
+          </TextField>
         </Box>
 
         <TableContainer component={Paper}>
@@ -133,44 +240,88 @@ export default function Stock() {
               <TableRow>
                 <TableCell><strong>Product</strong></TableCell>
                 <TableCell><strong>Warehouse</strong></TableCell>
-                <TableCell align="right"><strong>Quantity</strong></TableCell>
+                <TableCell align="right"><strong>On Hand</strong></TableCell>
+                <TableCell align="right"><strong>Reserved</strong></TableCell>
+                <TableCell align="right"><strong>Available</strong></TableCell>
+                <TableCell align="right"><strong>Inbound (In Transit)</strong></TableCell>
+                <TableCell><strong>Lots</strong></TableCell>
+                <TableCell><strong>Bins</strong></TableCell>
                 <TableCell><strong>Actions</strong></TableCell>
               </TableRow>
             </TableHead>
             <TableBody>
               {stock.map((item) => (
                 <TableRow key={item.id}>
-                  <TableCell>{getProductName(item.productId)}</TableCell>
+                  <TableCell>{getProductName(item)}</TableCell>
                   <TableCell>{getWarehouseName(item.warehouseId)}</TableCell>
                   <TableCell align="right">{item.quantity}</TableCell>
+                  <TableCell align="right">{item.reservedQuantity || '-'}</TableCell>
+                  <TableCell align="right">{item.availableQuantity}</TableCell>
+                  <TableCell align="right">{item.inboundQuantity || '-'}</TableCell>
+                  <TableCell>{describeLots(item)}</TableCell>
+                  <TableCell>{describeBins(item)}</TableCell>
                   <TableCell>
                     <IconButton
-                      color="primary"
+                      color="default"
                       component={Link}
-                      href={`/stock/edit/${item.id}`}
-                      size="small"
-                    >
-                      <EditIcon />
-                    </IconButton>
-                    <IconButton
-                      color="error"
-                      onClick={() => handleClickOpen(item.id)}
+                      href={`/stock/history/${item.id}`}
                       size="small"
+                      title="Movement history"
                     >
-                      <DeleteIcon />
+                      <HistoryIcon />
                     </IconButton>
+                    {can(user, 'move_stock', item.warehouseId) && (
+                      <>
+                        <IconButton
+                          color="default"
+                          component={Link}
+                          href={`/adjustments?stockId=${item.id}`}
+                          size="small"
+                          title="Adjust stock"
+                        >
+                          <BalanceIcon />
+                        </IconButton>
+                        <IconButton
+                          color="primary"
+                          component={Link}
+                          href={`/stock/edit/${item.id}`}
+                          size="small"
+                        >
+                          <EditIcon />
+                        </IconButton>
+                        <IconButton
+                          color="error"
+                          onClick={() => handleClickOpen(item.id)}
+                          size="small"
+                        >
+                          <DeleteIcon />
+                        </IconButton>
+                      </>
+                    )}
                   </TableCell>
                 </TableRow>
               ))}
               {stock.length === 0 && (
                 <TableRow>
-                  <TableCell colSpan={4} align="center">
-                    No stock records available.
+                  <TableCell colSpan={9} align="center">
+                    {search || warehouseFilter ? 'No stock records match your filters.' : 'No stock records available.'}
                   </TableCell>
                 </TableRow>
               )}
             </TableBody>
           </Table>
+          <TablePagination
+            component="div"
+            count={total}
+            page={page}
+            onPageChange={(e, newPage) => setPage(newPage)}
+            rowsPerPage={rowsPerPage}
+            rowsPerPageOptions={ROWS_PER_PAGE_OPTIONS}
+            onRowsPerPageChange={(e) => {
+              setRowsPerPage(parseInt(e.target.value, 10));
+              setPage(0);
+            }}
+          />
         </TableContainer>
 
         <Dialog open={open} onClose={handleClose}>
@@ -0,0 +1,606 @@
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { useSession } from '@/components/SessionProvider';
+import { can } from '@/lib/permissions';
+
+const EMPTY_PRICE = { productId: '', supplierSku: '', unitPrice: '' };
+
+const EMPTY_FORM = {
+    name: '',
+    contactName: '',
+    email: '',
+    phone: '',
+    leadTimeDays: '',
+    currency: 'USD',
+    products: [],
+};
+
+const inputClass = 'w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all';
+
+export default function SuppliersPage() {
+    const { user } = useSession();
+    const canManage = can(user, 'manage_inventory');
+    const [suppliers, setSuppliers] = useState([]);
+    const [products, setProducts] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [showForm, setShowForm] = useState(false);
+    const [editingId, setEditingId] = useState(null);
+    const [formData, setFormData] = useState(EMPTY_FORM);
+    const [formError, setFormError] = useState('');
+    const [successMessage, setSuccessMessage] = useState('');
+    const [actionError, setActionError] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+
+    useEffect(() => {
+        fetchData();
+    }, []);
+
+    const fetchData = async () => {
+        setLoading(true);
+        try {
+            const [suppliersData, productsData] = await Promise.all([
+                fetch('/api/suppliers').then(res => res.json()),
+                fetch('/api/products').then(res => res.json()),
+            ]);
+            setSuppliers(suppliersData);
+            setProducts(productsData);
+        } catch (error) {
+            console.error('Failed to fetch data:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const showSuccess = (message) => {
+        setSuccessMessage(message);
+        setTimeout(() => setSuccessMessage(''), 3000);
+    };
+
+    const getProduct = (productId) => products.find(p => p.id === productId);
+
+    const handleInputChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+        setFormError('');
+    };
+
+    const handlePriceChange = (index, field, value) => {
+        setFormData(prev => ({
+            ...prev,
+            products: prev.products.map((entry, i) => (i === index ? { ...entry, [field]: value } : entry)),
+        }));
+        setFormError('');
+    };
+
+    const openForm = (supplier = null) => {
+        setEditingId(supplier?.id || null);
+        setFormData(supplier
+            ? {
+                ...supplier,
+                leadTimeDays: String(supplier.leadTimeDays),
+                products: supplier.products.map(entry => ({ ...entry, unitPrice: String(entry.unitPrice) })),
+            }
+            : EMPTY_FORM);
+        setFormError('');
+        setShowForm(true);
+    };
+
+    const closeForm = () => {
+        setShowForm(false);
+        setEditingId(null);
+        setFormData(EMPTY_FORM);
+        setFormError('');
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setFormError('');
+        setSubmitting(true);
+
+        try {
+            const response = await fetch(editingId ? `/api/suppliers/${editingId}` : '/api/suppliers', {
+                method: editingId ? 'PUT' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(formData),
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to save supplier');
+            }
+
+            closeForm();
+            await fetchData();
+            showSuccess(`${data.name} saved`);
+        } catch (error) {
+            setFormError(error.message);
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const handleDelete = async (supplier) => {
+        setActionError('');
+        if (!window.confirm(`Delete supplier ${supplier.name}?`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/suppliers/${supplier.id}`, { method: 'DELETE' });
+
+            if (!response.ok) {
+                const data = await response.json();
+                throw new Error(data.error || 'Failed to delete supplier');
+            }
+
+            await fetchData();
+            showSuccess(`${supplier.name} deleted`);
+        } catch (error) {
+            setActionError(error.message);
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-emerald-50 via-white to-green-50">
+            <Navigation />
+
+            <main className="container mx-auto px-4 py-8 max-w-7xl">
+                {/* Header */}
+                <div className="mb-8 flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+                    <div>
+                        <h1 className="text-4xl font-bold text-gray-900 mb-2 bg-gradient-to-r from-emerald-600 to-green-600 bg-clip-text text-transparent">
+                            Suppliers
+                        </h1>
+                        <p className="text-gray-600">
+                            Contacts, lead times and price lists used for purchase orders
+                        </p>
+                    </div>
+                    <div className="flex gap-2">
+                        <Link href="/purchase-orders">
+                            <Button variant="outline" className="border-emerald-600 text-emerald-600 hover:bg-emerald-50">
+                                🧾 Purchase Orders
+                            </Button>
+                        </Link>
+                        {canManage && (
+                            <Button
+                                onClick={() => (showForm ? closeForm() : openForm())}
+                                className="bg-emerald-600 hover:bg-emerald-700 shadow-lg hover:shadow-xl transition-all duration-300"
+                            >
+                                {showForm ? '❌ Cancel' : '➕ New Supplier'}
+                            </Button>
+                        )}
+                    </div>
+                </div>
+
+                {/* Success Message */}
+                {successMessage && (
+                    <div className="mb-6 p-4 bg-emerald-50 border-l-4 border-emerald-500 text-emerald-700 rounded-lg shadow-md animate-fade-in">
+                        <div className="flex items-center gap-2">
+                            <span className="text-2xl">✅</span>
+                            <p className="font-semibold">{successMessage}</p>
+                        </div>
+                    </div>
+                )}
+
+                {/* Supplier Form */}
+                {showForm && (
+                    <Card className="mb-8 shadow-xl border-t-4 border-t-emerald-500 animate-fade-in">
+                        <CardHeader>
+                            <CardTitle className="flex items-center gap-2">
+                                <span className="text-2xl">🏢</span>
+                                {editingId ? 'Edit Supplier' : 'New Supplier'}
+                            </CardTitle>
+                            <CardDescription>Prices are in the supplier&apos;s currency</CardDescription>
+                        </CardHeader>
+                        <CardContent>
+                            <form onSubmit={handleSubmit} className="space-y-6">
+                                {formError && (
+                                    <div className="p-4 bg-red-50 border-l-4 border-red-500 text-red-700 rounded-lg">
+                                        <div className="flex items-center gap-2">
+                                            <span className="text-2xl">⚠️</span>
+                                            <p className="font-semibold">{formError}</p>
+                                        </div>
+                                    </div>
+                                )}
+
+                                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                                    <div>
+                                        <label className="block text-sm font-semibold text-gray-700 mb-2">Name *</label>
+                                        <input name="name" value={formData.name} onChange={handleInputChange} required className={inputClass} />
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-semibold text-gray-700 mb-2">Contact</label>
+                                        <input name="contactName" value={formData.contactName} onChange={handleInputChange} className={inputClass} />
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-semibold text-gray-700 mb-2">Email</label>
+                                        <input type="email" name="email" value={formData.email} onChange={handleInputChange} className={inputClass} />
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-semibold text-gray-700 mb-2">Phone</label>
+                                        <input name="phone" value={formData.phone} onChange={handleInputChange} className={inputClass} />
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-semibold text-gray-700 mb-2">Lead Time (days) *</label>
+                                        <input
+                                            type="number"
+                                            name="leadTimeDays"
+                                            value={formData.leadTimeDays}
+                                            onChange={handleInputChange}
+                                            required
+                                            min="0"
+                                            className={inputClass}
+                                        />
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-semibold text-gray-700 mb-2">Currency *</label>
+                                        <input
+                                            name="currency"
+                                            value={formData.currency}
+                                            onChange={handleInputChange}
+                                            required
+                                            maxLength={3}
+                                            className={`${inputClass} uppercase`}
+                                            placeholder="USD"
+                                        />
+                                    </div>
+                                </div>
+
+                                {/* Price List */}
+                                <div>
+                                    <label className="block text-sm font-semibold text-gray-700 mb-2">Price List</label>
+                                    <div className="space-y-3">
+                                        {formData.products.map((entry, index) => (
+                                            <div key={index} className="flex gap-3">
+                                                <select
+                                                    value={entry.productId}
+                                                    onChange={(e) => handlePriceChange(index, 'productId', e.target.value)}
+                                                    required
+                                                    className={`flex-1 ${inputClass}`}
+                                                >
+                                                    <option value="">Select a product...</option>
+                                                    {products.map(product => (
+                                                        <option key={product.id} value={product.id}>
+                                                            {product.sku} - {product.name}
+                                                        </option>
+                                                    ))}
+                                                </select>
+                                                <input
+                                                    value={entry.supplierSku}
+                                                    onChange={(e) => handlePriceChange(index, 'supplierSku', e.target.value)}
+                                                    className="w-40 px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all"
+                                                    placeholder="Supplier SKU"
+                                                />
+                                                <input
+                                                    type="number"
+                                                    value={entry.unitPrice}
+                                                    onChange={(e) => handlePriceChange(index, 'unitPrice', e.target.value)}
+                                                    required
+                                                    min="0"
+                                                    step="0.01"
+                                                    className="w-32 px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all"
+                                                    placeholder="Unit price"
+                                                />
+                                                <Button
+                                                    type="button"
+                                                    variant="outline"
+                                                    onClick={() => setFormData(prev => ({
+                                                        ...prev,
+                                                        products: prev.products.filter((_, i) => i !== index),
+                                                    }))}
+                                                    className="border-gray-300 hover:bg-red-50"
+                                                    aria-label="Remove product"
+                                                >
+                                                    🗑️
+                                                </Button>
+                                            </div>
+                                        ))}
+                                    </div>
+                                    <Button
+                                        type="button"
+                                        variant="outline"
+                                        onClick={() => setFormData(prev => ({ ...prev, products: [...prev.products, EMPTY_PRICE] }))}
+                                        className="mt-3 border-emerald-300 text-emerald-700 hover:bg-emerald-50"
+                                    >
+                                        ➕ Add Product
+                                    </Button>
+                                </div>
+
+                                <div className="flex gap-4">
+                                    <Button
+                                        type="submit"
+                                        disabled={submitting}
+                                        className="flex-1 bg-emerald-600 hover:bg-emerald-700 text-white py-3 rounded-lg font-semibold shadow-lg hover:shadow-xl transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                                    >
+                                        {submitting ? '⏳ Saving...' : '✅ Save Supplier'}
+                                    </Button>
+                                    <Button
+                                        type="button"
+                                        onClick={closeForm}
+                                        variant="outline"
+                                        className="px-8 border-gray-300 hover:bg-gray-50"
+                                    >
+                                        Cancel
+                                    </Button>
+                                </div>
+                            </form>
+                        </CardContent>
+                    </Card>
+                )}
+
+                {/* Action Error */}
+                {actionError && (
+                    <div className="mb-6 p-4 bg-red-50 border-l-4 border-red-500 text-red-700 rounded-lg shadow-md">
+                        <div className="flex items-center gap-2">
+                            <span className="text-2xl">⚠️</span>
+                            <p className="font-semibold">{actionError}</p>
+                        </div>
+                    </div>
+                )}
+
+                {/* Supplier List */}
+                {loading ? (
+                    <div className="flex items-center justify-center py-12">
+                        <div className="text-center">
+                            <div className="inline-block animate-spin rounded-full h-12 w-12 border-4 border-emerald-500 border-t-transparent"></div>
+                            <p className="mt-4 text-gray-600">Loading suppliers...</p>
+                        </div>
+                    </div>
+                ) : suppliers.length === 0 ? (
+                    <Card className="shadow-lg">
+                        <CardContent className="p-12 text-center">
+                            <div className="text-6xl mb-4">🏢</div>
+                            <p className="text-xl text-gray-600 font-semibold mb-2">No suppliers yet</p>
+                            <p className="text-gray-500">Add a supplier to start raising purchase orders</p>
+                        </CardContent>
+                    </Card>
+                ) : (
+                    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                        {suppliers.map(supplier => (
+                            <Card key={supplier.id} className="shadow-lg hover:shadow-xl transition-all duration-300 border-t-4 border-t-emerald-500">
+                                <CardHeader>
+                                    <div className="flex items-start justify-between gap-4">
+                                        <div>
+                                            <CardTitle>{supplier.name}</CardTitle>
+                                            <CardDescription>
+                                                {[supplier.contactName, supplier.email, supplier.phone].filter(Boolean).join(' · ') || 'No contact details'}
+                                            </CardDescription>
+                                        </div>
+                                        <div className="flex gap-2">
+                                            {canManage && (
+                                                <>
+                                                    <Button size="sm" variant="outline" onClick={() => openForm(supplier)}>
+                                                        📝 Edit
+                                                    </Button>
+                                                    <Button
+                                                        size="sm"
+                                                        variant="outline"
+                                                        onClick={() => handleDelete(supplier)}
+                                                        className="border-red-300 text-red-600 hover:bg-red-50"
+                                                    >
+                                                        🗑️
+                                                    </Button>
+                                                </>
+                                            )}
+                                        </div>
+                                    </div>
+                                </CardHeader>
+                                <CardContent>
+                                    <div className="flex gap-2 mb-4">
+                                        <Badge variant="outline">⏱️ {supplier.leadTimeDays} days lead time</Badge>
+                                        <Badge variant="outline">💱 {supplier.currency}</Badge>
+                                    </div>
+                                    {supplier.products.length === 0 ? (
+                                        <p className="text-sm text-gray-500">No products on the price list</p>
+                                    ) : (
+                                        <table className="w-full text-sm">
+                                            <thead>
+                                                <tr className="border-b border-gray-200 text-gray-600">
+                                                    <th className="text-left py-2">Product</th>
+                                                    <th className="text-left py-2">Supplier SKU</th>
+                                                    <th className="text-right py-2">Unit Price</th>
+                                                </tr>
+                                            </thead>
+                                            <tbody>
+                                                {supplier.products.map(entry => (
+                                                    <tr key={entry.productId} className="border-b border-gray-100">
+                                                        <td className="py-2 text-gray-900">{getProduct(entry.productId)?.name || 'Unknown Product'}</td>
+                                                        <td className="py-2 font-mono text-gray-600">{entry.supplierSku || '-'}</td>
+                                                        <td className="py-2 text-right font-semibold">
+                                                            {entry.unitPrice.toLocaleString('en-US', { style: 'currency', currency: supplier.currency })}
+                                                        </td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    )}
+                                </CardContent>
+                            </Card>
+                        ))}
+                    </div>
+                )}
+            </main>
+        </div>
+    );
+}
+
+// Navigation Component
+function Navigation() {
+    const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
+
+    return (
+        <nav className="bg-white shadow-md border-b border-gray-200 sticky top-0 z-50">
+            <div className="container mx-auto px-4">
+                <div className="flex items-center justify-between h-16">
+                    <Link href="/" className="flex items-center gap-3 hover:opacity-80 transition-opacity">
+                        <div>
+                            <h1 className="text-lg md:text-xl font-bold text-gray-900">
+                                <span className="md:hidden">IMS</span>
+                                <span className="hidden md:inline">Inventory Management System</span>
+                            </h1>
+                        </div>
+                    </Link>
+
+                    {/* Desktop Navigation */}
+                    <div className="hidden md:flex items-center gap-2">
+                        <Link href="/">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🏠 Dashboard
+                            </Button>
+                        </Link>
+                        <Link href="/products">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📦 Products
+                            </Button>
+                        </Link>
+                        <Link href="/warehouses">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🏭 Warehouses
+                            </Button>
+                        </Link>
+                        <Link href="/stock">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📊 Stock Levels
+                            </Button>
+                        </Link>
+                        <Link href="/transfers">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🔄 Transfers
+                            </Button>
+                        </Link>
+                        <Link href="/alerts">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🔔 Alerts
+                            </Button>
+                        </Link>
+                        <Link href="/purchase-orders">
+                            <Button variant="ghost" className="bg-emerald-50 text-emerald-600 hover:bg-emerald-100 transition-all duration-200">
+                                🧾 Purchasing
+                            </Button>
+                        </Link>
+                        <Link href="/receiving">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📥 Receiving
+                            </Button>
+                        </Link>
+                        <Link href="/sales-orders">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🛒 Sales
+                            </Button>
+                        </Link>
+                        <Link href="/stock-counts">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📋 Counts
+                            </Button>
+                        </Link>
+                        <Link href="/adjustments">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                ⚖️ Adjustments
+                            </Button>
+                        </Link>
+                        <Link href="/audit">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🕵️ Audit
+                            </Button>
+                        </Link>
+                    </div>
+
+                    {/* Mobile Hamburger Button */}
+                    <button
+                        onClick={() => setMobileMenuOpen(!mobileMenuOpen)}
+                        className="md:hidden p-2 rounded-lg hover:bg-gray-100 transition-colors"
+                        aria-label="Toggle menu"
+                    >
+                        <svg
+                            className="w-6 h-6 text-gray-700"
+                            fill="none"
+                            strokeLinecap="round"
+                            strokeLinejoin="round"
+                            strokeWidth="2"
+                            viewBox="0 0 24 24"
+                            stroke="currentColor"
+                        >
+                            {mobileMenuOpen ? (
+                                <path d="M6 18L18 6M6 6l12 12" />
+                            ) : (
+                                <path d="M4 6h16M4 12h16M4 18h16" />
+                            )}
+                        </svg>
+                    </button>
+                </div>
+
+                {/* Mobile Menu */}
+                {mobileMenuOpen && (
+                    <div className="md:hidden py-4 border-t border-gray-200 animate-fade-in">
+                        <div className="flex flex-col space-y-2">
+                            <Link href="/" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🏠 Dashboard
+                                </Button>
+                            </Link>
+                            <Link href="/products" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📦 Products
+                                </Button>
+                            </Link>
+                            <Link href="/warehouses" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🏭 Warehouses
+                                </Button>
+                            </Link>
+                            <Link href="/stock" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📊 Stock Levels
+                                </Button>
+                            </Link>
+                            <Link href="/transfers" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🔄 Transfers
+                                </Button>
+                            </Link>
+                            <Link href="/alerts" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🔔 Alerts
+                                </Button>
+                            </Link>
+                            <Link href="/purchase-orders" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start bg-emerald-50 text-emerald-600 hover:bg-emerald-100 transition-all duration-200">
+                                    🧾 Purchasing
+                                </Button>
+                            </Link>
+                            <Link href="/receiving" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📥 Receiving
+                                </Button>
+                            </Link>
+                            <Link href="/sales-orders" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🛒 Sales
+                                </Button>
+                            </Link>
+                            <Link href="/stock-counts" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📋 Counts
+                                </Button>
+                            </Link>
+                            <Link href="/adjustments" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    ⚖️ Adjustments
+                                </Button>
+                            </Link>
+                            <Link href="/audit" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🕵️ Audit
+                                </Button>
+                            </Link>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </nav>
+    );
+}
@@ -3,61 +3,178 @@ import Link from 'next/link';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
 import { Button } from '@/components/ui/button';
+import { ADJUSTMENT_TYPES, TRANSFER_STATUSES, transferReference } from '@/lib/transfers';
+import { exportPackingList } from '@/lib/exportUtils';
+import { transferSchema, validate } from '@/lib/validation';
+import { selectableRecords } from '@/lib/archive';
+import { can, canTransferAction, stockWarehouses } from '@/lib/permissions';
+import { useSession } from '@/components/SessionProvider';
+
+const STATUS_BADGES = {
+    pending: 'bg-gray-500 text-white border-gray-600',
+    in_transit: 'bg-blue-500 text-white border-blue-600',
+    partially_received: 'bg-amber-500 text-white border-amber-600',
+    received: 'bg-emerald-500 text-white border-emerald-600',
+    cancelled: 'bg-red-500 text-white border-red-600',
+    reversed: 'bg-purple-500 text-white border-purple-600',
+};
+
+const STATUS_ICONS = {
+    pending: '🕒',
+    in_transit: '🚚',
+    partially_received: '📦',
+    received: '✅',
+    cancelled: '✖️',
+    reversed: '↩️',
+};
+
+const PAGE_SIZE = 25;
+
+const EMPTY_FILTERS = { q: '', status: '', warehouseId: '' };
+
+const EMPTY_LINE = { productId: '', quantity: '' };
+
+const EMPTY_FORM = {
+    fromWarehouseId: '',
+    toWarehouseId: '',
+    lines: [EMPTY_LINE],
+    notes: '',
+    ship: false,
+};
+
+// Line problems come back keyed 'lines.<index>' or 'lines.<index>.<field>'; show each under its line
+const lineErrorsFrom = (fieldErrors) => Object.fromEntries(
+    Object.entries(fieldErrors)
+        .filter(([field]) => field.startsWith('lines.'))
+        .map(([field, message]) => [parseInt(field.split('.')[1]), message])
+);
 
 export default function TransfersPage() {
+    // One page of transfer history, with the total that match the filters
     const [transfers, setTransfers] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [page, setPage] = useState(1);
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
     const [products, setProducts] = useState([]);
     const [warehouses, setWarehouses] = useState([]);
+    // Stock at the chosen source warehouse, for the available quantities on the form
     const [stock, setStock] = useState([]);
     const [loading, setLoading] = useState(true);
     const [showForm, setShowForm] = useState(false);
-    const [formData, setFormData] = useState({
-        productId: '',
-        fromWarehouseId: '',
-        toWarehouseId: '',
-        quantity: '',
-        notes: '',
-    });
+    const { user } = useSession();
+    const [formData, setFormData] = useState(EMPTY_FORM);
     const [formError, setFormError] = useState('');
+    const [lineErrors, setLineErrors] = useState({});
     const [formSuccess, setFormSuccess] = useState('');
     const [submitting, setSubmitting] = useState(false);
+    const [actionError, setActionError] = useState('');
+    const [receiving, setReceiving] = useState(null);
+    const [receiveData, setReceiveData] = useState({ lines: {}, closeShort: false, note: '' });
+    const [correcting, setCorrecting] = useState(null);
+    const [correctData, setCorrectData] = useState({ lines: {}, toWarehouseId: '', note: '' });
 
     useEffect(() => {
-        fetchData();
+        fetchOptions();
     }, []);
 
-    const fetchData = async () => {
-        setLoading(true);
+    useEffect(() => {
+        fetchTransfers();
+    }, [page, filters]);
+
+    useEffect(() => {
+        fetchStock(formData.fromWarehouseId);
+    }, [formData.fromWarehouseId]);
+
+    // Only active products can be transferred; warehouses include archived ones to name them in filters
+    const fetchOptions = async () => {
         try {
-            const [transfersRes, productsRes, warehousesRes, stockRes] = await Promise.all([
-                fetch('/api/transfers'),
-                fetch('/api/products'),
+            const [productsRes, warehousesRes] = await Promise.all([
+                fetch('/api/products?status=active'),
                 fetch('/api/warehouses'),
-                fetch('/api/stock'),
             ]);
+            setProducts(await productsRes.json());
+            setWarehouses(await warehousesRes.json());
+        } catch (error) {
+            console.error('Failed to fetch data:', error);
+        }
+    };
 
-            const [transfersData, productsData, warehousesData, stockData] = await Promise.all([
-                transfersRes.json(),
-                productsRes.json(),
-                warehousesRes.json(),
-                stockRes.json(),
-            ]);
+    // The server filters, searches and pages the history, newest first
+    const fetchTransfers = async () => {
+        setLoading(true);
+        try {
+            const params = new URLSearchParams({ page, limit: PAGE_SIZE });
+            Object.entries(filters)
+                .filter(([, value]) => value)
+                .forEach(([name, value]) => params.set(name, value));
+            const response = await fetch(`/api/transfers?${params}`);
+            const data = await response.json();
 
-            setTransfers(transfersData);
-            setProducts(productsData);
-            setWarehouses(warehousesData);
-            setStock(stockData);
+            // Step back when the filters or an action left this page empty
+            if (data.items.length === 0 && page > 1) {
+                setPage(page - 1);
+                return;
+            }
+            setTransfers(data.items);
+            setTotal(data.total);
         } catch (error) {
-            console.error('Failed to fetch data:', error);
+            console.error('Failed to fetch transfers:', error);
         } finally {
             setLoading(false);
         }
     };
 
-    const handleInputChange = (e) => {
+    const fetchStock = async (warehouseId) => {
+        if (!warehouseId) {
+            setStock([]);
+            return;
+        }
+        try {
+            const response = await fetch(`/api/stock?warehouseId=${warehouseId}`);
+            setStock(await response.json());
+        } catch (error) {
+            console.error('Failed to fetch stock:', error);
+        }
+    };
+
+    const handleFilterChange = (e) => {
         const { name, value } = e.target;
-        setFormData(prev => ({ ...prev, [name]: value }));
+        setFilters(prev => ({ ...prev, [name]: value }));
+        setPage(1);
+    };
+
+    const pageCount = Math.max(Math.ceil(total / PAGE_SIZE), 1);
+    const filtered = Object.values(filters).some(Boolean);
+
+    const handleInputChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+        setFormError('');
+        setLineErrors({});
+    };
+
+    const handleLineChange = (index, field, value) => {
+        setFormData(prev => ({
+            ...prev,
+            lines: prev.lines.map((line, i) => (i === index ? { ...line, [field]: value } : line)),
+        }));
+        setFormError('');
+        setLineErrors({});
+    };
+
+    const addLine = () => {
+        setFormData(prev => ({ ...prev, lines: [...prev.lines, EMPTY_LINE] }));
+    };
+
+    const removeLine = (index) => {
+        setFormData(prev => ({ ...prev, lines: prev.lines.filter((_, i) => i !== index) }));
+        setLineErrors({});
+    };
+
+    const resetForm = () => {
+        setFormData(EMPTY_FORM);
         setFormError('');
+        setLineErrors({});
     };
 
     const getAvailableStock = (productId, warehouseId) => {
@@ -65,40 +182,50 @@ export default function TransfersPage() {
         const stockItem = stock.find(
             s => s.productId === parseInt(productId) && s.warehouseId === parseInt(warehouseId)
         );
-        return stockItem?.quantity || 0;
+        return Math.max(stockItem?.shippableQuantity || 0, 0);
     };
 
     const handleSubmit = async (e) => {
         e.preventDefault();
         setFormError('');
+        setLineErrors({});
         setFormSuccess('');
         setSubmitting(true);
 
         try {
+            // The API checks the same schema; checking here first keeps obvious mistakes off the server
+            const { values, fieldErrors } = validate(transferSchema, formData);
+            if (Object.keys(fieldErrors).length > 0) {
+                setLineErrors(lineErrorsFrom(fieldErrors));
+                const formErrors = Object.entries(fieldErrors).filter(([field]) => !field.startsWith('lines.'));
+                throw new Error(formErrors.length > 0
+                    ? formErrors.map(([, message]) => message).join('; ')
+                    : 'Check the highlighted product lines');
+            }
+
             const response = await fetch('/api/transfers', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(formData),
+                body: JSON.stringify(values),
             });
 
             const data = await response.json();
 
             if (!response.ok) {
+                if (data.fieldErrors) {
+                    setLineErrors(lineErrorsFrom(data.fieldErrors));
+                }
                 throw new Error(data.error || 'Failed to create transfer');
             }
 
-            setFormSuccess('Transfer completed successfully!');
-            setFormData({
-                productId: '',
-                fromWarehouseId: '',
-                toWarehouseId: '',
-                quantity: '',
-                notes: '',
-            });
+            setFormSuccess(formData.ship
+                ? `Transfer ${data.reference} created and shipped!`
+                : `Transfer ${data.reference} created and awaiting shipment`);
+            resetForm();
             setShowForm(false);
 
-            // Refresh data
-            await fetchData();
+            // Refresh the history; clearing the form clears its stock too
+            await fetchTransfers();
 
             // Clear success message after 3 seconds
             setTimeout(() => setFormSuccess(''), 3000);
@@ -109,7 +236,100 @@ export default function TransfersPage() {
         }
     };
 
-    const availableStock = getAvailableStock(formData.productId, formData.fromWarehouseId);
+    // Apply a lifecycle action (ship, receive, cancel) to an existing transfer
+    const handleTransferAction = async (transfer, action, payload = {}) => {
+        setActionError('');
+        try {
+            const response = await fetch(`/api/transfers/${transfer.id}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ action, ...payload }),
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.lineErrors
+                    ? data.lineErrors.map(e => e.error).join('; ')
+                    : data.error || `Failed to ${action} transfer`);
+            }
+
+            setReceiving(null);
+            setCorrecting(null);
+            setFormSuccess(data.adjustment
+                ? `${ADJUSTMENT_TYPES[data.adjustment.adjustmentType]} ${data.adjustment.reference} recorded against ${transfer.reference}`
+                : `Transfer ${transfer.reference} is now ${TRANSFER_STATUSES[data.status].toLowerCase()}`);
+            await Promise.all([fetchTransfers(), fetchStock(formData.fromWarehouseId)]);
+            setTimeout(() => setFormSuccess(''), 3000);
+        } catch (error) {
+            setActionError(error.message);
+        }
+    };
+
+    const startReceiving = (transfer) => {
+        setActionError('');
+        setCorrecting(null);
+        setReceiving(transfer);
+        setReceiveData({
+            lines: Object.fromEntries(transfer.lines.map(line => [line.productId, String(line.inTransitQuantity)])),
+            closeShort: false,
+            note: '',
+        });
+    };
+
+    const handleReceiveSubmit = (e) => {
+        e.preventDefault();
+        handleTransferAction(receiving, 'receive', {
+            lines: Object.entries(receiveData.lines).map(([productId, quantity]) => ({ productId, quantity })),
+            closeShort: receiveData.closeShort,
+            note: receiveData.note,
+        });
+    };
+
+    const startCorrecting = (transfer) => {
+        setActionError('');
+        setReceiving(null);
+        setCorrecting(transfer);
+        setCorrectData({
+            lines: Object.fromEntries(transfer.lines.map(line => [line.productId, String(line.netQuantity)])),
+            toWarehouseId: String(transfer.toWarehouseId),
+            note: '',
+        });
+    };
+
+    // A different destination is corrected on its own; quantities are corrected afterwards
+    const redirecting = correcting && parseInt(correctData.toWarehouseId) !== correcting.toWarehouseId;
+
+    const handleCorrectSubmit = (e) => {
+        e.preventDefault();
+        handleTransferAction(correcting, 'correct', redirecting
+            ? { toWarehouseId: parseInt(correctData.toWarehouseId), note: correctData.note }
+            : {
+                lines: Object.entries(correctData.lines).map(([productId, quantity]) => ({ productId, quantity })),
+                note: correctData.note,
+            });
+    };
+
+    const handleReverseTransfer = (transfer) => {
+        const message = `Reverse transfer ${transfer.reference}? ${transfer.netQuantity} units will move from ${transfer.toWarehouseName} back to ${transfer.fromWarehouseName}.`;
+        if (window.confirm(message)) {
+            handleTransferAction(transfer, 'reverse');
+        }
+    };
+
+    const handleCancelTransfer = (transfer) => {
+        const message = transfer.inTransitQuantity > 0
+            ? `Cancel transfer ${transfer.reference}? ${transfer.inTransitQuantity} units in transit will return to ${transfer.fromWarehouseName}.`
+            : `Cancel transfer ${transfer.reference}?`;
+        if (window.confirm(message)) {
+            handleTransferAction(transfer, 'cancel');
+        }
+    };
+
+    const totalLineQuantity = formData.lines.reduce((sum, line) => sum + (parseInt(line.quantity) || 0), 0);
+
+    // Actions the transfer allows and the signed-in user may take
+    const canAct = (transfer, action) => transfer.availableActions.includes(action) && canTransferAction(user, transfer, action);
 
     return (
         <div className="min-h-screen bg-gradient-to-br from-emerald-50 via-white to-green-50">
@@ -126,12 +346,14 @@ export default function TransfersPage() {
                             Move inventory between warehouse locations
                         </p>
                     </div>
-                    <Button
-                        onClick={() => setShowForm(!showForm)}
-                        className="bg-emerald-600 hover:bg-emerald-700 shadow-lg hover:shadow-xl transition-all duration-300"
-                    >
-                        {showForm ? '❌ Cancel' : '➕ New Transfer'}
-                    </Button>
+                    {can(user, 'move_stock') && (
+                        <Button
+                            onClick={() => setShowForm(!showForm)}
+                            className="bg-emerald-600 hover:bg-emerald-700 shadow-lg hover:shadow-xl transition-all duration-300"
+                        >
+                            {showForm ? '❌ Cancel' : '➕ New Transfer'}
+                        </Button>
+                    )}
                 </div>
 
                 {/* Success Message */}
@@ -152,7 +374,7 @@ export default function TransfersPage() {
                                 <span className="text-2xl">🔄</span>
                                 Create Stock Transfer
                             </CardTitle>
-                            <CardDescription>Transfer inventory from one warehouse to another</CardDescription>
+                            <CardDescription>Transfer one or more products from one warehouse to another</CardDescription>
                         </CardHeader>
                         <CardContent>
                             <form onSubmit={handleSubmit} className="space-y-6">
@@ -166,50 +388,6 @@ export default function TransfersPage() {
                                 )}
 
                                 <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                                    {/* Product Selection */}
-                                    <div>
-                                        <label className="block text-sm font-semibold text-gray-700 mb-2">
-                                            Product *
-                                        </label>
-                                        <select
-                                            name="productId"
-                                            value={formData.productId}
-                                            onChange={handleInputChange}
-                                            required
-                                            className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all"
-                                        >
-                                            <option value="">Select a product...</option>
-                                            {products.map(product => (
-                                                <option key={product.id} value={product.id}>
-                                                    {product.sku} - {product.name}
-                                                </option>
-                                            ))}
-                                        </select>
-                                    </div>
-
-                                    {/* Quantity */}
-                                    <div>
-                                        <label className="block text-sm font-semibold text-gray-700 mb-2">
-                                            Quantity *
-                                            {formData.fromWarehouseId && formData.productId && (
-                                                <span className="ml-2 text-xs font-normal text-gray-500">
-                                                    (Available: {availableStock})
-                                                </span>
-                                            )}
-                                        </label>
-                                        <input
-                                            type="number"
-                                            name="quantity"
-                                            value={formData.quantity}
-                                            onChange={handleInputChange}
-                                            required
-                                            min="1"
-                                            max={availableStock || undefined}
-                                            className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all"
-                                            placeholder="Enter quantity"
-                                        />
-                                    </div>
-
                                     {/* From Warehouse */}
                                     <div>
                                         <label className="block text-sm font-semibold text-gray-700 mb-2">
@@ -223,7 +401,7 @@ export default function TransfersPage() {
                                             className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all"
                                         >
                                             <option value="">Select source warehouse...</option>
-                                            {warehouses.map(warehouse => (
+                                            {stockWarehouses(user, selectableRecords(warehouses)).map(warehouse => (
                                                 <option key={warehouse.id} value={warehouse.id}>
                                                     {warehouse.name} ({warehouse.location})
                                                 </option>
@@ -244,7 +422,7 @@ export default function TransfersPage() {
                                             className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all"
                                         >
                                             <option value="">Select destination warehouse...</option>
-                                            {warehouses
+                                            {selectableRecords(warehouses)
                                                 .filter(w => w.id !== parseInt(formData.fromWarehouseId))
                                                 .map(warehouse => (
                                                     <option key={warehouse.id} value={warehouse.id}>
@@ -255,6 +433,94 @@ export default function TransfersPage() {
                                     </div>
                                 </div>
 
+                                {/* Product Lines */}
+                                <div>
+                                    <div className="flex items-center justify-between mb-2">
+                                        <label className="block text-sm font-semibold text-gray-700">
+                                            Products *
+                                        </label>
+                                        <span className="text-xs text-gray-500">
+                                            {formData.lines.length} {formData.lines.length === 1 ? 'line' : 'lines'}, {totalLineQuantity.toLocaleString()} units
+                                        </span>
+                                    </div>
+                                    <div className="space-y-3">
+                                        {formData.lines.map((line, index) => {
+                                            const available = getAvailableStock(line.productId, formData.fromWarehouseId);
+                                            return (
+                                                <div key={index}>
+                                                    <div className="flex gap-3">
+                                                        <select
+                                                            value={line.productId}
+                                                            onChange={(e) => handleLineChange(index, 'productId', e.target.value)}
+                                                            required
+                                                            className={`flex-1 px-4 py-3 border rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all ${lineErrors[index] ? 'border-red-400' : 'border-gray-300'}`}
+                                                        >
+                                                            <option value="">Select a product...</option>
+                                                            {selectableRecords(products)
+                                                                .filter(product => product.id === parseInt(line.productId)
+                                                                    || !formData.lines.some(l => parseInt(l.productId) === product.id))
+                                                                .map(product => (
+                                                                    <option key={product.id} value={product.id}>
+                                                                        {product.sku} - {product.name}
+                                                                    </option>
+                                                                ))}
+                                                        </select>
+                                                        <input
+                                                            type="number"
+                                                            value={line.quantity}
+                                                            onChange={(e) => handleLineChange(index, 'quantity', e.target.value)}
+                                                            required
+                                                            min="1"
+                                                            max={available || undefined}
+                                                            className={`w-32 px-4 py-3 border rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all ${lineErrors[index] ? 'border-red-400' : 'border-gray-300'}`}
+                                                            placeholder="Qty"
+                                                        />
+                                                        <Button
+                                                            type="button"
+                                                            variant="outline"
+                                                            onClick={() => removeLine(index)}
+                                                            disabled={formData.lines.length === 1}
+                                                            className="border-gray-300 hover:bg-red-50"
+                                                            aria-label="Remove line"
+                                                        >
+                                                            🗑️
+                                                        </Button>
+                                                    </div>
+                                                    {formData.fromWarehouseId && line.productId && (
+                                                        <p className="mt-1 text-xs text-gray-500">Available: {available}</p>
+                                                    )}
+                                                    {lineErrors[index] && (
+                                                        <p className="mt-1 text-xs font-semibold text-red-600">{lineErrors[index]}</p>
+                                                    )}
+                                                </div>
+                                            );
+                                        })}
+                                    </div>
+                                    <Button
+                                        type="button"
+                                        variant="outline"
+                                        onClick={addLine}
+                                        className="mt-3 border-emerald-300 text-emerald-700 hover:bg-emerald-50"
+                                    >
+                                        ➕ Add Line
+                                    </Button>
+                                </div>
+
+                                {/* Ship Immediately */}
+                                <div className="flex items-center gap-2">
+                                    <input
+                                        type="checkbox"
+                                        id="ship"
+                                        name="ship"
+                                        checked={formData.ship}
+                                        onChange={handleInputChange}
+                                        className="w-4 h-4 text-emerald-600 border-gray-300 rounded focus:ring-emerald-500"
+                                    />
+                                    <label htmlFor="ship" className="text-sm font-medium text-gray-700 cursor-pointer">
+                                        Ship immediately (stock leaves the source warehouse now)
+                                    </label>
+                                </div>
+
                                 {/* Notes */}
                                 <div>
                                     <label className="block text-sm font-semibold text-gray-700 mb-2">
@@ -277,20 +543,13 @@ export default function TransfersPage() {
                                         disabled={submitting}
                                         className="flex-1 bg-emerald-600 hover:bg-emerald-700 text-white py-3 rounded-lg font-semibold shadow-lg hover:shadow-xl transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
                                     >
-                                        {submitting ? '⏳ Processing...' : '✅ Complete Transfer'}
+                                        {submitting ? '⏳ Processing...' : '✅ Create Transfer'}
                                     </Button>
                                     <Button
                                         type="button"
                                         onClick={() => {
                                             setShowForm(false);
-                                            setFormError('');
-                                            setFormData({
-                                                productId: '',
-                                                fromWarehouseId: '',
-                                                toWarehouseId: '',
-                                                quantity: '',
-                                                notes: '',
-                                            });
+                                            resetForm();
                                         }}
                                         variant="outline"
                                         className="px-8 border-gray-300 hover:bg-gray-50"
@@ -303,6 +562,197 @@ export default function TransfersPage() {
                     </Card>
                 )}
 
+                {/* Action Error */}
+                {actionError && (
+                    <div className="mb-6 p-4 bg-red-50 border-l-4 border-red-500 text-red-700 rounded-lg shadow-md">
+                        <div className="flex items-center gap-2">
+                            <span className="text-2xl">⚠️</span>
+                            <p className="font-semibold">{actionError}</p>
+                        </div>
+                    </div>
+                )}
+
+                {/* Receive Form */}
+                {receiving && (
+                    <Card className="mb-8 shadow-xl border-t-4 border-t-blue-500 animate-fade-in">
+                        <CardHeader>
+                            <CardTitle className="flex items-center gap-2">
+                                <span className="text-2xl">📥</span>
+                                Receive Transfer {receiving.reference}
+                            </CardTitle>
+                            <CardDescription>
+                                From {receiving.fromWarehouseName} to {receiving.toWarehouseName}
+                                {' '}&mdash; {receiving.inTransitQuantity} units in transit
+                            </CardDescription>
+                        </CardHeader>
+                        <CardContent>
+                            <form onSubmit={handleReceiveSubmit} className="space-y-6">
+                                <div className="space-y-3">
+                                    {receiving.lines.filter(line => line.inTransitQuantity > 0).map(line => (
+                                        <div key={line.productId} className="flex items-center gap-4">
+                                            <div className="flex-1">
+                                                <p className="font-semibold text-gray-900">{line.productName}</p>
+                                                <p className="text-xs text-gray-500 font-mono">
+                                                    {line.productSku} &middot; {line.inTransitQuantity} in transit
+                                                </p>
+                                            </div>
+                                            <input
+                                                type="number"
+                                                value={receiveData.lines[line.productId]}
+                                                onChange={(e) => setReceiveData(prev => ({
+                                                    ...prev,
+                                                    lines: { ...prev.lines, [line.productId]: e.target.value },
+                                                }))}
+                                                min="0"
+                                                max={line.inTransitQuantity}
+                                                aria-label={`Quantity of ${line.productName} received`}
+                                                className="w-32 px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all"
+                                            />
+                                        </div>
+                                    ))}
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-semibold text-gray-700 mb-2">
+                                        Note (Optional)
+                                    </label>
+                                    <input
+                                        type="text"
+                                        value={receiveData.note}
+                                        onChange={(e) => setReceiveData(prev => ({ ...prev, note: e.target.value }))}
+                                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all"
+                                        placeholder="e.g. 2 cases damaged in transit"
+                                    />
+                                </div>
+                                <div className="flex items-center gap-2">
+                                    <input
+                                        type="checkbox"
+                                        id="closeShort"
+                                        checked={receiveData.closeShort}
+                                        onChange={(e) => setReceiveData(prev => ({ ...prev, closeShort: e.target.checked }))}
+                                        className="w-4 h-4 text-emerald-600 border-gray-300 rounded focus:ring-emerald-500"
+                                    />
+                                    <label htmlFor="closeShort" className="text-sm font-medium text-gray-700 cursor-pointer">
+                                        Close transfer after this receipt, even if short
+                                    </label>
+                                </div>
+                                <div className="flex gap-4">
+                                    <Button
+                                        type="submit"
+                                        className="flex-1 bg-blue-600 hover:bg-blue-700 text-white py-3 rounded-lg font-semibold shadow-lg"
+                                    >
+                                        📥 Receive Stock
+                                    </Button>
+                                    <Button
+                                        type="button"
+                                        onClick={() => setReceiving(null)}
+                                        variant="outline"
+                                        className="px-8 border-gray-300 hover:bg-gray-50"
+                                    >
+                                        Cancel
+                                    </Button>
+                                </div>
+                            </form>
+                        </CardContent>
+                    </Card>
+                )}
+
+                {/* Correction Form */}
+                {correcting && (
+                    <Card className="mb-8 shadow-xl border-t-4 border-t-purple-500 animate-fade-in">
+                        <CardHeader>
+                            <CardTitle className="flex items-center gap-2">
+                                <span className="text-2xl">✏️</span>
+                                Correct Transfer {correcting.reference}
+                            </CardTitle>
+                            <CardDescription>
+                                Enter the quantity that actually moved from {correcting.fromWarehouseName} to {correcting.toWarehouseName},
+                                or the warehouse the stock really went to. The difference is booked as a linked correction transfer.
+                            </CardDescription>
+                        </CardHeader>
+                        <CardContent>
+                            <form onSubmit={handleCorrectSubmit} className="space-y-6">
+                                <div>
+                                    <label className="block text-sm font-semibold text-gray-700 mb-2">
+                                        Stock Went To
+                                    </label>
+                                    <select
+                                        value={correctData.toWarehouseId}
+                                        onChange={(e) => setCorrectData(prev => ({ ...prev, toWarehouseId: e.target.value }))}
+                                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all"
+                                    >
+                                        {selectableRecords(warehouses, correcting.toWarehouseId)
+                                            .filter(w => w.id !== correcting.fromWarehouseId)
+                                            .map(warehouse => (
+                                                <option key={warehouse.id} value={warehouse.id}>
+                                                    {warehouse.name} ({warehouse.location})
+                                                </option>
+                                            ))}
+                                    </select>
+                                    {redirecting && (
+                                        <p className="mt-2 text-sm text-purple-700">
+                                            Every unit still at {correcting.toWarehouseName} moves to the chosen warehouse.
+                                            Correct quantities separately once the stock is in the right place.
+                                        </p>
+                                    )}
+                                </div>
+                                <div className="space-y-3">
+                                    {correcting.lines.map(line => (
+                                        <div key={line.productId} className="flex items-center gap-4">
+                                            <div className="flex-1">
+                                                <p className="font-semibold text-gray-900">{line.productName}</p>
+                                                <p className="text-xs text-gray-500 font-mono">
+                                                    {line.productSku} &middot; currently {line.netQuantity}
+                                                </p>
+                                            </div>
+                                            <input
+                                                type="number"
+                                                value={correctData.lines[line.productId]}
+                                                onChange={(e) => setCorrectData(prev => ({
+                                                    ...prev,
+                                                    lines: { ...prev.lines, [line.productId]: e.target.value },
+                                                }))}
+                                                required
+                                                min="0"
+                                                disabled={redirecting}
+                                                aria-label={`Corrected quantity of ${line.productName}`}
+                                                className="w-32 px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all"
+                                            />
+                                        </div>
+                                    ))}
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-semibold text-gray-700 mb-2">
+                                        Reason (Optional)
+                                    </label>
+                                    <input
+                                        type="text"
+                                        value={correctData.note}
+                                        onChange={(e) => setCorrectData(prev => ({ ...prev, note: e.target.value }))}
+                                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all"
+                                        placeholder="e.g. 5 units were miscounted at receipt"
+                                    />
+                                </div>
+                                <div className="flex gap-4">
+                                    <Button
+                                        type="submit"
+                                        className="flex-1 bg-purple-600 hover:bg-purple-700 text-white py-3 rounded-lg font-semibold shadow-lg"
+                                    >
+                                        ✏️ Post Correction
+                                    </Button>
+                                    <Button
+                                        type="button"
+                                        onClick={() => setCorrecting(null)}
+                                        variant="outline"
+                                        className="px-8 border-gray-300 hover:bg-gray-50"
+                                    >
+                                        Cancel
+                                    </Button>
+                                </div>
+                            </form>
+                        </CardContent>
+                    </Card>
+                )}
+
                 {/* Transfer History */}
                 <Card className="shadow-lg border-t-4 border-t-emerald-500">
                     <CardHeader>
@@ -311,10 +761,44 @@ export default function TransfersPage() {
                             Transfer History
                         </CardTitle>
                         <CardDescription>
-                            Complete record of all stock transfers ({transfers.length} total)
+                            {filtered
+                                ? `${total.toLocaleString()} ${total === 1 ? 'transfer matches' : 'transfers match'} your filters`
+                                : `Complete record of all stock transfers (${total.toLocaleString()} total)`}
                         </CardDescription>
                     </CardHeader>
                     <CardContent>
+                        <div className="flex flex-col md:flex-row gap-3 mb-6">
+                            <input
+                                type="search"
+                                name="q"
+                                value={filters.q}
+                                onChange={handleFilterChange}
+                                placeholder="Search reference, product name or SKU"
+                                className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+                            />
+                            <select
+                                name="status"
+                                value={filters.status}
+                                onChange={handleFilterChange}
+                                className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+                            >
+                                <option value="">All statuses</option>
+                                {Object.entries(TRANSFER_STATUSES).map(([status, label]) => (
+                                    <option key={status} value={status}>{label}</option>
+                                ))}
+                            </select>
+                            <select
+                                name="warehouseId"
+                                value={filters.warehouseId}
+                                onChange={handleFilterChange}
+                                className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+                            >
+                                <option value="">All warehouses</option>
+                                {warehouses.map(warehouse => (
+                                    <option key={warehouse.id} value={warehouse.id}>{warehouse.name}</option>
+                                ))}
+                            </select>
+                        </div>
                         {loading ? (
                             <div className="flex items-center justify-center py-12">
                                 <div className="text-center">
@@ -325,8 +809,14 @@ export default function TransfersPage() {
                         ) : transfers.length === 0 ? (
                             <div className="text-center py-12">
                                 <div className="text-6xl mb-4">📦</div>
-                                <p className="text-xl text-gray-600 font-semibold mb-2">No transfers yet</p>
-                                <p className="text-gray-500">Create your first stock transfer to get started</p>
+                                {filtered ? (
+                                    <p className="text-xl text-gray-600 font-semibold mb-2">No transfers match your filters</p>
+                                ) : (
+                                    <>
+                                        <p className="text-xl text-gray-600 font-semibold mb-2">No transfers yet</p>
+                                        <p className="text-gray-500">Create your first stock transfer to get started</p>
+                                    </>
+                                )}
                             </div>
                         ) : (
                             <div className="overflow-x-auto">
@@ -334,18 +824,22 @@ export default function TransfersPage() {
                                     <thead>
                                         <tr className="border-b-2 border-gray-200 bg-gray-50">
                                             <th className="text-left py-4 px-4 font-semibold text-gray-700">Date</th>
-                                            <th className="text-left py-4 px-4 font-semibold text-gray-700">Product</th>
+                                            <th className="text-left py-4 px-4 font-semibold text-gray-700">Reference</th>
+                                            <th className="text-left py-4 px-4 font-semibold text-gray-700">Products</th>
                                             <th className="text-left py-4 px-4 font-semibold text-gray-700">From</th>
                                             <th className="text-left py-4 px-4 font-semibold text-gray-700">To</th>
                                             <th className="text-right py-4 px-4 font-semibold text-gray-700">Quantity</th>
                                             <th className="text-left py-4 px-4 font-semibold text-gray-700">Notes</th>
+                                            <th className="text-right py-4 px-4 font-semibold text-gray-700">Received</th>
                                             <th className="text-center py-4 px-4 font-semibold text-gray-700">Status</th>
+                                            <th className="text-center py-4 px-4 font-semibold text-gray-700">Actions</th>
                                         </tr>
                                     </thead>
                                     <tbody>
                                         {transfers.map((transfer) => (
                                             <tr
                                                 key={transfer.id}
+                                                id={`transfer-${transfer.id}`}
                                                 className="border-b border-gray-100 hover:bg-emerald-50 transition-colors duration-150"
                                             >
                                                 <td className="py-4 px-4 text-sm text-gray-600">
@@ -357,10 +851,41 @@ export default function TransfersPage() {
                                                         minute: '2-digit',
                                                     })}
                                                 </td>
+                                                <td className="py-4 px-4 text-sm text-gray-700 whitespace-nowrap">
+                                                    <p className="font-mono">{transfer.reference}</p>
+                                                    {transfer.adjusts && (
+                                                        <a href={`#transfer-${transfer.adjusts}`} className="text-xs text-purple-600 hover:underline">
+                                                            {ADJUSTMENT_TYPES[transfer.adjustmentType]} of {transferReference(transfer.adjusts)}
+                                                        </a>
+                                                    )}
+                                                    {transfer.adjustments?.map(adjustment => (
+                                                        <a
+                                                            key={adjustment.id}
+                                                            href={`#transfer-${adjustment.id}`}
+                                                            className="block text-xs text-purple-600 hover:underline"
+                                                        >
+                                                            {ADJUSTMENT_TYPES[adjustment.type]}: {adjustment.reference}
+                                                        </a>
+                                                    ))}
+                                                </td>
                                                 <td className="py-4 px-4">
-                                                    <div>
-                                                        <p className="font-semibold text-gray-900">{transfer.productName}</p>
-                                                        <p className="text-xs text-gray-500 font-mono">{transfer.productSku}</p>
+                                                    <div className="space-y-1">
+                                                        {transfer.lines.map(line => (
+                                                            <div key={line.productId}>
+                                                                <p className="font-semibold text-gray-900">
+                                                                    {line.productName}
+                                                                    {transfer.lines.length > 1 && (
+                                                                        <span className="ml-1 font-normal text-gray-500">&times; {line.quantity}</span>
+                                                                    )}
+                                                                </p>
+                                                                <p className="text-xs text-gray-500 font-mono">{line.productSku}</p>
+                                                                {transfer.status === 'pending' && line.pickFrom?.some(pick => pick.binId) && (
+                                                                    <p className="text-xs text-emerald-700">
+                                                                        📍 Pick from {line.pickFrom.map(pick => `${pick.binCode} ×${pick.quantity}`).join(', ')}
+                                                                    </p>
+                                                                )}
+                                                            </div>
+                                                        ))}
                                                     </div>
                                                 </td>
                                                 <td className="py-4 px-4">
@@ -375,21 +900,123 @@ export default function TransfersPage() {
                                                 </td>
                                                 <td className="py-4 px-4 text-right">
                                                     <span className="font-bold text-emerald-600 text-lg">
-                                                        {transfer.quantity.toLocaleString()}
+                                                        {transfer.totalQuantity.toLocaleString()}
                                                     </span>
                                                 </td>
                                                 <td className="py-4 px-4 text-sm text-gray-600 max-w-xs truncate">
                                                     {transfer.notes || '-'}
                                                 </td>
+                                                <td className="py-4 px-4 text-right text-sm text-gray-600">
+                                                    {transfer.receivedQuantity || 0}
+                                                    {transfer.inTransitQuantity > 0 && (
+                                                        <p className="text-xs text-blue-600">
+                                                            {transfer.inTransitQuantity} in transit
+                                                        </p>
+                                                    )}
+                                                    {transfer.shortQuantity > 0 && (
+                                                        <p className="text-xs text-red-600">
+                                                            {transfer.shortQuantity} short
+                                                        </p>
+                                                    )}
+                                                    {transfer.adjustments?.length > 0 && (
+                                                        <p className="text-xs text-purple-600">
+                                                            {transfer.netQuantity} net
+                                                        </p>
+                                                    )}
+                                                </td>
                                                 <td className="py-4 px-4 text-center">
-                                                    <Badge className="bg-emerald-500 text-white border-emerald-600 shadow-sm">
-                                                        ✅ Completed
+                                                    <Badge className={`${STATUS_BADGES[transfer.status]} shadow-sm`}>
+                                                        {STATUS_ICONS[transfer.status]} {TRANSFER_STATUSES[transfer.status]}
                                                     </Badge>
                                                 </td>
+                                                <td className="py-4 px-4">
+                                                    <div className="flex justify-center gap-2">
+                                                        <Button
+                                                            size="sm"
+                                                            variant="outline"
+                                                            onClick={() => exportPackingList(transfer, 'pdf')}
+                                                            className="border-gray-300 hover:bg-gray-50"
+                                                            title="Download packing list"
+                                                        >
+                                                            📄
+                                                        </Button>
+                                                        {canAct(transfer, 'ship') && (
+                                                            <Button
+                                                                size="sm"
+                                                                onClick={() => handleTransferAction(transfer, 'ship')}
+                                                                className="bg-blue-600 hover:bg-blue-700"
+                                                            >
+                                                                🚚 Ship
+                                                            </Button>
+                                                        )}
+                                                        {canAct(transfer, 'receive') && (
+                                                            <Button
+                                                                size="sm"
+                                                                onClick={() => startReceiving(transfer)}
+                                                                className="bg-emerald-600 hover:bg-emerald-700"
+                                                            >
+                                                                📥 Receive
+                                                            </Button>
+                                                        )}
+                                                        {canAct(transfer, 'correct') && (
+                                                            <Button
+                                                                size="sm"
+                                                                variant="outline"
+                                                                onClick={() => startCorrecting(transfer)}
+                                                                className="border-purple-300 text-purple-600 hover:bg-purple-50"
+                                                            >
+                                                                ✏️ Correct
+                                                            </Button>
+                                                        )}
+                                                        {canAct(transfer, 'reverse') && (
+                                                            <Button
+                                                                size="sm"
+                                                                variant="outline"
+                                                                onClick={() => handleReverseTransfer(transfer)}
+                                                                className="border-purple-300 text-purple-600 hover:bg-purple-50"
+                                                            >
+                                                                ↩️ Reverse
+                                                            </Button>
+                                                        )}
+                                                        {canAct(transfer, 'cancel') && (
+                                                            <Button
+                                                                size="sm"
+                                                                variant="outline"
+                                                                onClick={() => handleCancelTransfer(transfer)}
+                                                                className="border-red-300 text-red-600 hover:bg-red-50"
+                                                            >
+                                                                Cancel
+                                                            </Button>
+                                                        )}
+                                                    </div>
+                                                </td>
                                             </tr>
                                         ))}
                                     </tbody>
                                 </table>
+                                <div className="flex items-center justify-between pt-4 text-sm text-gray-600">
+                                    <span>
+                                        Page {page} of {pageCount}
+                                    </span>
+                                    <div className="flex gap-2">
+                                        <Button
+                                            size="sm"
+                                            variant="outline"
+                                            disabled={page <= 1}
+                                            onClick={() => setPage(page - 1)}
+                                        >
+                                            Previous
+                                        </Button>
+                                        <Button
+                                            size="sm"
+                                            variant="outline"
+                                            disabled={page >= pageCount}
+                                            onClick={() => setPage(page + 1)}
+                                        >
+                                            Next
+                                        </Button>
+                                    </div>
+                                </div>
                             </div>
                         )}
                     </CardContent>
@@ -453,6 +1080,36 @@ function Navigation() {
                                 🔔 Alerts
                             </Button>
                         </Link>
+                        <Link href="/purchase-orders">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🧾 Purchasing
+                            </Button>
+                        </Link>
+                        <Link href="/receiving">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📥 Receiving
+                            </Button>
+                        </Link>
+                        <Link href="/sales-orders">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🛒 Sales
+                            </Button>
+                        </Link>
+                        <Link href="/stock-counts">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📋 Counts
+                            </Button>
+                        </Link>
+                        <Link href="/adjustments">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                ⚖️ Adjustments
+                            </Button>
+                        </Link>
+                        <Link href="/audit">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🕵️ Audit
+                            </Button>
+                        </Link>
                     </div>
 
                     {/* Mobile Hamburger Button */}
@@ -513,6 +1170,36 @@ function Navigation() {
                                     🔔 Alerts
                                 </Button>
                             </Link>
+                            <Link href="/purchase-orders" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🧾 Purchasing
+                                </Button>
+                            </Link>
+                            <Link href="/receiving" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📥 Receiving
+                                </Button>
+                            </Link>
+                            <Link href="/sales-orders" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🛒 Sales
+                                </Button>
+                            </Link>
+                            <Link href="/stock-counts" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📋 Counts
+                                </Button>
+                            </Link>
+                            <Link href="/adjustments" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    ⚖️ Adjustments
+                                </Button>
+                            </Link>
+                            <Link href="/audit" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🕵️ Audit
+                                </Button>
+                            </Link>
                         </div>
                     </div>
                 )}
@@ -0,0 +1,603 @@
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { useSession } from '@/components/SessionProvider';
+import { ROLES, can } from '@/lib/permissions';
+
+const ROLE_BADGES = {
+    viewer: 'bg-gray-500 text-white border-gray-600',
+    operator: 'bg-blue-500 text-white border-blue-600',
+    manager: 'bg-emerald-500 text-white border-emerald-600',
+    admin: 'bg-purple-500 text-white border-purple-600',
+};
+
+const EMPTY_FORM = {
+    username: '',
+    name: '',
+    role: 'viewer',
+    password: '',
+    warehouseIds: [],
+};
+
+const INPUT_CLASS = 'w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all';
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+});
+
+export default function UsersPage() {
+    const { user: currentUser } = useSession();
+    const [users, setUsers] = useState([]);
+    const [warehouses, setWarehouses] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [formData, setFormData] = useState(EMPTY_FORM);
+    const [editingId, setEditingId] = useState(null);
+    const [formError, setFormError] = useState('');
+    const [fieldErrors, setFieldErrors] = useState({});
+    const [successMessage, setSuccessMessage] = useState('');
+    const [actionError, setActionError] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+
+    const allowed = can(currentUser, 'manage_users');
+
+    useEffect(() => {
+        if (allowed) {
+            fetchData();
+        }
+    }, [allowed]);
+
+    const fetchData = async () => {
+        try {
+            const [usersRes, warehousesRes] = await Promise.all([
+                fetch('/api/users'),
+                fetch('/api/warehouses'),
+            ]);
+            setUsers(await usersRes.json());
+            setWarehouses(await warehousesRes.json());
+        } catch (error) {
+            console.error('Failed to fetch users:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const showSuccess = (message) => {
+        setSuccessMessage(message);
+        setTimeout(() => setSuccessMessage(''), 3000);
+    };
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+    };
+
+    const toggleWarehouse = (warehouseId) => {
+        setFormData(prev => ({
+            ...prev,
+            warehouseIds: prev.warehouseIds.includes(warehouseId)
+                ? prev.warehouseIds.filter(id => id !== warehouseId)
+                : [...prev.warehouseIds, warehouseId],
+        }));
+    };
+
+    const resetForm = () => {
+        setFormData(EMPTY_FORM);
+        setEditingId(null);
+        setFormError('');
+        setFieldErrors({});
+    };
+
+    const handleEdit = (user) => {
+        setFormData({
+            username: user.username,
+            name: user.name,
+            role: user.role,
+            password: '',
+            warehouseIds: user.warehouseIds,
+        });
+        setEditingId(user.id);
+        setFormError('');
+        setFieldErrors({});
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setFormError('');
+        setFieldErrors({});
+        setSubmitting(true);
+
+        // A blank password on an existing user leaves it unchanged
+        const { password, ...details } = formData;
+        const payload = editingId && !password ? details : formData;
+
+        try {
+            const res = await fetch(editingId ? `/api/users/${editingId}` : '/api/users', {
+                method: editingId ? 'PUT' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload),
+            });
+            const data = await res.json();
+
+            if (res.ok) {
+                showSuccess(editingId ? `${data.name} updated` : `${data.name} can now sign in as ${data.username}`);
+                resetForm();
+                fetchData();
+            } else {
+                setFormError(data.error || 'Failed to save user');
+                setFieldErrors(data.fieldErrors || {});
+            }
+        } catch (error) {
+            setFormError('Failed to save user');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const handleToggleActive = async (user) => {
+        setActionError('');
+        try {
+            const res = await fetch(`/api/users/${user.id}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ active: user.active === false }),
+            });
+            const data = await res.json();
+            if (res.ok) {
+                showSuccess(`${data.name} ${data.active ? 'reactivated' : 'deactivated'}`);
+                fetchData();
+            } else {
+                setActionError(data.error || 'Failed to update user');
+            }
+        } catch (error) {
+            setActionError('Failed to update user');
+        }
+    };
+
+    const handleDelete = async (user) => {
+        if (!confirm(`Delete ${user.name}? Their changes stay on the audit log.`)) {
+            return;
+        }
+        setActionError('');
+        try {
+            const res = await fetch(`/api/users/${user.id}`, { method: 'DELETE' });
+            const data = await res.json();
+            if (res.ok) {
+                showSuccess(`${user.name} deleted`);
+                if (editingId === user.id) {
+                    resetForm();
+                }
+                fetchData();
+            } else {
+                setActionError(data.error || 'Failed to delete user');
+            }
+        } catch (error) {
+            setActionError('Failed to delete user');
+        }
+    };
+
+    const warehouseNames = (ids) => ids
+        .map(id => warehouses.find(w => w.id === id)?.name || `Warehouse ${id}`)
+        .join(', ');
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-emerald-50 via-white to-green-50">
+            <Navigation />
+
+            <main className="container mx-auto px-4 py-8 max-w-7xl">
+                {/* Header */}
+                <div className="mb-8">
+                    <h1 className="text-4xl font-bold text-gray-900 mb-2 bg-gradient-to-r from-emerald-600 to-green-600 bg-clip-text text-transparent">
+                        Users
+                    </h1>
+                    <p className="text-gray-600">
+                        Who can sign in, and what their role lets them do
+                    </p>
+                </div>
+
+                {!allowed ? (
+                    <div className="p-4 bg-red-50 border-l-4 border-red-500 text-red-700 rounded-lg shadow-md">
+                        <div className="flex items-center gap-2">
+                            <span className="text-2xl">🔒</span>
+                            <p className="font-semibold">Only admins can manage users</p>
+                        </div>
+                    </div>
+                ) : (
+                    <>
+                        {/* Success Message */}
+                        {successMessage && (
+                            <div className="mb-6 p-4 bg-emerald-50 border-l-4 border-emerald-500 text-emerald-700 rounded-lg shadow-md animate-fade-in">
+                                <div className="flex items-center gap-2">
+                                    <span className="text-2xl">✅</span>
+                                    <p className="font-semibold">{successMessage}</p>
+                                </div>
+                            </div>
+                        )}
+
+                        {/* Action Error */}
+                        {actionError && (
+                            <div className="mb-6 p-4 bg-red-50 border-l-4 border-red-500 text-red-700 rounded-lg shadow-md">
+                                <div className="flex items-center gap-2">
+                                    <span className="text-2xl">⚠️</span>
+                                    <p className="font-semibold">{actionError}</p>
+                                </div>
+                            </div>
+                        )}
+
+                        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+                            {/* User Form */}
+                            <Card className="shadow-lg border-t-4 border-t-emerald-500 h-fit">
+                                <CardHeader>
+                                    <CardTitle className="flex items-center gap-2">
+                                        <span className="text-2xl">{editingId ? '✏️' : '➕'}</span>
+                                        {editingId ? 'Edit User' : 'Add User'}
+                                    </CardTitle>
+                                    <CardDescription>
+                                        {editingId ? 'Leave the password empty to keep it' : 'Passwords need at least 8 characters'}
+                                    </CardDescription>
+                                </CardHeader>
+                                <CardContent>
+                                    {formError && (
+                                        <div className="mb-4 p-4 bg-red-50 border-l-4 border-red-500 text-red-700 rounded-lg">
+                                            <div className="flex items-center gap-2">
+                                                <span className="text-xl">⚠️</span>
+                                                <p className="font-semibold">{formError}</p>
+                                            </div>
+                                        </div>
+                                    )}
+                                    <form onSubmit={handleSubmit} className="space-y-4">
+                                        <div>
+                                            <label className="block text-sm font-semibold text-gray-700 mb-2">Username</label>
+                                            <input
+                                                type="text"
+                                                name="username"
+                                                value={formData.username}
+                                                onChange={handleChange}
+                                                required
+                                                className={INPUT_CLASS}
+                                            />
+                                            {fieldErrors.username && <p className="mt-1 text-sm text-red-600">{fieldErrors.username}</p>}
+                                        </div>
+                                        <div>
+                                            <label className="block text-sm font-semibold text-gray-700 mb-2">Full Name</label>
+                                            <input
+                                                type="text"
+                                                name="name"
+                                                value={formData.name}
+                                                onChange={handleChange}
+                                                required
+                                                className={INPUT_CLASS}
+                                            />
+                                            {fieldErrors.name && <p className="mt-1 text-sm text-red-600">{fieldErrors.name}</p>}
+                                        </div>
+                                        <div>
+                                            <label className="block text-sm font-semibold text-gray-700 mb-2">Role</label>
+                                            <select
+                                                name="role"
+                                                value={formData.role}
+                                                onChange={handleChange}
+                                                disabled={editingId === currentUser.id}
+                                                className={INPUT_CLASS}
+                                            >
+                                                {Object.entries(ROLES).map(([role, label]) => (
+                                                    <option key={role} value={role}>{label}</option>
+                                                ))}
+                                            </select>
+                                            {fieldErrors.role && <p className="mt-1 text-sm text-red-600">{fieldErrors.role}</p>}
+                                        </div>
+                                        {formData.role === 'operator' && (
+                                            <div>
+                                                <label className="block text-sm font-semibold text-gray-700 mb-2">Assigned Warehouses</label>
+                                                <div className="space-y-2">
+                                                    {warehouses.map(warehouse => (
+                                                        <label key={warehouse.id} className="flex items-center gap-2 text-sm text-gray-700">
+                                                            <input
+                                                                type="checkbox"
+                                                                checked={formData.warehouseIds.includes(warehouse.id)}
+                                                                onChange={() => toggleWarehouse(warehouse.id)}
+                                                                className="h-4 w-4 accent-emerald-600"
+                                                            />
+                                                            {warehouse.name} <span className="font-mono text-gray-500">{warehouse.code}</span>
+                                                        </label>
+                                                    ))}
+                                                </div>
+                                                {fieldErrors.warehouseIds && <p className="mt-1 text-sm text-red-600">{fieldErrors.warehouseIds}</p>}
+                                            </div>
+                                        )}
+                                        <div>
+                                            <label className="block text-sm font-semibold text-gray-700 mb-2">
+                                                {editingId ? 'New Password' : 'Password'}
+                                            </label>
+                                            <input
+                                                type="password"
+                                                name="password"
+                                                value={formData.password}
+                                                onChange={handleChange}
+                                                required={!editingId}
+                                                autoComplete="new-password"
+                                                className={INPUT_CLASS}
+                                            />
+                                            {fieldErrors.password && <p className="mt-1 text-sm text-red-600">{fieldErrors.password}</p>}
+                                        </div>
+                                        <div className="flex gap-2">
+                                            <Button
+                                                type="submit"
+                                                disabled={submitting}
+                                                className="flex-1 bg-gradient-to-r from-emerald-600 to-green-600 hover:from-emerald-700 hover:to-green-700 shadow-md"
+                                            >
+                                                {submitting ? 'Saving...' : editingId ? '💾 Save Changes' : '➕ Add User'}
+                                            </Button>
+                                            {editingId && (
+                                                <Button type="button" variant="outline" onClick={resetForm}>
+                                                    Cancel
+                                                </Button>
+                                            )}
+                                        </div>
+                                    </form>
+                                </CardContent>
+                            </Card>
+
+                            {/* User List */}
+                            <Card className="shadow-lg border-t-4 border-t-emerald-500 lg:col-span-2">
+                                <CardHeader>
+                                    <CardTitle className="flex items-center gap-2">
+                                        <span className="text-2xl">👥</span>
+                                        Accounts
+                                    </CardTitle>
+                                    <CardDescription>{users.length} {users.length === 1 ? 'user' : 'users'}</CardDescription>
+                                </CardHeader>
+                                <CardContent>
+                                    {loading ? (
+                                        <div className="flex items-center justify-center py-12">
+                                            <div className="inline-block animate-spin rounded-full h-12 w-12 border-4 border-emerald-500 border-t-transparent"></div>
+                                        </div>
+                                    ) : (
+                                        <div className="overflow-x-auto">
+                                            <table className="w-full">
+                                                <thead>
+                                                    <tr className="border-b-2 border-gray-200 bg-gray-50">
+                                                        <th className="text-left py-4 px-4 font-semibold text-gray-700">User</th>
+                                                        <th className="text-left py-4 px-4 font-semibold text-gray-700">Role</th>
+                                                        <th className="text-left py-4 px-4 font-semibold text-gray-700">Last Sign-in</th>
+                                                        <th className="text-center py-4 px-4 font-semibold text-gray-700">Actions</th>
+                                                    </tr>
+                                                </thead>
+                                                <tbody>
+                                                    {users.map(user => (
+                                                        <tr
+                                                            key={user.id}
+                                                            className={`border-b border-gray-100 hover:bg-emerald-50 transition-colors duration-150 ${user.active === false ? 'opacity-60' : ''}`}
+                                                        >
+                                                            <td className="py-4 px-4">
+                                                                <p className="font-semibold text-gray-900">
+                                                                    {user.name}
+                                                                    {user.active === false && <span className="ml-2 text-xs text-gray-500">(deactivated)</span>}
+                                                                </p>
+                                                                <p className="text-xs text-gray-500 font-mono">{user.username}</p>
+                                                            </td>
+                                                            <td className="py-4 px-4">
+                                                                <Badge className={`${ROLE_BADGES[user.role]} shadow-sm`}>{ROLES[user.role]}</Badge>
+                                                                {user.role === 'operator' && (
+                                                                    <p className="mt-1 text-xs text-gray-500">{warehouseNames(user.warehouseIds)}</p>
+                                                                )}
+                                                            </td>
+                                                            <td className="py-4 px-4 text-sm text-gray-700">
+                                                                {user.lastLoginAt ? formatDate(user.lastLoginAt) : 'Never'}
+                                                            </td>
+                                                            <td className="py-4 px-4">
+                                                                <div className="flex justify-center gap-2">
+                                                                    <Button size="sm" variant="outline" onClick={() => handleEdit(user)}>
+                                                                        Edit
+                                                                    </Button>
+                                                                    {user.id !== currentUser.id && (
+                                                                        <>
+                                                                            <Button size="sm" variant="outline" onClick={() => handleToggleActive(user)}>
+                                                                                {user.active === false ? 'Reactivate' : 'Deactivate'}
+                                                                            </Button>
+                                                                            <Button
+                                                                                size="sm"
+                                                                                variant="outline"
+                                                                                onClick={() => handleDelete(user)}
+                                                                                className="border-red-300 text-red-600 hover:bg-red-50"
+                                                                            >
+                                                                                Delete
+                                                                            </Button>
+                                                                        </>
+                                                                    )}
+                                                                </div>
+                                                            </td>
+                                                        </tr>
+                                                    ))}
+                                                </tbody>
+                                            </table>
+                                        </div>
+                                    )}
+                                </CardContent>
+                            </Card>
+                        </div>
+                    </>
+                )}
+            </main>
+        </div>
+    );
+}
+
+// Navigation Component
+function Navigation() {
+    const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
+
+    return (
+        <nav className="bg-white shadow-md border-b border-gray-200 sticky top-0 z-50">
+            <div className="container mx-auto px-4">
+                <div className="flex items-center justify-between h-16">
+                    <Link href="/" className="flex items-center gap-3 hover:opacity-80 transition-opacity">
+                        <div>
+                            <h1 className="text-lg md:text-xl font-bold text-gray-900">
+                                <span className="md:hidden">IMS</span>
+                                <span className="hidden md:inline">Inventory Management System</span>
+                            </h1>
+                        </div>
+                    </Link>
+
+                    {/* Desktop Navigation */}
+                    <div className="hidden md:flex items-center gap-2">
+                        <Link href="/">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🏠 Dashboard
+                            </Button>
+                        </Link>
+                        <Link href="/products">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📦 Products
+                            </Button>
+                        </Link>
+                        <Link href="/warehouses">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🏭 Warehouses
+                            </Button>
+                        </Link>
+                        <Link href="/stock">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📊 Stock Levels
+                            </Button>
+                        </Link>
+                        <Link href="/transfers">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🔄 Transfers
+                            </Button>
+                        </Link>
+                        <Link href="/alerts">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🔔 Alerts
+                            </Button>
+                        </Link>
+                        <Link href="/purchase-orders">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🧾 Purchasing
+                            </Button>
+                        </Link>
+                        <Link href="/receiving">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📥 Receiving
+                            </Button>
+                        </Link>
+                        <Link href="/sales-orders">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🛒 Sales
+                            </Button>
+                        </Link>
+                        <Link href="/stock-counts">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                📋 Counts
+                            </Button>
+                        </Link>
+                        <Link href="/adjustments">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                ⚖️ Adjustments
+                            </Button>
+                        </Link>
+                        <Link href="/audit">
+                            <Button variant="ghost" className="hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                🕵️ Audit
+                            </Button>
+                        </Link>
+                    </div>
+
+                    {/* Mobile Hamburger Button */}
+                    <button
+                        onClick={() => setMobileMenuOpen(!mobileMenuOpen)}
+                        className="md:hidden p-2 rounded-lg hover:bg-gray-100 transition-colors"
+                        aria-label="Toggle menu"
+                    >
+                        <svg
+                            className="w-6 h-6 text-gray-700"
+                            fill="none"
+                            strokeLinecap="round"
+                            strokeLinejoin="round"
+                            strokeWidth="2"
+                            viewBox="0 0 24 24"
+                            stroke="currentColor"
+                        >
+                            {mobileMenuOpen ? (
+                                <path d="M6 18L18 6M6 6l12 12" />
+                            ) : (
+                                <path d="M4 6h16M4 12h16M4 18h16" />
+                            )}
+                        </svg>
+                    </button>
+                </div>
+
+                {/* Mobile Menu */}
+                {mobileMenuOpen && (
+                    <div className="md:hidden py-4 border-t border-gray-200 animate-fade-in">
+                        <div className="flex flex-col space-y-2">
+                            <Link href="/" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🏠 Dashboard
+                                </Button>
+                            </Link>
+                            <Link href="/products" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📦 Products
+                                </Button>
+                            </Link>
+                            <Link href="/warehouses" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🏭 Warehouses
+                                </Button>
+                            </Link>
+                            <Link href="/stock" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📊 Stock Levels
+                                </Button>
+                            </Link>
+                            <Link href="/transfers" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🔄 Transfers
+                                </Button>
+                            </Link>
+                            <Link href="/alerts" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🔔 Alerts
+                                </Button>
+                            </Link>
+                            <Link href="/purchase-orders" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🧾 Purchasing
+                                </Button>
+                            </Link>
+                            <Link href="/receiving" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📥 Receiving
+                                </Button>
+                            </Link>
+                            <Link href="/sales-orders" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🛒 Sales
+                                </Button>
+                            </Link>
+                            <Link href="/stock-counts" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    📋 Counts
+                                </Button>
+                            </Link>
+                            <Link href="/adjustments" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    ⚖️ Adjustments
+                                </Button>
+                            </Link>
+                            <Link href="/audit" onClick={() => setMobileMenuOpen(false)}>
+                                <Button variant="ghost" className="w-full justify-start hover:bg-emerald-50 hover:text-emerald-600 transition-all duration-200">
+                                    🕵️ Audit
+                                </Button>
+                            </Link>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </nav>
+    );
+}
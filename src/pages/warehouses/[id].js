@@ -0,0 +1,457 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import {
+  Container,
+  Typography,
+  TextField,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  IconButton,
+  AppBar,
+  Toolbar,
+  Box,
+  MenuItem,
+  LinearProgress,
+  CircularProgress,
+  Alert,
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import InventoryIcon from '@mui/icons-material/Inventory';
+import { useSession } from '@/components/SessionProvider';
+import { unassignedQuantity } from '@/lib/bins';
+import { can } from '@/lib/permissions';
+
+const EMPTY_BIN = { zone: '', aisle: '', bin: '', capacity: '' };
+const EMPTY_MOVE = { stockId: '', fromBinId: '', toBinId: '', quantity: '', notes: '' };
+
+export default function WarehouseDetail() {
+  const [warehouse, setWarehouse] = useState(null);
+  const [bins, setBins] = useState([]);
+  const [stock, setStock] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [newBin, setNewBin] = useState(EMPTY_BIN);
+  const [move, setMove] = useState(EMPTY_MOVE);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const { user } = useSession();
+  const canManage = can(user, 'manage_inventory');
+
+  const router = useRouter();
+  const { id } = router.query;
+
+  useEffect(() => {
+    if (id) {
+      fetchData();
+    }
+  }, [id]);
+
+  const fetchData = () => {
+    Promise.all([
+      fetch(`/api/warehouses/${id}`).then(res => res.json()),
+      fetch(`/api/bins?warehouseId=${id}`).then(res => res.json()),
+      fetch('/api/stock').then(res => res.json()),
+      fetch('/api/products').then(res => res.json()),
+    ]).then(([warehouseData, binsData, stockData, productsData]) => {
+      setWarehouse(warehouseData);
+      setBins(binsData);
+      setStock(stockData.filter(s => s.warehouseId === parseInt(id)));
+      setProducts(productsData);
+      setLoading(false);
+    });
+  };
+
+  const productLabel = (productId) => {
+    const product = products.find(p => p.id === productId);
+    return product ? `${product.name} (${product.sku})` : 'Unknown Product';
+  };
+
+  const handleBinChange = (e) => {
+    setNewBin({ ...newBin, [e.target.name]: e.target.value });
+  };
+
+  const handleMoveChange = (e) => {
+    const changes = { [e.target.name]: e.target.value };
+    // A different product has different bins to take from
+    if (e.target.name === 'stockId') {
+      changes.fromBinId = '';
+    }
+    setMove({ ...move, ...changes });
+  };
+
+  const submit = async (url, options, success) => {
+    setError('');
+    setMessage('');
+    const res = await fetch(url, { headers: { 'Content-Type': 'application/json' }, ...options });
+    if (res.ok) {
+      setMessage(success);
+      fetchData();
+      return true;
+    }
+    const data = await res.json();
+    setError(data.error || 'Request failed');
+    return false;
+  };
+
+  const handleAddBin = async (e) => {
+    e.preventDefault();
+    const added = await submit('/api/bins', {
+      method: 'POST',
+      body: JSON.stringify({ ...newBin, warehouseId: parseInt(id) }),
+    }, 'Bin added');
+    if (added) {
+      setNewBin(EMPTY_BIN);
+    }
+  };
+
+  const handleMove = async (e) => {
+    e.preventDefault();
+    const moved = await submit('/api/bins/move', {
+      method: 'POST',
+      body: JSON.stringify({
+        ...move,
+        fromBinId: move.fromBinId || null,
+        toBinId: move.toBinId || null,
+        quantity: parseInt(move.quantity),
+      }),
+    }, 'Stock moved');
+    if (moved) {
+      setMove(EMPTY_MOVE);
+    }
+  };
+
+  const handleDeleteBin = (bin) => {
+    submit(`/api/bins/${bin.id}`, { method: 'DELETE' }, `Bin ${bin.code} deleted`);
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', minHeight: '100vh' }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  const zones = [...new Set(bins.map(bin => bin.zone))];
+  const binnedUnits = bins.reduce((sum, bin) => sum + bin.occupied, 0);
+  const unassigned = stock.filter(s => unassignedQuantity(s) > 0);
+  const selectedStock = stock.find(s => s.id === parseInt(move.stockId));
+
+  return (
+    <>
+      <AppBar position="static">
+        <Toolbar>
+          <InventoryIcon sx={{ mr: 2 }} />
+          <Typography variant="h6" component="div" sx={{ flexGrow: 1 }}>
+            Inventory Management System
+          </Typography>
+          <Button color="inherit" component={Link} href="/">
+            Dashboard
+          </Button>
+          <Button color="inherit" component={Link} href="/products">
+            Products
+          </Button>
+          <Button color="inherit" component={Link} href="/warehouses">
+            Warehouses
+          </Button>
+          <Button color="inherit" component={Link} href="/stock">
+            Stock Levels
+          </Button>
+          <Button color="inherit" component={Link} href="/transfers">
+            Transfers
+          </Button>
+          <Button color="inherit" component={Link} href="/alerts">
+            Alerts
+          </Button>
+          <Button color="inherit" component={Link} href="/purchase-orders">
+            Purchasing
+          </Button>
+          <Button color="inherit" component={Link} href="/receiving">
+            Receiving
+          </Button>
+          <Button color="inherit" component={Link} href="/sales-orders">
+            Sales
+          </Button>
+          <Button color="inherit" component={Link} href="/stock-counts">
+            Counts
+          </Button>
+          <Button color="inherit" component={Link} href="/adjustments">
+            Adjustments
+          </Button>
+          <Button color="inherit" component={Link} href="/audit">
+            Audit
+          </Button>
+        </Toolbar>
+      </AppBar>
+
+      <Container sx={{ mt: 4, mb: 4 }}>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+          <Box>
+            <Typography variant="h4" component="h1">
+              {warehouse.name}
+            </Typography>
+            <Typography variant="subtitle1" color="text.secondary">
+              {warehouse.code} &middot; {warehouse.location}
+            </Typography>
+          </Box>
+          <Button variant="outlined" component={Link} href="/warehouses">
+            Back to Warehouses
+          </Button>
+        </Box>
+
+        <Typography variant="body1" sx={{ mb: 2 }}>
+          {bins.length} bins in {zones.length} zones &middot; {binnedUnits.toLocaleString()} units in bins &middot;{' '}
+          {unassigned.reduce((sum, s) => sum + unassignedQuantity(s), 0).toLocaleString()} units unassigned
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        {message && (
+          <Alert severity="success" sx={{ mb: 2 }}>
+            {message}
+          </Alert>
+        )}
+
+        {zones.map((zone) => (
+          <Box key={zone} sx={{ mb: 3 }}>
+            <Typography variant="h6" component="h2" gutterBottom>
+              Zone {zone}
+            </Typography>
+            <TableContainer component={Paper}>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell><strong>Aisle</strong></TableCell>
+                    <TableCell><strong>Bin</strong></TableCell>
+                    <TableCell><strong>Contents</strong></TableCell>
+                    <TableCell sx={{ width: 220 }}><strong>Occupancy</strong></TableCell>
+                    <TableCell><strong>Actions</strong></TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {bins.filter(bin => bin.zone === zone).map((bin) => (
+                    <TableRow key={bin.id}>
+                      <TableCell>{bin.aisle}</TableCell>
+                      <TableCell>{bin.code}</TableCell>
+                      <TableCell>
+                        {bin.contents.length
+                          ? bin.contents.map(c => `${c.productName} (${c.quantity})`).join(', ')
+                          : 'Empty'}
+                      </TableCell>
+                      <TableCell>
+                        {bin.occupied.toLocaleString()}{bin.capacity ? ` / ${bin.capacity.toLocaleString()}` : ' (no limit)'}
+                        {bin.capacity && (
+                          <LinearProgress
+                            variant="determinate"
+                            value={Math.min(bin.utilization, 100)}
+                            color={bin.utilization >= 90 ? 'warning' : 'primary'}
+                            sx={{ mt: 0.5 }}
+                          />
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        {canManage && (
+                          <IconButton
+                            color="error"
+                            onClick={() => handleDeleteBin(bin)}
+                            size="small"
+                            disabled={bin.occupied > 0}
+                            title={bin.occupied > 0 ? 'Move the stock out before deleting' : 'Delete bin'}
+                          >
+                            <DeleteIcon />
+                          </IconButton>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </Box>
+        ))}
+        {bins.length === 0 && (
+          <Typography color="text.secondary" sx={{ mb: 3 }}>
+            No bins yet. Add the first one below.
+          </Typography>
+        )}
+
+        <Typography variant="h6" component="h2" gutterBottom>
+          Unassigned Stock
+        </Typography>
+        <TableContainer component={Paper} sx={{ mb: 3 }}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell><strong>Product</strong></TableCell>
+                <TableCell align="right"><strong>Unassigned</strong></TableCell>
+                <TableCell align="right"><strong>On Hand</strong></TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {unassigned.map((s) => (
+                <TableRow key={s.id}>
+                  <TableCell>{productLabel(s.productId)}</TableCell>
+                  <TableCell align="right">{unassignedQuantity(s).toLocaleString()}</TableCell>
+                  <TableCell align="right">{s.quantity.toLocaleString()}</TableCell>
+                </TableRow>
+              ))}
+              {unassigned.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={3} align="center">
+                    All stock is in bins.
+                  </TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+
+        <Box sx={{ display: 'flex', gap: 3, flexWrap: 'wrap' }}>
+          {can(user, 'move_stock', warehouse.id) && (
+            <Paper elevation={3} sx={{ p: 3, flex: 1, minWidth: 300 }}>
+              <Typography variant="h6" component="h2">
+                Move Stock
+              </Typography>
+              <Box component="form" onSubmit={handleMove} noValidate>
+                <TextField
+                  margin="normal"
+                  required
+                  fullWidth
+                  select
+                  label="Product"
+                  name="stockId"
+                  value={move.stockId}
+                  onChange={handleMoveChange}
+                >
+                  {stock.map((s) => (
+                    <MenuItem key={s.id} value={s.id}>
+                      {productLabel(s.productId)}
+                    </MenuItem>
+                  ))}
+                </TextField>
+                <TextField
+                  margin="normal"
+                  fullWidth
+                  select
+                  label="From"
+                  name="fromBinId"
+                  value={move.fromBinId}
+                  onChange={handleMoveChange}
+                >
+                  <MenuItem value="">
+                    Unassigned ({selectedStock ? unassignedQuantity(selectedStock) : 0})
+                  </MenuItem>
+                  {(selectedStock?.bins || []).map((b) => (
+                    <MenuItem key={b.binId} value={b.binId}>
+                      {bins.find(bin => bin.id === b.binId)?.code || 'Unknown bin'} ({b.quantity})
+                    </MenuItem>
+                  ))}
+                </TextField>
+                <TextField
+                  margin="normal"
+                  fullWidth
+                  select
+                  label="To"
+                  name="toBinId"
+                  value={move.toBinId}
+                  onChange={handleMoveChange}
+                >
+                  <MenuItem value="">Unassigned</MenuItem>
+                  {bins.map((bin) => (
+                    <MenuItem key={bin.id} value={bin.id}>
+                      {bin.code}{bin.capacity ? ` (${bin.capacity - bin.occupied} free)` : ''}
+                    </MenuItem>
+                  ))}
+                </TextField>
+                <TextField
+                  margin="normal"
+                  required
+                  fullWidth
+                  label="Quantity"
+                  name="quantity"
+                  type="number"
+                  inputProps={{ min: '1' }}
+                  value={move.quantity}
+                  onChange={handleMoveChange}
+                />
+                <TextField
+                  margin="normal"
+                  fullWidth
+                  label="Notes"
+                  name="notes"
+                  value={move.notes}
+                  onChange={handleMoveChange}
+                />
+                <Button type="submit" fullWidth variant="contained" color="primary" sx={{ mt: 2 }}>
+                  Move
+                </Button>
+              </Box>
+            </Paper>
+          )}
+
+          {canManage && (
+            <Paper elevation={3} sx={{ p: 3, flex: 1, minWidth: 300 }}>
+              <Typography variant="h6" component="h2">
+                Add Bin
+              </Typography>
+              <Box component="form" onSubmit={handleAddBin} noValidate>
+                <Box sx={{ display: 'flex', gap: 2 }}>
+                  <TextField
+                    margin="normal"
+                    required
+                    fullWidth
+                    label="Zone"
+                    name="zone"
+                    value={newBin.zone}
+                    onChange={handleBinChange}
+                  />
+                  <TextField
+                    margin="normal"
+                    required
+                    fullWidth
+                    label="Aisle"
+                    name="aisle"
+                    value={newBin.aisle}
+                    onChange={handleBinChange}
+                  />
+                  <TextField
+                    margin="normal"
+                    required
+                    fullWidth
+                    label="Bin"
+                    name="bin"
+                    value={newBin.bin}
+                    onChange={handleBinChange}
+                  />
+                </Box>
+                <TextField
+                  margin="normal"
+                  fullWidth
+                  label="Capacity (units, optional)"
+                  name="capacity"
+                  type="number"
+                  inputProps={{ min: '1' }}
+                  value={newBin.capacity}
+                  onChange={handleBinChange}
+                />
+                <Button type="submit" fullWidth variant="contained" color="primary" sx={{ mt: 2 }}>
+                  Add Bin
+                </Button>
+              </Box>
+            </Paper>
+          )}
+        </Box>
+      </Container>
+    </>
+  );
+}
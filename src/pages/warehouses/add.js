@@ -10,8 +10,10 @@ import {
   Paper,
   AppBar,
   Toolbar,
+  Alert,
 } from '@mui/material';
 import InventoryIcon from '@mui/icons-material/Inventory';
+import { warehouseSchema, validate } from '@/lib/validation';
 
 export default function AddWarehouse() {
   const [warehouse, setWarehouse] = useState({
@@ -19,22 +21,39 @@ export default function AddWarehouse() {
     location: '',
     code: '',
   });
+  const [error, setError] = useState('');
+  const [errors, setErrors] = useState({});
 
   const router = useRouter();
 
   const handleChange = (e) => {
     setWarehouse({ ...warehouse, [e.target.name]: e.target.value });
+    setErrors({ ...errors, [e.target.name]: undefined });
   };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    // Check the same schema the API uses, so mistakes show up next to their fields before anything is sent
+    const { values, fieldErrors } = validate(warehouseSchema, warehouse);
+    setErrors(fieldErrors);
+    setError('');
+    if (Object.keys(fieldErrors).length > 0) {
+      return;
+    }
+
     const res = await fetch('/api/warehouses', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(warehouse),
+      body: JSON.stringify(values),
     });
     if (res.ok) {
       router.push('/warehouses');
+    } else {
+      const data = await res.json();
+      setErrors(data.fieldErrors || {});
+      if (!data.fieldErrors) {
+        setError(data.error || 'Failed to add warehouse');
+      }
     }
   };
 
@@ -66,6 +85,11 @@ export default function AddWarehouse() {
           <Typography variant="h4" component="h1" gutterBottom>
             Add New Warehouse
           </Typography>
+          {error && (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              {error}
+            </Alert>
+          )}
           <Box component="form" onSubmit={handleSubmit} noValidate sx={{ mt: 2 }}>
             <TextField
               margin="normal"
@@ -75,6 +99,8 @@ export default function AddWarehouse() {
               name="code"
               value={warehouse.code}
               onChange={handleChange}
+              error={Boolean(errors.code)}
+              helperText={errors.code}
             />
             <TextField
               margin="normal"
@@ -84,6 +110,8 @@ export default function AddWarehouse() {
               name="name"
               value={warehouse.name}
               onChange={handleChange}
+              error={Boolean(errors.name)}
+              helperText={errors.name}
             />
             <TextField
               margin="normal"
@@ -93,6 +121,8 @@ export default function AddWarehouse() {
               name="location"
               value={warehouse.location}
               onChange={handleChange}
+              error={Boolean(errors.location)}
+              helperText={errors.location}
             />
             <Box sx={{ mt: 3, display: 'flex', gap: 2 }}>
               <Button
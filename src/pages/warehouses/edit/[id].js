@@ -11,8 +11,10 @@ import {
   AppBar,
   Toolbar,
   CircularProgress,
+  Alert,
 } from '@mui/material';
 import InventoryIcon from '@mui/icons-material/Inventory';
+import { warehouseSchema, validate } from '@/lib/validation';
 
 export default function EditWarehouse() {
   const [warehouse, setWarehouse] = useState({
@@ -21,6 +23,8 @@ export default function EditWarehouse() {
     code: '',
   });
   const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [errors, setErrors] = useState({});
 
   const router = useRouter();
   const { id } = router.query;
@@ -38,17 +42,32 @@ export default function EditWarehouse() {
 
   const handleChange = (e) => {
     setWarehouse({ ...warehouse, [e.target.name]: e.target.value });
+    setErrors({ ...errors, [e.target.name]: undefined });
   };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    // Check the same schema the API uses, so mistakes show up next to their fields before anything is sent
+    const { values, fieldErrors } = validate(warehouseSchema, warehouse);
+    setErrors(fieldErrors);
+    setError('');
+    if (Object.keys(fieldErrors).length > 0) {
+      return;
+    }
+
     const res = await fetch(`/api/warehouses/${id}`, {
       method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(warehouse),
+      body: JSON.stringify(values),
     });
     if (res.ok) {
       router.push('/warehouses');
+    } else {
+      const data = await res.json();
+      setErrors(data.fieldErrors || {});
+      if (!data.fieldErrors) {
+        setError(data.error || 'Failed to update warehouse');
+      }
     }
   };
 
@@ -88,6 +107,11 @@ export default function EditWarehouse() {
           <Typography variant="h4" component="h1" gutterBottom>
             Edit Warehouse
           </Typography>
+          {error && (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              {error}
+            </Alert>
+          )}
           <Box component="form" onSubmit={handleSubmit} noValidate sx={{ mt: 2 }}>
             <TextField
               margin="normal"
@@ -97,6 +121,8 @@ export default function EditWarehouse() {
               name="code"
               value={warehouse.code}
               onChange={handleChange}
+              error={Boolean(errors.code)}
+              helperText={errors.code}
             />
             <TextField
               margin="normal"
@@ -106,6 +132,8 @@ export default function EditWarehouse() {
               name="name"
               value={warehouse.name}
               onChange={handleChange}
+              error={Boolean(errors.name)}
+              helperText={errors.name}
             />
             <TextField
               margin="normal"
@@ -115,6 +143,8 @@ export default function EditWarehouse() {
               name="location"
               value={warehouse.location}
               onChange={handleChange}
+              error={Boolean(errors.location)}
+              helperText={errors.location}
             />
             <Box sx={{ mt: 3, display: 'flex', gap: 2 }}>
               <Button
@@ -12,23 +12,32 @@ import {
   TableRow,
   Paper,
   IconButton,
-  Dialog,
-  DialogActions,
-  DialogContent,
-  DialogContentText,
-  DialogTitle,
   AppBar,
   Toolbar,
   Box,
+  Alert,
+  Chip,
+  FormControlLabel,
+  Switch,
 } from '@mui/material';
+import ArchiveIcon from '@mui/icons-material/Archive';
 import DeleteIcon from '@mui/icons-material/Delete';
 import EditIcon from '@mui/icons-material/Edit';
+import ViewModuleIcon from '@mui/icons-material/ViewModule';
 import InventoryIcon from '@mui/icons-material/Inventory';
+import UnarchiveIcon from '@mui/icons-material/Unarchive';
+import DeleteRecordDialog from '@/components/DeleteRecordDialog';
+import { useSession } from '@/components/SessionProvider';
+import { isArchived } from '@/lib/archive';
+import { can } from '@/lib/permissions';
 
 export default function Warehouses() {
   const [warehouses, setWarehouses] = useState([]);
-  const [open, setOpen] = useState(false);
   const [selectedWarehouseId, setSelectedWarehouseId] = useState(null);
+  const [showArchived, setShowArchived] = useState(false);
+  const [error, setError] = useState('');
+  const { user } = useSession();
+  const canManage = can(user, 'manage_inventory');
 
   useEffect(() => {
     fetchWarehouses();
@@ -42,29 +51,42 @@ export default function Warehouses() {
 
   const handleClickOpen = (id) => {
     setSelectedWarehouseId(id);
-    setOpen(true);
   };
 
   const handleClose = () => {
-    setOpen(false);
     setSelectedWarehouseId(null);
   };
 
-  const handleDelete = async () => {
+  const handleDeleted = () => {
+    handleClose();
+    fetchWarehouses();
+  };
+
+  // Archive or restore a warehouse: { action: 'archive' | 'restore' }
+  const handleStatusAction = async (id, action) => {
+    setError('');
     try {
-      const res = await fetch(`/api/warehouses/${selectedWarehouseId}`, {
-        method: 'DELETE',
+      const res = await fetch(`/api/warehouses/${id}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action }),
       });
 
       if (res.ok) {
-        setWarehouses(warehouses.filter((warehouse) => warehouse.id !== selectedWarehouseId));
-        handleClose();
+        fetchWarehouses();
+      } else {
+        const data = await res.json();
+        setError(data.error || `Failed to ${action} warehouse`);
       }
-    } catch (error) {
-      console.error('Error deleting warehouse:', error);
+    } catch (err) {
+      console.error(`Error trying to ${action} warehouse:`, err);
     }
   };
 
+  // Archived warehouses stay out of the list unless asked for
+  const visibleWarehouses = warehouses.filter((warehouse) => showArchived || !isArchived(warehouse));
+  const archivedCount = warehouses.filter(isArchived).length;
+
   return (
     <>
       <AppBar position="static">
@@ -91,6 +113,24 @@ export default function Warehouses() {
           <Button color="inherit" component={Link} href="/alerts">
             Alerts
           </Button>
+          <Button color="inherit" component={Link} href="/purchase-orders">
+            Purchasing
+          </Button>
+          <Button color="inherit" component={Link} href="/receiving">
+            Receiving
+          </Button>
+          <Button color="inherit" component={Link} href="/sales-orders">
+            Sales
+          </Button>
+          <Button color="inherit" component={Link} href="/stock-counts">
+            Counts
+          </Button>
+          <Button color="inherit" component={Link} href="/adjustments">
+            Adjustments
+          </Button>
+          <Button color="inherit" component={Link} href="/audit">
+            Audit
+          </Button>
         </Toolbar>
       </AppBar>
 
@@ -99,16 +139,40 @@ export default function Warehouses() {
           <Typography variant="h4" component="h1">
             Warehouses
           </Typography>
-          <Button
-            variant="contained"
-            color="primary"
-            component={Link}
-            href="/warehouses/add"
-          >
-            Add Warehouse
-          </Button>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={showArchived}
+                  onChange={(e) => setShowArchived(e.target.checked)}
+                />
+              }
+              label={`Show archived (${archivedCount})`}
+            />
+            {canManage && (
+              <Button variant="outlined" component={Link} href="/import?type=warehouses">
+                Import
+              </Button>
+            )}
+            {canManage && (
+              <Button
+                variant="contained"
+                color="primary"
+                component={Link}
+                href="/warehouses/add"
+              >
+                Add Warehouse
+              </Button>
+            )}
+          </Box>
         </Box>
 
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+            {error}
+          </Alert>
+        )}
+
         <TableContainer component={Paper}>
           <Table>
             <TableHead>
@@ -120,31 +184,66 @@ export default function Warehouses() {
               </TableRow>
             </TableHead>
             <TableBody>
-              {warehouses.map((warehouse) => (
-                <TableRow key={warehouse.id}>
+              {visibleWarehouses.map((warehouse) => (
+                <TableRow key={warehouse.id} sx={isArchived(warehouse) ? { opacity: 0.6 } : undefined}>
                   <TableCell>{warehouse.code}</TableCell>
-                  <TableCell>{warehouse.name}</TableCell>
+                  <TableCell>
+                    {warehouse.name}
+                    {isArchived(warehouse) && <Chip label="Archived" size="small" sx={{ ml: 1 }} />}
+                  </TableCell>
                   <TableCell>{warehouse.location}</TableCell>
                   <TableCell>
                     <IconButton
                       color="primary"
                       component={Link}
-                      href={`/warehouses/edit/${warehouse.id}`}
-                      size="small"
-                    >
-                      <EditIcon />
-                    </IconButton>
-                    <IconButton
-                      color="error"
-                      onClick={() => handleClickOpen(warehouse.id)}
+                      href={`/warehouses/${warehouse.id}`}
                       size="small"
+                      title="Bins and occupancy"
                     >
-                      <DeleteIcon />
+                      <ViewModuleIcon />
                     </IconButton>
+                    {canManage && (
+                      <>
+                        <IconButton
+                          color="primary"
+                          component={Link}
+                          href={`/warehouses/edit/${warehouse.id}`}
+                          size="small"
+                        >
+                          <EditIcon />
+                        </IconButton>
+                        {isArchived(warehouse) ? (
+                          <IconButton
+                            color="default"
+                            onClick={() => handleStatusAction(warehouse.id, 'restore')}
+                            size="small"
+                            title="Restore"
+                          >
+                            <UnarchiveIcon />
+                          </IconButton>
+                        ) : (
+                          <IconButton
+                            color="default"
+                            onClick={() => handleStatusAction(warehouse.id, 'archive')}
+                            size="small"
+                            title="Archive"
+                          >
+                            <ArchiveIcon />
+                          </IconButton>
+                        )}
+                        <IconButton
+                          color="error"
+                          onClick={() => handleClickOpen(warehouse.id)}
+                          size="small"
+                        >
+                          <DeleteIcon />
+                        </IconButton>
+                      </>
+                    )}
                   </TableCell>
                 </TableRow>
               ))}
-              {warehouses.length === 0 && (
+              {visibleWarehouses.length === 0 && (
                 <TableRow>
                   <TableCell colSpan={4} align="center">
                     No warehouses available.
@@ -155,22 +254,12 @@ export default function Warehouses() {
           </Table>
         </TableContainer>
 
-        <Dialog open={open} onClose={handleClose}>
-          <DialogTitle>Delete Warehouse</DialogTitle>
-          <DialogContent>
-            <DialogContentText>
-              Are you sure you want to delete this warehouse? This action cannot be undone.
-            </DialogContentText>
-          </DialogContent>
-          <DialogActions>
-            <Button onClick={handleClose} color="primary">
-              Cancel
-            </Button>
-            <Button onClick={handleDelete} color="error" autoFocus>
-              Delete
-            </Button>
-          </DialogActions>
-        </Dialog>
+        <DeleteRecordDialog
+          url={selectedWarehouseId ? `/api/warehouses/${selectedWarehouseId}` : null}
+          noun="warehouse"
+          onClose={handleClose}
+          onDeleted={handleDeleted}
+        />
       </Container>
     </>
   );
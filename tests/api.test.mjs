@@ -0,0 +1,255 @@
+/**
+ * Contract tests: every documented read, and the main writes, answered by the real route
+ * handlers against a copy of the seed data, with each response checked against the OpenAPI
+ * document.
+ */
+
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { call as callRoute, openApiDocument, signIn, useTemporaryDataDir } from './support/api.mjs';
+
+let removeDataDir;
+let session;
+
+before(async () => {
+    removeDataDir = useTemporaryDataDir();
+    session = await signIn();
+});
+
+after(() => removeDataDir());
+
+// Call a route as the admin
+const call = (method, pathTemplate, options = {}) => callRoute(method, pathTemplate, { session, ...options });
+
+describe('reads', () => {
+    // The first record of each list, for the matching /{id} path
+    const firstIds = {};
+
+    // One record in each collection the seed data leaves empty, so every /{id} read has one to read
+    before(async () => {
+        const post = async (pathTemplate, options) => {
+            const { status, body } = await call('POST', pathTemplate, options);
+            assert.ok(status < 300, `POST ${pathTemplate} answered ${status}: ${body?.error}`);
+            return body;
+        };
+
+        const order = await post('/api/purchase-orders', {
+            body: { supplierId: 1, warehouseId: 1, lines: [{ productId: 1, quantity: 10 }] },
+        });
+        await post('/api/purchase-orders/{id}', { params: { id: order.id }, body: { action: 'send' } });
+        await post('/api/receipts', {
+            body: { purchaseOrderId: order.id, lines: [{ productId: 1, quantity: 4, lotNumber: 'TST-REC' }] },
+        });
+        await post('/api/sales-orders', {
+            body: { customerName: 'Test Customer', warehouseId: 1, lines: [{ productId: 1, quantity: 2 }] },
+        });
+        await post('/api/stock-counts', { body: { warehouseId: 2 } });
+        await post('/api/adjustments', {
+            body: { productId: 1, warehouseId: 1, quantity: 1, reasonCode: 'damaged', note: 'Test breakage' },
+        });
+        await post('/api/api-keys', { body: { name: 'Test script', access: 'read', resources: ['*'] } });
+    });
+
+    Object.entries(openApiDocument.paths)
+        .filter(([, operations]) => operations.get)
+        .forEach(([pathTemplate]) => {
+            test(`GET ${pathTemplate}`, async () => {
+                const collection = pathTemplate.replace('/{id}', '');
+                if (pathTemplate.includes('{id}')) {
+                    assert.ok(firstIds[collection], `${collection} listed no record to read`);
+                }
+
+                const response = await call('GET', pathTemplate, { params: { id: firstIds[collection] } });
+                assert.equal(response.status, 200);
+                if (Array.isArray(response.body) && response.body[0]?.id) {
+                    firstIds[pathTemplate] = response.body[0].id;
+                }
+            });
+        });
+
+    test('GET /api/products with paging', async () => {
+        const { body } = await call('GET', '/api/products', { query: { page: 1, limit: 2, include: 'availability' } });
+        assert.equal(body.items.length, 2);
+        assert.ok(body.total >= 2);
+    });
+
+    test('GET /api/products/{id} for a missing product', async () => {
+        const { status } = await call('GET', '/api/products/{id}', { params: { id: 999999 } });
+        assert.equal(status, 404);
+    });
+
+    test('GET /api/stock with a malformed filter', async () => {
+        const { status, body } = await call('GET', '/api/stock', { query: { warehouseId: 'abc' } });
+        assert.equal(status, 400);
+        assert.ok(body.fieldErrors.warehouseId);
+    });
+});
+
+describe('writes', () => {
+    const created = {};
+
+    test('POST /api/auth/setup once an admin exists', async () => {
+        const { status } = await call('POST', '/api/auth/setup', {
+            body: { username: 'second', name: 'Second Admin', password: 'another long password' },
+        });
+        assert.equal(status, 409);
+    });
+
+    test('POST /api/warehouses', async () => {
+        const { status, body } = await call('POST', '/api/warehouses', {
+            body: { name: 'Test Annex', location: 'Trenton, NJ', code: 'TST-01' },
+        });
+        assert.equal(status, 201);
+        created.warehouseId = body.id;
+    });
+
+    test('PUT /api/warehouses/{id}', async () => {
+        const { status, body } = await call('PUT', '/api/warehouses/{id}', {
+            params: { id: created.warehouseId },
+            body: { name: 'Test Annex North', location: 'Trenton, NJ', code: 'TST-01' },
+        });
+        assert.equal(status, 200);
+        assert.equal(body.name, 'Test Annex North');
+    });
+
+    test('POST /api/products with missing fields', async () => {
+        const { status, body } = await call('POST', '/api/products', { body: { sku: 'TST-001' } });
+        assert.equal(status, 400);
+        assert.ok(body.fieldErrors.name);
+    });
+
+    test('POST /api/products', async () => {
+        const { status, body } = await call('POST', '/api/products', {
+            body: { sku: 'TST-001', name: 'Test Tumbler', category: 'Drinkware', unitCost: 4.25, reorderPoint: 10 },
+        });
+        assert.equal(status, 201);
+        created.productId = body.id;
+    });
+
+    test('PUT /api/products/{id}', async () => {
+        const { status, body } = await call('PUT', '/api/products/{id}', {
+            params: { id: created.productId },
+            body: { sku: 'TST-001', name: 'Test Tumbler', category: 'Drinkware', unitCost: 4.5, reorderPoint: 10 },
+        });
+        assert.equal(status, 200);
+        assert.equal(body.unitCost, 4.5);
+    });
+
+    test('POST /api/stock', async () => {
+        const { status, body } = await call('POST', '/api/stock', {
+            body: { productId: created.productId, warehouseId: 1, quantity: 50 },
+        });
+        assert.equal(status, 201);
+        created.stockId = body.id;
+    });
+
+    test('PUT /api/stock/{id}', async () => {
+        const { status, body } = await call('PUT', '/api/stock/{id}', {
+            params: { id: created.stockId },
+            body: { productId: created.productId, warehouseId: 1, quantity: 60 },
+        });
+        assert.equal(status, 200);
+        assert.equal(body.quantity, 60);
+    });
+
+    test('POST /api/transfers', async () => {
+        const { status, body } = await call('POST', '/api/transfers', {
+            body: {
+                fromWarehouseId: 1,
+                toWarehouseId: created.warehouseId,
+                lines: [{ productId: created.productId, quantity: 20 }],
+                ship: true,
+            },
+        });
+        assert.equal(status, 201);
+        assert.equal(body.status, 'in_transit');
+        created.transferId = body.id;
+    });
+
+    test('POST /api/transfers with more than is available', async () => {
+        const { status, body } = await call('POST', '/api/transfers', {
+            body: {
+                fromWarehouseId: 1,
+                toWarehouseId: created.warehouseId,
+                lines: [{ productId: created.productId, quantity: 1000 }],
+            },
+        });
+        assert.equal(status, 400);
+        assert.equal(body.lineErrors.length, 1);
+    });
+
+    test('POST /api/transfers/{id} to receive', async () => {
+        const { status, body } = await call('POST', '/api/transfers/{id}', {
+            params: { id: created.transferId },
+            body: { action: 'receive' },
+        });
+        assert.equal(status, 200);
+        assert.equal(body.status, 'received');
+    });
+
+    test('POST /api/transfers/{id} without a body', async () => {
+        const { status, body } = await call('POST', '/api/transfers/{id}', { params: { id: created.transferId } });
+        assert.equal(status, 400);
+        assert.ok(body.fieldErrors.action);
+    });
+
+    test('POST /api/suppliers with a bad currency', async () => {
+        const { status, body } = await call('POST', '/api/suppliers', {
+            body: { name: 'Test Supplies', currency: 'dollars' },
+        });
+        assert.equal(status, 400);
+        assert.ok(body.fieldErrors.currency);
+    });
+
+    test('POST /api/suppliers with an unknown product', async () => {
+        const { status, body } = await call('POST', '/api/suppliers', {
+            body: { name: 'Test Supplies', products: [{ productId: 999999, unitPrice: 1 }] },
+        });
+        assert.equal(status, 400);
+        assert.ok(body.fieldErrors['products.0.productId']);
+    });
+
+    test('POST /api/purchase-orders with a bad line', async () => {
+        const { status, body } = await call('POST', '/api/purchase-orders', {
+            body: { supplierId: 1, warehouseId: 1, lines: [{ productId: created.productId, quantity: 0 }] },
+        });
+        assert.equal(status, 400);
+        assert.ok(body.fieldErrors['lines.0.quantity']);
+    });
+
+    test('POST /api/sales-orders without a customer', async () => {
+        const { status, body } = await call('POST', '/api/sales-orders', {
+            body: { lines: [{ productId: created.productId, quantity: 1 }] },
+        });
+        assert.equal(status, 400);
+        assert.ok(body.fieldErrors.customerName);
+    });
+
+    test('POST /api/adjustments with an unknown reason', async () => {
+        const { status, body } = await call('POST', '/api/adjustments', {
+            body: { productId: created.productId, warehouseId: 1, quantity: 1, reasonCode: 'no_such_reason' },
+        });
+        assert.equal(status, 400);
+        assert.ok(body.fieldErrors.reasonCode);
+    });
+
+    test('POST /api/bins with a malformed location', async () => {
+        const { status, body } = await call('POST', '/api/bins', {
+            body: { warehouseId: 1, zone: 'A-1', aisle: '01', bin: '' },
+        });
+        assert.equal(status, 400);
+        assert.ok(body.fieldErrors.zone);
+        assert.ok(body.fieldErrors.bin);
+    });
+
+    test('DELETE /api/products/{id} with transfer history', async () => {
+        const { status, body } = await call('DELETE', '/api/products/{id}', { params: { id: created.productId } });
+        assert.equal(status, 409);
+        assert.ok(body.dependents.length > 0);
+    });
+
+    test('DELETE /api/stock/{id}', async () => {
+        const { status } = await call('DELETE', '/api/stock/{id}', { params: { id: created.stockId } });
+        assert.equal(status, 204);
+    });
+});
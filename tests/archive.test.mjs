@@ -0,0 +1,52 @@
+/**
+ * Archived products: they drop out of the stock alerts and cannot be bought again.
+ */
+
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { call as callRoute, signIn, useTemporaryDataDir } from './support/api.mjs';
+
+let removeDataDir;
+let session;
+let productId;
+
+before(async () => {
+    removeDataDir = useTemporaryDataDir();
+    session = await signIn();
+
+    // No stock and a reorder point, so the product is critical until it is archived
+    const { body: product } = await call('POST', '/api/products', {
+        body: { sku: 'TST-ARC', name: 'Test Discontinued Straw', category: 'Drinkware', unitCost: 0.4, reorderPoint: 100 },
+    });
+    productId = product.id;
+    await call('POST', '/api/products/{id}', { params: { id: productId }, body: { action: 'archive' } });
+});
+
+after(() => removeDataDir());
+
+const call = (method, pathTemplate, options = {}) => callRoute(method, pathTemplate, { session, ...options });
+
+test('archived products raise no stock alerts', async () => {
+    const { body: alerts } = await call('GET', '/api/alerts');
+    assert.ok(alerts.length > 0);
+    assert.equal(alerts.find(alert => alert.productId === productId), undefined);
+
+    const { body: report } = await call('GET', '/api/reports/alerts');
+    assert.equal(report.rows.find(row => row.productSku === 'TST-ARC'), undefined);
+});
+
+test('a purchase order cannot buy an archived product', async () => {
+    const { status, body } = await call('POST', '/api/purchase-orders', {
+        body: { supplierId: 1, warehouseId: 1, lines: [{ productId, quantity: 10 }] },
+    });
+    assert.equal(status, 400);
+    assert.match(body.fieldErrors['lines.0.productId'], /archived/);
+});
+
+test('recommendations cannot carry an archived product into a draft', async () => {
+    const { status, body } = await call('POST', '/api/purchase-orders/from-alerts', {
+        body: { warehouseId: 1, items: [{ productId: 1, quantity: 5 }, { productId, quantity: 10 }] },
+    });
+    assert.equal(status, 400);
+    assert.match(body.fieldErrors['items.1.productId'], /archived/);
+});
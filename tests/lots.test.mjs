@@ -0,0 +1,61 @@
+/**
+ * Expired lots: they stay on hand until written off, but nothing may reserve or transfer them,
+ * since the ledger refuses to ship them.
+ */
+
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { call as callRoute, signIn, useTemporaryDataDir } from './support/api.mjs';
+
+let removeDataDir;
+let session;
+let productId;
+
+// Southern Hub holds nothing of the product but one expired lot
+const WAREHOUSE_ID = 3;
+
+before(async () => {
+    removeDataDir = useTemporaryDataDir();
+    session = await signIn();
+
+    const { body: product } = await call('POST', '/api/products', {
+        body: { sku: 'TST-EXP', name: 'Test Compost Bags', category: 'Packaging', unitCost: 1.2, reorderPoint: 0 },
+    });
+    productId = product.id;
+    await call('POST', '/api/stock', {
+        body: { productId, warehouseId: WAREHOUSE_ID, quantity: 40, lotNumber: 'OLD-1', expiresAt: '2020-01-31' },
+    });
+});
+
+after(() => removeDataDir());
+
+const call = (method, pathTemplate, options = {}) => callRoute(method, pathTemplate, { session, ...options });
+
+test('stock in expired lots is available but not shippable', async () => {
+    const { body } = await call('GET', '/api/stock', { query: { productId, warehouseId: WAREHOUSE_ID } });
+    assert.equal(body[0].availableQuantity, 40);
+    assert.equal(body[0].shippableQuantity, 0);
+});
+
+test('a sales order cannot reserve against a warehouse holding only expired stock', async () => {
+    const { status, body } = await call('POST', '/api/sales-orders', {
+        body: { customerName: 'Green Grocer', warehouseId: WAREHOUSE_ID, lines: [{ productId, quantity: 5 }] },
+    });
+    assert.equal(status, 400);
+    assert.match(body.lineErrors[0].error, /Available: 0/);
+});
+
+test('auto-allocation skips warehouses holding only expired stock', async () => {
+    const { status } = await call('POST', '/api/sales-orders', {
+        body: { customerName: 'Green Grocer', lines: [{ productId, quantity: 5 }] },
+    });
+    assert.equal(status, 400);
+});
+
+test('a transfer cannot take stock from expired lots', async () => {
+    const { status, body } = await call('POST', '/api/transfers', {
+        body: { fromWarehouseId: WAREHOUSE_ID, toWarehouseId: 1, lines: [{ productId, quantity: 5 }] },
+    });
+    assert.equal(status, 400);
+    assert.match(body.lineErrors[0].error, /Available: 0/);
+});
@@ -0,0 +1,153 @@
+/**
+ * Calling API routes in-process: a throwaway data directory, a signed-in admin, and requests and
+ * responses shaped like the ones Next.js hands to a route, checked against the OpenAPI document
+ * the same way the API Explorer's Check Contract does (contract.js).
+ */
+
+import { copyFileSync, existsSync, mkdtempSync, readdirSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import assert from 'node:assert/strict';
+import { SESSION_COOKIE } from '@/lib/auth';
+import { buildOpenApiDocument } from '@/lib/openapi';
+import { responseProblems } from '@/lib/contract';
+
+const SEED_DIR = fileURLToPath(new URL('../../data/', import.meta.url));
+const API_DIR = fileURLToPath(new URL('../../src/pages/api/', import.meta.url));
+
+export const openApiDocument = buildOpenApiDocument('http://localhost');
+
+/**
+ * Point the JSON storage backend at a copy of the seed data in data/. Call it before the first
+ * request: the repository reads DATA_DIR once.
+ * @returns {Function} Removes the copy
+ */
+export const useTemporaryDataDir = () => {
+    const dataDir = mkdtempSync(path.join(tmpdir(), 'inventory-test-'));
+    readdirSync(SEED_DIR)
+        .filter(file => file.endsWith('.json'))
+        .forEach(file => copyFileSync(path.join(SEED_DIR, file), path.join(dataDir, file)));
+    process.env.DATA_DIR = dataDir;
+    process.env.STORAGE_BACKEND = 'json';
+    return () => rmSync(dataDir, { recursive: true, force: true });
+};
+
+/**
+ * Find the route serving a documented path, as Next.js would: '/api/products/{id}' is
+ * src/pages/api/products/[id].js, and a fixed path with no file of its own, like
+ * '/api/reports/inventory', falls to its folder's dynamic route with the last segment as its
+ * parameter ([report].js, { report: 'inventory' })
+ * @returns {Object} { modulePath, params }
+ */
+const findRoute = (pathTemplate) => {
+    const route = pathTemplate.replace(/^\/api\//, '').replace(/\{(\w+)\}/g, '[$1]');
+    if (existsSync(path.join(API_DIR, `${route}.js`)) || existsSync(path.join(API_DIR, route, 'index.js'))) {
+        return { modulePath: `@/pages/api/${route}`, params: {} };
+    }
+    const folder = path.dirname(route);
+    const dynamic = readdirSync(path.join(API_DIR, folder)).find(file => /^\[\w+\]\.js$/.test(file));
+    return {
+        modulePath: `@/pages/api/${folder}/${dynamic}`,
+        params: { [dynamic.slice(1, -4)]: path.basename(route) },
+    };
+};
+
+const createResponse = () => ({
+    statusCode: 200,
+    headers: {},
+    body: null,
+    status(code) {
+        this.statusCode = code;
+        return this;
+    },
+    setHeader(name, value) {
+        this.headers[name.toLowerCase()] = value;
+        return this;
+    },
+    getHeader(name) {
+        return this.headers[name.toLowerCase()];
+    },
+    json(body) {
+        this.setHeader('Content-Type', 'application/json');
+        // Round-trip like the wire would, so dates become strings and undefined fields disappear
+        this.body = JSON.parse(JSON.stringify(body));
+        return this;
+    },
+    send(body) {
+        this.body = body;
+        return this;
+    },
+    end() {
+        return this;
+    },
+});
+
+/**
+ * Call the route serving a documented path
+ * @param {string} method - e.g. 'GET'
+ * @param {string} pathTemplate - Path as written in the OpenAPI document, e.g. '/api/products/{id}'
+ * @param {Object} options - { params, query, body, session } where params fill the path template
+ *   and session is a session token from signIn()
+ * @returns {Promise<Object>} { status, headers, body, mediaType }
+ */
+export const request = async (method, pathTemplate, { params = {}, query = {}, body, session } = {}) => {
+    const route = findRoute(pathTemplate);
+    const { default: handler } = await import(route.modulePath);
+
+    // Next.js passes path parameters and the query string together, as strings
+    const stringify = (values) => Object.fromEntries(Object.entries(values).map(([name, value]) => [name, String(value)]));
+    const search = new URLSearchParams(stringify(query)).toString();
+    const req = {
+        method,
+        url: `${pathTemplate.replace(/\{(\w+)\}/g, (_, name) => params[name])}${search ? `?${search}` : ''}`,
+        query: { ...stringify(query), ...route.params, ...stringify(params) },
+        body,
+        headers: { host: 'localhost' },
+        cookies: session ? { [SESSION_COOKIE]: session } : {},
+        socket: {},
+    };
+    const res = createResponse();
+    await handler(req, res);
+
+    return {
+        status: res.statusCode,
+        headers: res.headers,
+        body: res.body,
+        mediaType: String(res.headers['content-type'] || 'application/json').split(';')[0],
+    };
+};
+
+/**
+ * Create the first admin through the setup route
+ * @returns {Promise<string>} The admin's session token
+ */
+export const signIn = async () => {
+    const response = await request('POST', '/api/auth/setup', {
+        body: { username: 'admin', name: 'Test Admin', password: 'correct horse battery' },
+    });
+    const cookie = String(response.headers['set-cookie'] || '');
+    const token = cookie.match(new RegExp(`${SESSION_COOKIE}=([^;]+)`))?.[1];
+    if (!token) {
+        throw new Error(`Setup did not start a session (status ${response.status})`);
+    }
+    return token;
+};
+
+/**
+ * Call a route like request() and fail on any difference from the OpenAPI document
+ * @see request
+ */
+export const call = async (method, pathTemplate, options = {}) => {
+    const response = await request(method, pathTemplate, options);
+    const problems = responseProblems(
+        openApiDocument,
+        pathTemplate,
+        method.toLowerCase(),
+        response.status,
+        response.body,
+        response.mediaType
+    );
+    assert.deepEqual(problems, [], `${method} ${pathTemplate} answered ${response.status} off contract`);
+    return response;
+};
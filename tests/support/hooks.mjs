@@ -0,0 +1,36 @@
+/**
+ * Module hooks for running the app's code under plain Node (see register.mjs).
+ *
+ * Next.js resolves '@/' to src/ (jsconfig.json), allows imports without an extension or of a
+ * directory's index.js, and treats every .js file under src/ as an ES module. Node does none of
+ * that on its own, so these hooks do it for modules imported from src/ and from the tests.
+ */
+
+import { existsSync, statSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const SRC_URL = new URL('../../src/', import.meta.url).href;
+const TESTS_URL = new URL('../', import.meta.url).href;
+
+const isFile = (url) => existsSync(fileURLToPath(url)) && statSync(fileURLToPath(url)).isFile();
+
+export async function resolve(specifier, context, nextResolve) {
+    const fromApp = context.parentURL?.startsWith(SRC_URL) || context.parentURL?.startsWith(TESTS_URL);
+    const relative = specifier.startsWith('./') || specifier.startsWith('../');
+    if (!fromApp || !(specifier.startsWith('@/') || relative)) {
+        return nextResolve(specifier, context);
+    }
+
+    const url = specifier.startsWith('@/')
+        ? new URL(specifier.slice(2), SRC_URL).href
+        : new URL(specifier, context.parentURL).href;
+    const match = [url, `${url}.js`, `${url}/index.js`].find(isFile);
+    return match ? { url: match, shortCircuit: true } : nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+    if (url.startsWith(SRC_URL) && url.endsWith('.js')) {
+        return { ...(await nextLoad(url, { ...context, format: 'module' })), format: 'module', shortCircuit: true };
+    }
+    return nextLoad(url, context);
+}
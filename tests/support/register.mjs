@@ -0,0 +1,4 @@
+// Loaded with --import before the tests run: lets Node import the app's modules the way Next.js does
+import { register } from 'node:module';
+
+register('./hooks.mjs', import.meta.url);
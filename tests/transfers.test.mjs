@@ -0,0 +1,73 @@
+/**
+ * Transfer lifecycle against the ledger: every unit shipped has to show up in the movements as
+ * received or lost in transit.
+ */
+
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { call as callRoute, signIn, useTemporaryDataDir } from './support/api.mjs';
+
+let removeDataDir;
+let session;
+
+before(async () => {
+    removeDataDir = useTemporaryDataDir();
+    session = await signIn();
+});
+
+after(() => removeDataDir());
+
+const call = (method, pathTemplate, options = {}) => callRoute(method, pathTemplate, { session, ...options });
+
+const stockQuantity = async (productId, warehouseId) => {
+    const { body } = await call('GET', '/api/stock', { query: { productId, warehouseId } });
+    return body[0]?.quantity || 0;
+};
+
+const sumDeltas = (movements, reason) => movements
+    .filter(movement => movement.reason === reason)
+    .reduce((sum, movement) => sum + movement.delta, 0);
+
+test('closing a transfer short writes the shortfall off as lost in transit', async () => {
+    const destinationBefore = await stockQuantity(1, 2);
+
+    const { body: transfer } = await call('POST', '/api/transfers', {
+        body: { fromWarehouseId: 1, toWarehouseId: 2, lines: [{ productId: 1, quantity: 30 }], ship: true },
+    });
+    const { status, body: received } = await call('POST', '/api/transfers/{id}', {
+        params: { id: transfer.id },
+        body: { action: 'receive', lines: [{ productId: 1, quantity: 20 }], closeShort: true, note: 'Pallet damaged' },
+    });
+    assert.equal(status, 200);
+    assert.equal(received.status, 'received');
+    assert.equal(received.lines[0].shortQuantity, 10);
+
+    const { body: movements } = await call('GET', '/api/movements', {
+        query: { referenceType: 'transfer', referenceId: transfer.id },
+    });
+    const shipped = -sumDeltas(movements, 'transfer_out');
+    const writtenOff = -sumDeltas(movements, 'transit_loss');
+    assert.equal(shipped, 30);
+    assert.equal(writtenOff, 10);
+    assert.equal(shipped, received.lines[0].receivedQuantity + writtenOff);
+
+    // The loss is booked in and straight back out, so only what arrived is on the shelf
+    assert.equal(await stockQuantity(1, 2), destinationBefore + 20);
+    const loss = movements.find(movement => movement.reason === 'transit_loss');
+    assert.deepEqual(loss.lots.map(lot => lot.lotNumber), ['BSS-2501']);
+
+    const { body: reconcile } = await call('GET', '/api/stock/reconcile');
+    assert.equal(reconcile.inSync, true);
+});
+
+test('receiving everything posts no loss', async () => {
+    const { body: transfer } = await call('POST', '/api/transfers', {
+        body: { fromWarehouseId: 1, toWarehouseId: 2, lines: [{ productId: 1, quantity: 5 }], ship: true },
+    });
+    await call('POST', '/api/transfers/{id}', { params: { id: transfer.id }, body: { action: 'receive' } });
+
+    const { body: movements } = await call('GET', '/api/movements', {
+        query: { referenceType: 'transfer', referenceId: transfer.id },
+    });
+    assert.equal(movements.filter(movement => movement.reason === 'transit_loss').length, 0);
+});
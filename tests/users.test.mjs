@@ -0,0 +1,85 @@
+/**
+ * User accounts: changes are audited without their password hashes, and a new password or a
+ * deactivation ends the user's sessions.
+ */
+
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SESSION_COOKIE } from '@/lib/auth';
+import { call as callRoute, request, signIn, useTemporaryDataDir } from './support/api.mjs';
+
+let removeDataDir;
+let session;
+
+before(async () => {
+    removeDataDir = useTemporaryDataDir();
+    session = await signIn();
+});
+
+after(() => removeDataDir());
+
+const call = (method, pathTemplate, options = {}) => callRoute(method, pathTemplate, { session, ...options });
+
+const PASSWORD = 'a long enough password';
+
+const createViewer = async (username) => {
+    const { body } = await call('POST', '/api/users', {
+        body: { username, name: 'Test Viewer', role: 'viewer', password: PASSWORD },
+    });
+    return body;
+};
+
+// Sign in as a user and return their session token
+const signInAs = async (username, password = PASSWORD) => {
+    const response = await request('POST', '/api/auth/login', { body: { username, password } });
+    assert.equal(response.status, 200);
+    return String(response.headers['set-cookie']).match(new RegExp(`${SESSION_COOKIE}=([^;]+)`))[1];
+};
+
+const isSignedIn = async (token) => (await request('GET', '/api/products', { session: token })).status === 200;
+
+test('signing in checks the password', async () => {
+    await createViewer('signin.viewer');
+    const { status } = await request('POST', '/api/auth/login', {
+        body: { username: 'signin.viewer', password: 'not the password' },
+    });
+    assert.equal(status, 401);
+    assert.ok(await isSignedIn(await signInAs('signin.viewer')));
+});
+
+test('user changes are audited without the password hash', async () => {
+    const user = await createViewer('audited.viewer');
+    await call('PUT', '/api/users/{id}', { params: { id: user.id }, body: { password: 'another long password' } });
+
+    const { body: entries } = await call('GET', '/api/audit', { query: { entity: 'user', entityId: user.id } });
+    assert.deepEqual(entries.map(entry => entry.action).sort(), ['create', 'update']);
+    const serialized = JSON.stringify(entries);
+    assert.ok(!serialized.includes('scrypt'), 'no password hash in the audit log');
+    const update = entries.find(entry => entry.action === 'update');
+    assert.deepEqual(update.changes.passwordHash, { from: '[redacted]', to: '[redacted]' });
+});
+
+test('a new password ends the user\'s sessions', async () => {
+    const user = await createViewer('password.viewer');
+    const token = await signInAs('password.viewer');
+
+    await call('PUT', '/api/users/{id}', { params: { id: user.id }, body: { password: 'another long password' } });
+    assert.equal(await isSignedIn(token), false);
+    assert.ok(await isSignedIn(await signInAs('password.viewer', 'another long password')));
+});
+
+test('deactivating a user ends their sessions', async () => {
+    const user = await createViewer('inactive.viewer');
+    const token = await signInAs('inactive.viewer');
+
+    // Reactivated, the user has to sign in again
+    await call('PUT', '/api/users/{id}', { params: { id: user.id }, body: { active: false } });
+    await call('PUT', '/api/users/{id}', { params: { id: user.id }, body: { active: true } });
+    assert.equal(await isSignedIn(token), false);
+});
+
+test('changing your own password keeps you signed in', async () => {
+    const { body: me } = await call('GET', '/api/auth/session');
+    await call('PUT', '/api/users/{id}', { params: { id: me.user.id }, body: { password: 'correct horse battery' } });
+    assert.ok(await isSignedIn(session));
+});
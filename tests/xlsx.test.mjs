@@ -0,0 +1,81 @@
+/**
+ * The .xlsx writer and reader: what writeXlsx stores, readXlsx gives back.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readXlsx, writeXlsx } from '@/lib/xlsx';
+
+const roundTrip = (columns, rows) => readXlsx(writeXlsx({ name: 'Test', columns, rows }));
+
+test('typed cells round-trip', async () => {
+    const columns = [
+        { label: 'SKU' },
+        { label: 'Quantity', type: 'integer' },
+        { label: 'Weight', type: 'number' },
+        { label: 'Unit Cost', type: 'currency' },
+        { label: 'Active' },
+        { label: 'Notes' },
+    ];
+    const rows = [
+        ['BSS-001', 120, 0.125, 12.5, true, 'First'],
+        ['BSS-002', '7', '2.5', '3.10', false, null],
+    ];
+
+    assert.deepEqual(await roundTrip(columns, rows), [
+        ['SKU', 'Quantity', 'Weight', 'Unit Cost', 'Active', 'Notes'],
+        ['BSS-001', 120, 0.125, 12.5, true, 'First'],
+        ['BSS-002', 7, 2.5, 3.1, false],
+    ]);
+});
+
+test('dates are stored as dates and read back as YYYY-MM-DD', async () => {
+    const columns = [{ label: 'Expires', type: 'date' }, { label: 'Updated', type: 'datetime' }];
+    const rows = [
+        ['2025-03-14', '2025-03-14T15:30:00'],
+        [new Date(2024, 1, 29), new Date(2024, 1, 29, 23, 59)],
+        ['not a date', ''],
+    ];
+
+    assert.deepEqual((await roundTrip(columns, rows)).slice(1), [
+        ['2025-03-14', '2025-03-14'],
+        ['2024-02-29', '2024-02-29'],
+        ['not a date'],
+    ]);
+});
+
+test('special characters survive, and characters XML cannot hold are dropped', async () => {
+    const text = ['<b>Tom & "Jerry"</b>', 'O\'Neil', 'Line one\nLine two', 'Café 🌱', 'Bell\u0007'];
+    const rows = await roundTrip([{ label: 'Text & <more>' }], text.map(value => [value]));
+
+    assert.deepEqual(rows.map(row => row[0]), [
+        'Text & <more>',
+        '<b>Tom & "Jerry"</b>',
+        'O\'Neil',
+        'Line one\nLine two',
+        'Café 🌱',
+        'Bell',
+    ]);
+});
+
+test('over-long text is cut to Excel\'s 32,767 characters', async () => {
+    const rows = await roundTrip([{ label: 'Text' }], [
+        ['x'.repeat(40000)],
+        // Escaping turns each & into five characters; the cut still counts one per character
+        ['&'.repeat(40000)],
+        // A cut through an emoji drops the whole emoji
+        [`${'x'.repeat(32766)}🌱`],
+    ]);
+
+    assert.equal(rows[1][0], 'x'.repeat(32767));
+    assert.equal(rows[2][0], '&'.repeat(32767));
+    assert.equal(rows[3][0], 'x'.repeat(32766));
+});
+
+test('amounts carry no currency symbol', () => {
+    // Parts are stored uncompressed, so the styles can be read straight from the bytes
+    const xml = new TextDecoder().decode(writeXlsx({ name: 'Test', columns: [{ label: 'Cost', type: 'currency' }], rows: [[1]] }));
+    const formats = [...xml.matchAll(/formatCode="([^"]*)"/g)].map(match => match[1]);
+    assert.ok(formats.length > 0);
+    assert.deepEqual(formats.filter(format => format.includes('$')), []);
+});